@@ -56,10 +56,33 @@ const EASY_CALENDAR = (() => {
 	// ANCHOR Member: Factory References
 	let Utils = {};
 	let PhraseFactory = {};
+	let PermissionFactory = {};
 
 	// ANCHOR Member: Vault Reference
 	let EasyCalendarVault = {};
 
+	// ANCHOR Member: vaultMigrations
+	// NOTE: vaults saved before schema versions were recorded start at 0.0.0, so every step must be safe to re-run.
+	const vaultMigrations = [
+		{
+			version: "2.0.0",
+			description: "Image overrides are stored per category as { url, label }",
+			up: (vault) => {
+				["customImages", "imageOverrides"].forEach((collection) => {
+					if (!vault[collection]) return;
+
+					["moon", "sun", "weather"].forEach((category) => {
+						const images = vault[collection][category] = vault[collection][category] || {};
+
+						Object.entries(images).forEach(([key, image]) => {
+							if (typeof image === "string") images[key] = { url: image, label: key };
+						});
+					});
+				});
+			}
+		}
+	];
+
 	// SECTION Constants: Default Images
 
 	// ANCHOR Constant: IMAGE_BASE_PATH
@@ -430,27 +453,23 @@ const EASY_CALENDAR = (() => {
 	};
 
 	// ANCHOR Function: getHourDescription
-	const getHourDescription = (hourOfDay, hoursInDay) => {
-		const ratio = hourOfDay / hoursInDay;
-		if (ratio < 0.125) return "Late Night";
-		if (ratio < 0.25) return "Early Morning";
-		if (ratio < 0.375) return "Morning";
-		if (ratio < 0.5) return "Late Morning";
-		if (ratio < 0.625) return "Afternoon";
-		if (ratio < 0.75) return "Late Afternoon";
-		if (ratio < 0.875) return "Evening";
-		return "Night";
+	const getHourDescription = (hourOfDay, hoursInDay, playerId) => {
+		const periodIds = ["0x0CAL00C0", "0x0CAL00C1", "0x0CAL00C2", "0x0CAL00C3", "0x0CAL00C4", "0x0CAL00C5", "0x0CAL00C6", "0x0CAL00C7"];
+		const period = Math.min(Math.floor((hourOfDay / hoursInDay) * 8), 7);
+
+		return PhraseFactory.get({ playerId, transUnitId: periodIds[Math.max(period, 0)] });
 	};
 
-	// ANCHOR Function: getDaySuffix
-	const getDaySuffix = (day) => {
-		if (day >= 11 && day <= 13) return "th";
-		switch (day % 10) {
-			case 1: return "st";
-			case 2: return "nd";
-			case 3: return "rd";
-			default: return "th";
+	// ANCHOR Function: formatDateLabel
+	// NOTE: the phrases run the day through the ordinal filter, so the number and the words around it share the reader's language.
+	const formatDateLabel = ({ date, playerId, withYear = true }) => {
+		const expressions = { day: date.day, month: date.monthName, year: date.year };
+
+		if (date.isFestival) {
+			return withYear ? PhraseFactory.get({ playerId, transUnitId: "0x0CAL00B2", expressions }) : date.monthName;
 		}
+
+		return PhraseFactory.get({ playerId, transUnitId: withYear ? "0x0CAL00B0" : "0x0CAL00B1", expressions });
 	};
 
 	// !SECTION End of Inner Methods: Core Calculations
@@ -873,12 +892,10 @@ const EASY_CALENDAR = (() => {
 			const hourOfDay = EasyCalendarVault.hourOfDay || 0;
 			const weather = EasyCalendarVault.weather || "clear";
 
-			const dateStr = date.isFestival
-				? `${date.monthName}, ${date.year}`
-				: `${date.day}${getDaySuffix(date.day)} of ${date.monthName}, ${date.year}`;
+			const dateStr = formatDateLabel({ date, playerId: msgDetails.callerId });
 
-			const hourDesc = getHourDescription(hourOfDay, config.hoursInDay);
-			const timeStr = `Hour ${hourOfDay} of ${config.hoursInDay} (${hourDesc})`;
+			const hourDesc = getHourDescription(hourOfDay, config.hoursInDay, msgDetails.callerId);
+			const timeStr = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0CAL00B3", expressions: { hour: hourOfDay, hours: config.hoursInDay, description: hourDesc } });
 
 			// Build body sections
 			let body = "";
@@ -897,11 +914,14 @@ const EASY_CALENDAR = (() => {
 				body += `<div class="ez-content">${eventsHtml}</div>`;
 			}
 
-			// Time controls (GM only)
-			if (msgDetails.isGm) {
+			// Time controls (players granted calendar.advanceTime)
+			if (PermissionFactory.can({ capability: "calendar.advanceTime", playerId: msgDetails.callerId })) {
 				body += `<div class="ez-header">${PhraseFactory.get({ transUnitId: "0x0CAL0011" })}</div>`;
 				body += `<div class="ez-content">${buildTimeControlButtons()}</div>`;
+			}
 
+			// Celestial controls (GM only)
+			if (msgDetails.isGm) {
 				body += `<div class="ez-header">${PhraseFactory.get({ transUnitId: "0x0CAL0012" })}</div>`;
 				body += `<div class="ez-content">${buildCelestialControlButtons(config)}</div>`;
 			}
@@ -973,40 +993,42 @@ const EASY_CALENDAR = (() => {
 		const date = epochDayToDate(EasyCalendarVault.epochDay, EasyCalendarVault.world);
 		const hourOfDay = EasyCalendarVault.hourOfDay || 0;
 		const weather = EasyCalendarVault.weather || "clear";
+		const eventsHtml = buildEventsSection(EasyCalendarVault.epochDay, EasyCalendarVault.world);
 
-		const dateStr = date.isFestival
-			? `${date.monthName}, ${date.year}`
-			: `${date.day}${getDaySuffix(date.day)} of ${date.monthName}, ${date.year}`;
+		// NOTE: each online player gets a copy in their own language.
+		const players = findObjs({ _type: "player" }).filter((player) => { return player.get("_online"); });
+		for (const player of players) {
+			const playerId = player.id;
 
-		const hourDesc = getHourDescription(hourOfDay, config.hoursInDay);
+			let body = `<div class="ez-content">`;
+			body += `<div style="font-size: 16px; font-weight: bold; margin-bottom: 5px;">${formatDateLabel({ date, playerId })}</div>`;
+			body += `<div style="font-size: 12px; color: var(--ez-color-text-complement); margin-bottom: 10px;">${getHourDescription(hourOfDay, config.hoursInDay, playerId)}</div>`;
+			body += buildCelestialTable(config, hourOfDay, weather);
+			body += `</div>`;
 
-		let body = `<div class="ez-content">`;
-		body += `<div style="font-size: 16px; font-weight: bold; margin-bottom: 5px;">${dateStr}</div>`;
-		body += `<div style="font-size: 12px; color: var(--ez-color-text-complement); margin-bottom: 10px;">${hourDesc}</div>`;
-		body += buildCelestialTable(config, hourOfDay, weather);
-		body += `</div>`;
+			if (eventsHtml) {
+				body += `<div class="ez-header">${PhraseFactory.get({ playerId, transUnitId: "0x0CAL0010" })}</div>`;
+				body += `<div class="ez-content">${eventsHtml}</div>`;
+			}
 
-		const eventsHtml = buildEventsSection(EasyCalendarVault.epochDay, EasyCalendarVault.world);
-		if (eventsHtml) {
-			body += `<div class="ez-header">${PhraseFactory.get({ transUnitId: "0x0CAL0010" })}</div>`;
-			body += `<div class="ez-content">${eventsHtml}</div>`;
-		}
+			const menuContent = {
+				title: PhraseFactory.get({ playerId, transUnitId: "0x0CAL0001" }),
+				subtitle: config.name,
+				body,
+				footer: ""
+			};
 
-		const menuContent = {
-			title: PhraseFactory.get({ transUnitId: "0x0CAL0001" }),
-			subtitle: config.name,
-			body,
-			footer: ""
-		};
+			const styledMessage = await Utils.renderTemplateAsync({
+				template: "chatMenu",
+				expressions: menuContent,
+				theme: "chatMenu",
+				cssVars: {},
+				playerId
+			});
 
-		const styledMessage = await Utils.renderTemplateAsync({
-			template: "chatMenu",
-			expressions: menuContent,
-			theme: "chatMenu",
-			cssVars: {}
-		});
+			Utils.broadcastPlayerMessage({ from: moduleSettings.readableName, playerIds: [playerId], message: styledMessage });
+		}
 
-		sendChat(moduleSettings.readableName, styledMessage);
 		return 0;
 	};
 
@@ -1211,47 +1233,50 @@ const EASY_CALENDAR = (() => {
 		return 0;
 	};
 
+	// ANCHOR Function: publishDayAdvanced
+	const publishDayAdvanced = (previousEpochDay) => {
+		EASY_FORGE.publish({
+			event: "calendar:dayAdvanced",
+			payload: {
+				epochDay: EasyCalendarVault.epochDay,
+				previousEpochDay,
+				days: EasyCalendarVault.epochDay - previousEpochDay,
+				date: epochDayToDate(EasyCalendarVault.epochDay, EasyCalendarVault.world)
+			}
+		});
+	};
+
 	// ANCHOR Function: processAdvanceDay
-	const processAdvanceDay = (msgDetails, parsedArgs) => {
-		if (!msgDetails.isGm) {
-			Utils.whisperAlertMessageAsync({
-				from: moduleSettings.readableName,
-				to: msgDetails.callerName,
-				toId: msgDetails.callerId,
-				severity: "ERROR",
-				apiCallContent: msgDetails.raw.content,
-				remark: PhraseFactory.get({ transUnitId: "0x0CAL0030" })
-			});
+	const processAdvanceDay = async (msgDetails, parsedArgs) => {
+		if (!(await Utils.requirePermissionAsync({ capability: "calendar.advanceTime", msgDetails }))) {
 			return 1;
 		}
 
 		const days = parseInt(Object.keys(parsedArgs)[0], 10) || 0;
+		const previousEpochDay = EasyCalendarVault.epochDay;
 		EasyCalendarVault.epochDay += days;
 
 		if (EasyCalendarVault.autoWeather && days !== 0) {
 			randomizeWeather();
 		}
 
+		if (days !== 0) {
+			publishDayAdvanced(previousEpochDay);
+		}
+
 		return processMenuAsync(msgDetails);
 	};
 
 	// ANCHOR Function: processAdvanceHour
-	const processAdvanceHour = (msgDetails, parsedArgs) => {
-		if (!msgDetails.isGm) {
-			Utils.whisperAlertMessageAsync({
-				from: moduleSettings.readableName,
-				to: msgDetails.callerName,
-				toId: msgDetails.callerId,
-				severity: "ERROR",
-				apiCallContent: msgDetails.raw.content,
-				remark: PhraseFactory.get({ transUnitId: "0x0CAL0030" })
-			});
+	const processAdvanceHour = async (msgDetails, parsedArgs) => {
+		if (!(await Utils.requirePermissionAsync({ capability: "calendar.advanceTime", msgDetails }))) {
 			return 1;
 		}
 
 		const config = getWorldConfig(EasyCalendarVault.world);
 		const hours = parseInt(Object.keys(parsedArgs)[0], 10) || 0;
 
+		const previousEpochDay = EasyCalendarVault.epochDay;
 		let newHour = (EasyCalendarVault.hourOfDay || 0) + hours;
 		let dayChanged = false;
 
@@ -1272,6 +1297,10 @@ const EASY_CALENDAR = (() => {
 			randomizeWeather();
 		}
 
+		if (dayChanged) {
+			publishDayAdvanced(previousEpochDay);
+		}
+
 		return processMenuAsync(msgDetails);
 	};
 
@@ -1572,10 +1601,8 @@ const EASY_CALENDAR = (() => {
 		const entryText = match[1].trim();
 		const date = epochDayToDate(EasyCalendarVault.epochDay, EasyCalendarVault.world);
 		const hourOfDay = EasyCalendarVault.hourOfDay || 0;
-		const dateStr = date.isFestival
-			? `${date.monthName}, ${date.year}`
-			: `${date.day}${getDaySuffix(date.day)} of ${date.monthName}, ${date.year}`;
-		const timeStr = `Hour ${hourOfDay}`;
+		const dateStr = formatDateLabel({ date, playerId: msgDetails.callerId });
+		const timeStr = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0CAL00B4", expressions: { hour: hourOfDay } });
 
 		const journalName = "Daily Journal";
 		const handout = findOrCreateHandout(journalName, msgDetails.callerId, true);
@@ -1665,6 +1692,10 @@ const EASY_CALENDAR = (() => {
 
 	// ANCHOR Function: processAddEventMenu
 	const processAddEventMenu = async (msgDetails, parsedArgs) => {
+		if (!(await Utils.requirePermissionAsync({ capability: "calendar.addEvent", msgDetails }))) {
+			return 1;
+		}
+
 		const epochDay = parseInt(Object.keys(parsedArgs)[0], 10);
 
 		if (isNaN(epochDay)) {
@@ -1680,13 +1711,11 @@ const EASY_CALENDAR = (() => {
 		}
 
 		const date = epochDayToDate(epochDay, EasyCalendarVault.world);
-		const dateStr = date.isFestival
-			? date.monthName
-			: `${date.day}${getDaySuffix(date.day)} of ${date.monthName}, ${date.year}`;
+		const dateStr = formatDateLabel({ date, playerId: msgDetails.callerId });
 
 		let body = `<div class="ez-content">`;
 		body += `<div style="font-size: 14px; font-weight: bold; margin-bottom: 10px;">${dateStr}</div>`;
-		body += `<a class="ez-btn" href="\`!${moduleSettings.chatApiName} --add-event ${epochDay}|?{Event Name}|?{Time (e.g. Morning, Midday, Evening)}|?{Description}">${PhraseFactory.get({ transUnitId: "0x0CAL0081" })}</a>`;
+		body += `<a class="ez-btn" href="\`!${moduleSettings.chatApiName} --add-event day|${epochDay} name|&quot;?{Event Name}&quot; time|&quot;?{Time (e.g. Morning, Midday, Evening)}&quot; description|&quot;?{Description}&quot;">${PhraseFactory.get({ transUnitId: "0x0CAL0081" })}</a>`;
 		body += `<a class="ez-btn" href="\`!${moduleSettings.chatApiName} --calendar">← ${PhraseFactory.get({ transUnitId: "0x0CAL0082" })}</a>`;
 		body += `</div>`;
 
@@ -1714,25 +1743,21 @@ const EASY_CALENDAR = (() => {
 	};
 
 	// ANCHOR Function: processAddEvent
-	const processAddEvent = (msgDetails) => {
-		const content = msgDetails.raw.content;
-		const match = content.match(/--add-event\s+(\d+)\|([^|]+)\|([^|]*)\|(.+)/i);
-		if (!match) {
-			Utils.whisperAlertMessageAsync({
-				from: moduleSettings.readableName,
-				to: msgDetails.callerName,
-				toId: msgDetails.callerId,
-				severity: "ERROR",
-				apiCallContent: msgDetails.raw.content,
-				remark: PhraseFactory.get({ transUnitId: "0x0CAL0084" })
-			});
+	const processAddEvent = async (msgDetails, parsedArgs) => {
+		if (!(await Utils.requirePermissionAsync({ capability: "calendar.addEvent", msgDetails }))) {
 			return 1;
 		}
 
-		const epochDay = parseInt(match[1], 10);
-		const name = match[2].trim();
-		const time = match[3].trim() || "Unspecified";
-		const description = match[4].trim();
+		const readArg = (key) => (typeof parsedArgs[key] === "string" ? parsedArgs[key].trim() : "");
+		// NOTE: players can add events, so their text is sanitized before it is stored and shown in calendar menus.
+		const readTextArg = (key) => {
+			return Utils.sanitizeHtml({ html: readArg(key), policy: "chat", allowApiLinks: msgDetails.isGm });
+		};
+
+		const epochDay = parseInt(readArg("day"), 10);
+		const name = readTextArg("name");
+		const time = readTextArg("time") || "Unspecified";
+		const description = readTextArg("description");
 
 		if (isNaN(epochDay) || !name || !description) {
 			Utils.whisperAlertMessageAsync({
@@ -1749,9 +1774,7 @@ const EASY_CALENDAR = (() => {
 		addEventToDay(epochDay, name, time, description, msgDetails.callerId);
 
 		const date = epochDayToDate(epochDay, EasyCalendarVault.world);
-		const dateStr = date.isFestival
-			? date.monthName
-			: `${date.day}${getDaySuffix(date.day)} of ${date.monthName}`;
+		const dateStr = formatDateLabel({ date, playerId: msgDetails.callerId, withYear: false });
 
 		Utils.whisperAlertMessageAsync({
 			from: moduleSettings.readableName,
@@ -1759,7 +1782,7 @@ const EASY_CALENDAR = (() => {
 			toId: msgDetails.callerId,
 			severity: "INFO",
 			apiCallContent: msgDetails.raw.content,
-			remark: PhraseFactory.get({ transUnitId: "0x0CAL0085", expressions: { name, date: dateStr } })
+			remark: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0CAL0085", expressions: { name, date: dateStr } })
 		});
 
 		return processOpenCalendar(msgDetails);
@@ -1799,9 +1822,7 @@ const EASY_CALENDAR = (() => {
 
 		const event = events[eventIndex];
 		const date = epochDayToDate(epochDay, EasyCalendarVault.world);
-		const dateStr = date.isFestival
-			? `${date.monthName}, ${date.year}`
-			: `${date.day}${getDaySuffix(date.day)} of ${date.monthName}, ${date.year}`;
+		const dateStr = formatDateLabel({ date, playerId: msgDetails.callerId });
 
 		let body = `<div class="ez-content">`;
 		body += `<div style="font-size: 14px; font-weight: bold; margin-bottom: 5px;">${dateStr}</div>`;
@@ -1857,7 +1878,7 @@ const EASY_CALENDAR = (() => {
 		"--log":                (msgDetails) => processLogDay(msgDetails),
 		"--calendar":           (msgDetails) => processOpenCalendar(msgDetails),
 		"--add-event-menu":     (msgDetails, parsedArgs) => processAddEventMenu(msgDetails, parsedArgs),
-		"--add-event":          (msgDetails) => processAddEvent(msgDetails),
+		"--add-event":          (msgDetails, parsedArgs) => processAddEvent(msgDetails, parsedArgs),
 		"--view-event":         (msgDetails) => processViewEvent(msgDetails)
 	};
 
@@ -1889,11 +1910,18 @@ const EASY_CALENDAR = (() => {
 		if (EasyCalendarVault.overrides === undefined) EasyCalendarVault.overrides = { moon: {}, sun: {} };
 	};
 
+	// ANCHOR Function: registerPermissions
+	// NOTE: players may add events by default, but only the GM moves time until granted calendar.advanceTime.
+	const registerPermissions = () => {
+		PermissionFactory.registerCapability({ capability: "calendar.addEvent", module: moduleSettings.readableName, description: "0x0CAL00A0", defaultRoles: ["everyone"] });
+		PermissionFactory.registerCapability({ capability: "calendar.advanceTime", module: moduleSettings.readableName, description: "0x0CAL00A1" });
+	};
+
 	// ANCHOR Outer Method: registerEventHandlers
 	const registerEventHandlers = () => {
 		on("chat:message", (apiCall) => {
 			if (apiCall.type === "api" && apiCall.content.startsWith(`!${moduleSettings.chatApiName}`)) {
-				Utils.handleApiCall({ actionMap, apiCall });
+				Utils.handleApiCall({ actionMap, apiCall, greedyKeys: ["description"] });
 			}
 		});
 		return 0;
@@ -1904,11 +1932,15 @@ const EASY_CALENDAR = (() => {
 		if (typeof EASY_UTILS !== "undefined") {
 
 			const requiredFunctions = [
+				"broadcastPlayerMessage",
 				"getSharedForge",
 				"getSharedVault",
 				"handleApiCall",
 				"logSyslogMessage",
+				"migrateVault",
 				"renderTemplateAsync",
+				"requirePermissionAsync",
+				"sanitizeHtml",
 				"whisperAlertMessageAsync",
 				"whisperPlayerMessage"
 			];
@@ -1920,6 +1952,13 @@ const EASY_CALENDAR = (() => {
 
 			const easySharedForge = Utils.getSharedForge();
 			PhraseFactory = easySharedForge.getFactory({ name: "PhraseFactory" });
+			PermissionFactory = easySharedForge.getFactory({ name: "PermissionFactory" });
+
+			// NOTE: the dry run whispers the GM the planned changes first; the real pass then applies them and names the backup handout.
+			const migrationPreview = Utils.migrateVault({ vaultKey: "EasyCalendar", migrations: vaultMigrations, dryRun: true });
+			if (migrationPreview.status !== "failed") {
+				Utils.migrateVault({ vaultKey: "EasyCalendar", migrations: vaultMigrations });
+			}
 
 			const sharedVault = Utils.getSharedVault();
 			sharedVault.EasyCalendar = sharedVault.EasyCalendar || {};
@@ -1974,7 +2013,22 @@ const EASY_CALENDAR = (() => {
 						"0x0CAL0090": "Add --ez-cal-* variables to your handout's GM Notes <style> block (for Easy-Markdown).",
 						"0x0CAL0091": "Available CSS Variables",
 						"0x0CAL0092": "Edit the GM Notes of your calendar handout. Add variables inside the <style> block, within :root { } or standalone.",
-						"0x0CAL0093": "Handout Colors"
+						"0x0CAL0093": "Handout Colors",
+						"0x0CAL00A0": "Add events to the calendar (--add-event).",
+						"0x0CAL00A1": "Advance the day or hour (--advance-day, --advance-hour).",
+						"0x0CAL00B0": "{{ day | ordinal }} of {{ month }}, {{ year }}",
+						"0x0CAL00B1": "{{ day | ordinal }} of {{ month }}",
+						"0x0CAL00B2": "{{ month }}, {{ year }}",
+						"0x0CAL00B3": "Hour {{ hour }} of {{ hours }} ({{ description }})",
+						"0x0CAL00B4": "Hour {{ hour }}",
+						"0x0CAL00C0": "Late Night",
+						"0x0CAL00C1": "Early Morning",
+						"0x0CAL00C2": "Morning",
+						"0x0CAL00C3": "Late Morning",
+						"0x0CAL00C4": "Afternoon",
+						"0x0CAL00C5": "Late Afternoon",
+						"0x0CAL00C6": "Evening",
+						"0x0CAL00C7": "Night"
 					},
 					frFR: {
 						"0x0CAL0001": "Calendrier Facile",
@@ -2020,11 +2074,28 @@ const EASY_CALENDAR = (() => {
 						"0x0CAL0090": "Ajoutez les variables --ez-cal-* au bloc <style> des Notes du MJ (pour Easy-Markdown).",
 						"0x0CAL0091": "Variables CSS Disponibles",
 						"0x0CAL0092": "Modifiez les Notes du MJ du calendrier. Ajoutez les variables dans le bloc <style>, dans :root { } ou seules.",
-						"0x0CAL0093": "Couleurs du Calendrier"
+						"0x0CAL0093": "Couleurs du Calendrier",
+						"0x0CAL00A0": "Ajouter des événements au calendrier (--add-event).",
+						"0x0CAL00A1": "Avancer le jour ou l'heure (--advance-day, --advance-hour).",
+						"0x0CAL00B0": "{{ day | ordinal }} {{ month }} {{ year }}",
+						"0x0CAL00B1": "{{ day | ordinal }} {{ month }}",
+						"0x0CAL00B2": "{{ month }} {{ year }}",
+						"0x0CAL00B3": "Heure {{ hour }} sur {{ hours }} ({{ description }})",
+						"0x0CAL00B4": "Heure {{ hour }}",
+						"0x0CAL00C0": "Tard dans la nuit",
+						"0x0CAL00C1": "Petit matin",
+						"0x0CAL00C2": "Matin",
+						"0x0CAL00C3": "Fin de matinée",
+						"0x0CAL00C4": "Après-midi",
+						"0x0CAL00C5": "Fin d'après-midi",
+						"0x0CAL00C6": "Soirée",
+						"0x0CAL00C7": "Nuit"
 					}
 				}
 			});
 
+			registerPermissions();
+
 			if (moduleSettings.verbose) {
 				const msgId = "10000";
 				Utils.logSyslogMessage({
@@ -2052,6 +2123,13 @@ const EASY_CALENDAR = (() => {
 		if (continueMod === 0) {
 			registerEventHandlers();
 
+			EASY_FORGE.registerModule({
+				name: moduleSettings.readableName,
+				version: moduleSettings.version,
+				dependencies: ["Easy-Utils"],
+				api: EASY_CALENDAR
+			});
+
 			const msgId = "20000";
 			Utils.logSyslogMessage({
 				severity: "INFO",
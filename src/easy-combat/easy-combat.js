@@ -36,12 +36,32 @@ const EASY_COMBAT = (() => {
 	// ANCHOR Member: Factory References
 	let Utils = {};
 	let PhraseFactory = {};
+	let PermissionFactory = {};
 	let TemplateFactory = {};
 	let ThemeFactory = {};
 
 	// ANCHOR Member: Vault Reference
 	let EasyCombatVault = {};
 
+	// ANCHOR Member: vaultMigrations
+	// NOTE: vaults saved before schema versions were recorded start at 0.0.0, so every step must be safe to re-run.
+	const vaultMigrations = [
+		{
+			version: "2.0.0",
+			description: "Custom library effects carry duration, direction and autochange fields",
+			up: (vault) => {
+				if (typeof vault.round !== "number") vault.round = parseInt(vault.round, 10) || 0;
+
+				Object.values(vault.customLibrary || {}).forEach((effect) => {
+					["icon", "description", "duration", "direction", "autochange"].forEach((field) => {
+						if (effect[field] === undefined) effect[field] = null;
+					});
+					if (!effect.type) effect.type = "condition";
+				});
+			}
+		}
+	];
+
 	// ANCHOR Member: Default Effect Library
 	const DEFAULT_EFFECT_LIBRARY = {
 		blinded: { name: "Blinded", type: "condition", icon: "bleeding-eye", description: "Cannot see. Auto-fails sight checks. Attacks against have advantage, attacks by have disadvantage.", duration: null, direction: null, autochange: null },
@@ -423,15 +443,15 @@ const EASY_COMBAT = (() => {
 	<div class="ez-cap ez-cap-top"></div>
 	<div class="ez-title">{{ title }}</div>
 	<div class="ez-body">
-		<div class="ez-token-row">{{ tokenImage }}<span class="ez-token-name">{{ tokenName }}</span></div>
+		<div class="ez-token-row">{{{ tokenImage }}}<span class="ez-token-name">{{ tokenName }}</span></div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addConditionCmd }}">+ Add</a><span>Conditions</span></div>
-		<div class="ez-effect-grid">{{ conditionsHtml }}</div>
+		<div class="ez-effect-grid">{{{ conditionsHtml }}}</div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addSpellCmd }}">+ Add</a><span>Spell Effects</span></div>
-		<div class="ez-effect-grid">{{ spellsHtml }}</div>
+		<div class="ez-effect-grid">{{{ spellsHtml }}}</div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addTraitCmd }}">+ Add</a><span>Traits</span></div>
-		<div class="ez-effect-grid">{{ traitsHtml }}</div>
+		<div class="ez-effect-grid">{{{ traitsHtml }}}</div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addReminderCmd }}">+ Add</a><span>Reminders</span></div>
-		<div class="ez-effect-grid">{{ remindersHtml }}</div>
+		<div class="ez-effect-grid">{{{ remindersHtml }}}</div>
 		<div class="ez-button-row">
 			<a class="ez-btn" href="{{ addStatusCmd }}">Add Status</a>
 			<a class="ez-btn" href="!ezcombat --next">End Turn</a>
@@ -446,17 +466,38 @@ const EASY_COMBAT = (() => {
 	<div class="ez-cap ez-cap-top"></div>
 	<div class="ez-title">{{ title }}</div>
 	<div class="ez-body">
-		<div class="ez-token-row">{{ tokenImage }}<span class="ez-token-name">{{ tokenName }}</span></div>
+		<div class="ez-token-row">{{{ tokenImage }}}<span class="ez-token-name">{{ tokenName }}</span></div>
 		<div class="ez-section-label">Conditions</div>
-		<div class="ez-effect-grid">{{ conditionsHtml }}</div>
+		<div class="ez-effect-grid">{{{ conditionsHtml }}}</div>
 		<div class="ez-section-label">Spell Effects</div>
-		<div class="ez-effect-grid">{{ spellsHtml }}</div>
+		<div class="ez-effect-grid">{{{ spellsHtml }}}</div>
 		<div class="ez-section-label">Traits</div>
-		<div class="ez-effect-grid">{{ traitsHtml }}</div>
+		<div class="ez-effect-grid">{{{ traitsHtml }}}</div>
 	</div>
 	<div class="ez-cap ez-cap-bottom"></div>
 </div>`,
 
+		// Compact turn announcements, swapped in by renderTemplateAsync for players who chose compact output
+		combatTurnAnnouncementCompact: `
+<div id="rootContainer" class="ez-box ez-combat-turn {{ turnClass }}">
+	<div class="ez-title">{{ title }} - {{ tokenName }}</div>
+	<div class="ez-body">
+		<div class="ez-effect-grid">{{{ effectsHtml }}}</div>
+		<div class="ez-button-row">
+			<a class="ez-btn" href="{{ addStatusCmd }}">Add Status</a>
+			<a class="ez-btn" href="!ezcombat --next">End Turn</a>
+		</div>
+	</div>
+</div>`,
+
+		combatTurnReadOnlyCompact: `
+<div id="rootContainer" class="ez-box ez-combat-turn {{ turnClass }}">
+	<div class="ez-title">{{ title }} - {{ tokenName }}</div>
+	<div class="ez-body">
+		<div class="ez-effect-grid">{{{ effectsHtml }}}</div>
+	</div>
+</div>`,
+
 		// Custom item (round counter) template
 		combatCustomItem: `
 <div id="rootContainer" class="ez-box ez-combat-custom">
@@ -474,15 +515,15 @@ const EASY_COMBAT = (() => {
 	<div class="ez-cap ez-cap-top"></div>
 	<div class="ez-title">Token Status</div>
 	<div class="ez-body">
-		<div class="ez-token-row">{{ tokenImage }}<span class="ez-token-name">{{ tokenName }}</span></div>
+		<div class="ez-token-row">{{{ tokenImage }}}<span class="ez-token-name">{{ tokenName }}</span></div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addConditionCmd }}">+ Add</a><span>Conditions</span></div>
-		<div class="ez-effect-grid">{{ conditionsHtml }}</div>
+		<div class="ez-effect-grid">{{{ conditionsHtml }}}</div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addSpellCmd }}">+ Add</a><span>Spell Effects</span></div>
-		<div class="ez-effect-grid">{{ spellsHtml }}</div>
+		<div class="ez-effect-grid">{{{ spellsHtml }}}</div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addTraitCmd }}">+ Add</a><span>Traits</span></div>
-		<div class="ez-effect-grid">{{ traitsHtml }}</div>
+		<div class="ez-effect-grid">{{{ traitsHtml }}}</div>
 		<div class="ez-section-header"><a class="ez-section-btn" href="{{ addReminderCmd }}">+ Add</a><span>Reminders</span></div>
-		<div class="ez-effect-grid">{{ remindersHtml }}</div>
+		<div class="ez-effect-grid">{{{ remindersHtml }}}</div>
 		<div class="ez-button-row">
 			<a class="ez-btn" href="{{ addStatusCmd }}">Add Status</a>
 			<a class="ez-btn" href="!ezcombat">Back to Menu</a>
@@ -495,7 +536,7 @@ const EASY_COMBAT = (() => {
 		combatEffectDetail: `
 <div id="rootContainer" class="ez-box ez-combat-detail">
 	<div class="ez-cap ez-cap-top"></div>
-	<div class="ez-title">{{ iconHtml }}{{ effectName }}</div>
+	<div class="ez-title">{{{ iconHtml }}}{{ effectName }}</div>
 	<div class="ez-body">
 		<div class="ez-description">{{ description }}</div>
 		<div class="ez-stat-row"><span class="ez-stat-label">Type:</span><span class="ez-stat-value">{{ effectType }}</span></div>
@@ -503,7 +544,7 @@ const EASY_COMBAT = (() => {
 		<div class="ez-stat-row"><span class="ez-stat-label">Counter:</span><span class="ez-stat-value">{{ counter }}</span></div>
 		<div class="ez-stat-row"><span class="ez-stat-label">Direction:</span><span class="ez-stat-value">{{ direction }}</span></div>
 		<div class="ez-stat-row"><span class="ez-stat-label">Autochange:</span><span class="ez-stat-value">{{ autochange }}</span></div>
-		<div class="ez-button-row">{{ buttonsHtml }}</div>
+		<div class="ez-button-row">{{{ buttonsHtml }}}</div>
 		<a class="ez-back-btn" href="!ezcombat --refreshturn">\u2190 Back to Turn</a>
 	</div>
 	<div class="ez-cap ez-cap-bottom"></div>
@@ -513,7 +554,7 @@ const EASY_COMBAT = (() => {
 		combatEffectInfo: `
 <div id="rootContainer" class="ez-box ez-combat-info">
 	<div class="ez-cap ez-cap-top"></div>
-	<div class="ez-title">{{ iconHtml }}{{ effectName }}</div>
+	<div class="ez-title">{{{ iconHtml }}}{{ effectName }}</div>
 	<div class="ez-body">
 		<div class="ez-token-label">On: {{ tokenName }}</div>
 		<div class="ez-description">{{ description }}</div>
@@ -537,7 +578,7 @@ const EASY_COMBAT = (() => {
 	<div class="ez-cap ez-cap-top"></div>
 	<div class="ez-title">{{ title }}</div>
 	<div class="ez-body">
-		<div class="ez-confirm-text">{{ message }}</div>
+		<div class="ez-confirm-text">{{{ message }}}</div>
 		<div class="ez-button-row">
 			<a class="ez-btn ez-confirm" href="{{ confirmCmd }}">{{ confirmText }}</a>
 			<a class="ez-btn ez-cancel" href="{{ cancelCmd }}">{{ cancelText }}</a>
@@ -742,6 +783,16 @@ const EASY_COMBAT = (() => {
 
 	// SECTION Inner Methods: Display Helpers
 
+	// ANCHOR Function: buildCommandHref
+	// NOTE: values go out as &quot;-quoted named args, so names with spaces, pipes or "--" reach handleApiCall whole, in hand-built and template-escaped hrefs alike.
+	const buildCommandHref = (commandName, args = {}) => {
+		const argText = Object.entries(args).map(([argName, value]) => {
+			return ` ${argName}|&quot;${`${value}`.replace(/\\/g, "\\\\").replace(/"/g, "\\&quot;")}&quot;`;
+		});
+
+		return `!${moduleSettings.chatApiName} ${commandName}${argText.join("")}`;
+	};
+
 	// ANCHOR Function: buildEffectButton
 	const buildEffectButton = (effect, tokenId, isController) => {
 		const iconHtml = effect.icon ? `<span class="ez-effect-icon">${getMarkerImage(effect.icon, 14)}</span>` : "";
@@ -751,9 +802,7 @@ const EASY_COMBAT = (() => {
 			counterHtml = `<span class="ez-effect-counter">${dirIcon} ${effect.counter}/${effect.duration}</span>`;
 		}
 		const typeClass = `ez-effect-${effect.type}`;
-		const cmd = isController
-			? `!ezcombat --effectdetail|${tokenId}|${encodeURIComponent(effect.name)}`
-			: `!ezcombat --effectinfo|${tokenId}|${encodeURIComponent(effect.name)}`;
+		const cmd = buildCommandHref(isController ? "--effectdetail" : "--effectinfo", { token: tokenId, effect: effect.name });
 		return `<a class="ez-effect-btn ${typeClass}" href="${cmd}">${iconHtml}<span class="ez-effect-name">${effect.name}</span>${counterHtml}</a>`;
 	};
 
@@ -797,22 +846,25 @@ const EASY_COMBAT = (() => {
 			const turnOrder = getCurrentTurnOrder();
 			const inCombat = turnOrder.length > 0;
 			const isGm = msgDetails.isGm;
+			const canAdvance = PermissionFactory.can({ capability: "combat.advance", playerId: msgDetails.callerId });
 
 			const menuItemsArray = [];
 
 			// View Token Status - available to all
 			menuItemsArray.push(`<li><a role="button" href="\`!${moduleSettings.chatApiName} --viewstatus">View Token Status</a></li>`);
 
-			if (inCombat || isGm) {
+			if ((inCombat && canAdvance) || isGm) {
 				menuItemsArray.push(`<li style="border-top: 1px solid #ccc; margin: 5px 0; padding: 0;"></li>`);
 			}
 
 			// Combat Controls
 			if (inCombat) {
-				menuItemsArray.push(`<li><a role="button" href="\`!${moduleSettings.chatApiName} --next">Next Turn</a></li>`);
+				if (canAdvance) {
+					menuItemsArray.push(`<li><a role="button" href="\`!${moduleSettings.chatApiName} --next">Next Turn</a></li>`);
+				}
 				if (isGm) {
 					menuItemsArray.push(`<li><a role="button" href="\`!${moduleSettings.chatApiName} --prev">Previous Turn</a></li>`);
-					const addItemCmd = `\`!${moduleSettings.chatApiName} --additem|?{Item Name|Round Counter}|?{Starting Value|0}|?{Direction|up|down}`;
+					const addItemCmd = `\`${buildCommandHref("--additem", { name: "?{Item Name|Round Counter}", start: "?{Starting Value|0}", direction: "?{Direction|up|down}" })}`;
 					menuItemsArray.push(`<li><a role="button" href="${addItemCmd}">Add Custom Item</a></li>`);
 					menuItemsArray.push(`<li data-category="caution"><a role="button" href="\`!${moduleSettings.chatApiName} --stop">End Combat</a></li>`);
 				}
@@ -894,11 +946,11 @@ const EASY_COMBAT = (() => {
 				spellsHtml: buildEffectsHtml(effects, "spell", tokenId, true),
 				traitsHtml: buildEffectsHtml(effects, "trait", tokenId, true),
 				remindersHtml: buildEffectsHtml(effects, "reminder", tokenId, true),
-				addConditionCmd: `!ezcombat --effectmenu|${tokenId}|condition|blue`,
-				addSpellCmd: `!ezcombat --effectmenu|${tokenId}|spell|blue`,
-				addTraitCmd: `!ezcombat --effectmenu|${tokenId}|trait|blue`,
-				addReminderCmd: `!ezcombat --addreminder|${tokenId}|?{Title}|?{Description}`,
-				addStatusCmd: `!ezcombat --effectmenu|${tokenId}|all|blue`
+				addConditionCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "condition", theme: "blue" }),
+				addSpellCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "spell", theme: "blue" }),
+				addTraitCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "trait", theme: "blue" }),
+				addReminderCmd: buildCommandHref("--addreminder", { token: tokenId, title: "?{Title}", description: "?{Description}" }),
+				addStatusCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "all", theme: "blue" })
 			};
 
 			const styledMessage = await Utils.renderTemplateAsync({
@@ -908,7 +960,7 @@ const EASY_COMBAT = (() => {
 				cssVars: {}
 			});
 
-			sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" ${styledMessage}`);
+			Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: styledMessage });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -920,10 +972,7 @@ const EASY_COMBAT = (() => {
 	const processStartCombat = async (msgDetails) => {
 		const thisFuncDebugName = "processStartCombat";
 		try {
-			if (!msgDetails.isGm) {
-				await Utils.whisperAlertMessageAsync({ from: moduleSettings.readableName, to: msgDetails.callerName, toId: msgDetails.callerId, severity: "ERROR", apiCallContent: msgDetails.raw.content, remark: "Only the GM can control combat." });
-				return 1;
-			}
+			if (!(await Utils.requirePermissionAsync({ capability: "combat.manage", msgDetails }))) return 1;
 			if (!msgDetails.selectedIds || msgDetails.selectedIds.length === 0) {
 				await Utils.whisperAlertMessageAsync({ from: moduleSettings.readableName, to: msgDetails.callerName, toId: msgDetails.callerId, severity: "ERROR", apiCallContent: msgDetails.raw.content, remark: "Select tokens first." });
 				return 1;
@@ -971,6 +1020,7 @@ const EASY_COMBAT = (() => {
 					await announceTurn(currentOrder[0], EasyCombatVault.round);
 					const token = getObj("graphic", currentOrder[0].id);
 					if (token) { pingTokenControllers(token); }
+					publishTurnStart(currentOrder[0]);
 				}
 			}
 
@@ -985,14 +1035,12 @@ const EASY_COMBAT = (() => {
 	const processStopCombat = async (msgDetails) => {
 		const thisFuncDebugName = "processStopCombat";
 		try {
-			if (!msgDetails.isGm) {
-				await Utils.whisperAlertMessageAsync({ from: moduleSettings.readableName, to: msgDetails.callerName, toId: msgDetails.callerId, severity: "ERROR", apiCallContent: msgDetails.raw.content, remark: "Only the GM can control combat." });
-				return 1;
-			}
+			if (!(await Utils.requirePermissionAsync({ capability: "combat.manage", msgDetails }))) return 1;
 
 			setTurnOrder([]);
 			EasyCombatVault.round = 0;
 			Campaign().set("initiativepage", false);
+			EASY_FORGE.publish({ event: "combat:ended", payload: {} });
 
 			const styledMessage = await Utils.renderTemplateAsync({
 				template: "combatEnded",
@@ -1001,7 +1049,7 @@ const EASY_COMBAT = (() => {
 				cssVars: {}
 			});
 
-			sendChat(moduleSettings.readableName, styledMessage);
+			Utils.queueChatMessage({ message: styledMessage });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -1013,6 +1061,8 @@ const EASY_COMBAT = (() => {
 	const processNextTurn = async (msgDetails) => {
 		const thisFuncDebugName = "processNextTurn";
 		try {
+			if (!(await Utils.requirePermissionAsync({ capability: "combat.advance", msgDetails }))) return 1;
+
 			let turnOrder = getCurrentTurnOrder();
 			if (turnOrder.length === 0) {
 				await Utils.whisperAlertMessageAsync({ from: moduleSettings.readableName, to: msgDetails.callerName, toId: msgDetails.callerId, severity: "WARN", apiCallContent: msgDetails.raw.content, remark: "No active turn order." });
@@ -1038,6 +1088,7 @@ const EASY_COMBAT = (() => {
 					if (newCurrent.custom === "Round Counter") {
 						EasyCombatVault.round = newCurrent.pr;
 						updateAllTokensRoundCounters();
+						EASY_FORGE.publish({ event: "combat:roundStart", payload: { round: EasyCombatVault.round } });
 					}
 				}
 
@@ -1051,6 +1102,7 @@ const EASY_COMBAT = (() => {
 			if (!isCustomItem(finalCurrent)) {
 				const token = getObj("graphic", finalCurrent.id);
 				if (token) { pingTokenControllers(token); }
+				publishTurnStart(finalCurrent);
 			}
 
 			return 0;
@@ -1064,10 +1116,7 @@ const EASY_COMBAT = (() => {
 	const processPrevTurn = async (msgDetails) => {
 		const thisFuncDebugName = "processPrevTurn";
 		try {
-			if (!msgDetails.isGm) {
-				await Utils.whisperAlertMessageAsync({ from: moduleSettings.readableName, to: msgDetails.callerName, toId: msgDetails.callerId, severity: "ERROR", apiCallContent: msgDetails.raw.content, remark: "Only the GM can control combat." });
-				return 1;
-			}
+			if (!(await Utils.requirePermissionAsync({ capability: "combat.rewind", msgDetails }))) return 1;
 			const turnOrder = getCurrentTurnOrder();
 			if (turnOrder.length === 0) {
 				await Utils.whisperAlertMessageAsync({ from: moduleSettings.readableName, to: msgDetails.callerName, toId: msgDetails.callerId, severity: "WARN", apiCallContent: msgDetails.raw.content, remark: "No active turn order." });
@@ -1083,6 +1132,7 @@ const EASY_COMBAT = (() => {
 			if (!isCustomItem(current)) {
 				const token = getObj("graphic", current.id);
 				if (token) { pingTokenControllers(token); }
+				publishTurnStart(current);
 			}
 
 			return 0;
@@ -1092,6 +1142,17 @@ const EASY_COMBAT = (() => {
 		}
 	};
 
+	// ANCHOR Function: publishTurnStart
+	// NOTE: published only when the turn actually moves, not when a turn card is refreshed.
+	const publishTurnStart = (turnEntry) => {
+		const token = getObj("graphic", turnEntry.id);
+
+		EASY_FORGE.publish({
+			event: "combat:turnStart",
+			payload: { tokenId: turnEntry.id, name: token ? getTokenDisplayName(token) : "", round: EasyCombatVault.round || 1 }
+		});
+	};
+
 	// ANCHOR Function: announceTurn
 	const announceTurn = async (turnEntry, round) => {
 		const isCustom = isCustomItem(turnEntry);
@@ -1103,7 +1164,7 @@ const EASY_COMBAT = (() => {
 				theme: "combatCustomItem",
 				cssVars: {}
 			});
-			sendChat(moduleSettings.readableName, styledMessage);
+			Utils.queueChatMessage({ message: styledMessage });
 		} else {
 			const tokenId = turnEntry.id;
 			const token = getObj("graphic", tokenId);
@@ -1127,6 +1188,13 @@ const EASY_COMBAT = (() => {
 			const gmIds = gmPlayers.map(p => p.id);
 			const controllerSet = new Set([...controllerIds, ...gmIds]);
 
+			// Compact templates list every effect together
+			const buildAllEffectsHtml = (types, isController) => {
+				const shown = effects.filter((e) => { return types.includes(e.type); });
+
+				return shown.length > 0 ? shown.map((e) => { return buildEffectButton(e, tokenId, isController); }).join("") : "<span class=\"ez-effect-none\">None</span>";
+			};
+
 			// Build controller template
 			const controllerExpressions = {
 				title: `Round ${round}`,
@@ -1136,21 +1204,15 @@ const EASY_COMBAT = (() => {
 				spellsHtml: buildEffectsHtml(effects, "spell", tokenId, true),
 				traitsHtml: buildEffectsHtml(effects, "trait", tokenId, true),
 				remindersHtml: buildEffectsHtml(effects, "reminder", tokenId, true),
-				addConditionCmd: `!ezcombat --effectmenu|${tokenId}|condition|red`,
-				addSpellCmd: `!ezcombat --effectmenu|${tokenId}|spell|red`,
-				addTraitCmd: `!ezcombat --effectmenu|${tokenId}|trait|red`,
-				addReminderCmd: `!ezcombat --addreminder|${tokenId}|?{Title}|?{Description}`,
-				addStatusCmd: `!ezcombat --effectmenu|${tokenId}|all|red`,
+				effectsHtml: buildAllEffectsHtml(["condition", "spell", "trait", "reminder"], true),
+				addConditionCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "condition", theme: "red" }),
+				addSpellCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "spell", theme: "red" }),
+				addTraitCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "trait", theme: "red" }),
+				addReminderCmd: buildCommandHref("--addreminder", { token: tokenId, title: "?{Title}", description: "?{Description}" }),
+				addStatusCmd: buildCommandHref("--effectmenu", { token: tokenId, filter: "all", theme: "red" }),
 				turnClass: ""
 			};
 
-			const controllerMessage = await Utils.renderTemplateAsync({
-				template: "combatTurnAnnouncement",
-				expressions: controllerExpressions,
-				theme: "combatTurnAnnouncement",
-				cssVars: {}
-			});
-
 			// Build read-only template
 			const readOnlyExpressions = {
 				title: `Round ${round}`,
@@ -1159,31 +1221,22 @@ const EASY_COMBAT = (() => {
 				conditionsHtml: buildEffectsHtml(effects, "condition", tokenId, false),
 				spellsHtml: buildEffectsHtml(effects, "spell", tokenId, false),
 				traitsHtml: buildEffectsHtml(effects, "trait", tokenId, false),
+				effectsHtml: buildAllEffectsHtml(["condition", "spell", "trait"], false),
 				turnClass: ""
 			};
 
-			const readOnlyMessage = await Utils.renderTemplateAsync({
-				template: "combatTurnReadOnly",
-				expressions: readOnlyExpressions,
-				theme: "combatTurnReadOnly",
-				cssVars: {}
-			});
-
-			// Send to players
-			const allPlayers = findObjs({ _type: "player" }).filter(p => p.get("_online"));
-			const whisperedIds = new Set();
-
-			for (const player of allPlayers) {
-				const playerId = player.id;
-				if (whisperedIds.has(playerId)) continue;
-				const displayName = player.get("_displayname");
-				const isController = controllerSet.has(playerId);
-				if (isController) {
-					sendChat(moduleSettings.readableName, `/w "${displayName}" ${controllerMessage}`);
-				} else {
-					sendChat(moduleSettings.readableName, `/w "${displayName}" ${readOnlyMessage}`);
-				}
-				whisperedIds.add(playerId);
+			// Render for each online player so their theme, text size and detail preferences apply, then send through the chat queue
+			const onlinePlayers = findObjs({ _type: "player" }).filter((p) => { return p.get("_online"); });
+			for (const player of onlinePlayers) {
+				const template = controllerSet.has(player.id) ? "combatTurnAnnouncement" : "combatTurnReadOnly";
+				const message = await Utils.renderTemplateAsync({
+					template,
+					expressions: controllerSet.has(player.id) ? controllerExpressions : readOnlyExpressions,
+					theme: template,
+					cssVars: {},
+					playerId: player.id
+				});
+				Utils.broadcastPlayerMessage({ from: moduleSettings.readableName, playerIds: [player.id], message, priority: "high" });
 			}
 		}
 	};
@@ -1204,15 +1257,11 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processEffectDetail
-	const processEffectDetail = async (msgDetails) => {
+	const processEffectDetail = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processEffectDetail";
 		try {
-			const content = msgDetails.raw.content;
-			const effectMatch = content.match(/--effectdetail\|([^|]+)\|([^|\s]+)/i);
-			if (!effectMatch) return 1;
-
-			const tokenId = effectMatch[1].trim();
-			const effectName = decodeURIComponent(effectMatch[2].trim());
+			const tokenId = parsedArgs.token;
+			const effectName = parsedArgs.effect.trim();
 			const token = getObj("graphic", tokenId);
 			if (!token) return 1;
 
@@ -1247,10 +1296,10 @@ const EASY_COMBAT = (() => {
 			const directionText = effect.direction === 1 ? "\u25B2 Up" : (effect.direction === -1 ? "\u25BC Down" : "\u2014 None");
 			const autochangeText = effect.autochange || "manual";
 
-			let buttonsHtml = `<a class="ez-btn ez-btn-display" href="!ezcombat --displayeffect|${tokenId}|${encodeURIComponent(effect.name)}">Display to All</a>`;
+			let buttonsHtml = `<a class="ez-btn ez-btn-display" href="${buildCommandHref("--displayeffect", { token: tokenId, effect: effect.name })}">Display to All</a>`;
 			if (canEdit) {
-				const editCmd = `!ezcombat --editeffect|${tokenId}|${encodeURIComponent(effect.name)}|?{Duration|${effect.duration || 0}}|?{Autochange|manual|turn|round}`;
-				const removeCmd = `!ezcombat --removeeffect|${tokenId}|${encodeURIComponent(effect.name)}`;
+				const editCmd = buildCommandHref("--editeffect", { token: tokenId, effect: effect.name, duration: `?{Duration|${effect.duration || 0}}`, autochange: "?{Autochange|manual|turn|round}" });
+				const removeCmd = buildCommandHref("--removeeffect", { token: tokenId, effect: effect.name });
 				buttonsHtml += `<a class="ez-btn ez-btn-edit" href="${editCmd}">Edit</a>`;
 				buttonsHtml += `<a class="ez-btn ez-btn-remove" href="${removeCmd}">Remove</a>`;
 			}
@@ -1274,7 +1323,7 @@ const EASY_COMBAT = (() => {
 				cssVars: {}
 			});
 
-			sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" ${styledMessage}`);
+			Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: styledMessage });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -1283,15 +1332,11 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processDisplayEffect
-	const processDisplayEffect = async (msgDetails) => {
+	const processDisplayEffect = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processDisplayEffect";
 		try {
-			const content = msgDetails.raw.content;
-			const effectMatch = content.match(/--displayeffect\|([^|]+)\|([^|\s]+)/i);
-			if (!effectMatch) return 1;
-
-			const tokenId = effectMatch[1].trim();
-			const effectName = decodeURIComponent(effectMatch[2].trim());
+			const tokenId = parsedArgs.token;
+			const effectName = parsedArgs.effect.trim();
 			const token = getObj("graphic", tokenId);
 			if (!token) return 1;
 
@@ -1330,7 +1375,7 @@ const EASY_COMBAT = (() => {
 				cssVars: {}
 			});
 
-			sendChat(moduleSettings.readableName, styledMessage);
+			Utils.queueChatMessage({ message: styledMessage });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -1339,15 +1384,11 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processEffectInfo
-	const processEffectInfo = async (msgDetails) => {
+	const processEffectInfo = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processEffectInfo";
 		try {
-			const content = msgDetails.raw.content;
-			const effectMatch = content.match(/--effectinfo\|([^|]+)\|([^|\s]+)/i);
-			if (!effectMatch) return 1;
-
-			const tokenId = effectMatch[1].trim();
-			const effectName = decodeURIComponent(effectMatch[2].trim());
+			const tokenId = parsedArgs.token;
+			const effectName = parsedArgs.effect.trim();
 			const token = getObj("graphic", tokenId);
 			if (!token) return 1;
 
@@ -1386,7 +1427,7 @@ const EASY_COMBAT = (() => {
 				cssVars: {}
 			});
 
-			sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" ${styledMessage}`);
+			Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: styledMessage });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -1395,23 +1436,15 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processAddEffect
-	const processAddEffect = async (msgDetails) => {
+	const processAddEffect = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processAddEffect";
 		try {
-			const content = msgDetails.raw.content;
-			const match = content.match(/--addeffect\|([^|]+)(?:\|([^|\s]+))?/i);
-			if (!match) return 1;
-
 			let tokens = [];
-			let effectKey;
+			const effectKey = parsedArgs.effect.trim();
 
-			if (match[2]) {
-				const tokenId = match[1].trim();
-				effectKey = decodeURIComponent(match[2].trim());
-				const token = getObj("graphic", tokenId);
-				if (token) tokens.push(token);
+			if (parsedArgs.token) {
+				tokens.push(getObj("graphic", parsedArgs.token));
 			} else {
-				effectKey = decodeURIComponent(match[1].trim());
 				if (msgDetails.selectedIds && msgDetails.selectedIds.length > 0) {
 					for (const tokenId of msgDetails.selectedIds) {
 						const token = getObj("graphic", tokenId);
@@ -1426,7 +1459,7 @@ const EASY_COMBAT = (() => {
 						const expressions = {
 							title: "Confirm Add Effect",
 							message: `Add <b>${effectName}</b> to <b>${tokens.length} tokens</b>?`,
-							confirmCmd: `!ezcombat --addeffectconfirm|${effectKey}`,
+							confirmCmd: buildCommandHref("--addeffectconfirm", { effect: effectKey }),
 							cancelCmd: "!ezcombat",
 							confirmText: "Yes, Add to All",
 							cancelText: "Cancel"
@@ -1439,7 +1472,7 @@ const EASY_COMBAT = (() => {
 							cssVars: {}
 						});
 
-						sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" ${styledMessage}`);
+						Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: styledMessage });
 						return 0;
 					}
 				} else {
@@ -1479,14 +1512,10 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processAddEffectConfirm
-	const processAddEffectConfirm = async (msgDetails) => {
+	const processAddEffectConfirm = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processAddEffectConfirm";
 		try {
-			const content = msgDetails.raw.content;
-			const match = content.match(/--addeffectconfirm\|([^|\s]+)/i);
-			if (!match) return 1;
-
-			const effectKey = decodeURIComponent(match[1].trim());
+			const effectKey = parsedArgs.effect.trim();
 			const tokens = [];
 
 			if (msgDetails.selectedIds && msgDetails.selectedIds.length > 0) {
@@ -1533,17 +1562,12 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processRemoveEffect
-	const processRemoveEffect = async (msgDetails) => {
+	const processRemoveEffect = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processRemoveEffect";
 		try {
-			const content = msgDetails.raw.content;
-			const effectMatch = content.match(/--removeeffect\|([^|]+)\|([^|\s]+)/i);
-			if (!effectMatch) return 1;
-
-			const tokenId = effectMatch[1].trim();
-			const effectName = decodeURIComponent(effectMatch[2].trim());
+			const tokenId = parsedArgs.token;
+			const effectName = parsedArgs.effect.trim();
 			const token = getObj("graphic", tokenId);
-			if (!token) return 1;
 
 			let canRemove = msgDetails.isGm;
 			if (!canRemove) {
@@ -1571,14 +1595,10 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processRemoveEffectSelected
-	const processRemoveEffectSelected = async (msgDetails) => {
+	const processRemoveEffectSelected = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processRemoveEffectSelected";
 		try {
-			const content = msgDetails.raw.content;
-			const match = content.match(/--removeeffectselected\|([^|\s]+)/i);
-			if (!match) return 1;
-
-			const effectKey = decodeURIComponent(match[1].trim());
+			const effectKey = parsedArgs.effect.trim();
 			const library = getEffectLibrary();
 			const effect = library[effectKey.toLowerCase()];
 			const effectName = effect?.name || effectKey;
@@ -1612,18 +1632,14 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processAddReminder
-	const processAddReminder = async (msgDetails) => {
+	const processAddReminder = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processAddReminder";
 		try {
-			const content = msgDetails.raw.content;
-			const match = content.match(/--addreminder\|([^|]+)\|([^|]+)(?:\|(.*))?/i);
-			if (!match || !match[2].trim()) return 1;
-
-			const tokenId = match[1].trim();
-			const title = match[2].trim();
-			const description = match[3] ? match[3].trim() : null;
+			const tokenId = parsedArgs.token;
+			const title = Utils.sanitizeHtml({ html: parsedArgs.title.trim(), policy: "chat", allowApiLinks: msgDetails.isGm });
+			const description = parsedArgs.description?.trim() ? Utils.sanitizeHtml({ html: parsedArgs.description.trim(), policy: "chat", allowApiLinks: msgDetails.isGm }) : null;
 			const token = getObj("graphic", tokenId);
-			if (!token) return 1;
+			if (!title) return 1;
 
 			addReminder(token, title, description);
 
@@ -1641,19 +1657,14 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processEditEffect
-	const processEditEffect = async (msgDetails) => {
+	const processEditEffect = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processEditEffect";
 		try {
-			const content = msgDetails.raw.content;
-			const match = content.match(/--editeffect\|([^|]+)\|([^|]+)\|([^|]+)\|([^|\s]+)/i);
-			if (!match) return 1;
-
-			const tokenId = match[1].trim();
-			const effectName = decodeURIComponent(match[2].trim());
-			const newDuration = parseInt(match[3].trim(), 10);
-			const newAutochange = match[4].trim().toLowerCase();
+			const tokenId = parsedArgs.token;
+			const effectName = parsedArgs.effect.trim();
+			const newDuration = parseInt(parsedArgs.duration, 10);
+			const newAutochange = parsedArgs.autochange;
 			const token = getObj("graphic", tokenId);
-			if (!token) return 1;
 
 			let canEdit = msgDetails.isGm;
 			if (!canEdit) {
@@ -1689,15 +1700,11 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processEffectMenu
-	const processEffectMenu = async (msgDetails) => {
+	const processEffectMenu = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processEffectMenu";
 		try {
-			const content = msgDetails.raw.content;
-			const match = content.match(/--effectmenu(?:\|([^|]*)\|([^|]*)(?:\|([^|\s]*))?)?/i);
-
-			const tokenId = match && match[1] ? match[1].trim() : null;
-			const filterType = match && match[2] ? match[2].trim().toLowerCase() : null;
-			const theme = match && match[3] ? match[3].trim().toLowerCase() : "red";
+			const filterType = parsedArgs.filter;
+			const theme = parsedArgs.theme;
 
 			const library = getEffectLibrary();
 			let libraryKeys = Object.keys(library);
@@ -1727,8 +1734,8 @@ const EASY_COMBAT = (() => {
 			for (const key of filteredKeys) {
 				const effect = library[key];
 				const iconHtml = getMarkerImage(effect.icon, 18);
-				const addCmd = `!ezcombat --addeffect|${key}`;
-				const removeCmd = `!ezcombat --removeeffectselected|${key}`;
+				const addCmd = buildCommandHref("--addeffect", { effect: key });
+				const removeCmd = buildCommandHref("--removeeffectselected", { effect: key });
 				const gmOnlyIndicator = effect.visibility === "hide" ? " \uD83D\uDD12" : "";
 				tableRows += `<tr style="border-bottom: 1px solid #eee;">`
 					+ `<td style="padding: 4px; width: 24px; text-align: center;">${iconHtml}</td>`
@@ -1755,7 +1762,7 @@ const EASY_COMBAT = (() => {
 				+ `<a style="display: block; background-color: ${themeColor}; color: #fff; text-align: center; padding: 5px 10px; border-radius: 3px; text-decoration: none; font-weight: bold; margin-top: 8px;" href="${backCmd}">\u2190 Back</a>`
 				+ `</div></div>`;
 
-			sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" ${template}`);
+			Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: template });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -1779,8 +1786,8 @@ const EASY_COMBAT = (() => {
 			for (const key of libraryKeys) {
 				const effect = library[key];
 				const iconHtml = getMarkerImage(effect.icon, 18);
-				const configCmd = `!ezcombat --configeffect|${key}`;
-				const purgeCmd = `!ezcombat --purgeeffect|${key}`;
+				const configCmd = buildCommandHref("--configeffect", { effect: key });
+				const purgeCmd = buildCommandHref("--purgeeffect", { effect: key });
 				const gmOnlyIndicator = effect.visibility === "hide" ? " \uD83D\uDD12" : "";
 				tableRows += `<tr style="border-bottom: 1px solid #eee;">`
 					+ `<td style="padding: 4px; width: 24px; text-align: center;">${iconHtml}</td>`
@@ -1805,7 +1812,7 @@ const EASY_COMBAT = (() => {
 				+ `<a style="display: block; background-color: #44a; color: #fff; text-align: center; padding: 5px 10px; border-radius: 3px; text-decoration: none; font-weight: bold; margin-top: 8px;" href="!ezcombat">\u2190 Back to Menu</a>`
 				+ `</div></div>`;
 
-			sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" ${template}`);
+			Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: template });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -1814,7 +1821,7 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processConfigEffect
-	const processConfigEffect = async (msgDetails) => {
+	const processConfigEffect = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processConfigEffect";
 		try {
 			if (!msgDetails.isGm) {
@@ -1822,11 +1829,7 @@ const EASY_COMBAT = (() => {
 				return 1;
 			}
 
-			const content = msgDetails.raw.content;
-			const match = content.match(/--configeffect\|([^|\s]+)/i);
-			if (!match) return 1;
-
-			const effectKey = match[1].trim().toLowerCase();
+			const effectKey = parsedArgs.effect.trim().toLowerCase();
 			const library = getEffectLibrary();
 			const effect = library[effectKey];
 
@@ -1847,13 +1850,14 @@ const EASY_COMBAT = (() => {
 
 			const escapedDesc = (effect.description || "").replace(/\|/g, "&#124;").replace(/&/g, "&#38;");
 
-			const editDescCmd = `!ezcombat --setfield|${effectKey}|description|?{Description|${escapedDesc}}`;
-			const editTypeCmd = `!ezcombat --setfield|${effectKey}|type|?{Type|condition|spell|trait|reminder}`;
-			const editMarkerCmd = `!ezcombat --setfield|${effectKey}|icon|${markerDropdown}`;
-			const editDurationCmd = `!ezcombat --setfield|${effectKey}|duration|?{Duration (0 for permanent)|${effect.duration || 0}}`;
-			const editDirectionCmd = `!ezcombat --setfield|${effectKey}|direction|?{Direction|Down,-1|Up,1|None,0}`;
-			const editAutochangeCmd = `!ezcombat --setfield|${effectKey}|autochange|?{Autochange|manual|turn|round}`;
-			const editVisibilityCmd = `!ezcombat --setfield|${effectKey}|visibility|?{Visibility|show,show|hide (GM Only),hide}`;
+			const setFieldCmd = (field, value) => { return buildCommandHref("--setfield", { effect: effectKey, field, value }); };
+			const editDescCmd = setFieldCmd("description", `?{Description|${escapedDesc}}`);
+			const editTypeCmd = setFieldCmd("type", "?{Type|condition|spell|trait|reminder}");
+			const editMarkerCmd = setFieldCmd("icon", markerDropdown);
+			const editDurationCmd = setFieldCmd("duration", `?{Duration (0 for permanent)|${effect.duration || 0}}`);
+			const editDirectionCmd = setFieldCmd("direction", "?{Direction|Down,-1|Up,1|None,0}");
+			const editAutochangeCmd = setFieldCmd("autochange", "?{Autochange|manual|turn|round}");
+			const editVisibilityCmd = setFieldCmd("visibility", "?{Visibility|show,show|hide (GM Only),hide}");
 
 			const template = `<div style="background-color: #fff; border: 1px solid #44a; border-radius: 5px; overflow: hidden; margin: 5px 0;">`
 				+ `<div style="background-color: #44a; color: #fff; padding: 5px 8px; font-size: 14px; font-weight: bold;">${iconHtml} Configure: ${effect.name}</div>`
@@ -1870,7 +1874,7 @@ const EASY_COMBAT = (() => {
 				+ `<a style="flex: 1; text-align: center; padding: 5px 10px; border-radius: 3px; text-decoration: none; font-weight: bold; font-size: 11px; background-color: #44a; color: #fff;" href="!ezcombat --effectlibrary">\u2190 Back to Library</a>`
 				+ `</div></div></div>`;
 
-			sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" ${template}`);
+			Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: template });
 			return 0;
 		} catch (err) {
 			Utils.logSyslogMessage({ severity: "ERROR", tag: `${moduleSettings.readableName}.${thisFuncDebugName}`, transUnitId: "50000", message: String(err) });
@@ -1879,17 +1883,13 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processSetField
-	const processSetField = async (msgDetails) => {
+	const processSetField = async (msgDetails, parsedArgs) => {
 		try {
 			if (!msgDetails.isGm) return 1;
 
-			const content = msgDetails.raw.content;
-			const match = content.match(/--setfield\|([^|]+)\|([^|]+)\|(.*)$/i);
-			if (!match) return 1;
-
-			const effectKey = match[1].trim().toLowerCase();
-			const fieldName = match[2].trim().toLowerCase();
-			const fieldValue = match[3].trim();
+			const effectKey = parsedArgs.effect.trim().toLowerCase();
+			const fieldName = parsedArgs.field;
+			const fieldValue = (parsedArgs.value || "").trim();
 
 			if (!EasyCombatVault.customLibrary) {
 				EasyCombatVault.customLibrary = JSON.parse(JSON.stringify(DEFAULT_EFFECT_LIBRARY));
@@ -1914,9 +1914,7 @@ const EASY_COMBAT = (() => {
 				state.EASY_COMBAT.effectLibrary = JSON.parse(JSON.stringify(EasyCombatVault.customLibrary));
 			}
 
-			const configMsgDetails = Object.assign({}, msgDetails);
-			configMsgDetails.raw = { content: `!ezcombat --configeffect|${effectKey}` };
-			processConfigEffect(configMsgDetails);
+			processConfigEffect(msgDetails, { effect: effectKey });
 
 			return 0;
 		} catch (err) {
@@ -1926,15 +1924,11 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processPurgeEffect
-	const processPurgeEffect = async (msgDetails) => {
+	const processPurgeEffect = async (msgDetails, parsedArgs) => {
 		try {
 			if (!msgDetails.isGm) return 1;
 
-			const content = msgDetails.raw.content;
-			const match = content.match(/--purgeeffect\|([^|\s]+)/i);
-			if (!match) return 1;
-
-			const effectKey = match[1].trim().toLowerCase();
+			const effectKey = parsedArgs.effect.trim().toLowerCase();
 
 			if (!EasyCombatVault.customLibrary) {
 				EasyCombatVault.customLibrary = JSON.parse(JSON.stringify(DEFAULT_EFFECT_LIBRARY));
@@ -2002,7 +1996,7 @@ const EASY_COMBAT = (() => {
 			handout.get("gmnotes", (gmnotes) => {
 				try {
 					if (!gmnotes || gmnotes.trim() === "") {
-						sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" No configuration found in handout.`);
+						Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: "No configuration found in handout." });
 						return;
 					}
 
@@ -2013,7 +2007,7 @@ const EASY_COMBAT = (() => {
 					if (divMatch && divMatch[1]) {
 						jsonData = divMatch[1].replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ").trim();
 					} else {
-						sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" Could not find ezcombat-config div.`);
+						Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: "Could not find ezcombat-config div." });
 						return;
 					}
 
@@ -2027,10 +2021,10 @@ const EASY_COMBAT = (() => {
 						state.EASY_COMBAT.effectLibrary = JSON.parse(JSON.stringify(importedLibrary));
 					}
 
-					sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" Imported ${keys.length} effects successfully.`);
+					Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: `Imported ${keys.length} effects successfully.` });
 					processEffectMenu(msgDetails);
 				} catch (parseErr) {
-					sendChat(moduleSettings.readableName, `/w "${msgDetails.callerName}" Import failed: ${parseErr.message}`);
+					Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: `Import failed: ${parseErr.message}` });
 				}
 			});
 
@@ -2125,26 +2119,14 @@ const EASY_COMBAT = (() => {
 	};
 
 	// ANCHOR Function: processAddItem
-	const processAddItem = async (msgDetails) => {
+	const processAddItem = async (msgDetails, parsedArgs) => {
 		const thisFuncDebugName = "processAddItem";
 		try {
-			if (!msgDetails.isGm) {
-				await Utils.whisperAlertMessageAsync({ from: moduleSettings.readableName, to: msgDetails.callerName, toId: msgDetails.callerId, severity: "ERROR", apiCallContent: msgDetails.raw.content, remark: "Only the GM can control combat." });
-				return 1;
-			}
-
-			const content = msgDetails.raw.content;
-			const addItemMatch = content.match(/--additem\|([^|]*)\|([^|]*)\|([^|\s]*)/i);
-
-			let itemName = "Custom Item";
-			let startValue = 0;
-			let direction = "up";
+			if (!(await Utils.requirePermissionAsync({ capability: "combat.manage", msgDetails }))) return 1;
 
-			if (addItemMatch) {
-				itemName = addItemMatch[1].trim() || "Custom Item";
-				startValue = parseInt(addItemMatch[2], 10) || 0;
-				direction = (addItemMatch[3] || "up").toLowerCase();
-			}
+			const itemName = parsedArgs.name.trim() || "Custom Item";
+			const startValue = parseInt(parsedArgs.start, 10) || 0;
+			const direction = parsedArgs.direction;
 
 			const formula = direction === "up" ? "+1" : "-1";
 			const pageId = Campaign().get("playerpageid");
@@ -2180,41 +2162,153 @@ const EASY_COMBAT = (() => {
 		"--importlibrary": (msgDetails) => processImportLibrary(msgDetails),
 		"--resetlibrary": (msgDetails) => processResetLibrary(msgDetails),
 		"--syncmarkers": (msgDetails) => processSyncMarkers(msgDetails),
-		"--clearstatuses": (msgDetails) => processClearStatuses(msgDetails)
+		"--clearstatuses": (msgDetails) => processClearStatuses(msgDetails),
+		"--additem": (msgDetails, parsedArgs) => processAddItem(msgDetails, parsedArgs),
+		"--addeffect": (msgDetails, parsedArgs) => processAddEffect(msgDetails, parsedArgs),
+		"--addeffectconfirm": (msgDetails, parsedArgs) => processAddEffectConfirm(msgDetails, parsedArgs),
+		"--removeeffect": (msgDetails, parsedArgs) => processRemoveEffect(msgDetails, parsedArgs),
+		"--removeeffectselected": (msgDetails, parsedArgs) => processRemoveEffectSelected(msgDetails, parsedArgs),
+		"--effectdetail": (msgDetails, parsedArgs) => processEffectDetail(msgDetails, parsedArgs),
+		"--effectinfo": (msgDetails, parsedArgs) => processEffectInfo(msgDetails, parsedArgs),
+		"--displayeffect": (msgDetails, parsedArgs) => processDisplayEffect(msgDetails, parsedArgs),
+		"--addreminder": (msgDetails, parsedArgs) => processAddReminder(msgDetails, parsedArgs),
+		"--editeffect": (msgDetails, parsedArgs) => processEditEffect(msgDetails, parsedArgs),
+		"--effectmenu": (msgDetails, parsedArgs) => processEffectMenu(msgDetails, parsedArgs),
+		"--configeffect": (msgDetails, parsedArgs) => processConfigEffect(msgDetails, parsedArgs),
+		"--setfield": (msgDetails, parsedArgs) => processSetField(msgDetails, parsedArgs),
+		"--purgeeffect": (msgDetails, parsedArgs) => processPurgeEffect(msgDetails, parsedArgs)
 	};
 
 	// Set Default Action
 	actionMap["--default"] = actionMap["--menu"];
 
+	// ANCHOR Member: commandSchema
+	const effectArgs = { token: { type: "tokenId", required: true }, effect: { type: "text", required: true } };
+	const commandSchema = {
+		"--menu": { description: "0x0CMB0001" },
+		"--viewstatus": { description: "0x0CMB0002" },
+		"--start": { description: "0x0CMB0003" },
+		"--stop": { description: "0x0CMB0004" },
+		"--next": { description: "0x0CMB0005" },
+		"--prev": { description: "0x0CMB0006" },
+		"--refreshturn": { description: "0x0CMB0007" },
+		"--effectlibrary": { description: "0x0CMB0008", gmOnly: true },
+		"--exportlibrary": { description: "0x0CMB0009", gmOnly: true },
+		"--importlibrary": { description: "0x0CMB000A", gmOnly: true },
+		"--resetlibrary": { description: "0x0CMB000B", gmOnly: true },
+		"--syncmarkers": { description: "0x0CMB000C" },
+		"--clearstatuses": { description: "0x0CMB000D" },
+		"--additem": {
+			description: "0x0CMB000E",
+			args: {
+				name: { type: "text", default: "Custom Item" },
+				start: { type: "text", default: "0" },
+				direction: { type: "enum", values: ["up", "down"], default: "up" },
+			},
+		},
+		"--addeffect": {
+			description: "0x0CMB000F",
+			args: { token: { type: "tokenId" }, effect: { type: "text", required: true } },
+		},
+		"--addeffectconfirm": { description: "0x0CMB0010", args: { effect: { type: "text", required: true } } },
+		"--removeeffect": { description: "0x0CMB0011", args: effectArgs },
+		"--removeeffectselected": { description: "0x0CMB0012", args: { effect: { type: "text", required: true } } },
+		"--effectdetail": { description: "0x0CMB0013", args: effectArgs },
+		"--effectinfo": { description: "0x0CMB0014", args: effectArgs },
+		"--displayeffect": { description: "0x0CMB0015", args: effectArgs },
+		"--addreminder": {
+			description: "0x0CMB0016",
+			args: {
+				token: { type: "tokenId", required: true },
+				title: { type: "text", required: true },
+				description: { type: "text", greedy: true },
+			},
+		},
+		"--editeffect": {
+			description: "0x0CMB0017",
+			args: {
+				...effectArgs,
+				duration: { type: "text", default: "" },
+				autochange: { type: "enum", values: ["manual", "turn", "round"], default: "manual" },
+			},
+		},
+		"--effectmenu": {
+			description: "0x0CMB0018",
+			args: {
+				token: { type: "tokenId" },
+				filter: { type: "enum", values: ["condition", "spell", "trait", "all"], default: "all" },
+				theme: { type: "enum", values: ["red", "blue"], default: "red" },
+			},
+		},
+		"--configeffect": { description: "0x0CMB0019", gmOnly: true, args: { effect: { type: "text", required: true } } },
+		"--setfield": {
+			description: "0x0CMB001A",
+			gmOnly: true,
+			args: {
+				effect: { type: "text", required: true },
+				field: { type: "enum", values: ["description", "type", "icon", "duration", "direction", "autochange", "visibility"], required: true },
+				value: { type: "text", greedy: true },
+			},
+		},
+		"--purgeeffect": { description: "0x0CMB001B", gmOnly: true, args: { effect: { type: "text", required: true } } },
+	};
+
+	commandSchema["--default"] = commandSchema["--menu"];
+
+	// ANCHOR Member: legacyPipeCommands
+	// NOTE: the --command|a|b forms older buttons and macros still send, with the named args their fields map to in order; --addeffect also takes a lone effect.
+	const legacyPipeCommands = {
+		"--additem": [["name", "start", "direction"]],
+		"--addeffect": [["effect"], ["token", "effect"]],
+		"--addeffectconfirm": [["effect"]],
+		"--removeeffect": [["token", "effect"]],
+		"--removeeffectselected": [["effect"]],
+		"--effectdetail": [["token", "effect"]],
+		"--effectinfo": [["token", "effect"]],
+		"--displayeffect": [["token", "effect"]],
+		"--addreminder": [["token", "title", "description"]],
+		"--editeffect": [["token", "effect", "duration", "autochange"]],
+		"--effectmenu": [["token", "filter", "theme"]],
+		"--configeffect": [["effect"]],
+		"--setfield": [["effect", "field", "value"]],
+		"--purgeeffect": [["effect"]],
+	};
+
+	// ANCHOR Function: expandLegacyPipeCommands
+	// NOTE: a legacy command runs to the next " --"; its last named arg keeps any extra "|" fields, as the old free-text fields did.
+	const expandLegacyPipeCommands = (content) => {
+		const decodeField = (field) => {
+			try {
+				return decodeURIComponent(field.trim());
+			} catch (err) {
+				return field.trim();
+			}
+		};
+
+		return content.replace(/(^|\s)(--[a-z]+)\|(.*?)(?=\s+--[a-z]|$)/gis, (match, lead, commandName, fieldText) => {
+			const signatures = legacyPipeCommands[commandName.toLowerCase()];
+			if (!signatures) return match;
+
+			const fields = fieldText.split("|");
+			const argNames = signatures.find((signature) => { return signature.length >= fields.length; }) || signatures[signatures.length - 1];
+			const argText = argNames
+				.map((argName, index) => {
+					const field = index === argNames.length - 1 ? fields.slice(index).join("|") : fields[index];
+					if (field === undefined || field.trim() === "") return "";
+
+					return ` ${argName}|"${decodeField(field).replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+				})
+				.join("");
+
+			return `${lead}${commandName.toLowerCase()}${argText}`;
+		});
+	};
+
 	// ANCHOR Outer Method: registerEventHandlers
 	const registerEventHandlers = () => {
 		on("chat:message", (apiCall) => {
 			if (apiCall.type === "api" && apiCall.content.startsWith(`!${moduleSettings.chatApiName}`)) {
-				const buildMsgDetails = () => ({
-					raw: apiCall,
-					callerId: apiCall.playerid,
-					callerName: (getObj("player", apiCall.playerid) || { get: () => "Unknown" }).get("_displayname"),
-					isGm: playerIsGM(apiCall.playerid),
-					selectedIds: (apiCall.selected || []).map(s => s._id)
-				});
-
-				// Special handling for pipe-delimited commands
-				if (apiCall.content.includes("--additem|")) { processAddItem(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--addeffectconfirm|")) { processAddEffectConfirm(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--addeffect|")) { processAddEffect(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--removeeffect|")) { processRemoveEffect(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--effectdetail|")) { processEffectDetail(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--addreminder|")) { processAddReminder(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--editeffect|")) { processEditEffect(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--effectmenu|")) { processEffectMenu(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--removeeffectselected|")) { processRemoveEffectSelected(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--configeffect|")) { processConfigEffect(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--setfield|")) { processSetField(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--purgeeffect|")) { processPurgeEffect(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--displayeffect|")) { processDisplayEffect(buildMsgDetails()); return; }
-				if (apiCall.content.includes("--effectinfo|")) { processEffectInfo(buildMsgDetails()); return; }
-
-				Utils.handleApiCall({ actionMap, apiCall });
+				Utils.handleApiCall({ actionMap, apiCall: { ...apiCall, content: expandLegacyPipeCommands(apiCall.content) }, commandSchema });
 			}
 		});
 
@@ -2261,15 +2355,40 @@ const EASY_COMBAT = (() => {
 		return 0;
 	};
 
+	// ANCHOR Outer Method: registerPermissions
+	// NOTE: by default only whoever controls the current turn's token may end it; the GM can widen any of these with !ezutils --permissions.
+	const registerPermissions = () => {
+		PermissionFactory.registerRole({
+			role: "turnController",
+			description: "0x0CMB00A0",
+			resolve: (playerId) => {
+				const current = getCurrentTurnOrder()[0];
+
+				return Boolean(current) && !isCustomItem(current) && PermissionFactory.isController({ playerId, tokenId: current.id });
+			}
+		});
+
+		PermissionFactory.registerCapability({ capability: "combat.advance", module: moduleSettings.readableName, description: "0x0CMB00A1", defaultRoles: ["turnController"] });
+		PermissionFactory.registerCapability({ capability: "combat.rewind", module: moduleSettings.readableName, description: "0x0CMB00A2" });
+		PermissionFactory.registerCapability({ capability: "combat.manage", module: moduleSettings.readableName, description: "0x0CMB00A3" });
+
+		return 0;
+	};
+
 	// ANCHOR Outer Method: checkInstall
 	const checkInstall = () => {
 		if (typeof EASY_UTILS !== "undefined") {
 			const requiredFunctions = [
+				"broadcastPlayerMessage",
 				"getSharedForge",
 				"getSharedVault",
 				"handleApiCall",
 				"logSyslogMessage",
+				"migrateVault",
+				"queueChatMessage",
 				"renderTemplateAsync",
+				"requirePermissionAsync",
+				"sanitizeHtml",
 				"whisperAlertMessageAsync",
 				"whisperPlayerMessage"
 			];
@@ -2278,9 +2397,16 @@ const EASY_COMBAT = (() => {
 
 			const easySharedForge = Utils.getSharedForge();
 			PhraseFactory = easySharedForge.getFactory({ name: "PhraseFactory" });
+			PermissionFactory = easySharedForge.getFactory({ name: "PermissionFactory" });
 			TemplateFactory = easySharedForge.getFactory({ name: "TemplateFactory" });
 			ThemeFactory = easySharedForge.getFactory({ name: "ThemeFactory" });
 
+			// NOTE: the dry run whispers the GM the planned changes first; the real pass then applies them and names the backup handout.
+			const migrationPreview = Utils.migrateVault({ vaultKey: "EasyCombat", migrations: vaultMigrations, dryRun: true });
+			if (migrationPreview.status !== "failed") {
+				Utils.migrateVault({ vaultKey: "EasyCombat", migrations: vaultMigrations });
+			}
+
 			const sharedVault = Utils.getSharedVault();
 			sharedVault.EasyCombat = sharedVault.EasyCombat || { round: 0 };
 			EasyCombatVault = sharedVault.EasyCombat;
@@ -2292,6 +2418,80 @@ const EASY_COMBAT = (() => {
 			TemplateFactory.add({ newTemplates: COMBAT_TEMPLATES });
 			ThemeFactory.add({ newThemes: COMBAT_THEMES });
 
+			// NOTE: Add localization phrases
+			PhraseFactory.add({
+				newMap: {
+					enUS: {
+						"0x0CMB0001": "Open the combat menu.",
+						"0x0CMB0002": "Show the effects on the selected token.",
+						"0x0CMB0003": "Roll initiative for the selected tokens and start combat.",
+						"0x0CMB0004": "End combat.",
+						"0x0CMB0005": "End the current turn.",
+						"0x0CMB0006": "Go back to the previous turn.",
+						"0x0CMB0007": "Announce the current turn again.",
+						"0x0CMB0008": "Browse and configure the effect library.",
+						"0x0CMB0009": "Export the effect library to a handout.",
+						"0x0CMB000A": "Import the effect library from its handout.",
+						"0x0CMB000B": "Reset the effect library to its defaults.",
+						"0x0CMB000C": "Sync the selected tokens' effects with their markers.",
+						"0x0CMB000D": "Clear every effect from the selected tokens.",
+						"0x0CMB000E": "Add a custom turn order item that counts up or down each round.",
+						"0x0CMB000F": "Add an effect from the library to a token, the selected tokens or the current turn's token.",
+						"0x0CMB0010": "Add an effect to every selected token.",
+						"0x0CMB0011": "Remove an effect from a token.",
+						"0x0CMB0012": "Remove an effect from the selected tokens.",
+						"0x0CMB0013": "Show an effect with its edit buttons.",
+						"0x0CMB0014": "Show an effect's description.",
+						"0x0CMB0015": "Show an effect to everyone.",
+						"0x0CMB0016": "Add a reminder with a title and description to a token.",
+						"0x0CMB0017": "Change an effect's duration and when it counts down.",
+						"0x0CMB0018": "List library effects to add to or remove from the selected tokens.",
+						"0x0CMB0019": "Configure a library effect.",
+						"0x0CMB001A": "Set one field of a library effect.",
+						"0x0CMB001B": "Delete an effect from the library.",
+						"0x0CMB00A0": "Players who control the token whose turn it is",
+						"0x0CMB00A1": "End the current turn (--next).",
+						"0x0CMB00A2": "Go back to the previous turn (--prev).",
+						"0x0CMB00A3": "Start or end combat and add custom turn order items (--start, --stop, --additem)."
+					},
+					frFR: {
+						"0x0CMB0001": "Ouvrir le menu de combat.",
+						"0x0CMB0002": "Afficher les effets du jeton sélectionné.",
+						"0x0CMB0003": "Lancer l'initiative des jetons sélectionnés et commencer le combat.",
+						"0x0CMB0004": "Terminer le combat.",
+						"0x0CMB0005": "Terminer le tour en cours.",
+						"0x0CMB0006": "Revenir au tour précédent.",
+						"0x0CMB0007": "Annoncer de nouveau le tour en cours.",
+						"0x0CMB0008": "Parcourir et configurer la bibliothèque d'effets.",
+						"0x0CMB0009": "Exporter la bibliothèque d'effets dans une note.",
+						"0x0CMB000A": "Importer la bibliothèque d'effets depuis sa note.",
+						"0x0CMB000B": "Rétablir la bibliothèque d'effets par défaut.",
+						"0x0CMB000C": "Synchroniser les effets des jetons sélectionnés avec leurs marqueurs.",
+						"0x0CMB000D": "Retirer tous les effets des jetons sélectionnés.",
+						"0x0CMB000E": "Ajouter à l'ordre du tour un élément personnalisé qui monte ou descend à chaque round.",
+						"0x0CMB000F": "Ajouter un effet de la bibliothèque à un jeton, aux jetons sélectionnés ou au jeton du tour en cours.",
+						"0x0CMB0010": "Ajouter un effet à chaque jeton sélectionné.",
+						"0x0CMB0011": "Retirer un effet d'un jeton.",
+						"0x0CMB0012": "Retirer un effet des jetons sélectionnés.",
+						"0x0CMB0013": "Afficher un effet avec ses boutons de modification.",
+						"0x0CMB0014": "Afficher la description d'un effet.",
+						"0x0CMB0015": "Montrer un effet à tout le monde.",
+						"0x0CMB0016": "Ajouter à un jeton un rappel avec un titre et une description.",
+						"0x0CMB0017": "Modifier la durée d'un effet et le moment où elle diminue.",
+						"0x0CMB0018": "Lister les effets de la bibliothèque à ajouter aux jetons sélectionnés ou à leur retirer.",
+						"0x0CMB0019": "Configurer un effet de la bibliothèque.",
+						"0x0CMB001A": "Définir un champ d'un effet de la bibliothèque.",
+						"0x0CMB001B": "Supprimer un effet de la bibliothèque.",
+						"0x0CMB00A0": "Joueurs qui contrôlent le jeton dont c'est le tour",
+						"0x0CMB00A1": "Terminer le tour en cours (--next).",
+						"0x0CMB00A2": "Revenir au tour précédent (--prev).",
+						"0x0CMB00A3": "Commencer ou terminer le combat et ajouter des éléments personnalisés à l'ordre du tour (--start, --stop, --additem)."
+					}
+				}
+			});
+
+			registerPermissions();
+
 			return 0;
 		} else {
 			const _getSyslogTimestamp = () => new Date().toISOString();
@@ -2306,6 +2506,7 @@ const EASY_COMBAT = (() => {
 		const continueMod = checkInstall();
 		if (continueMod === 0) {
 			registerEventHandlers();
+			EASY_FORGE.registerModule({ name: moduleSettings.readableName, version: moduleSettings.version, dependencies: ["Easy-Utils"], api: EASY_COMBAT });
 
 			Utils.logSyslogMessage({ severity: "INFO", tag: moduleSettings.readableName, transUnitId: "20000", message: PhraseFactory.get({ transUnitId: "20000" }) });
 
@@ -170,6 +170,29 @@ const EASY_EQUIP = (() => {
 		});
 	};
 
+	// ANCHOR Function: getBackupDataAsync
+	// NOTE: collects every character carrying easyEquipData, so both component definitions and tracking are kept.
+	const getBackupDataAsync = async () => {
+		const characters = findObjs({ _type: "character" });
+		const entries = await Promise.all(characters.map(character => {
+			return new Promise((resolve) => {
+				getEquipJSON(character, (data) => {
+					resolve(data ? [character.id, data] : null);
+				});
+			});
+		}));
+
+		return Object.fromEntries(entries.filter(Boolean));
+	};
+
+	// ANCHOR Function: restoreBackupDataAsync
+	const restoreBackupDataAsync = async (backupData) => {
+		for (const [characterId, data] of Object.entries(backupData || {})) {
+			const character = getObj("character", characterId);
+			if (character) setEquipJSON(character, data);
+		}
+	};
+
 	// !SECTION End GM Notes Storage
 	// SECTION Data Extraction
 
@@ -908,6 +931,11 @@ const EASY_EQUIP = (() => {
 					tracking.active[componentName] = entry;
 					setEquipJSON(targetChar, tracking);
 
+					EASY_FORGE.publish({
+						event: "equip:componentAdded",
+						payload: { componentName, characterId: targetChar.id, tokenId: targetToken ? targetToken.id : null }
+					});
+
 					await processModifyAsync(msgDetails, parsedArgs);
 					resolve(0);
 				});
@@ -990,6 +1018,11 @@ const EASY_EQUIP = (() => {
 				delete tracking.inactive[componentName];
 				setEquipJSON(targetChar, tracking);
 
+				EASY_FORGE.publish({
+					event: "equip:componentRemoved",
+					payload: { componentName, characterId: targetChar.id, tokenId: targetToken ? targetToken.id : null }
+				});
+
 				await processModifyAsync(msgDetails, parsedArgs);
 				resolve(0);
 			});
@@ -1519,6 +1552,13 @@ const EASY_EQUIP = (() => {
 		if (continueMod === 0) {
 			registerEventHandlers();
 
+			EASY_FORGE.registerModule({
+				name: moduleSettings.readableName,
+				version: moduleSettings.version,
+				dependencies: ["Easy-Utils"],
+				api: EASY_EQUIP
+			});
+
 			const msgId = "20000";
 			Utils.logSyslogMessage({
 				severity: "INFO",
@@ -1539,5 +1579,9 @@ const EASY_EQUIP = (() => {
 
 	// !SECTION End Event Hooks
 
-	return { version: moduleSettings.version };
+	return {
+		version: moduleSettings.version,
+		getBackupDataAsync,
+		restoreBackupDataAsync
+	};
 })();
@@ -30,6 +30,7 @@ const EASY_MARKDOWN = (() => {
 	// ANCHOR Member: Factory References
 	let Utils = {};
 	let PhraseFactory = {};
+	let PermissionFactory = {};
 	let TemplateFactory = {};
 	let ThemeFactory = {};
 
@@ -357,7 +358,7 @@ const EASY_MARKDOWN = (() => {
 
 	// ANCHOR Function: renderStyledContent
 	//    Shared rendering logic for handouts and character bios
-	const renderStyledContent = async ({ gmNotes, avatarUrlRaw, characterId = null, characterName = null }) => {
+	const renderStyledContent = async ({ gmNotes, avatarUrlRaw, characterId = null, characterName = null, isPlayerControlled = false }) => {
 
 		const decodedNotes = Utils.decodeNoteContent({ text: gmNotes });
 
@@ -389,7 +390,12 @@ const EASY_MARKDOWN = (() => {
 		}
 
 		const replacedNotes = replaceRollTablesInMarkdown(cleanedNotes);
-		const htmlConversion = Utils.convertMarkdownToHtml({ content: replacedNotes });
+		const convertedHtml = Utils.convertMarkdownToHtml({ content: replacedNotes });
+
+		// NOTE: players may edit the notes and attributes of characters they control; only roll table buttons keep their API links.
+		const htmlConversion = isPlayerControlled
+			? Utils.sanitizeHtml({ html: convertedHtml, policy: "bio", allowApiLinks: ["!ezmarkdown --rolltable"] })
+			: convertedHtml;
 
 		const templateId = characterId || `handout_${Date.now()}`;
 
@@ -546,7 +552,8 @@ const EASY_MARKDOWN = (() => {
 					gmNotes,
 					avatarUrlRaw,
 					characterId,
-					characterName
+					characterName,
+					isPlayerControlled: Boolean(character.get("controlledby"))
 				});
 
 				if (result.success) {
@@ -646,9 +653,7 @@ const EASY_MARKDOWN = (() => {
 		}
 
 		const controlledBy = character.get("controlledby") || "";
-		const canControl = msgDetails.isGm ||
-			controlledBy === "all" ||
-			(controlledBy && controlledBy.includes(msgDetails.callerId));
+		const canControl = PermissionFactory.can({ capability: "markdown.renderCharacter", playerId: msgDetails.callerId, context: { characterId } });
 
 		if (!canControl) {
 			await Utils.whisperAlertMessageAsync({
@@ -676,7 +681,8 @@ const EASY_MARKDOWN = (() => {
 				gmNotes,
 				avatarUrlRaw,
 				characterId,
-				characterName
+				characterName,
+				isPlayerControlled: Boolean(controlledBy)
 			});
 
 			if (result.success) {
@@ -824,6 +830,7 @@ const EASY_MARKDOWN = (() => {
 				"handleApiCall",
 				"logSyslogMessage",
 				"renderTemplateAsync",
+				"sanitizeHtml",
 				"whisperAlertMessageAsync",
 				"whisperPlayerMessage"
 			];
@@ -836,6 +843,7 @@ const EASY_MARKDOWN = (() => {
 			const easySharedForge = Utils.getSharedForge();
 
 			PhraseFactory = easySharedForge.getFactory({ name: "PhraseFactory" });
+			PermissionFactory = easySharedForge.getFactory({ name: "PermissionFactory" });
 			TemplateFactory = easySharedForge.getFactory({ name: "TemplateFactory" });
 			ThemeFactory = easySharedForge.getFactory({ name: "ThemeFactory" });
 
@@ -873,6 +881,7 @@ const EASY_MARKDOWN = (() => {
 						"0x0J0E1F2G": "Converted Handouts:",
 						"0x0K1F2G3H": "No characters have been rendered yet.",
 						"0x0L2G3H4I": "Rendered Characters:",
+						"0x0M3H4I5J": "Render a character's GM Notes into its bio (--character).",
 					},
 					frFR: {
 						"0x0FF56D55": "Easy-Markdown",
@@ -896,10 +905,19 @@ const EASY_MARKDOWN = (() => {
 						"0x0J0E1F2G": "Handouts convertis :",
 						"0x0K1F2G3H": "Aucun personnage n'a encore \u00e9t\u00e9 rendu.",
 						"0x0L2G3H4I": "Personnages rendus :",
+						"0x0M3H4I5J": "Rendre les Notes du MJ d'un personnage dans sa bio (--character).",
 					}
 				}
 			});
 
+			// NOTE: the "controller" role covers players listed in the character's controlledby, as this check always did.
+			PermissionFactory.registerCapability({
+				capability: "markdown.renderCharacter",
+				module: moduleSettings.readableName,
+				description: "0x0M3H4I5J",
+				defaultRoles: ["controller"]
+			});
+
 			return 0;
 		} else {
 
@@ -919,6 +937,13 @@ const EASY_MARKDOWN = (() => {
 
 			registerEventHandlers();
 
+			EASY_FORGE.registerModule({
+				name: moduleSettings.readableName,
+				version: moduleSettings.version,
+				dependencies: ["Easy-Utils"],
+				api: EASY_MARKDOWN
+			});
+
 			const msgId = "20000";
 
 			Utils.logSyslogMessage({
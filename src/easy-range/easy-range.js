@@ -703,6 +703,13 @@ const EASY_RANGE = (() => {
 		if (continueMod === 0) {
 			registerEventHandlers();
 
+			EASY_FORGE.registerModule({
+				name: moduleSettings.readableName,
+				version: moduleSettings.version,
+				dependencies: ["Easy-Utils"],
+				api: EASY_RANGE
+			});
+
 			const msgId = "20000";
 			Utils.logSyslogMessage({
 				severity: "INFO",
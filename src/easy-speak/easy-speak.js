@@ -364,7 +364,8 @@ const EASY_SPEAK = (() => {
 
 		try {
 			const language = parsedArgs.lang;
-			const message = parsedArgs.prompt;
+			// NOTE: the message is whispered as HTML, so players cannot slip in tags or API buttons.
+			const message = Utils.sanitizeHtml({ html: parsedArgs.prompt, policy: "chat", allowApiLinks: msgDetails.isGm });
 			const tokenId = parsedArgs.token;
 			const speakAs = parsedArgs.as;
 
@@ -472,25 +473,19 @@ const EASY_SPEAK = (() => {
 				transUnitId: "0x0ES00020",
 				expressions: { gibberish }
 			});
-			sendChat(displayName, `/em ${emoteText}`);
+			Utils.queueChatMessage({ from: displayName, message: `/em ${emoteText}` });
 
 			// Whisper real message to GM
 			const langLabel = PhraseFactory.get({
 				transUnitId: "0x0ES00021",
 				expressions: { lang: language }
 			});
-			sendChat(displayName, `/w gm (${langLabel}): ${message}`);
+			Utils.whisperPlayerMessage({ from: displayName, to: "gm", message: `(${langLabel}): ${message}` });
 
 			// Whisper real message to players with access
 			const journalPlayers = handout.get("inplayerjournals").split(",").filter(Boolean);
 			if (journalPlayers.length > 0) {
-				for (const playerId of journalPlayers) {
-					const player = getObj("player", playerId);
-					if (player) {
-						const playerName = player.get("_displayname");
-						sendChat(displayName, `/w "${playerName}" (${langLabel}): ${message}`);
-					}
-				}
+				Utils.broadcastPlayerMessage({ from: displayName, playerIds: journalPlayers, message: `(${langLabel}): ${message}` });
 			} else {
 				// Notify speaker that no one understands
 				Utils.whisperPlayerMessage({
@@ -812,12 +807,15 @@ const EASY_SPEAK = (() => {
 		if (typeof EASY_UTILS !== "undefined") {
 
 			const requiredFunctions = [
+				"broadcastPlayerMessage",
 				"createPhraseFactory",
 				"getSharedForge",
 				"getSharedVault",
 				"handleApiCall",
 				"logSyslogMessage",
+				"queueChatMessage",
 				"renderTemplateAsync",
+				"sanitizeHtml",
 				"whisperAlertMessageAsync",
 				"whisperPlayerMessage"
 			];
@@ -937,6 +935,13 @@ const EASY_SPEAK = (() => {
 		if (continueMod === 0) {
 			registerEventHandlers();
 
+			EASY_FORGE.registerModule({
+				name: moduleSettings.readableName,
+				version: moduleSettings.version,
+				dependencies: ["Easy-Utils"],
+				api: EASY_SPEAK
+			});
+
 			const msgId = "20000";
 			Utils.logSyslogMessage({
 				severity: "INFO",
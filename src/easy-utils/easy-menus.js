@@ -29,6 +29,13 @@ const EASY_MENUS = (() => {
 	let TemplateFactory = {};
 	let ThemeFactory = {};
 
+	// ANCHOR Member: defaultPageSize
+	const defaultPageSize = 10;
+
+	// ANCHOR Member: wizardRegistry
+	// NOTE: wizards hold validator and submit callbacks, so their definitions live in memory; only each player's answers go to EASY_VAULT.
+	const wizardRegistry = {};
+
 	// ANCHOR Member: Default Style Variables
 	const defaultStyleVariables = {
 		/* Primary Palette */
@@ -90,6 +97,70 @@ const EASY_MENUS = (() => {
 		"--ez-block-radius": "5px"
 	};
 
+	// ANCHOR Member: bundledPalettes
+	// NOTE: each palette lists only the variables it changes; the rest come from defaultStyleVariables.
+	const bundledPalettes = {
+		default: {
+			label: "0x0PALNAM1",
+			variables: {}
+		},
+		dark: {
+			label: "0x0PALNAM2",
+			variables: {
+				"--ez-color-primary": "#5b3f7a",
+				"--ez-color-secondary": "#1c2529",
+				"--ez-color-tertiary": "#2f6f94",
+				"--ez-color-accent": "#9c4670",
+				"--ez-color-text-complement": "#d8bf7f",
+				"--ez-color-background-primary": "#101314",
+				"--ez-color-background-secondary": "#1a2226"
+			}
+		},
+		parchment: {
+			label: "0x0PALNAM3",
+			variables: {
+				"--ez-color-primary": "#7b4b2a",
+				"--ez-color-secondary": "#5c3d1e",
+				"--ez-color-tertiary": "#8f5a2b",
+				"--ez-color-accent": "#8b2e2e",
+				"--ez-color-text-secondary": "#4a3522",
+				"--ez-color-text-complement": "#f0dcae",
+				"--ez-color-text-contrast": "#fffaf0",
+				"--ez-color-background-primary": "#6b4f33",
+				"--ez-color-background-secondary": "#4a3522"
+			}
+		},
+		"high-contrast": {
+			label: "0x0PALNAM4",
+			variables: {
+				"--ez-color-primary": "#000000",
+				"--ez-color-secondary": "#000000",
+				"--ez-color-tertiary": "#0038a8",
+				"--ez-color-accent": "#b00000",
+				"--ez-color-text-primary": "#000000",
+				"--ez-color-text-secondary": "#000000",
+				"--ez-color-text-complement": "#ffff00",
+				"--ez-color-text-contrast": "#ffffff",
+				"--ez-color-background-primary": "#000000",
+				"--ez-color-background-secondary": "#1a1a1a"
+			}
+		},
+		// NOTE: built on the Okabe-Ito colours, which stay distinct under the common forms of colour blindness.
+		"colorblind-safe": {
+			label: "0x0PALNAM5",
+			variables: {
+				"--ez-color-primary": "#0072b2",
+				"--ez-color-secondary": "#27373d",
+				"--ez-color-tertiary": "#0072b2",
+				"--ez-color-accent": "#d55e00",
+				"--ez-color-text-complement": "#e69f00",
+				"--ez-rainbow-red": "#d55e00",
+				"--ez-rainbow-orange": "#e69f00",
+				"--ez-rainbow-green": "#009e73"
+			}
+		}
+	};
+
 	// SECTION Templates
 
 	// ANCHOR Template: chatMenuAlert
@@ -113,7 +184,7 @@ const EASY_MENUS = (() => {
 	<div class="ezmenus-cap ezmenus-cap-top"></div>
 	<div class="ezmenus-title">{{ title }}</div>
 	<div class="ezmenus-header">{{ header }}</div>
-	<div class="ezmenus-body">{{ body }}</div>
+	<div class="ezmenus-body">{{{ body }}}{{#each buttons}}<a class="ezmenus-btn {{ cautionClass }}" href="{{ href }}">{{ label }}</a>{{/each}}{{{ pagination }}}</div>
 	<div class="ezmenus-footer">{{ footer }}</div>
 	<div class="ezmenus-cap ezmenus-cap-bottom"></div>
 </div>`;
@@ -124,7 +195,7 @@ const EASY_MENUS = (() => {
 	<div class="ezmenus-cap ezmenus-cap-top"></div>
 	<div class="ezmenus-title">{{ title }}</div>
 	<div class="ezmenus-header">{{ header }}</div>
-	<div class="ezmenus-body">{{ body }}</div>
+	<div class="ezmenus-body">{{{ progress }}}{{{ body }}}{{#each buttons}}<a class="ezmenus-btn" href="{{ href }}">{{ label }}</a>{{/each}}{{{ pagination }}}</div>
 	<div class="ezmenus-footer">{{ footer }}</div>
 	<div class="ezmenus-cap ezmenus-cap-bottom"></div>
 </div>`;
@@ -132,7 +203,7 @@ const EASY_MENUS = (() => {
 	// ANCHOR Template: chatMenuDialog
 	const templateChatMenuDialog = `
 <div id="rootContainer" class="ezmenus-box ezmenus-dialog {{ dialogClass }}">
-	<div class="ezmenus-avatar">{{ avatar }}</div>
+	<div class="ezmenus-avatar">{{{ avatar }}}</div>
 	<div class="ezmenus-bubble">
 		<div class="ezmenus-speaker">{{ speaker }}</div>
 		<div class="ezmenus-message">{{ message }}</div>
@@ -145,11 +216,52 @@ const EASY_MENUS = (() => {
 	<div class="ezmenus-cap ezmenus-cap-top"></div>
 	<div class="ezmenus-title">{{ title }}</div>
 	<div class="ezmenus-header">{{ header }}</div>
-	<div class="ezmenus-body">{{ body }}</div>
+	<div class="ezmenus-body">{{{ body }}}</div>
 	<div class="ezmenus-footer">{{ footer }}</div>
 	<div class="ezmenus-cap ezmenus-cap-bottom"></div>
 </div>`;
 
+	// ANCHOR Template: chatMenuAlertCompact
+	// NOTE: renderTemplateAsync swaps in the Compact templates for players who chose compact output; they reuse the full template's theme.
+	const templateChatMenuAlertCompact = `
+<div id="rootContainer" class="ezmenus-box ezmenus-alert {{ alertClass }}">
+	<div class="ezmenus-title">{{ title }}</div>
+	<div class="ezmenus-body">
+		<p class="ezmenus-description">{{ description }}</p>
+		<p class="ezmenus-remark">{{ remark }}</p>
+	</div>
+</div>`;
+
+	// ANCHOR Template: chatMenuMainCompact
+	const templateChatMenuMainCompact = `
+<div id="rootContainer" class="ezmenus-box ezmenus-main {{ mainClass }}">
+	<div class="ezmenus-title">{{ title }}</div>
+	<div class="ezmenus-body">{{{ body }}}{{#each buttons}}<a class="ezmenus-btn {{ cautionClass }}" href="{{ href }}">{{ label }}</a>{{/each}}{{{ pagination }}}</div>
+</div>`;
+
+	// ANCHOR Template: chatMenuSubmenuCompact
+	const templateChatMenuSubmenuCompact = `
+<div id="rootContainer" class="ezmenus-box ezmenus-submenu {{ submenuClass }}">
+	<div class="ezmenus-title">{{ title }}</div>
+	<div class="ezmenus-body">{{{ progress }}}{{{ body }}}{{#each buttons}}<a class="ezmenus-btn" href="{{ href }}">{{ label }}</a>{{/each}}{{{ pagination }}}</div>
+</div>`;
+
+	// ANCHOR Template: chatMenuDialogCompact
+	const templateChatMenuDialogCompact = `
+<div id="rootContainer" class="ezmenus-box ezmenus-dialog {{ dialogClass }}">
+	<div class="ezmenus-bubble">
+		<div class="ezmenus-speaker">{{ speaker }}</div>
+		<div class="ezmenus-message">{{ message }}</div>
+	</div>
+</div>`;
+
+	// ANCHOR Template: chatMenuAnnouncementCompact
+	const templateChatMenuAnnouncementCompact = `
+<div id="rootContainer" class="ezmenus-box ezmenus-announcement {{ announcementClass }}">
+	<div class="ezmenus-title">{{ title }}</div>
+	<div class="ezmenus-body">{{{ body }}}</div>
+</div>`;
+
 	// !SECTION End of Templates
 
 	// SECTION Themes
@@ -365,6 +477,29 @@ const EASY_MENUS = (() => {
 	background: var(--ez-rainbow-red);
 }
 
+.ezmenus-main .ezmenus-pagination {
+	text-align: center;
+	margin: 8px 0 0 0;
+}
+
+.ezmenus-main .ezmenus-page-btn {
+	display: inline-block;
+	background: var(--ez-color-background-secondary);
+	color: var(--ez-color-text-contrast);
+	text-decoration: none;
+	font-size: 11px;
+	padding: 2px 6px;
+	margin: 2px;
+	border-radius: 3px;
+}
+
+.ezmenus-main .ezmenus-page-info,
+.ezmenus-main .ezmenus-page-empty {
+	color: var(--ez-color-text-complement);
+	font-size: 11px;
+	margin: 2px 6px;
+}
+
 .ezmenus-main .ezmenus-footer {
 	background: var(--ez-color-background-secondary);
 	color: var(--ez-color-text-complement);
@@ -450,6 +585,78 @@ const EASY_MENUS = (() => {
 	cursor: pointer;
 }
 
+.ezmenus-submenu .ezmenus-pagination {
+	text-align: center;
+	margin: 6px 0 0 0;
+}
+
+.ezmenus-submenu .ezmenus-page-btn {
+	display: inline-block;
+	background: var(--ez-color-background-secondary);
+	color: var(--ez-color-text-contrast);
+	text-decoration: none;
+	font-size: 10px;
+	padding: 1px 5px;
+	margin: 2px;
+	border-radius: 3px;
+}
+
+.ezmenus-submenu .ezmenus-page-info,
+.ezmenus-submenu .ezmenus-page-empty {
+	color: var(--ez-color-text-complement);
+	font-size: 10px;
+	margin: 2px 5px;
+}
+
+.ezmenus-submenu .ezmenus-progress {
+	margin: 0 0 6px 0;
+}
+
+.ezmenus-submenu .ezmenus-progress-track {
+	background: var(--ez-color-background-secondary);
+	height: 4px;
+	border-radius: 2px;
+}
+
+.ezmenus-submenu .ezmenus-progress-fill {
+	background: var(--ez-color-text-complement);
+	height: 4px;
+	border-radius: 2px;
+}
+
+.ezmenus-submenu .ezmenus-progress-label {
+	color: var(--ez-color-text-complement);
+	font-size: 10px;
+	text-align: right;
+}
+
+.ezmenus-submenu .ezmenus-prompt {
+	color: var(--ez-color-text-contrast);
+	font-size: 12px;
+	margin: 0 0 6px 0;
+}
+
+.ezmenus-submenu .ezmenus-error-text {
+	color: #e74c3c;
+	font-size: 11px;
+	margin: 0 0 6px 0;
+}
+
+.ezmenus-submenu .ezmenus-pref-section {
+	margin: 0 0 8px 0;
+}
+
+.ezmenus-submenu .ezmenus-summary {
+	color: var(--ez-color-text-contrast);
+	font-size: 11px;
+	margin: 0 0 6px 0;
+}
+
+.ezmenus-submenu .ezmenus-summary-label {
+	color: var(--ez-color-text-complement);
+	font-weight: bold;
+}
+
 .ezmenus-submenu .ezmenus-footer {
 	background: var(--ez-color-background-secondary);
 	color: var(--ez-color-text-complement);
@@ -675,6 +882,18 @@ const EASY_MENUS = (() => {
 		return { html: `<div class="ezmenus-letter" style="background-color: ${bgColor};">${letter}</div>`, speaker: speakerName };
 	};
 
+	// ANCHOR Helper: resolvePlayerId
+	// NOTE: many callers only pass the recipient's display name, which is enough to find their preferences.
+	const resolvePlayerId = ({ to, toId }) => {
+		if (toId) {
+			return toId;
+		}
+
+		const player = to ? findObjs({ _type: "player", _displayname: to })[0] : undefined;
+
+		return player ? player.id : undefined;
+	};
+
 	// ANCHOR Helper: getDialogSide
 	const getDialogSide = ({ tokenId, position }) => {
 		const vault = Utils.getSharedVault();
@@ -700,6 +919,303 @@ const EASY_MENUS = (() => {
 		return vault.ezmenus.dialogState.currentSide;
 	};
 
+	// ANCHOR Helper: toQueryLabel
+	// NOTE: text inside a ?{Prompt|default} roll query cannot contain |, {, } or commas.
+	const toQueryLabel = (text) => {
+		return `${text}`.replace(/[|,{}]/g, " ").trim();
+	};
+
+	// ANCHOR Helper: buildPagination
+	// NOTE: page and filter travel in the button hrefs as "<command> page|N filter|"term"", so the module's own handler redraws the menu.
+	const buildPagination = ({ buttons, command, page, pageSize, filter, toId }) => {
+		const phrase = (transUnitId, expressions = {}) => {
+			return PhraseFactory.get({ playerId: toId, transUnitId, expressions });
+		};
+
+		// NOTE: quotes, backticks and angle brackets would break out of the quoted filter argument or the href.
+		const filterTerm = `${filter || ""}`.replace(/["`<>]/g, "").trim();
+		const getText = (label) => { return `${label}`.replace(/<[^>]*>/g, "").toLowerCase(); };
+
+		const matchingButtons = filterTerm
+			? buttons.filter((btn) => { return getText(btn.label).includes(filterTerm.toLowerCase()); })
+			: buttons;
+
+		const size = Math.max(parseInt(pageSize, 10) || defaultPageSize, 1);
+		const pageCount = Math.max(Math.ceil(matchingButtons.length / size), 1);
+		const currentPage = Math.min(Math.max(parseInt(page, 10) || 1, 1), pageCount);
+
+		const filterArg = filterTerm ? ` filter|&quot;${filterTerm}&quot;` : "";
+		const navLink = (href, label) => {
+			return `<a class="ezmenus-page-btn" href="${href}">${label}</a>`;
+		};
+
+		const navLinks = [
+			currentPage > 1 ? navLink(`${command} page|${currentPage - 1}${filterArg}`, `&lt; ${phrase("0x0PAGE001")}`) : "",
+			`<span class="ezmenus-page-info">${phrase("0x0PAGE003", { page: currentPage, pageCount })}</span>`,
+			currentPage < pageCount ? navLink(`${command} page|${currentPage + 1}${filterArg}`, `${phrase("0x0PAGE002")} &gt;`) : "",
+			pageCount > 2 ? navLink(`${command} page|?{${toQueryLabel(phrase("0x0PAGE004"))}|${currentPage}}${filterArg}`, phrase("0x0PAGE004")) : "",
+			navLink(`${command} filter|&quot;?{${toQueryLabel(phrase("0x0PAGE005"))}|${toQueryLabel(filterTerm)}}&quot;`, phrase("0x0PAGE005")),
+			filterTerm ? navLink(command, phrase("0x0PAGE006", { remark: filterTerm })) : "",
+		].join("");
+
+		const emptyNotice = matchingButtons.length === 0
+			? `<p class="ezmenus-page-empty">${phrase("0x0PAGE007", { remark: filterTerm })}</p>`
+			: "";
+
+		return {
+			buttons: matchingButtons.slice((currentPage - 1) * size, currentPage * size),
+			html: `${emptyNotice}<div class="ezmenus-pagination">${navLinks}</div>`
+		};
+	};
+
+	// ANCHOR Helper: buildProgress
+	const buildProgress = ({ progress, toId }) => {
+		const total = Math.max(parseInt(progress.total, 10) || 1, 1);
+		const step = Math.min(Math.max(parseInt(progress.step, 10) || 1, 1), total);
+		const label = PhraseFactory.get({ playerId: toId, transUnitId: "0x0WIZ0001", expressions: { step, total } });
+
+		return `<div class="ezmenus-progress"><div class="ezmenus-progress-track"><div class="ezmenus-progress-fill" style="width: ${Math.round((step / total) * 100)}%;"></div></div><div class="ezmenus-progress-label">${label}</div></div>`;
+	};
+
+	// ANCHOR Helper: escapeHtml
+	const escapeHtml = (text) => {
+		return `${text}`.replace(/[&<>"]/g, (char) => { return { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[char]; });
+	};
+
+	// ANCHOR Helper: getWizardSessions
+	const getWizardSessions = (playerId) => {
+		const vault = Utils.getSharedVault();
+
+		if (!vault.ezmenus) {
+			vault.ezmenus = {};
+		}
+		if (!vault.ezmenus.wizards) {
+			vault.ezmenus.wizards = {};
+		}
+		if (!vault.ezmenus.wizards[playerId]) {
+			vault.ezmenus.wizards[playerId] = {};
+		}
+
+		return vault.ezmenus.wizards[playerId];
+	};
+
+	// ANCHOR Helper: wizardStepTypes
+	// NOTE: coerce returns { value } on success or { errorId } naming the phrase to reject with; buildButtons returns the answer buttons for the step.
+	const wizardStepTypes = {
+		text: {
+			coerce: (rawValue, step) => {
+				const value = typeof rawValue === "string" ? rawValue.trim() : "";
+				if (!value && !step.optional) return { errorId: "0x0WIZ0007" };
+
+				return { value };
+			},
+			buildButtons: ({ step, prompt, answerHref, currentValue, label }) => {
+				const defaultValue = currentValue ?? step.default ?? "";
+
+				return [{ label, href: `${answerHref} value|"?{${toQueryLabel(prompt)}|${toQueryLabel(defaultValue)}}"` }];
+			},
+			format: (value) => { return value; }
+		},
+		number: {
+			coerce: (rawValue, step) => {
+				if (typeof rawValue !== "string" || !/^[-+]?\d+(\.\d+)?$/.test(rawValue.trim())) return { errorId: "0x0WIZ0008" };
+
+				const value = Number(rawValue.trim());
+				if (step.min !== undefined && value < step.min) return { errorId: "0x0WIZ0009", expressions: { remark: step.min } };
+				if (step.max !== undefined && value > step.max) return { errorId: "0x0WIZ0010", expressions: { remark: step.max } };
+
+				return { value };
+			},
+			buildButtons: ({ step, prompt, answerHref, currentValue, label }) => {
+				const defaultValue = currentValue ?? step.default ?? "";
+
+				return [{ label, href: `${answerHref} value|?{${toQueryLabel(prompt)}|${defaultValue}}` }];
+			},
+			format: (value) => { return `${value}`; }
+		},
+		// NOTE: choice buttons send the option's index, so option values never have to survive a chat command.
+		choice: {
+			coerce: (rawValue, step) => {
+				const option = /^\d+$/.test(`${rawValue}`.trim()) ? (step.options || [])[parseInt(rawValue, 10)] : undefined;
+				if (!option) return { errorId: "0x0WIZ0011" };
+
+				return { value: option.value };
+			},
+			buildButtons: ({ step, answerHref, toId }) => {
+				return (step.options || []).map((option, index) => {
+					return { label: PhraseFactory.get({ playerId: toId, transUnitId: option.label }), href: `${answerHref} value|${index}` };
+				});
+			},
+			format: (value, step, toId) => {
+				const option = (step.options || []).find((candidate) => { return candidate.value === value; });
+
+				return option ? PhraseFactory.get({ playerId: toId, transUnitId: option.label }) : `${value}`;
+			}
+		},
+		token: {
+			coerce: (rawValue) => {
+				if (typeof rawValue !== "string" || !getObj("graphic", rawValue.trim())) return { errorId: "0x0WIZ0012" };
+
+				return { value: rawValue.trim() };
+			},
+			buildButtons: ({ prompt, answerHref, label }) => {
+				return [{ label, href: `${answerHref} value|@{target|${toQueryLabel(prompt)}|token_id}` }];
+			},
+			format: (value) => {
+				const token = getObj("graphic", value);
+
+				return token ? (token.get("name") || value) : value;
+			}
+		},
+		confirm: {
+			coerce: () => {
+				return { value: true };
+			},
+			buildButtons: ({ answerHref, toId }) => {
+				return [{ label: PhraseFactory.get({ playerId: toId, transUnitId: "0x0WIZ0004" }), href: `${answerHref} value|yes` }];
+			},
+			format: () => { return ""; }
+		}
+	};
+
+	// ANCHOR Helper: getSavedPalettes
+	const getSavedPalettes = () => {
+		const vault = Utils.getSharedVault();
+
+		if (!vault.stylePalettes) {
+			vault.stylePalettes = {};
+		}
+
+		return vault.stylePalettes;
+	};
+
+	// ANCHOR Helper: getPaletteVariables
+	// NOTE: without a name this returns the variables in use now; an unknown name returns null.
+	const getPaletteVariables = (name) => {
+		if (!name) {
+			return { ...defaultStyleVariables, ...ThemeFactory.getRootVariables() };
+		}
+		if (bundledPalettes[name]) {
+			return { ...defaultStyleVariables, ...bundledPalettes[name].variables };
+		}
+
+		const saved = getSavedPalettes()[name];
+
+		return saved ? { ...defaultStyleVariables, ...saved } : null;
+	};
+
+	// ANCHOR Helper: getDialogRuns
+	const getDialogRuns = () => {
+		const vault = Utils.getSharedVault();
+
+		if (!vault.ezmenus) {
+			vault.ezmenus = {};
+		}
+		if (!vault.ezmenus.dialogRuns) {
+			vault.ezmenus.dialogRuns = {};
+		}
+
+		return vault.ezmenus.dialogRuns;
+	};
+
+	// ANCHOR Helper: parseDialogTree
+	// NOTE: returns { tree } or { error } naming what is wrong, so the GM can fix the handout before the scene starts.
+	const parseDialogTree = ({ text }) => {
+		let tree;
+		try {
+			tree = JSON.parse(Utils.decodeNoteContent({ text }).trim());
+		} catch (err) {
+			return { error: err.message };
+		}
+
+		if (!tree || typeof tree.nodes !== "object" || tree.nodes === null) {
+			return { error: "nodes" };
+		}
+		if (!tree.nodes[tree.start]) {
+			return { error: `start: ${tree.start}` };
+		}
+
+		for (const [nodeId, node] of Object.entries(tree.nodes)) {
+			// NOTE: node ids travel unquoted in reply buttons.
+			if (!/^[\w.-]+$/.test(nodeId)) {
+				return { error: nodeId };
+			}
+			if (node.choices !== undefined && !Array.isArray(node.choices)) {
+				return { error: `${nodeId}.choices` };
+			}
+
+			const targets = [node.next, ...(node.choices || []).map((choice) => { return choice.next; })];
+			const missing = targets.find((target) => { return target !== undefined && target !== null && !tree.nodes[target]; });
+			if (missing !== undefined) {
+				return { error: `${nodeId} -> ${missing}` };
+			}
+		}
+
+		return { tree };
+	};
+
+	// ANCHOR Helper: isDialogConditionMet
+	// NOTE: a condition reads one attribute of the participant's character; without a character every condition fails.
+	const isDialogConditionMet = ({ condition, characterId }) => {
+		if (!condition) {
+			return true;
+		}
+		if (!characterId) {
+			return false;
+		}
+
+		const value = getAttrByName(characterId, condition.attribute);
+		if (value === undefined || value === null || value === "") {
+			return false;
+		}
+		if (condition.equals !== undefined) {
+			return `${value}` === `${condition.equals}`;
+		}
+
+		const number = parseFloat(value);
+		if (Number.isNaN(number)) {
+			return false;
+		}
+
+		return (condition.min === undefined || number >= condition.min) && (condition.max === undefined || number <= condition.max);
+	};
+
+	// ANCHOR Helper: applyDialogEffects
+	const applyDialogEffects = ({ effects = [], participants }) => {
+		effects.forEach((effect) => {
+			if (effect.type === "setAttribute") {
+				participants.filter((participant) => { return participant.characterId; }).forEach(({ characterId }) => {
+					const attribute = findObjs({ _type: "attribute", _characterid: characterId, name: effect.attribute })[0];
+					if (attribute) {
+						attribute.set("current", `${effect.value}`);
+					} else {
+						createObj("attribute", { characterid: characterId, name: effect.attribute, current: `${effect.value}` });
+					}
+				});
+
+				return;
+			}
+
+			if (effect.type === "giveHandout") {
+				const handout = findObjs({ _type: "handout", name: effect.handout })[0];
+				if (handout) {
+					const journals = `${handout.get("inplayerjournals") || ""}`.split(",").filter(Boolean);
+					const playerIds = participants.map((participant) => { return participant.playerId; });
+					handout.set("inplayerjournals", [...new Set([...journals, ...playerIds])].join(","));
+
+					return;
+				}
+			}
+
+			Utils.logSyslogMessage({
+				severity: "WARN",
+				tag: `${moduleSettings.readableName}.applyDialogEffects`,
+				transUnitId: "40000",
+				message: PhraseFactory.get({ transUnitId: "40000", expressions: { remark: JSON.stringify(effect) } })
+			});
+		});
+	};
+
 	// !SECTION End of Helper Functions
 
 	// SECTION Public Render Methods
@@ -748,7 +1264,8 @@ const EASY_MENUS = (() => {
 			template: "chatMenuAlert",
 			expressions,
 			theme: "chatMenuAlert",
-			cssVars: {}
+			cssVars: {},
+			playerId: resolvePlayerId({ to, toId })
 		});
 
 		Utils.whisperPlayerMessage({
@@ -761,20 +1278,18 @@ const EASY_MENUS = (() => {
 	};
 
 	// ANCHOR Method: renderMenu
-	const renderMenu = async ({ to, title, buttons = [], body, header, footer, cssVars = {} }) => {
-		let bodyContent = body || "";
-
-		if (buttons.length > 0) {
-			bodyContent = buttons.map((btn) => {
-				const cautionClass = btn.caution ? " ezmenus-caution" : "";
-				return `<a class="ezmenus-btn${cautionClass}" href="${btn.href}">${btn.label}</a>`;
-			}).join("");
-		}
+	// NOTE: passing the command that drew the menu turns on paging and search over its buttons.
+	const renderMenu = async ({ to, toId, title, buttons = [], body, header, footer, cssVars = {}, command, page, pageSize, filter }) => {
+		const pagination = command ? buildPagination({ buttons, command, page, pageSize, filter, toId }) : { buttons, html: "" };
 
 		const expressions = {
 			title: title || "",
 			header: header || "",
-			body: bodyContent,
+			body: buttons.length > 0 ? "" : (body || ""),
+			buttons: pagination.buttons.map((btn) => {
+				return { label: btn.label, href: btn.href, cautionClass: btn.caution ? "ezmenus-caution" : "" };
+			}),
+			pagination: pagination.html,
 			footer: footer || ""
 		};
 
@@ -782,7 +1297,8 @@ const EASY_MENUS = (() => {
 			template: "chatMenuMain",
 			expressions,
 			theme: "chatMenuMain",
-			cssVars
+			cssVars,
+			playerId: resolvePlayerId({ to, toId })
 		});
 
 		Utils.whisperPlayerMessage({
@@ -795,19 +1311,17 @@ const EASY_MENUS = (() => {
 	};
 
 	// ANCHOR Method: renderSubmenu
-	const renderSubmenu = async ({ to, title, buttons = [], body, header, footer, cssVars = {} }) => {
-		let bodyContent = body || "";
-
-		if (buttons.length > 0) {
-			bodyContent = buttons.map((btn) => {
-				return `<a class="ezmenus-btn" href="${btn.href}">${btn.label}</a>`;
-			}).join("");
-		}
+	// NOTE: progress is { step, total } and draws a bar above the body, as wizards do.
+	const renderSubmenu = async ({ to, toId, title, buttons = [], body, header, footer, cssVars = {}, command, page, pageSize, filter, progress }) => {
+		const pagination = command ? buildPagination({ buttons, command, page, pageSize, filter, toId }) : { buttons, html: "" };
 
 		const expressions = {
 			title: title || "",
 			header: header || "",
-			body: bodyContent,
+			progress: progress ? buildProgress({ progress, toId }) : "",
+			body: body || "",
+			buttons: pagination.buttons,
+			pagination: pagination.html,
 			footer: footer || ""
 		};
 
@@ -815,7 +1329,8 @@ const EASY_MENUS = (() => {
 			template: "chatMenuSubmenu",
 			expressions,
 			theme: "chatMenuSubmenu",
-			cssVars
+			cssVars,
+			playerId: resolvePlayerId({ to, toId })
 		});
 
 		Utils.whisperPlayerMessage({
@@ -828,7 +1343,7 @@ const EASY_MENUS = (() => {
 	};
 
 	// ANCHOR Method: renderDialog
-	const renderDialog = async ({ to, tokenId, speaker, message, position, cssVars = {} }) => {
+	const renderDialog = async ({ to, toId, tokenId, speaker, message, position, cssVars = {} }) => {
 		const avatarResult = buildAvatarHtml({ tokenId, speaker });
 		const side = getDialogSide({ tokenId, position });
 
@@ -843,7 +1358,8 @@ const EASY_MENUS = (() => {
 			template: "chatMenuDialog",
 			expressions,
 			theme: "chatMenuDialog",
-			cssVars
+			cssVars,
+			playerId: resolvePlayerId({ to, toId })
 		});
 
 		Utils.whisperPlayerMessage({
@@ -856,7 +1372,7 @@ const EASY_MENUS = (() => {
 	};
 
 	// ANCHOR Method: renderAnnouncement
-	const renderAnnouncement = async ({ to, title, body, header, footer, cssVars = {} }) => {
+	const renderAnnouncement = async ({ to, toId, title, body, header, footer, cssVars = {} }) => {
 		const expressions = {
 			title: title || "",
 			header: header || "",
@@ -868,7 +1384,8 @@ const EASY_MENUS = (() => {
 			template: "chatMenuAnnouncement",
 			expressions,
 			theme: "chatMenuAnnouncement",
-			cssVars
+			cssVars,
+			playerId: resolvePlayerId({ to, toId })
 		});
 
 		Utils.whisperPlayerMessage({
@@ -882,45 +1399,323 @@ const EASY_MENUS = (() => {
 
 	// !SECTION End of Public Render Methods
 
-	// SECTION Command Handlers
+	// SECTION Wizards
 
-	// ANCHOR Member: actionMap
-	const actionMap = {
-		"--menu": (msgDetails) => { return processMenuAsync(msgDetails); },
-		"--set-lang": (msgDetails, parsedArgs) => { return processSetLanguageAsync(msgDetails, parsedArgs); },
-		"--demo-alerts": (msgDetails) => { return processDemoAlerts(msgDetails); },
-		"--demo-dialog": (msgDetails, parsedArgs) => { return processDemoDialog(msgDetails, parsedArgs); },
-		"--demo-announcement": (msgDetails) => { return processDemoAnnouncement(msgDetails); },
-		"--demo-submenu": (msgDetails) => { return processDemoSubmenu(msgDetails); },
-		"--demo-tokenmod": (msgDetails) => { return processDemoTokenmod(msgDetails); },
-		"--export-config": (msgDetails) => { return processExportConfig(msgDetails); },
-		"--load-config": (msgDetails) => { return processLoadConfig(msgDetails); },
-		"--reset-style": (msgDetails) => { return processResetStyle(msgDetails); },
-		"--purge-state": (msgDetails, parsedArgs) => { return processPurgeState(msgDetails, parsedArgs); },
-	};
+	// ANCHOR Method: registerWizard
+	// NOTE: the title, step prompts and option labels are transUnitIds, so each player reads the wizard in their own language.
+	const registerWizard = ({ name, title, steps = [], onSubmit }) => {
+		const invalidStep = steps.find((step) => { return !step || !step.id || !wizardStepTypes[step.type]; });
 
-	actionMap["--default"] = actionMap["--menu"];
+		if (!/^[\w.-]+$/.test(`${name}`) || steps.length === 0 || invalidStep || typeof onSubmit !== "function") {
+			Utils.logSyslogMessage({
+				severity: "WARN",
+				tag: `${moduleSettings.readableName}.registerWizard`,
+				transUnitId: "40000",
+				message: PhraseFactory.get({ transUnitId: "40000", expressions: { remark: name } })
+			});
 
-	// ANCHOR Function: processMenuAsync
-	const processMenuAsync = async (msgDetails) => {
-		try {
-			const title = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x03BDB2A5" });
+			return 1;
+		}
 
-			const buttons = [
-				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x08161075" }), href: `\`!${moduleSettings.chatApiName} --set-lang` },
-				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0D842F34" }), href: `\`!${moduleSettings.chatApiName} --demo-alerts` },
-				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0DIALOG1" }), href: `\`!${moduleSettings.chatApiName} --demo-dialog` },
-				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0A1B2C3D" }), href: `\`!${moduleSettings.chatApiName} --demo-announcement` },
-				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0SUBMEN1" }), href: `\`!${moduleSettings.chatApiName} --demo-submenu` },
-				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0382B96E" }), href: `\`!${moduleSettings.chatApiName} --demo-tokenmod` },
-			];
+		wizardRegistry[name] = { name, title: title || name, steps, onSubmit };
 
-			let body = buttons.map((btn) => {
-				return `<a class="ezmenus-btn" href="${btn.href}">${btn.label}</a>`;
-			}).join("");
+		return 0;
+	};
+
+	// ANCHOR Function: renderWizardStepAsync
+	const renderWizardStepAsync = async ({ name, to, toId, errorText }) => {
+		const phrase = (transUnitId, expressions = {}) => {
+			return PhraseFactory.get({ playerId: toId, transUnitId, expressions });
+		};
+
+		const wizard = wizardRegistry[name];
+		const session = getWizardSessions(toId)[name];
+		const step = wizard.steps[session.stepIndex];
+		const prompt = phrase(step.prompt || step.id);
+		const wizardHref = `\`!${moduleSettings.chatApiName} --wizard name|${name}`;
+
+		let body = `<p class="ezmenus-prompt">${escapeHtml(prompt)}</p>`;
+		if (errorText) {
+			body += `<p class="ezmenus-error-text">${escapeHtml(errorText)}</p>`;
+		}
+		if (step.type === "confirm") {
+			body += wizard.steps
+				.filter((answered) => { return answered.type !== "confirm" && session.answers[answered.id] !== undefined; })
+				.map((answered) => {
+					const value = wizardStepTypes[answered.type].format(session.answers[answered.id], answered, toId);
+
+					return `<div class="ezmenus-summary"><div class="ezmenus-summary-label">${escapeHtml(phrase(answered.prompt || answered.id))}</div><div>${escapeHtml(value)}</div></div>`;
+				})
+				.join("");
+		}
+
+		const buttons = [
+			...wizardStepTypes[step.type].buildButtons({
+				step,
+				prompt,
+				answerHref: `${wizardHref} step|${step.id} action|answer`,
+				currentValue: session.answers[step.id],
+				label: phrase(step.type === "token" ? "0x0WIZ0006" : "0x0WIZ0005"),
+				toId
+			}),
+			session.stepIndex > 0 ? { label: phrase("0x0WIZ0002"), href: `${wizardHref} step|${step.id} action|back` } : null,
+			{ label: phrase("0x0WIZ0003"), href: `${wizardHref} action|cancel` }
+		].filter(Boolean);
+
+		return renderSubmenu({
+			to,
+			toId,
+			title: phrase(wizard.title),
+			body,
+			buttons,
+			progress: { step: session.stepIndex + 1, total: wizard.steps.length }
+		});
+	};
+
+	// ANCHOR Method: startWizard
+	// NOTE: modules call this from their own command handlers, so their permission checks decide who may start a wizard.
+	const startWizard = async ({ name, to, toId, answers = {} }) => {
+		if (!wizardRegistry[name]) {
+			Utils.logSyslogMessage({
+				severity: "WARN",
+				tag: `${moduleSettings.readableName}.startWizard`,
+				transUnitId: "40400",
+				message: PhraseFactory.get({ transUnitId: "40400", expressions: { remark: name } })
+			});
+
+			return 1;
+		}
+
+		getWizardSessions(toId)[name] = { stepIndex: 0, answers: { ...answers } };
+
+		await renderWizardStepAsync({ name, to, toId });
+
+		return 0;
+	};
+
+	// !SECTION End of Wizards
+
+	// SECTION Dialog Trees
+
+	// ANCHOR Function: broadcastDialogLineAsync
+	// NOTE: the side is picked once so every player sees the bubble on the same side; each copy is rendered for its recipient.
+	const broadcastDialogLineAsync = async ({ speaker, message }) => {
+		const token = getObj("graphic", speaker) || findObjs({ _type: "graphic", name: speaker })[0];
+		const tokenId = token ? token.id : null;
+		const position = getDialogSide({ tokenId: tokenId || speaker });
+		const players = findObjs({ _type: "player" }).filter((player) => { return player.get("_online"); });
+
+		for (const player of players) {
+			await renderDialog({ to: player.get("_displayname"), toId: player.id, tokenId, speaker: token ? undefined : speaker, message, position });
+		}
+	};
+
+	// ANCHOR Function: endDialogRunAsync
+	const endDialogRunAsync = async ({ runId }) => {
+		const runs = getDialogRuns();
+		const run = runs[runId];
+		delete runs[runId];
+
+		if (run) {
+			await renderAlert({
+				to: "gm",
+				severity: "info",
+				remark: PhraseFactory.get({ transUnitId: "0x0DLG006", expressions: { remark: run.tree.title || run.treeName } })
+			});
+		}
+
+		return 0;
+	};
+
+	// ANCHOR Function: sendDialogChoicesAsync
+	// NOTE: each participant only gets the replies their own character qualifies for; the GM gets every reply and a Stop button.
+	const sendDialogChoicesAsync = async ({ run, node }) => {
+		const title = run.tree.title || run.treeName;
+		const choiceHref = (index) => {
+			return `\`!${moduleSettings.chatApiName} --dialog-choose run|${run.runId} node|${run.nodeId} choice|${index}`;
+		};
+
+		for (const participant of run.participants) {
+			const player = getObj("player", participant.playerId);
+			if (!player || playerIsGM(participant.playerId)) {
+				continue;
+			}
+
+			const buttons = node.choices
+				.map((choice, index) => { return { choice, index }; })
+				.filter(({ choice }) => { return isDialogConditionMet({ condition: choice.if, characterId: participant.characterId }); })
+				.map(({ choice, index }) => { return { label: choice.text, href: choiceHref(index) }; });
+
+			if (buttons.length > 0) {
+				await renderSubmenu({
+					to: player.get("_displayname"),
+					toId: participant.playerId,
+					title,
+					body: `<p class="ezmenus-prompt">${escapeHtml(PhraseFactory.get({ playerId: participant.playerId, transUnitId: "0x0DLG008" }))}</p>`,
+					buttons
+				});
+			}
+		}
+
+		await renderSubmenu({
+			to: "gm",
+			title,
+			body: `<p class="ezmenus-prompt">${escapeHtml(PhraseFactory.get({ transUnitId: "0x0DLG009" }))}</p>`,
+			buttons: [
+				...node.choices.map((choice, index) => { return { label: choice.text, href: choiceHref(index) }; }),
+				{ label: PhraseFactory.get({ transUnitId: "0x0DLG007" }), href: `\`!${moduleSettings.chatApiName} --dialog-stop run|${run.runId}` }
+			]
+		});
+	};
+
+	// ANCHOR Function: showDialogNodeAsync
+	// NOTE: a node without choices follows "next" straight away; the hop limit stops a loop in the handout from running forever.
+	const showDialogNodeAsync = async ({ runId }) => {
+		const run = getDialogRuns()[runId];
+
+		for (let hops = 0; hops < 25; hops++) {
+			const node = run.tree.nodes[run.nodeId];
+
+			if (node.text) {
+				await broadcastDialogLineAsync({ speaker: node.speaker, message: node.text });
+			}
+			applyDialogEffects({ effects: node.effects, participants: run.participants });
+
+			if (node.choices && node.choices.length > 0) {
+				await sendDialogChoicesAsync({ run, node });
+
+				return 0;
+			}
+			if (!node.next) {
+				break;
+			}
+
+			run.nodeId = node.next;
+		}
+
+		return endDialogRunAsync({ runId });
+	};
+
+	// !SECTION End of Dialog Trees
+
+	// SECTION Command Handlers
+
+	// ANCHOR Member: actionMap
+	const actionMap = {
+		"--menu": (msgDetails) => { return processMenuAsync(msgDetails); },
+		"--set-lang": (msgDetails, parsedArgs) => { return processSetLanguageAsync(msgDetails, parsedArgs); },
+		"--prefs": (msgDetails, parsedArgs) => { return processPreferencesAsync(msgDetails, parsedArgs); },
+		"--demo-alerts": (msgDetails) => { return processDemoAlerts(msgDetails); },
+		"--demo-dialog": (msgDetails, parsedArgs) => { return processDemoDialog(msgDetails, parsedArgs); },
+		"--demo-announcement": (msgDetails) => { return processDemoAnnouncement(msgDetails); },
+		"--demo-submenu": (msgDetails) => { return processDemoSubmenu(msgDetails); },
+		"--demo-tokenmod": (msgDetails) => { return processDemoTokenmod(msgDetails); },
+		"--demo-wizard": (msgDetails) => { return processDemoWizard(msgDetails); },
+		"--wizard": (msgDetails, parsedArgs) => { return processWizardAsync(msgDetails, parsedArgs); },
+		"--dialog-run": (msgDetails, parsedArgs) => { return processDialogRunAsync(msgDetails, parsedArgs); },
+		"--dialog-choose": (msgDetails, parsedArgs) => { return processDialogChooseAsync(msgDetails, parsedArgs); },
+		"--dialog-stop": (msgDetails, parsedArgs) => { return processDialogStopAsync(msgDetails, parsedArgs); },
+		"--export-config": (msgDetails) => { return processExportConfig(msgDetails); },
+		"--load-config": (msgDetails) => { return processLoadConfig(msgDetails); },
+		"--reset-style": (msgDetails) => { return processResetStyle(msgDetails); },
+		"--palettes": (msgDetails, parsedArgs) => { return processPalettesAsync(msgDetails, parsedArgs); },
+		"--style-var": (msgDetails, parsedArgs) => { return processStyleVarAsync(msgDetails, parsedArgs); },
+		"--purge-state": (msgDetails, parsedArgs) => { return processPurgeState(msgDetails, parsedArgs); },
+	};
+
+	actionMap["--default"] = actionMap["--menu"];
+
+	// ANCHOR Member: commandSchema
+	const commandSchema = {
+		"--menu": { description: "0x0HELP001" },
+		"--set-lang": { description: "0x0HELP002", args: { lang: { type: "text" }, page: { type: "int" }, filter: { type: "text" } } },
+		"--prefs": {
+			description: "0x0HELP016",
+			args: {
+				palette: { type: "text" },
+				scale: { type: "int" },
+				verbosity: { type: "enum", values: ["detailed", "compact"] },
+				reset: { type: "enum", values: ["yes"] },
+			},
+		},
+		"--demo-alerts": { description: "0x0HELP003" },
+		"--demo-dialog": {
+			description: "0x0HELP004",
+			args: {
+				speaker: { type: "text" },
+				position: { type: "enum", values: ["left", "right"] },
+				message: { type: "text" },
+			},
+		},
+		"--demo-announcement": { description: "0x0HELP005" },
+		"--demo-submenu": { description: "0x0HELP006" },
+		"--demo-tokenmod": { description: "0x0HELP007" },
+		"--demo-wizard": { description: "0x0HELP012" },
+		"--wizard": {
+			description: "0x0HELP013",
+			args: {
+				name: { type: "text", required: true },
+				step: { type: "text" },
+				action: { type: "enum", values: ["show", "answer", "back", "cancel"], default: "show" },
+				value: { type: "text" },
+			},
+		},
+		"--dialog-run": { description: "0x0HELP017", gmOnly: true, args: { tree: { type: "text", required: true } } },
+		"--dialog-choose": {
+			description: "0x0HELP018",
+			args: {
+				run: { type: "text", required: true },
+				node: { type: "text", required: true },
+				choice: { type: "int", required: true },
+			},
+		},
+		"--dialog-stop": { description: "0x0HELP019", gmOnly: true, args: { run: { type: "text", required: true } } },
+		"--export-config": { description: "0x0HELP008", gmOnly: true },
+		"--load-config": { description: "0x0HELP009", gmOnly: true },
+		"--reset-style": { description: "0x0HELP010", gmOnly: true },
+		"--palettes": {
+			description: "0x0HELP014",
+			gmOnly: true,
+			args: {
+				action: { type: "enum", values: ["list", "preview", "apply", "save", "delete"], default: "list" },
+				name: { type: "text" },
+				page: { type: "int" },
+				filter: { type: "text" },
+			},
+		},
+		"--style-var": {
+			description: "0x0HELP015",
+			gmOnly: true,
+			args: { name: { type: "text" }, value: { type: "text" }, page: { type: "int" }, filter: { type: "text" } },
+		},
+		"--purge-state": { description: "0x0HELP011", gmOnly: true, args: { target: { type: "text", default: "all" } } },
+	};
+
+	commandSchema["--default"] = commandSchema["--menu"];
+
+	// ANCHOR Function: processMenuAsync
+	const processMenuAsync = async (msgDetails) => {
+		try {
+			const title = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x03BDB2A5" });
+
+			const buttons = [
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x08161075" }), href: `\`!${moduleSettings.chatApiName} --set-lang` },
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0PREF001" }), href: `\`!${moduleSettings.chatApiName} --prefs` },
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0D842F34" }), href: `\`!${moduleSettings.chatApiName} --demo-alerts` },
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0DIALOG1" }), href: `\`!${moduleSettings.chatApiName} --demo-dialog` },
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0A1B2C3D" }), href: `\`!${moduleSettings.chatApiName} --demo-announcement` },
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0SUBMEN1" }), href: `\`!${moduleSettings.chatApiName} --demo-submenu` },
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0382B96E" }), href: `\`!${moduleSettings.chatApiName} --demo-tokenmod` },
+				{ label: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0WIZDEM1" }), href: `\`!${moduleSettings.chatApiName} --demo-wizard` },
+			];
+
+			let body = buttons.map((btn) => {
+				return `<a class="ezmenus-btn" href="${btn.href}">${btn.label}</a>`;
+			}).join("");
 
 			if (msgDetails.isGm) {
 				body += `<div style="background: var(--ez-color-tertiary, #17aee8); padding: 5px; margin: 10px -10px; font-weight: bold; color: var(--ez-color-text-contrast, #ffffff);">${PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x09B11313" })}</div>`;
+				body += `<a class="ezmenus-btn" href="\`!${moduleSettings.chatApiName} --palettes">${PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0PAL0001" })}</a>`;
 				body += `<a class="ezmenus-btn" href="\`!${moduleSettings.chatApiName} --export-config">${PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E1F2A3B" })}</a>`;
 				body += `<a class="ezmenus-btn" href="\`!${moduleSettings.chatApiName} --load-config">${PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0F2E3D4C" })}</a>`;
 				body += `<a class="ezmenus-btn" href="\`!${moduleSettings.chatApiName} --reset-style">${PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0K8L9M0N" })}</a>`;
@@ -932,7 +1727,8 @@ const EASY_MENUS = (() => {
 				template: "chatMenuMain",
 				expressions: { title, header: "", body, footer: `v${moduleSettings.version}` },
 				theme: "chatMenuMain",
-				cssVars: {}
+				cssVars: {},
+				playerId: msgDetails.callerId
 			});
 
 			Utils.whisperPlayerMessage({
@@ -979,8 +1775,12 @@ const EASY_MENUS = (() => {
 
 			await renderSubmenu({
 				to: msgDetails.callerName,
+				toId: msgDetails.callerId,
 				title: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x08161075" }),
-				buttons
+				buttons,
+				command: `\`!${moduleSettings.chatApiName} --set-lang`,
+				page: parsedArgs.page,
+				filter: parsedArgs.filter
 			});
 
 			return 0;
@@ -995,6 +1795,121 @@ const EASY_MENUS = (() => {
 		}
 	};
 
+	// ANCHOR Function: processPreferencesAsync
+	const processPreferencesAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const to = msgDetails.callerName;
+			const toId = msgDetails.callerId;
+			const phrase = (transUnitId, expressions = {}) => {
+				return PhraseFactory.get({ playerId: toId, transUnitId, expressions });
+			};
+
+			const command = `\`!${moduleSettings.chatApiName} --prefs`;
+			const fontScales = [90, 100, 115, 130];
+
+			if (parsedArgs.reset === "yes") {
+				ThemeFactory.resetPlayerPreferences({ playerId: toId });
+			}
+
+			if (parsedArgs.palette !== undefined) {
+				const palette = `${parsedArgs.palette}`.trim().toLowerCase();
+
+				if (palette !== "table" && !getPaletteVariables(palette)) {
+					await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PAL0010", { remark: palette }) });
+
+					return 1;
+				}
+
+				// NOTE: bundled palettes only override a few colours, so the table's own style still shows through; a saved palette is copied whole.
+				const cssVars = palette === "table" ? {} : { ...(bundledPalettes[palette] ? bundledPalettes[palette].variables : getSavedPalettes()[palette]) };
+				ThemeFactory.setPlayerPreferences({ playerId: toId, preferences: { palette: palette === "table" ? "" : palette, cssVars } });
+			}
+
+			// NOTE: checked here as well as in the schema, so a value that is not a number or a known level is never saved.
+			if (parsedArgs.scale !== undefined) {
+				const fontScale = Number(parsedArgs.scale);
+
+				if (Number.isNaN(fontScale) || fontScale < 80 || fontScale > 150) {
+					await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PREF011") });
+
+					return 1;
+				}
+
+				ThemeFactory.setPlayerPreferences({ playerId: toId, preferences: { fontScale } });
+			}
+
+			if (parsedArgs.verbosity !== undefined) {
+				if (!["detailed", "compact"].includes(parsedArgs.verbosity)) {
+					await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PREF012") });
+
+					return 1;
+				}
+
+				ThemeFactory.setPlayerPreferences({ playerId: toId, preferences: { verbosity: parsedArgs.verbosity } });
+			}
+
+			const preferences = ThemeFactory.getPlayerPreferences({ playerId: toId });
+			const paletteLabel = (key) => {
+				return bundledPalettes[key] ? phrase(bundledPalettes[key].label) : key;
+			};
+			const verbosityLabels = { detailed: phrase("0x0PREF007"), compact: phrase("0x0PREF008") };
+
+			const buildSection = ({ heading, options }) => {
+				const links = options.map((option) => {
+					return `<a class="ezmenus-page-btn" href="${option.href}">${escapeHtml(option.label)}</a>`;
+				}).join("");
+
+				return `<div class="ezmenus-pref-section"><p class="ezmenus-prompt">${escapeHtml(heading)}</p>${links}</div>`;
+			};
+
+			const body = [
+				buildSection({
+					heading: phrase("0x0PREF002", { remark: preferences.palette ? paletteLabel(preferences.palette) : phrase("0x0PREF006") }),
+					options: [
+						{ label: phrase("0x0PREF006"), href: `${command} palette|table` },
+						...[...Object.keys(bundledPalettes), ...Object.keys(getSavedPalettes())].map((key) => {
+							return { label: paletteLabel(key), href: `${command} palette|${key}` };
+						})
+					]
+				}),
+				buildSection({
+					heading: phrase("0x0PREF003", { remark: preferences.fontScale }),
+					options: fontScales.map((scale) => { return { label: `${scale}%`, href: `${command} scale|${scale}` }; })
+				}),
+				buildSection({
+					heading: phrase("0x0PREF004", { remark: verbosityLabels[preferences.verbosity] || preferences.verbosity }),
+					options: Object.entries(verbosityLabels).map(([verbosity, label]) => { return { label, href: `${command} verbosity|${verbosity}` }; })
+				}),
+				buildSection({
+					heading: phrase("0x0PREF005", { remark: PhraseFactory.getLocale({ playerId: toId }) }),
+					options: [{ label: phrase("0x0PREF009"), href: `\`!${moduleSettings.chatApiName} --set-lang` }]
+				})
+			].join("");
+
+			await renderSubmenu({
+				to,
+				toId,
+				title: phrase("0x0PREF001"),
+				body,
+				buttons: [
+					{ label: phrase("0x0PREF010"), href: `${command} reset|yes` },
+					{ label: phrase("0x0BACK001"), href: `\`!${moduleSettings.chatApiName} --menu` }
+				]
+			});
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processPreferencesAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
 	// ANCHOR Function: processDemoAlerts
 	const processDemoAlerts = async (msgDetails) => {
 		try {
@@ -1148,6 +2063,22 @@ const EASY_MENUS = (() => {
 		}
 	};
 
+	// ANCHOR Function: processDemoWizard
+	const processDemoWizard = async (msgDetails) => {
+		try {
+			return await startWizard({ name: "ezmenus.demo", to: msgDetails.callerName, toId: msgDetails.callerId });
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processDemoWizard`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
 	// ANCHOR Function: processExportConfig
 	const processExportConfig = async (msgDetails) => {
 		const configHandoutName = "Easy-Menus:Config";
@@ -1225,6 +2156,33 @@ const EASY_MENUS = (() => {
 				const decoded = Utils.decodeNoteContent({ text: gmnotes });
 				const parsed = Utils.parseConfigHandout({ content: decoded });
 
+				// NOTE: handouts saved before templates escaped {{ }} show body and content as HTML text; they move to {{{ }}} here.
+				const upgradedTemplates = [];
+				Object.entries(parsed.templates || {}).forEach(([name, html]) => {
+					const upgraded = html.replace(/(^|[^{]){{\s*(body|content)\s*}}(?!})/g, "$1{{{ $2 }}}");
+					if (upgraded !== html) {
+						parsed.templates[name] = upgraded;
+						upgradedTemplates.push(name);
+					}
+				});
+
+				if (upgradedTemplates.length) {
+					const remark = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0L9M0N1O", expressions: { remark: upgradedTemplates.join(", ") } });
+					Utils.logSyslogMessage({
+						severity: "WARN",
+						tag: `${moduleSettings.readableName}.processLoadConfig`,
+						transUnitId: "0x0L9M0N1O",
+						message: remark
+					});
+					await renderAlert({
+						to: msgDetails.callerName,
+						toId: msgDetails.callerId,
+						severity: "warn",
+						code: msgDetails.raw.content,
+						remark
+					});
+				}
+
 				if (parsed.templates && Object.keys(parsed.templates).length > 0) {
 					TemplateFactory.add({ newTemplates: parsed.templates });
 				}
@@ -1268,6 +2226,7 @@ const EASY_MENUS = (() => {
 
 			const vault = Utils.getSharedVault();
 			delete vault.customStyle;
+			delete vault.activePalette;
 
 			await renderAlert({
 				to: msgDetails.callerName,
@@ -1289,6 +2248,241 @@ const EASY_MENUS = (() => {
 		}
 	};
 
+	// ANCHOR Function: renderPalettePreviewAsync
+	// NOTE: every template is rendered with the palette passed in as cssVars, so nothing changes until the GM applies it.
+	const renderPalettePreviewAsync = async ({ name, to, toId }) => {
+		const phrase = (transUnitId, expressions = {}) => {
+			return PhraseFactory.get({ playerId: toId, transUnitId, expressions });
+		};
+
+		const cssVars = getPaletteVariables(name);
+		const command = `\`!${moduleSettings.chatApiName} --palettes`;
+		const paletteName = bundledPalettes[name] ? phrase(bundledPalettes[name].label) : (name || phrase("0x0PAL0020"));
+		const avatar = buildAvatarHtml({ speaker: phrase("0x0PAL0012") });
+
+		const controls = [
+			name ? { label: phrase("0x0PAL0013"), href: `${command} action|apply name|${name}`, cautionClass: "" } : null,
+			getSavedPalettes()[name] ? { label: phrase("0x0PAL0014"), href: `${command} action|delete name|${name}`, cautionClass: "ezmenus-caution" } : null,
+			{ label: phrase("0x0PAL0015"), href: command, cautionClass: "" }
+		].filter(Boolean);
+
+		const samples = [
+			{
+				template: "chatMenuAlert",
+				expressions: { alertClass: "ezmenus-info", title: phrase("0x0004E2AF"), header: "", description: phrase("0x0ALERTINFO"), code: command, remark: "", footer: "" }
+			},
+			{
+				template: "chatMenuDialog",
+				expressions: { dialogClass: "", avatar: avatar.html, speaker: avatar.speaker, message: phrase("0x0DIALOG2") }
+			},
+			{
+				template: "chatMenuAnnouncement",
+				expressions: { announcementClass: "", title: phrase("0x0A1B2C3D"), header: "", body: phrase("0x0B3C4D5E"), footer: "" }
+			},
+			{
+				template: "chatMenuSubmenu",
+				expressions: {
+					submenuClass: "",
+					title: phrase("0x0SUBMEN1"),
+					header: "",
+					progress: buildProgress({ progress: { step: 2, total: 3 }, toId }),
+					body: "",
+					buttons: [{ label: phrase("0x0D842F34"), href: `\`!${moduleSettings.chatApiName} --demo-alerts` }],
+					pagination: "",
+					footer: ""
+				}
+			},
+			{
+				template: "chatMenuMain",
+				expressions: { mainClass: "", title: phrase("0x0PAL0002", { remark: paletteName }), header: "", body: "", buttons: controls, pagination: "", footer: moduleSettings.readableName }
+			}
+		];
+
+		const renderedSamples = await Promise.all(samples.map(({ template, expressions }) => {
+			return Utils.renderTemplateAsync({ template, expressions, theme: template, cssVars });
+		}));
+
+		Utils.whisperPlayerMessage({
+			from: moduleSettings.readableName,
+			to,
+			message: renderedSamples.join("")
+		});
+
+		return 0;
+	};
+
+	// ANCHOR Function: processPalettesAsync
+	const processPalettesAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const to = msgDetails.callerName;
+			const toId = msgDetails.callerId;
+			const phrase = (transUnitId, expressions = {}) => {
+				return PhraseFactory.get({ playerId: toId, transUnitId, expressions });
+			};
+
+			const vault = Utils.getSharedVault();
+			const savedPalettes = getSavedPalettes();
+			const command = `\`!${moduleSettings.chatApiName} --palettes`;
+			const name = typeof parsedArgs.name === "string" ? parsedArgs.name.trim().toLowerCase().replace(/\s+/g, "-") : "";
+
+			if (parsedArgs.action === "save") {
+				if (!/^[a-z0-9_-]{1,30}$/.test(name) || bundledPalettes[name]) {
+					await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PAL0009", { remark: parsedArgs.name || "" }) });
+
+					return 1;
+				}
+
+				savedPalettes[name] = getPaletteVariables();
+				vault.activePalette = name;
+			}
+
+			if (["apply", "delete"].includes(parsedArgs.action) || (parsedArgs.action === "preview" && name)) {
+				if (!getPaletteVariables(name)) {
+					await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PAL0010", { remark: name }) });
+
+					return 1;
+				}
+			}
+
+			if (parsedArgs.action === "preview") {
+				return await renderPalettePreviewAsync({ name, to, toId });
+			}
+
+			if (parsedArgs.action === "apply") {
+				ThemeFactory.setRootVariables({ variables: getPaletteVariables(name) });
+				vault.activePalette = name;
+			}
+
+			if (parsedArgs.action === "delete") {
+				if (!savedPalettes[name]) {
+					await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PAL0011") });
+
+					return 1;
+				}
+
+				delete savedPalettes[name];
+				if (vault.activePalette === name) {
+					delete vault.activePalette;
+				}
+			}
+
+			const paletteLabel = (key) => {
+				return bundledPalettes[key] ? phrase(bundledPalettes[key].label) : key;
+			};
+			const activeLabel = vault.activePalette && getPaletteVariables(vault.activePalette) ? paletteLabel(vault.activePalette) : phrase("0x0PAL0004");
+
+			const tools = [
+				{ label: phrase("0x0PAL0005"), href: `${command} action|preview` },
+				{ label: phrase("0x0PAL0006"), href: `\`!${moduleSettings.chatApiName} --style-var` },
+				{ label: phrase("0x0PAL0007"), href: `${command} action|save name|&quot;?{${toQueryLabel(phrase("0x0PAL0008"))}}&quot;` },
+				{ label: phrase("0x0K8L9M0N"), href: `\`!${moduleSettings.chatApiName} --reset-style` }
+			];
+
+			const body = `<p class="ezmenus-prompt">${escapeHtml(phrase("0x0PAL0003", { remark: activeLabel }))}</p>`
+				+ tools.map((tool) => { return `<a class="ezmenus-btn" href="${tool.href}">${escapeHtml(tool.label)}</a>`; }).join("");
+
+			const buttons = [...Object.keys(bundledPalettes), ...Object.keys(savedPalettes)].map((key) => {
+				return { label: phrase("0x0PAL0002", { remark: paletteLabel(key) }), href: `${command} action|preview name|${key}` };
+			});
+
+			await renderSubmenu({
+				to,
+				toId,
+				title: phrase("0x0PAL0001"),
+				body,
+				buttons,
+				command,
+				page: parsedArgs.page,
+				filter: parsedArgs.filter
+			});
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processPalettesAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Function: processStyleVarAsync
+	const processStyleVarAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const to = msgDetails.callerName;
+			const toId = msgDetails.callerId;
+			const phrase = (transUnitId, expressions = {}) => {
+				return PhraseFactory.get({ playerId: toId, transUnitId, expressions });
+			};
+
+			const command = `\`!${moduleSettings.chatApiName} --style-var`;
+			const variables = getPaletteVariables();
+
+			if (parsedArgs.name !== undefined) {
+				const key = `--${`${parsedArgs.name}`.trim().replace(/^-+/, "")}`;
+
+				if (defaultStyleVariables[key] === undefined) {
+					await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PAL0016", { remark: key }) });
+
+					return 1;
+				}
+
+				if (parsedArgs.value !== undefined) {
+					const value = `${parsedArgs.value}`.trim();
+
+					// NOTE: these would let a value end its declaration or the style attribute it is inlined into.
+					if (/[;{}<>"]/.test(value)) {
+						await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: phrase("0x0PAL0017", { remark: value }) });
+
+						return 1;
+					}
+
+					variables[key] = value || defaultStyleVariables[key];
+					ThemeFactory.setRootVariables({ variables });
+					delete Utils.getSharedVault().activePalette;
+				}
+			}
+
+			const filterTerm = `${parsedArgs.filter || ""}`.replace(/["`<>]/g, "").trim();
+			const returnArgs = `${parsedArgs.page ? ` page|${parsedArgs.page}` : ""}${filterTerm ? ` filter|"${filterTerm}"` : ""}`;
+
+			const buttons = Object.keys(defaultStyleVariables).map((key) => {
+				const queryDefault = /[|,{}]/.test(variables[key]) ? "" : variables[key];
+
+				return { label: `${key}: ${variables[key]}`, href: `${command} name|${key.replace(/^--/, "")} value|"?{${key}|${queryDefault}}"${returnArgs}` };
+			});
+
+			const body = `<p class="ezmenus-prompt">${escapeHtml(phrase("0x0PAL0019"))}</p>`
+				+ `<a class="ezmenus-btn" href="\`!${moduleSettings.chatApiName} --palettes action|preview">${escapeHtml(phrase("0x0PAL0005"))}</a>`
+				+ `<a class="ezmenus-btn" href="\`!${moduleSettings.chatApiName} --palettes">${escapeHtml(phrase("0x0PAL0015"))}</a>`;
+
+			await renderSubmenu({
+				to,
+				toId,
+				title: phrase("0x0PAL0018"),
+				body,
+				buttons,
+				command,
+				page: parsedArgs.page,
+				filter: parsedArgs.filter
+			});
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processStyleVarAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
 	// ANCHOR Function: processPurgeState
 	const processPurgeState = async (msgDetails, parsedArgs) => {
 		try {
@@ -1322,6 +2516,250 @@ const EASY_MENUS = (() => {
 		}
 	};
 
+	// ANCHOR Function: processWizardAsync
+	const processWizardAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const to = msgDetails.callerName;
+			const toId = msgDetails.callerId;
+			const sessions = getWizardSessions(toId);
+			const wizard = wizardRegistry[parsedArgs.name];
+			const session = sessions[parsedArgs.name];
+
+			if (!wizard || !session) {
+				delete sessions[parsedArgs.name];
+
+				await renderAlert({
+					to,
+					toId,
+					severity: "warn",
+					code: msgDetails.raw.content,
+					remark: PhraseFactory.get({ playerId: toId, transUnitId: "0x0WIZ0013", expressions: { remark: parsedArgs.name } })
+				});
+
+				return 1;
+			}
+
+			if (parsedArgs.action === "cancel") {
+				delete sessions[wizard.name];
+
+				await renderAlert({
+					to,
+					toId,
+					severity: "info",
+					remark: PhraseFactory.get({ playerId: toId, transUnitId: "0x0WIZ0014", expressions: { remark: PhraseFactory.get({ playerId: toId, transUnitId: wizard.title }) } })
+				});
+
+				return 0;
+			}
+
+			const step = wizard.steps[session.stepIndex];
+
+			// NOTE: buttons left in chat by an earlier step only redraw the current one, so they cannot answer the wrong question.
+			if (parsedArgs.step !== step.id || parsedArgs.action === "show") {
+				await renderWizardStepAsync({ name: wizard.name, to, toId });
+
+				return 0;
+			}
+
+			if (parsedArgs.action === "back") {
+				session.stepIndex = Math.max(session.stepIndex - 1, 0);
+				await renderWizardStepAsync({ name: wizard.name, to, toId });
+
+				return 0;
+			}
+
+			const coerced = wizardStepTypes[step.type].coerce(parsedArgs.value, step);
+			const errorId = coerced.errorId
+				|| (typeof step.validate === "function" ? await step.validate({ value: coerced.value, answers: { ...session.answers }, playerId: toId }) : undefined);
+
+			if (errorId) {
+				await renderWizardStepAsync({
+					name: wizard.name,
+					to,
+					toId,
+					errorText: PhraseFactory.get({ playerId: toId, transUnitId: errorId, expressions: coerced.expressions || {} })
+				});
+
+				return 1;
+			}
+
+			session.answers[step.id] = coerced.value;
+			session.stepIndex += 1;
+
+			if (session.stepIndex < wizard.steps.length) {
+				await renderWizardStepAsync({ name: wizard.name, to, toId });
+
+				return 0;
+			}
+
+			// NOTE: answers stay in EASY_VAULT until onSubmit returns 0, so a failed submit can be retried from the last step.
+			const result = await wizard.onSubmit({ answers: { ...session.answers }, playerId: toId, to });
+			if (result !== 0) {
+				session.stepIndex = wizard.steps.length - 1;
+				await renderWizardStepAsync({
+					name: wizard.name,
+					to,
+					toId,
+					errorText: PhraseFactory.get({ playerId: toId, transUnitId: "0x0WIZ0015" })
+				});
+
+				return 1;
+			}
+
+			delete sessions[wizard.name];
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processWizardAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Function: processDialogRunAsync
+	const processDialogRunAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const to = msgDetails.callerName;
+			const toId = msgDetails.callerId;
+
+			const handout = findObjs({ _type: "handout", name: parsedArgs.tree })[0];
+			if (!handout) {
+				await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: PhraseFactory.get({ playerId: toId, transUnitId: "0x0DLG001", expressions: { remark: parsedArgs.tree } }) });
+
+				return 1;
+			}
+
+			const gmnotes = await new Promise((resolve) => { handout.get("gmnotes", (notes) => { resolve(notes); }); });
+			const { tree, error } = parseDialogTree({ text: gmnotes || "" });
+			if (error) {
+				await renderAlert({ to, toId, severity: "warn", code: msgDetails.raw.content, remark: PhraseFactory.get({ playerId: toId, transUnitId: "0x0DLG002", expressions: { remark: error } }) });
+
+				return 1;
+			}
+
+			// NOTE: the players controlling the selected tokens take part, each through that token's character; with nothing selected every online player joins without one.
+			const participants = [];
+			(msgDetails.selectedIds || []).forEach((tokenId) => {
+				const token = getObj("graphic", tokenId);
+				const character = token ? getObj("character", token.get("represents")) : undefined;
+				if (!character) {
+					return;
+				}
+
+				`${character.get("controlledby") || ""}`.split(",").filter((playerId) => { return playerId && playerId !== "all"; }).forEach((playerId) => {
+					if (!participants.some((participant) => { return participant.playerId === playerId; })) {
+						participants.push({ playerId, characterId: character.id });
+					}
+				});
+			});
+
+			if (participants.length === 0) {
+				findObjs({ _type: "player" })
+					.filter((player) => { return player.get("_online") && !playerIsGM(player.id); })
+					.forEach((player) => { participants.push({ playerId: player.id, characterId: null }); });
+			}
+
+			const runId = Date.now().toString(36);
+			getDialogRuns()[runId] = { runId, treeName: parsedArgs.tree, tree, nodeId: tree.start, participants };
+
+			return await showDialogNodeAsync({ runId });
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processDialogRunAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Function: processDialogChooseAsync
+	const processDialogChooseAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const to = msgDetails.callerName;
+			const toId = msgDetails.callerId;
+			const run = getDialogRuns()[parsedArgs.run];
+
+			if (!run || run.nodeId !== parsedArgs.node) {
+				await renderAlert({ to, toId, severity: "info", remark: PhraseFactory.get({ playerId: toId, transUnitId: "0x0DLG003" }) });
+
+				return 1;
+			}
+
+			const node = run.tree.nodes[run.nodeId];
+			const choice = (node.choices || [])[parsedArgs.choice];
+			const participant = run.participants.find((candidate) => { return candidate.playerId === toId; });
+
+			if (!msgDetails.isGm && !participant) {
+				await renderAlert({ to, toId, severity: "warn", remark: PhraseFactory.get({ playerId: toId, transUnitId: "0x0DLG004" }) });
+
+				return 1;
+			}
+			if (!choice || (!msgDetails.isGm && !isDialogConditionMet({ condition: choice.if, characterId: participant.characterId }))) {
+				await renderAlert({ to, toId, severity: "warn", remark: PhraseFactory.get({ playerId: toId, transUnitId: "0x0DLG005" }) });
+
+				return 1;
+			}
+
+			// NOTE: moving on before anything is awaited turns a second click on the same node into a stale one.
+			run.nodeId = choice.next || "";
+
+			// NOTE: the GM replies for the whole party, so their choice's effects reach every participant.
+			const chooser = participant && !msgDetails.isGm ? participant : null;
+			const speakerParticipant = chooser || (run.participants.length === 1 ? run.participants[0] : null);
+			const speakerToken = speakerParticipant && speakerParticipant.characterId
+				? findObjs({ _type: "graphic", represents: speakerParticipant.characterId })[0]
+				: undefined;
+
+			await broadcastDialogLineAsync({ speaker: speakerToken ? speakerToken.id : to, message: choice.text });
+			applyDialogEffects({ effects: choice.effects, participants: chooser ? [chooser] : run.participants });
+
+			if (!choice.next) {
+				return await endDialogRunAsync({ runId: run.runId });
+			}
+
+			return await showDialogNodeAsync({ runId: run.runId });
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processDialogChooseAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Function: processDialogStopAsync
+	const processDialogStopAsync = async (msgDetails, parsedArgs) => {
+		try {
+			if (!getDialogRuns()[parsedArgs.run]) {
+				await renderAlert({ to: msgDetails.callerName, toId: msgDetails.callerId, severity: "info", remark: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0DLG003" }) });
+
+				return 1;
+			}
+
+			return await endDialogRunAsync({ runId: parsedArgs.run });
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processDialogStopAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
 	// ANCHOR Function: onInvalidCommand
 	const onInvalidCommand = async (msgDetails, invalidCommands) => {
 		await renderAlert({
@@ -1340,7 +2778,7 @@ const EASY_MENUS = (() => {
 	const registerEventHandlers = () => {
 		on("chat:message", (apiCall) => {
 			if (apiCall.type === "api" && apiCall.content.startsWith(`!${moduleSettings.chatApiName}`)) {
-				Utils.handleApiCall({ actionMap, apiCall, onInvalidCommand });
+				Utils.handleApiCall({ actionMap, apiCall, onInvalidCommand, commandSchema });
 			}
 		});
 		return 0;
@@ -1392,11 +2830,110 @@ const EASY_MENUS = (() => {
 					"0x0H5I6J7K": "Config handout is empty.",
 					"0x0I6J7K8L": "Config loaded: {{ remark }}",
 					"0x0J7K8L9M": "Custom styles cleared.",
+					"0x0L9M0N1O": "These templates showed body or content as escaped text and now render it as HTML: {{ remark }}. Run --export-config to save the change to the handout.",
 					"0x084D29DE": "State purged: {{ remark }}",
 					"0x0ALERTERRO": "This is an example error alert.",
 					"0x0ALERTWARN": "This is an example warning alert.",
 					"0x0ALERTINFO": "This is an example info alert.",
-					"0x0ALERTDEBU": "This is an example tip/debug alert."
+					"0x0ALERTDEBU": "This is an example tip/debug alert.",
+					"0x0HELP001": "Open the Easy-Menus menu.",
+					"0x0HELP002": "Set your preferred language, or list the available languages.",
+					"0x0HELP003": "Show one alert of each severity.",
+					"0x0HELP004": "Show a dialog bubble for the selected token.",
+					"0x0HELP005": "Show an example announcement.",
+					"0x0HELP006": "Show an example submenu.",
+					"0x0HELP007": "Flip the selected tokens horizontally.",
+					"0x0HELP008": "Write templates, themes and style variables to the config handout.",
+					"0x0HELP009": "Load templates, themes and style variables from the config handout.",
+					"0x0HELP010": "Clear custom style variables.",
+					"0x0HELP011": "Delete module state; target is all or one state key.",
+					"0x0HELP012": "Walk through an example multi-step wizard.",
+					"0x0HELP013": "Answer, go back in or cancel the wizard you have open.",
+					"0x0HELP014": "Browse, preview, apply and save style palettes.",
+					"0x0HELP015": "List the style variables, or set one with name and value.",
+					"0x0HELP016": "Set your own theme, text size, detail level and language.",
+					"0x0HELP017": "Run the dialog tree in a handout's GM notes with the players of the selected tokens.",
+					"0x0HELP018": "Pick a reply in a running conversation.",
+					"0x0HELP019": "Stop a running conversation.",
+					"0x0PAGE001": "Previous",
+					"0x0PAGE002": "Next",
+					"0x0PAGE003": "Page {{ page }} of {{ pageCount }}",
+					"0x0PAGE004": "Go to page",
+					"0x0PAGE005": "Search",
+					"0x0PAGE006": "Clear \"{{ remark }}\"",
+					"0x0PAGE007": "Nothing matches \"{{ remark }}\".",
+					"0x0PAL0001": "Style Gallery",
+					"0x0PAL0002": "Preview: {{ remark }}",
+					"0x0PAL0003": "Active palette: {{ remark }}",
+					"0x0PAL0004": "Custom",
+					"0x0PAL0005": "Preview Current Style",
+					"0x0PAL0006": "Edit Style Variables",
+					"0x0PAL0007": "Save Current Style as Palette",
+					"0x0PAL0008": "Palette name",
+					"0x0PAL0009": "\"{{ remark }}\" cannot be a palette name. Use up to 30 letters, numbers, spaces or dashes, and not the name of a bundled palette.",
+					"0x0PAL0010": "Palette not found: {{ remark }}",
+					"0x0PAL0011": "Bundled palettes cannot be deleted.",
+					"0x0PAL0012": "Narrator",
+					"0x0PAL0013": "Apply Palette",
+					"0x0PAL0014": "Delete Palette",
+					"0x0PAL0015": "Back to Gallery",
+					"0x0PAL0016": "Unknown style variable: {{ remark }}",
+					"0x0PAL0017": "Style values cannot contain ; { } < > or quotes: {{ remark }}",
+					"0x0PAL0018": "Style Variables",
+					"0x0PAL0019": "Click a variable to change it. Leave the prompt empty to restore its default.",
+					"0x0PAL0020": "Current Style",
+					"0x0PALNAM1": "Default",
+					"0x0PALNAM2": "Dark",
+					"0x0PALNAM3": "Parchment",
+					"0x0PALNAM4": "High Contrast",
+					"0x0PALNAM5": "Colorblind Safe",
+					"0x0PREF001": "My Preferences",
+					"0x0PREF002": "Theme: {{ remark }}",
+					"0x0PREF003": "Text size: {{ remark }}%",
+					"0x0PREF004": "Detail: {{ remark }}",
+					"0x0PREF005": "Language: {{ remark }}",
+					"0x0PREF006": "Table Style",
+					"0x0PREF007": "Detailed",
+					"0x0PREF008": "Compact",
+					"0x0PREF009": "Change Language",
+					"0x0PREF010": "Reset My Preferences",
+					"0x0PREF011": "Text size must be from 80 to 150 percent.",
+					"0x0PREF012": "Detail must be detailed or compact.",
+					"0x0DLG001": "Dialog handout not found: {{ remark }}",
+					"0x0DLG002": "The dialog tree could not be read: {{ remark }}",
+					"0x0DLG003": "This conversation has already moved on.",
+					"0x0DLG004": "Only players in this conversation can reply.",
+					"0x0DLG005": "That reply is not available to you.",
+					"0x0DLG006": "Conversation ended: {{ remark }}",
+					"0x0DLG007": "Stop Conversation",
+					"0x0DLG008": "Choose your reply.",
+					"0x0DLG009": "Choose a reply for the party.",
+					"0x0WIZ0001": "Step {{ step }} of {{ total }}",
+					"0x0WIZ0002": "Back",
+					"0x0WIZ0003": "Cancel",
+					"0x0WIZ0004": "Submit",
+					"0x0WIZ0005": "Enter a value",
+					"0x0WIZ0006": "Pick a token",
+					"0x0WIZ0007": "Please enter a value.",
+					"0x0WIZ0008": "Please enter a number.",
+					"0x0WIZ0009": "Please enter a number of at least {{ remark }}.",
+					"0x0WIZ0010": "Please enter a number of at most {{ remark }}.",
+					"0x0WIZ0011": "Please choose one of the options.",
+					"0x0WIZ0012": "That token could not be found.",
+					"0x0WIZ0013": "There is no {{ remark }} wizard in progress.",
+					"0x0WIZ0014": "{{ remark }} was cancelled.",
+					"0x0WIZ0015": "This could not be completed. Check your answers and submit again.",
+					"0x0WIZDEM1": "Demo Wizard",
+					"0x0WIZDEM2": "What is your hero's name?",
+					"0x0WIZDEM3": "What level does your hero start at?",
+					"0x0WIZDEM4": "Choose a class.",
+					"0x0WIZDEM5": "Pick your hero's token.",
+					"0x0WIZDEM6": "Create this hero?",
+					"0x0WIZDEM7": "{{ remark }} joins the party.",
+					"0x0WIZDEM8": "Keep the name to 30 characters or fewer.",
+					"0x0WIZCLS1": "Fighter",
+					"0x0WIZCLS2": "Rogue",
+					"0x0WIZCLS3": "Wizard"
 				},
 				frFR: {
 					"0": "Succès",
@@ -1436,11 +2973,110 @@ const EASY_MENUS = (() => {
 					"0x0H5I6J7K": "Le document de config est vide.",
 					"0x0I6J7K8L": "Config chargée: {{ remark }}",
 					"0x0J7K8L9M": "Styles personnalisés effacés.",
+					"0x0L9M0N1O": "Ces modèles affichaient body ou content en texte échappé et les rendent maintenant en HTML : {{ remark }}. Lancez --export-config pour enregistrer le changement dans le document.",
 					"0x084D29DE": "État purgé: {{ remark }}",
 					"0x0ALERTERRO": "Ceci est un exemple d'alerte d'erreur.",
 					"0x0ALERTWARN": "Ceci est un exemple d'alerte d'avertissement.",
 					"0x0ALERTINFO": "Ceci est un exemple d'alerte d'information.",
-					"0x0ALERTDEBU": "Ceci est un exemple d'alerte conseil."
+					"0x0ALERTDEBU": "Ceci est un exemple d'alerte conseil.",
+					"0x0HELP001": "Ouvre le menu Easy-Menus.",
+					"0x0HELP002": "Définit votre langue préférée, ou liste les langues disponibles.",
+					"0x0HELP003": "Affiche une alerte de chaque sévérité.",
+					"0x0HELP004": "Affiche une bulle de dialogue pour le jeton sélectionné.",
+					"0x0HELP005": "Affiche un exemple d'annonce.",
+					"0x0HELP006": "Affiche un exemple de sous-menu.",
+					"0x0HELP007": "Retourne horizontalement les jetons sélectionnés.",
+					"0x0HELP008": "Écrit les modèles, thèmes et variables de style dans le document de config.",
+					"0x0HELP009": "Charge les modèles, thèmes et variables de style depuis le document de config.",
+					"0x0HELP010": "Efface les variables de style personnalisées.",
+					"0x0HELP011": "Supprime l'état du module ; target vaut all ou une clé d'état.",
+					"0x0HELP012": "Parcourt un exemple d'assistant en plusieurs étapes.",
+					"0x0HELP013": "Répond, revient en arrière ou annule l'assistant ouvert.",
+					"0x0HELP014": "Parcourt, prévisualise, applique et enregistre les palettes de style.",
+					"0x0HELP015": "Liste les variables de style, ou en définit une avec name et value.",
+					"0x0HELP016": "Définit votre thème, taille de texte, niveau de détail et langue.",
+					"0x0HELP017": "Lance l'arbre de dialogue des notes MJ d'un document avec les joueurs des jetons sélectionnés.",
+					"0x0HELP018": "Choisit une réplique dans une conversation en cours.",
+					"0x0HELP019": "Arrête une conversation en cours.",
+					"0x0PAGE001": "Précédent",
+					"0x0PAGE002": "Suivant",
+					"0x0PAGE003": "Page {{ page }} sur {{ pageCount }}",
+					"0x0PAGE004": "Aller à la page",
+					"0x0PAGE005": "Rechercher",
+					"0x0PAGE006": "Effacer « {{ remark }} »",
+					"0x0PAGE007": "Rien ne correspond à « {{ remark }} ».",
+					"0x0PAL0001": "Galerie de styles",
+					"0x0PAL0002": "Aperçu : {{ remark }}",
+					"0x0PAL0003": "Palette active : {{ remark }}",
+					"0x0PAL0004": "Personnalisée",
+					"0x0PAL0005": "Aperçu du style actuel",
+					"0x0PAL0006": "Modifier les variables de style",
+					"0x0PAL0007": "Enregistrer le style actuel comme palette",
+					"0x0PAL0008": "Nom de la palette",
+					"0x0PAL0009": "« {{ remark }} » ne peut pas être un nom de palette. Utilisez au plus 30 lettres, chiffres, espaces ou tirets, et pas le nom d'une palette fournie.",
+					"0x0PAL0010": "Palette introuvable : {{ remark }}",
+					"0x0PAL0011": "Les palettes fournies ne peuvent pas être supprimées.",
+					"0x0PAL0012": "Narrateur",
+					"0x0PAL0013": "Appliquer la palette",
+					"0x0PAL0014": "Supprimer la palette",
+					"0x0PAL0015": "Retour à la galerie",
+					"0x0PAL0016": "Variable de style inconnue : {{ remark }}",
+					"0x0PAL0017": "Les valeurs de style ne peuvent pas contenir ; { } < > ni de guillemets : {{ remark }}",
+					"0x0PAL0018": "Variables de style",
+					"0x0PAL0019": "Cliquez sur une variable pour la modifier. Laissez la saisie vide pour rétablir sa valeur par défaut.",
+					"0x0PAL0020": "Style actuel",
+					"0x0PALNAM1": "Par défaut",
+					"0x0PALNAM2": "Sombre",
+					"0x0PALNAM3": "Parchemin",
+					"0x0PALNAM4": "Contraste élevé",
+					"0x0PALNAM5": "Adaptée aux daltoniens",
+					"0x0PREF001": "Mes préférences",
+					"0x0PREF002": "Thème : {{ remark }}",
+					"0x0PREF003": "Taille du texte : {{ remark }} %",
+					"0x0PREF004": "Détail : {{ remark }}",
+					"0x0PREF005": "Langue : {{ remark }}",
+					"0x0PREF006": "Style de la table",
+					"0x0PREF007": "Détaillé",
+					"0x0PREF008": "Compact",
+					"0x0PREF009": "Changer de langue",
+					"0x0PREF010": "Réinitialiser mes préférences",
+					"0x0PREF011": "La taille du texte doit être comprise entre 80 et 150 %.",
+					"0x0PREF012": "Le niveau de détail doit être detailed ou compact.",
+					"0x0DLG001": "Document de dialogue introuvable : {{ remark }}",
+					"0x0DLG002": "L'arbre de dialogue est illisible : {{ remark }}",
+					"0x0DLG003": "Cette conversation est déjà passée à la suite.",
+					"0x0DLG004": "Seuls les joueurs de cette conversation peuvent répondre.",
+					"0x0DLG005": "Cette réplique ne vous est pas accessible.",
+					"0x0DLG006": "Conversation terminée : {{ remark }}",
+					"0x0DLG007": "Arrêter la conversation",
+					"0x0DLG008": "Choisissez votre réplique.",
+					"0x0DLG009": "Choisissez une réplique pour le groupe.",
+					"0x0WIZ0001": "Étape {{ step }} sur {{ total }}",
+					"0x0WIZ0002": "Retour",
+					"0x0WIZ0003": "Annuler",
+					"0x0WIZ0004": "Valider",
+					"0x0WIZ0005": "Saisir une valeur",
+					"0x0WIZ0006": "Choisir un jeton",
+					"0x0WIZ0007": "Veuillez saisir une valeur.",
+					"0x0WIZ0008": "Veuillez saisir un nombre.",
+					"0x0WIZ0009": "Veuillez saisir un nombre supérieur ou égal à {{ remark }}.",
+					"0x0WIZ0010": "Veuillez saisir un nombre inférieur ou égal à {{ remark }}.",
+					"0x0WIZ0011": "Veuillez choisir l'une des options.",
+					"0x0WIZ0012": "Ce jeton est introuvable.",
+					"0x0WIZ0013": "Aucun assistant {{ remark }} n'est en cours.",
+					"0x0WIZ0014": "{{ remark }} a été annulé.",
+					"0x0WIZ0015": "Impossible de terminer. Vérifiez vos réponses et validez à nouveau.",
+					"0x0WIZDEM1": "Démo Assistant",
+					"0x0WIZDEM2": "Quel est le nom de votre héros ?",
+					"0x0WIZDEM3": "À quel niveau votre héros commence-t-il ?",
+					"0x0WIZDEM4": "Choisissez une classe.",
+					"0x0WIZDEM5": "Choisissez le jeton de votre héros.",
+					"0x0WIZDEM6": "Créer ce héros ?",
+					"0x0WIZDEM7": "{{ remark }} rejoint le groupe.",
+					"0x0WIZDEM8": "Le nom doit faire 30 caractères au plus.",
+					"0x0WIZCLS1": "Guerrier",
+					"0x0WIZCLS2": "Roublard",
+					"0x0WIZCLS3": "Magicien"
 				}
 			}
 		});
@@ -1455,7 +3091,12 @@ const EASY_MENUS = (() => {
 				chatMenuMain: templateChatMenuMain,
 				chatMenuSubmenu: templateChatMenuSubmenu,
 				chatMenuDialog: templateChatMenuDialog,
-				chatMenuAnnouncement: templateChatMenuAnnouncement
+				chatMenuAnnouncement: templateChatMenuAnnouncement,
+				chatMenuAlertCompact: templateChatMenuAlertCompact,
+				chatMenuMainCompact: templateChatMenuMainCompact,
+				chatMenuSubmenuCompact: templateChatMenuSubmenuCompact,
+				chatMenuDialogCompact: templateChatMenuDialogCompact,
+				chatMenuAnnouncementCompact: templateChatMenuAnnouncementCompact
 			}
 		});
 
@@ -1470,8 +3111,47 @@ const EASY_MENUS = (() => {
 			}
 		});
 
-		// Set default style variables
-		ThemeFactory.setRootVariables({ variables: defaultStyleVariables });
+		// Set default style variables, keeping any palette or edits the GM saved before the restart
+		ThemeFactory.setRootVariables({ variables: { ...defaultStyleVariables, ...ThemeFactory.getRootVariables() } });
+	};
+
+	// ANCHOR Function: registerDemoWizard
+	const registerDemoWizard = () => {
+		return registerWizard({
+			name: "ezmenus.demo",
+			title: "0x0WIZDEM1",
+			steps: [
+				{
+					id: "name",
+					type: "text",
+					prompt: "0x0WIZDEM2",
+					validate: ({ value }) => { return value.length > 30 ? "0x0WIZDEM8" : undefined; }
+				},
+				{ id: "level", type: "number", prompt: "0x0WIZDEM3", default: 1, min: 1, max: 20 },
+				{
+					id: "class",
+					type: "choice",
+					prompt: "0x0WIZDEM4",
+					options: [
+						{ label: "0x0WIZCLS1", value: "fighter" },
+						{ label: "0x0WIZCLS2", value: "rogue" },
+						{ label: "0x0WIZCLS3", value: "wizard" }
+					]
+				},
+				{ id: "token", type: "token", prompt: "0x0WIZDEM5" },
+				{ id: "confirm", type: "confirm", prompt: "0x0WIZDEM6" }
+			],
+			onSubmit: async ({ answers, playerId, to }) => {
+				await renderAlert({
+					to,
+					toId: playerId,
+					severity: "info",
+					remark: PhraseFactory.get({ playerId, transUnitId: "0x0WIZDEM7", expressions: { remark: answers.name } })
+				});
+
+				return 0;
+			}
+		});
 	};
 
 	// ANCHOR Function: checkInstall
@@ -1524,8 +3204,16 @@ const EASY_MENUS = (() => {
 		if (continueMod === 0) {
 			registerPhrases();
 			registerTemplatesAndThemes();
+			registerDemoWizard();
 			registerEventHandlers();
 
+			EASY_FORGE.registerModule({
+				name: moduleSettings.readableName,
+				version: moduleSettings.version,
+				dependencies: ["Easy-Utils"],
+				api: EASY_MENUS
+			});
+
 			const msgId = "20000";
 			Utils.logSyslogMessage({
 				severity: "INFO",
@@ -1548,6 +3236,10 @@ const EASY_MENUS = (() => {
 		renderDialog,
 		renderAnnouncement,
 
+		// Multi-step forms for other APIs
+		registerWizard,
+		startWizard,
+
 		// Helper for building avatars (if other APIs need it)
 		buildAvatarHtml,
 
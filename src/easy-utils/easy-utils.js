@@ -13,10 +13,61 @@ const EASY_FORGE = (() => {
 
 	/**
 	 * @namespace EASY_FORGE
-	 * @summary A global registry for managing factories shared across all Easy Modules.
+	 * @summary A global registry for managing factories, installed modules and events shared across all Easy Modules.
 	 */
 
 	const factories = {};
+	const modules = {};
+	const subscribers = {};
+	const readyCallbacks = {};
+	const filters = {};
+
+	const logForgeError = (tag, message) => {
+		log(`<ERROR> ${new Date().toISOString()} [EASY_FORGE](${tag}): ${JSON.stringify({ transUnitId: "50000", message: `${message}` })}`);
+	};
+
+	const publishEvent = (event, payload) => {
+		const handlers = [...(subscribers[event] || [])];
+
+		handlers.forEach((handler) => {
+			try {
+				handler(payload, event);
+			} catch (err) {
+				logForgeError("publish", `${event}: ${err}`);
+			}
+		});
+
+		return handlers.length;
+	};
+
+	// NOTE: a module is ready once every dependency is registered and ready, whatever order the scripts loaded in.
+	const resolveReadiness = () => {
+		let changed = true;
+
+		while (changed) {
+			changed = false;
+
+			Object.values(modules).forEach((entry) => {
+				if (entry.isReady) return;
+
+				const dependenciesReady = entry.dependencies.every((dependency) => { return modules[dependency]?.isReady; });
+				if (!dependenciesReady) return;
+
+				entry.isReady = true;
+				changed = true;
+
+				(readyCallbacks[entry.name] || []).splice(0).forEach((callback) => {
+					try {
+						callback(entry.api);
+					} catch (err) {
+						logForgeError("resolveReadiness", `${entry.name}: ${err}`);
+					}
+				});
+
+				publishEvent("forge:moduleReady", { name: entry.name, version: entry.version });
+			});
+		}
+	};
 
 	return {
 
@@ -37,6 +88,90 @@ const EASY_FORGE = (() => {
 		getFactoryNames: () => {
 			return Object.keys(factories);
 		},
+
+		// ANCHOR Method: registerModule
+		registerModule: ({ name, version, dependencies = [], api = {}, onReady }) => {
+			modules[name] = { name, version, dependencies, api, isReady: false };
+
+			if (typeof onReady === "function") {
+				(readyCallbacks[name] = readyCallbacks[name] || []).push(onReady);
+			}
+
+			publishEvent("forge:moduleRegistered", { name, version });
+			resolveReadiness();
+
+			return modules[name].isReady;
+		},
+
+		// ANCHOR Method: getModule
+		getModule: ({ name }) => {
+			if (!modules.hasOwnProperty(name)) {
+				return null;
+			}
+
+			const { version, dependencies, api, isReady } = modules[name];
+			const missingDependencies = dependencies.filter((dependency) => { return !modules[dependency]; });
+
+			return { name, version, dependencies: [...dependencies], missingDependencies, api, isReady };
+		},
+
+		// ANCHOR Method: getModuleNames
+		getModuleNames: () => {
+			return Object.keys(modules);
+		},
+
+		// ANCHOR Method: whenModuleReady
+		whenModuleReady: ({ name, callback }) => {
+			if (modules[name]?.isReady) {
+				callback(modules[name].api);
+
+				return;
+			}
+
+			(readyCallbacks[name] = readyCallbacks[name] || []).push(callback);
+		},
+
+		// ANCHOR Method: subscribe
+		subscribe: ({ event, handler }) => {
+			(subscribers[event] = subscribers[event] || []).push(handler);
+
+			return () => {
+				subscribers[event] = (subscribers[event] || []).filter((subscribed) => { return subscribed !== handler; });
+			};
+		},
+
+		// ANCHOR Method: publish
+		publish: ({ event, payload = {} }) => {
+			return publishEvent(event, payload);
+		},
+
+		// ANCHOR Method: registerFilter
+		// NOTE: template filters are called as filter(value, args, { locale }); isSafe marks output that is already HTML.
+		registerFilter: ({ name, filter, isSafe = false }) => {
+			if (typeof filter !== "function") {
+				logForgeError("registerFilter", `${name}: filter must be a function`);
+
+				return false;
+			}
+
+			filters[name] = { filter, isSafe };
+
+			return true;
+		},
+
+		// ANCHOR Method: getFilter
+		getFilter: ({ name }) => {
+			if (!filters.hasOwnProperty(name)) {
+				return null;
+			}
+
+			return filters[name];
+		},
+
+		// ANCHOR Method: getFilterNames
+		getFilterNames: () => {
+			return Object.keys(filters);
+		},
 	};
 })();
 
@@ -52,7 +187,16 @@ const EASY_UTILS = (() => {
 		sharedVault: sharedVault = (state["EASY_VAULT"] = state["EASY_VAULT"] || {}),
 		sharedForge: EASY_FORGE,
 		defaultLanguage: "enUS",
+		syslogMaxEntries: 200,
+		syslogMaxEntryLength: 1000,
+		syslogDefaultLevel: "DEBUG",
+		syslogDefaultPersistLevel: "INFO",
+		backupChunkSize: 60000,
+		renderCacheMaxEntries: 100,
+		chatQueueIntervalMs: 1000,
+		chatQueueMessagesPerInterval: 8,
 		factoryFunctions: [
+			"createPermissionFactory",
 			"createPhraseFactory",
 			"createTemplateFactory",
 			"createThemeFactory",
@@ -74,10 +218,73 @@ const EASY_UTILS = (() => {
 	let Utils = {};
 	let PhraseFactory = {};
 	// eslint-disable-next-line no-unused-vars
+	let PermissionFactory = {};
+	// eslint-disable-next-line no-unused-vars
 	let TemplateFactory = {};
 	// eslint-disable-next-line no-unused-vars
 	let ThemeFactory = {};
 
+	// ANCHOR Member: renderCache
+	// NOTE: shared by every module's renderTemplateAsync and cleared when templates or themes change. Each entry keeps the source
+	// it was built from, and a hit must match that source, so two sources that share a short hash key never swap results.
+	const renderCache = {
+		css: new Map(),
+		html: new Map(),
+		rules: new Map(),
+		matches: new Map(),
+		stats: { hits: 0, misses: 0 },
+
+		lookup: (cacheName, key, source, produce) => {
+			const cache = renderCache[cacheName];
+			const entry = cache.get(key);
+
+			if (entry && entry.source === source) {
+				renderCache.stats.hits++;
+
+				return { value: entry.value, isCached: true };
+			}
+
+			renderCache.stats.misses++;
+			const value = produce();
+
+			cache.delete(key);
+			if (cache.size >= globalSettings.renderCacheMaxEntries) {
+				cache.delete(cache.keys().next().value);
+			}
+			cache.set(key, { source, value });
+
+			return { value, isCached: false };
+		},
+
+		// NOTE: selectors only see element names, attributes and whether text is empty, so text content is left out.
+		describeStructure: (htmlJson) => {
+			const htmlTree = typeof htmlJson === "string" ? JSON.parse(htmlJson) : htmlJson;
+
+			return JSON.stringify(htmlTree, (key, value) => {
+				if (key === "parentNode") {
+					return undefined;
+				}
+
+				return key === "innerText" ? Boolean(value) : value;
+			});
+		},
+
+		clear: () => {
+			["css", "html", "rules", "matches"].forEach((cacheName) => { renderCache[cacheName].clear(); });
+		},
+	};
+
+	// ANCHOR Member: chatQueue
+	// NOTE: shared by every module's queueChatMessage; one lane per recipient keeps each player's messages in the order they were queued.
+	const chatQueue = {
+		lanes: new Map(),
+		sequence: 0,
+		sentTimes: [],
+		timer: null,
+		gmNames: null,
+		stats: { sent: 0 },
+	};
+
 	// SECTION Outer Method: functionLoaders
 	const functionLoaders = {
 
@@ -89,77 +296,292 @@ const EASY_UTILS = (() => {
 
 				const thisFuncDebugName = "convertCssToJson";
 
-				const calculateSelectorSpecificity = (selector) => {
-					const cleanedSelector = selector
-						.replace(/\s*([>+~])\s*/g, "$1")
-						.trim();
-
-					const selectorParts = cleanedSelector.split(/\s|(?=[>+~])/g).filter(Boolean);
-
-					let idCount = 0;
-					let classAndAttributeCount = 0;
-					let typeAndPseudoElementCount = 0;
-
-					selectorParts.forEach((part) => {
-						if (part.startsWith("#")) {
-							idCount += 1;
-						} else if (part.startsWith(".") || part.startsWith("[") || part.startsWith(":") && !part.startsWith("::")) {
-							classAndAttributeCount += 1;
-						} else {
-							typeAndPseudoElementCount += 1;
-						}
-					});
+				const parseCssSelector = EASY_UTILS.getFunction({ functionName: "parseCssSelector", moduleSettings });
+				const expandCssShorthand = EASY_UTILS.getFunction({ functionName: "expandCssShorthand", moduleSettings });
 
-					return idCount * 100 + classAndAttributeCount * 10 + typeAndPseudoElementCount;
-				};
+				// NOTE: At-rules whose blocks hold style rules; every other block at-rule holds declarations (keyframes hold frames).
+				const GROUPING_AT_RULES = ["media", "supports", "document", "-moz-document", "layer", "container"];
+				const KEYFRAMES_AT_RULES = ["keyframes", "-webkit-keyframes", "-moz-keyframes"];
+				const SINGLE_CHAR_TOKENS = ["{", "}", ";", ":", "(", ")", "[", "]", ","];
 
 				const sortRulesBySpecificity = (ruleA, ruleB) => {
 					if (ruleA.specificity !== ruleB.specificity) {
 						return ruleB.specificity - ruleA.specificity;
 					}
+
 					return ruleA.index - ruleB.index;
 				};
 
-				return ({ css }) => {
-					try {
-						const cleanedCss = css
-							.replace(/\/\*[\s\S]*?\*\//g, "")
-							.replace(/\n/g, " ")
-							.replace(/\s+/g, " ")
-							.trim();
+				function tokenizeCss(css, errors) {
+					const tokens = [];
+					let position = 0;
+					let line = 1;
+
+					const countLines = (text) => { line += (text.match(/\n/g) || []).length; };
+
+					while (position < css.length) {
+						const char = css[position];
+						const startLine = line;
 
-						const cssRules = [];
-						const ruleRegex = /([^\{]+)\{([^\}]+)\}/g;
-						const declarationRegex = /([\w-]+)\s*:\s*([^;]+);/g;
+						if (char === "/" && css[position + 1] === "*") {
+							const end = css.indexOf("*/", position + 2);
+							if (end < 0) {
+								errors.push({ line: startLine, message: "Unterminated comment" });
+								countLines(css.slice(position));
+								break;
+							}
+							countLines(css.slice(position, end + 2));
+							position = end + 2;
+							// NOTE: A comment separates tokens just like whitespace does.
+							tokens.push({ type: "whitespace", value: " ", line: startLine });
+						} else if (/\s/.test(char)) {
+							const whitespace = css.slice(position).match(/^\s+/)[0];
+							countLines(whitespace);
+							position += whitespace.length;
+							tokens.push({ type: "whitespace", value: " ", line: startLine });
+						} else if (char === "\"" || char === "'") {
+							let end = position + 1;
+							while (end < css.length && css[end] !== char && css[end] !== "\n") {
+								end += css[end] === "\\" ? 2 : 1;
+							}
+							if (css[end] !== char) {
+								errors.push({ line: startLine, message: "Unterminated string" });
+							}
+							tokens.push({ type: "string", value: css.slice(position, end + 1), line: startLine });
+							countLines(css.slice(position, end + 1));
+							position = end + 1;
+						} else if (char === "@") {
+							const name = css.slice(position + 1).match(/^[\w-]*/)[0];
+							tokens.push({ type: "at-keyword", value: name.toLowerCase(), line: startLine });
+							position += name.length + 1;
+						} else if (SINGLE_CHAR_TOKENS.includes(char)) {
+							tokens.push({ type: char, value: char, line: startLine });
+							position++;
+						} else {
+							const text = css.slice(position).match(/^(?:[^\s"'@{};:()[\],/]|\/(?!\*))+/)?.[0] || char;
+							tokens.push({ type: "text", value: text, line: startLine });
+							position += text.length;
+						}
+					}
+
+					return tokens;
+				}
+
+				function parseStylesheet(tokens, errors) {
+					let cursor = 0;
+					let ruleIndex = 0;
 
-						let match;
-						let ruleIndex = 0;
+					const peek = () => { return tokens[cursor]; };
+					const skipWhitespace = () => { while (peek()?.type === "whitespace") cursor++; };
+
+					const joinTokens = (slice) => {
+						return slice.map((token) => { return token.value; }).join("").replace(/\s+/g, " ").trim();
+					};
 
-						while ((match = ruleRegex.exec(cleanedCss))) {
-							const selectors = match[1].split(",").map((s) => { return s.trim(); });
-							const declarations = match[2].trim();
+					// NOTE: Collects tokens up to (not including) one of the stop types found outside of () and [].
+					function consumeUntil(stopTypes) {
+						const collected = [];
+						let depth = 0;
 
-							const style = {};
-							let declarationMatch;
-							while ((declarationMatch = declarationRegex.exec(declarations))) {
-								const property = declarationMatch[1].trim();
-								const value = declarationMatch[2].trim();
-								style[property] = value;
+						while (cursor < tokens.length) {
+							const token = peek();
+							if (depth === 0 && stopTypes.includes(token.type)) {
+								break;
 							}
+							if (token.type === "(" || token.type === "[") depth++;
+							if ((token.type === ")" || token.type === "]") && depth > 0) depth--;
+							collected.push(token);
+							cursor++;
+						}
 
-							selectors.forEach((selector) => {
-								const specificity = calculateSelectorSpecificity(selector);
-								cssRules.push({
-									selector,
-									style,
-									specificity,
-									index: ruleIndex
-								});
-								ruleIndex++;
-							});
+						return collected;
+					}
+
+					function skipBlock() {
+						let depth = 0;
+						while (cursor < tokens.length) {
+							const { type } = tokens[cursor++];
+							if (type === "{") depth++;
+							if (type === "}" && --depth <= 0) {
+								return;
+							}
+						}
+					}
+
+					function expectBlockEnd(openLine) {
+						if (peek()?.type === "}") {
+							cursor++;
+						} else {
+							errors.push({ line: openLine, message: "Unclosed block, expected \"}\"" });
+						}
+					}
+
+					function consumeDeclarations() {
+						const style = {};
+
+						while (cursor < tokens.length) {
+							skipWhitespace();
+							const token = peek();
+							if (!token || token.type === "}") {
+								break;
+							}
+							if (token.type === ";") {
+								cursor++;
+								continue;
+							}
+
+							const declarationLine = token.line;
+							const declarationTokens = consumeUntil([";", "}", "{"]);
+
+							if (peek()?.type === "{") {
+								errors.push({ line: peek().line, message: `Unexpected "{" after "${joinTokens(declarationTokens)}"` });
+								skipBlock();
+								continue;
+							}
+
+							const colonIndex = declarationTokens.findIndex((t) => { return t.type === ":"; });
+							const property = joinTokens(declarationTokens.slice(0, colonIndex)).toLowerCase();
+							const value = joinTokens(declarationTokens.slice(colonIndex + 1));
+
+							if (colonIndex < 0 || !/^-?-?[a-z_][\w-]*$/i.test(property) || !value) {
+								errors.push({ line: declarationLine, message: `Invalid declaration "${joinTokens(declarationTokens)}"` });
+								continue;
+							}
+
+							const longhands = property.startsWith("--") ? { [property]: value } : expandCssShorthand({ property, value });
+							for (const [longhand, longhandValue] of Object.entries(longhands)) {
+								delete style[longhand];
+								style[longhand] = longhandValue;
+							}
+						}
+
+						return style;
+					}
+
+					function consumeBlock(consumeContent) {
+						const openLine = peek().line;
+						cursor++;
+						const content = consumeContent();
+						expectBlockEnd(openLine);
+
+						return content;
+					}
+
+					function consumeKeyframes() {
+						const frames = [];
+
+						while (cursor < tokens.length) {
+							skipWhitespace();
+							if (!peek() || peek().type === "}") {
+								break;
+							}
+							const frameLine = peek().line;
+							const selector = joinTokens(consumeUntil(["{", "}", ";"]));
+							if (peek()?.type !== "{") {
+								errors.push({ line: frameLine, message: `Expected "{" after keyframe "${selector}"` });
+								if (peek()?.type === ";") cursor++;
+								continue;
+							}
+							frames.push({ selector, style: consumeBlock(consumeDeclarations) });
+						}
+
+						return frames;
+					}
+
+					function consumeAtRule() {
+						const atToken = tokens[cursor++];
+						const prelude = joinTokens(consumeUntil(["{", ";", "}"]));
+						const atRule = { atRule: atToken.value, prelude, index: ruleIndex++ };
+
+						if (peek()?.type !== "{") {
+							if (peek()?.type === ";") {
+								cursor++;
+							} else if (GROUPING_AT_RULES.includes(atToken.value) || KEYFRAMES_AT_RULES.includes(atToken.value)) {
+								errors.push({ line: atToken.line, message: `Expected "{" after "@${atToken.value} ${prelude}"` });
+							}
+
+							return atRule;
+						}
+
+						if (GROUPING_AT_RULES.includes(atToken.value)) {
+							atRule.rules = consumeBlock(() => { return consumeRuleList(false); });
+						} else if (KEYFRAMES_AT_RULES.includes(atToken.value)) {
+							atRule.frames = consumeBlock(consumeKeyframes);
+						} else {
+							atRule.style = consumeBlock(consumeDeclarations);
+						}
+
+						return atRule;
+					}
+
+					function consumeStyleRule() {
+						const ruleLine = peek().line;
+						const selectorText = joinTokens(consumeUntil(["{", ";", "}"]));
+
+						if (peek()?.type !== "{") {
+							errors.push({ line: ruleLine, message: `Expected "{" after selector "${selectorText}"` });
+							if (peek()?.type === ";") cursor++;
+
+							return [];
+						}
+
+						const style = consumeBlock(consumeDeclarations);
+						const selectors = parseCssSelector({ selector: selectorText });
+						if (selectors.length === 0) {
+							errors.push({ line: ruleLine, message: `Invalid selector "${selectorText}"` });
+						}
+
+						return selectors.map(({ text, specificity }) => {
+							return { selector: text, style, specificity, index: ruleIndex++ };
+						});
+					}
+
+					function consumeRuleList(isTopLevel) {
+						const styleRules = [];
+						const atRules = [];
+
+						while (cursor < tokens.length) {
+							skipWhitespace();
+							const token = peek();
+							if (!token) {
+								break;
+							}
+
+							if (token.type === "}") {
+								if (!isTopLevel) {
+									break;
+								}
+								errors.push({ line: token.line, message: "Unexpected \"}\"" });
+								cursor++;
+							} else if (token.type === "at-keyword") {
+								atRules.push(consumeAtRule());
+							} else {
+								styleRules.push(...consumeStyleRule());
+							}
 						}
 
-						cssRules.sort(sortRulesBySpecificity);
+						// NOTE: At-rules stay in source order after the style rules so appliers can drop or flatten them.
+						return [...styleRules.sort(sortRulesBySpecificity), ...atRules];
+					}
+
+					return consumeRuleList(true);
+				}
+
+				return ({ css }) => {
+					try {
+						const errors = [];
+						const tokens = tokenizeCss(`${css ?? ""}`, errors);
+						const cssRules = parseStylesheet(tokens, errors);
+
+						errors.forEach(({ line, message }) => {
+							const msgId = "40000";
+							Utils.logSyslogMessage({
+								severity: "WARN",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: msgId,
+								message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: `CSS line ${line}: ${message}` } })
+							});
+						});
 
 						const output = JSON.stringify(cssRules, null, 2);
 
@@ -210,11 +632,11 @@ const EASY_UTILS = (() => {
 
 					if (!rawAttributes) return attributes;
 
-					const attributeRegex = /([\w-]+)\s*=\s*["']([^"']+)["']/g;
+					const attributeRegex = /([\w-]+)\s*=\s*(?:"([^"]+)"|'([^']+)')/g;
 					let match;
 					while ((match = attributeRegex.exec(rawAttributes))) {
-						// eslint-disable-next-line no-unused-vars
-						const [_, name, value] = match;
+						const [, name, doubleQuotedValue, singleQuotedValue] = match;
+						const value = doubleQuotedValue ?? singleQuotedValue;
 						switch (name) {
 						case "style":
 							value.split(";").forEach((styleDeclaration) => {
@@ -241,7 +663,8 @@ const EASY_UTILS = (() => {
 					parent.children.push(child);
 				}
 
-				function parseHtmlToTree(tokens) {
+				// NOTE: a fragment (user-supplied text) keeps its whitespace, ignores stray closing tags and closes open tags at the end.
+				function parseHtmlToTree(tokens, isFragment) {
 					const stack = [];
 					const rootNode = {
 						element: "div",
@@ -257,14 +680,21 @@ const EASY_UTILS = (() => {
 
 					stack.push(rootNode);
 
-					const openTagRegex = /^<([\w-]+)([^>]*)\/?\s*>$/;
+					const openTagRegex = /^<([\w-]+)(.*?)\/?\s*>$/;
 					const closeTagRegex = /^<\/([\w-]+)>$/;
 
 					for (const token of tokens) {
 						const trimmedToken = token.trim();
-						if (!trimmedToken) continue;
+						if (!trimmedToken && !isFragment) continue;
 
 						const closingTagMatch = closeTagRegex.exec(trimmedToken);
+						if (closingTagMatch && isFragment) {
+							const openIndex = stack.map((node) => { return node.element.toLowerCase(); }).lastIndexOf(closingTagMatch[1].toLowerCase());
+							if (openIndex > 0) {
+								stack.length = openIndex;
+							}
+							continue;
+						}
 						if (closingTagMatch) {
 							stack.pop();
 							continue;
@@ -293,7 +723,7 @@ const EASY_UTILS = (() => {
 
 						const textNode = {
 							element: "text",
-							children: [{ innerText: trimmedToken }],
+							children: [{ innerText: isFragment ? token : trimmedToken }],
 							childIndex: 0
 						};
 
@@ -301,14 +731,14 @@ const EASY_UTILS = (() => {
 						appendChildNode(parent, textNode);
 					}
 
-					if (stack.length > 1) {
+					if (stack.length > 1 && !isFragment) {
 						throw new Error("Unclosed tags detected. Ensure your HTML is well-formed.");
 					}
 
 					return [rootNode];
 				}
 
-				return ({ html }) => {
+				return ({ html, isFragment = false }) => {
 					try {
 						const cleanedHtml = html
 							.replace(/<!--[\s\S]*?-->/g, "")
@@ -316,10 +746,11 @@ const EASY_UTILS = (() => {
 							.replace(/\s+/g, " ")
 							.trim();
 
-						const tokenRegex = /<\/?.*?>|[^<>]+/g;
-						const tokens = cleanedHtml.match(tokenRegex)?.map(token => { return token.trim(); }).filter(Boolean) || [];
+						// NOTE: a quoted attribute value may hold "<" or ">", so quotes are matched as a whole inside a tag.
+						const tokenRegex = /<\/?(?:[^<>"']|"[^"]*"|'[^']*')*>|<\/?.*?>|[^<>]+/g;
+						const tokens = cleanedHtml.match(tokenRegex)?.map(token => { return isFragment ? token : token.trim(); }).filter(Boolean) || [];
 
-						const htmlTree = parseHtmlToTree(tokens);
+						const htmlTree = parseHtmlToTree(tokens, isFragment);
 						const output = JSON.stringify(htmlTree, null, 2);
 
 						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
@@ -386,11 +817,169 @@ const EASY_UTILS = (() => {
 
 				const thisFuncDebugName = "convertMarkdownToHtml";
 				const encodeCodeBlock = EASY_UTILS.getFunction({ functionName: "encodeCodeBlock", moduleSettings });
+				const parseMarkdownToAst = EASY_UTILS.getFunction({ functionName: "parseMarkdownToAst", moduleSettings });
 
-				return ({ content }) => {
+				const escapeHtml = (text) => {
+					return text.replace(/[&<>"]/g, (char) => { return { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" }[char]; });
+				};
+
+				const INLINE_TAGS = { emph: "em", strong: "strong", sup: "sup", sub: "sub", mark: "mark", del: "del" };
+
+				// NOTE: Renders the CommonMark AST with the reference renderer's HTML conventions.
+				function renderAstToHtml(ast) {
+					const output = [];
+
+					const newline = () => {
+						if (output.length > 0 && !output[output.length - 1].endsWith("\n")) {
+							output.push("\n");
+						}
+					};
+
+					const plainText = (node) => {
+						return node.children.map((child) => {
+							if (child.type === "text" || child.type === "code") return child.literal;
+							if (child.type === "softbreak" || child.type === "linebreak") return "\n";
+
+							return child.type === "html_inline" ? "" : plainText(child);
+						}).join("");
+					};
+
+					function renderNode(node, isTight = false) {
+						const renderChildren = (tight = false) => { node.children.forEach((child) => { renderNode(child, tight); }); };
+
+						switch (node.type) {
+						case "document":
+							renderChildren();
+							break;
+						case "paragraph":
+							if (isTight) {
+								renderChildren();
+							} else {
+								newline();
+								output.push("<p>");
+								renderChildren();
+								output.push("</p>");
+								newline();
+							}
+							break;
+						case "heading":
+							newline();
+							output.push(`<h${node.level}>`);
+							renderChildren();
+							output.push(`</h${node.level}>`);
+							newline();
+							break;
+						case "thematic_break":
+							newline();
+							output.push("<hr />");
+							newline();
+							break;
+						case "block_quote":
+							newline();
+							output.push("<blockquote>\n");
+							renderChildren();
+							newline();
+							output.push("</blockquote>");
+							newline();
+							break;
+						case "fenced_div":
+							newline();
+							output.push(`<div class="${escapeHtml(node.className)}">\n`);
+							renderChildren();
+							newline();
+							output.push("</div>");
+							newline();
+							break;
+						case "list": {
+							const tag = node.listData.type === "bullet" ? "ul" : "ol";
+							const start = tag === "ol" && node.listData.start !== 1 ? ` start="${node.listData.start}"` : "";
+							newline();
+							output.push(`<${tag}${start}>\n`);
+							node.children.forEach((item) => { renderNode(item, node.listData.tight); });
+							newline();
+							output.push(`</${tag}>`);
+							newline();
+							break;
+						}
+						case "item":
+							output.push("<li>");
+							renderChildren(isTight);
+							output.push("</li>");
+							newline();
+							break;
+						case "code_block": {
+							const language = (node.info || "").split(/\s+/)[0];
+							newline();
+							output.push(`<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ""}>${escapeHtml(node.literal)}</code></pre>`);
+							newline();
+							break;
+						}
+						case "html_block":
+							newline();
+							output.push(node.literal);
+							newline();
+							break;
+						case "text":
+							output.push(escapeHtml(node.literal));
+							break;
+						case "softbreak":
+							output.push("\n");
+							break;
+						case "linebreak":
+							output.push("<br />\n");
+							break;
+						case "code":
+							output.push(`<code>${escapeHtml(node.literal)}</code>`);
+							break;
+						case "html_inline":
+							output.push(node.literal);
+							break;
+						case "link":
+							output.push(`<a href="${escapeHtml(node.destination)}"${node.title ? ` title="${escapeHtml(node.title)}"` : ""}>`);
+							renderChildren();
+							output.push("</a>");
+							break;
+						case "image":
+							output.push(`<img src="${escapeHtml(node.destination)}" alt="${escapeHtml(plainText(node))}"${node.title ? ` title="${escapeHtml(node.title)}"` : ""} />`);
+							break;
+						default:
+							if (INLINE_TAGS[node.type]) {
+								output.push(`<${INLINE_TAGS[node.type]}>`);
+								renderChildren();
+								output.push(`</${INLINE_TAGS[node.type]}>`);
+							}
+						}
+					}
+
+					renderNode(ast);
+
+					return output.join("");
+				}
+
+				// NOTE: mode "commonmark" parses to an AST per the CommonMark spec; the default "legacy" mode keeps the line-by-line pipeline.
+				return ({ content, mode = "legacy" }) => {
+
+					if (mode === "commonmark") {
+						const output = renderAstToHtml(parseMarkdownToAst({ content }));
+
+						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message: output,
+							});
+						}
+
+						return output;
+					}
 
 					const htmlArray = [];
 					const tagStack = [];
+					const headings = [];
+					const footnoteDefinitions = {};
+					const footnoteOrder = [];
+					const tocPlaceholder = "<!-- ez-table-of-contents -->";
 
 					function addToHtmlArray(html, raw = false) {
 						if (raw) {
@@ -419,10 +1008,121 @@ const EASY_UTILS = (() => {
 							.replace(/\s+/g, "-");
 					}
 
-					function processInline(text) {
-						if (typeof text !== "string") {
-							console.error("Invalid input to processInline. Expected a string, got:", text);
-							return "";
+					function renderHeading(level, text) {
+						const id = slugify(text);
+						headings.push({ level, id, text: text.replace(/<[^>]+>/g, "") });
+
+						return `<h${level} id="${id}">${text}</h${level}>`;
+					}
+
+					function renderFootnoteRef(match, label) {
+						if (!footnoteDefinitions[label]) return match;
+
+						let number = footnoteOrder.indexOf(label) + 1;
+						const isFirstRef = number === 0;
+						if (isFirstRef) {
+							footnoteOrder.push(label);
+							number = footnoteOrder.length;
+						}
+						const idAttribute = isFirstRef ? ` id="fnref-${number}"` : "";
+
+						return `<sup class="footnote-ref"><a href="#fn-${number}"${idAttribute}>${number}</a></sup>`;
+					}
+
+					// NOTE: footnote definitions can sit anywhere in the document, so they are pulled out before block parsing.
+					function extractFootnoteDefinitions(lines) {
+						const bodyLines = [];
+						let inCodeFence = false;
+						let currentLabel = null;
+
+						lines.forEach((line) => {
+							if (/^```/.test(line.trim())) {
+								inCodeFence = !inCodeFence;
+							}
+
+							const definitionMatch = !inCodeFence && line.match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+							if (definitionMatch) {
+								currentLabel = definitionMatch[1];
+								footnoteDefinitions[currentLabel] = [definitionMatch[2]];
+
+								return;
+							}
+
+							if (currentLabel && /^(?: {2,}|\t)\S/.test(line)) {
+								footnoteDefinitions[currentLabel].push(line.trim());
+
+								return;
+							}
+
+							currentLabel = null;
+							bodyLines.push(line);
+						});
+
+						return bodyLines;
+					}
+
+					function renderFootnotes() {
+						if (footnoteOrder.length === 0) return "";
+
+						const items = [];
+						// NOTE: footnoteOrder can grow while rendering when one footnote references another.
+						for (let i = 0; i < footnoteOrder.length; i++) {
+							const text = processInline(footnoteDefinitions[footnoteOrder[i]].join(" "));
+							items.push(`<li id="fn-${i + 1}" class="footnote-item">${text} <a href="#fnref-${i + 1}" class="footnote-backref">&#8617;</a></li>`);
+						}
+
+						return `<div class="footnotes">\n<hr class="footnotes-sep" />\n<ol class="footnotes-list">\n${items.join("\n")}\n</ol>\n</div>`;
+					}
+
+					function renderTableOfContents() {
+						if (headings.length === 0) return "";
+
+						const baseLevel = Math.min(...headings.map(({ level }) => { return level; }));
+						const tocHtml = ["<div class=\"table-of-contents\">"];
+						let depth = 0;
+
+						headings.forEach(({ level, id, text }) => {
+							const targetDepth = level - baseLevel + 1;
+
+							if (targetDepth > depth) {
+								for (; depth < targetDepth; depth++) {
+									tocHtml.push("<ul class=\"toc-list\">");
+								}
+							} else {
+								tocHtml.push("</li>");
+								for (; depth > targetDepth; depth--) {
+									tocHtml.push("</ul></li>");
+								}
+							}
+
+							tocHtml.push(`<li class="toc-item toc-level-${level}"><a class="toc-link" href="#${id}">${text}</a>`);
+						});
+
+						for (; depth > 0; depth--) {
+							tocHtml.push("</li></ul>");
+						}
+						tocHtml.push("</div>");
+
+						return tocHtml.join("");
+					}
+
+					function renderTaskListItem(itemContent, baseClass) {
+						const taskMatch = itemContent.match(/^\[([ xX])\]\s+(.*)$/);
+						if (!taskMatch) {
+							return baseClass ? `<li class="${baseClass}">${processInline(itemContent)}</li>` : `<li>${processInline(itemContent)}</li>`;
+						}
+
+						const isChecked = taskMatch[1] !== " ";
+						const classList = [baseClass, "task-list-item", isChecked ? "task-list-item-checked" : ""].filter(Boolean).join(" ");
+						const checkbox = `<span class="task-list-checkbox">${isChecked ? "&#9745;" : "&#9744;"}</span>`;
+
+						return `<li class="${classList}">${checkbox} ${processInline(taskMatch[2])}</li>`;
+					}
+
+					function processInline(text) {
+						if (typeof text !== "string") {
+							console.error("Invalid input to processInline. Expected a string, got:", text);
+							return "";
 						}
 
 						return text
@@ -431,6 +1131,7 @@ const EASY_UTILS = (() => {
 								const escapedCode = encodeCodeBlock({ text: code });
 								return `<code class="inline-code">${escapedCode}</code>`;
 							})
+							.replace(/\[\^([^\]\s]+)\](?!:)/g, renderFootnoteRef)
 							.replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]+)")?\)/g, "<img src=\"$2\" alt=\"$1\" title=\"$3\" />")
 							.replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]+)")?\)/g, "<a href=\"$2\" title=\"$3\">$1</a>")
 							.replace(/\^\^([^=]+)\^\^/g, "<sup>$1</sup>")
@@ -446,12 +1147,12 @@ const EASY_UTILS = (() => {
 							.replace(/_((?!<[^>]*>).+?)_/g, "<em class=\"underscore-em\">$1</em>")
 							.replace(/~~([^~]+)~~/g, "<del>$1</del>")
 							.replace(/==([^=]+)==/g, "<mark>$1</mark>")
-							.replace(/^#{6} (.+)$/gm, (match, text) => { return `<h6 id="${slugify(text)}">${text}</h6>`; })
-							.replace(/^#{5} (.+)$/gm, (match, text) => { return `<h5 id="${slugify(text)}">${text}</h5>`; })
-							.replace(/^#{4} (.+)$/gm, (match, text) => { return `<h4 id="${slugify(text)}">${text}</h4>`; })
-							.replace(/^#{3} (.+)$/gm, (match, text) => { return `<h3 id="${slugify(text)}">${text}</h3>`; })
-							.replace(/^#{2} (.+)$/gm, (match, text) => { return `<h2 id="${slugify(text)}">${text}</h2>`; })
-							.replace(/^#{1} (.+)$/gm, (match, text) => { return `<h1 id="${slugify(text)}">${text}</h1>`; });
+							.replace(/^#{6} (.+)$/gm, (match, text) => { return renderHeading(6, text); })
+							.replace(/^#{5} (.+)$/gm, (match, text) => { return renderHeading(5, text); })
+							.replace(/^#{4} (.+)$/gm, (match, text) => { return renderHeading(4, text); })
+							.replace(/^#{3} (.+)$/gm, (match, text) => { return renderHeading(3, text); })
+							.replace(/^#{2} (.+)$/gm, (match, text) => { return renderHeading(2, text); })
+							.replace(/^#{1} (.+)$/gm, (match, text) => { return renderHeading(1, text); });
 					}
 
 					function parseBlock(lines) {
@@ -483,6 +1184,12 @@ const EASY_UTILS = (() => {
 
 							switch (true) {
 
+							case /^\[\[toc\]\]$/i.test(meta.thisLine): {
+								addToHtmlArray(tocPlaceholder, true);
+								doContinue = true;
+								break;
+							}
+
 							case /^:::/.test(meta.thisLine): {
 								const openFenceMatch = meta.thisLine.match(/^:::\s*(.+)$/);
 								const closeFenceMatch = meta.thisLine.trim() === ":::";
@@ -590,8 +1297,7 @@ const EASY_UTILS = (() => {
 									}
 								}
 
-								const processedContent = processInline(listItemContent);
-								addToHtmlArray(`<li class="${bulletClass}">${processedContent}</li>`);
+								addToHtmlArray(renderTaskListItem(listItemContent, bulletClass));
 
 								break;
 							}
@@ -620,8 +1326,7 @@ const EASY_UTILS = (() => {
 									}
 								}
 
-								const processedContent = processInline(listItemContent);
-								addToHtmlArray(`<li>${processedContent}</li>`);
+								addToHtmlArray(renderTaskListItem(listItemContent, ""));
 
 								break;
 							}
@@ -761,6 +1466,40 @@ const EASY_UTILS = (() => {
 								break;
 							}
 
+							case !meta.isEmpty && /^:[ \t]+\S/.test(lines[0] ?? ""):
+							{
+								addToHtmlArray("<dl class=\"definition-list\">", true);
+								let term = meta.thisLine;
+
+								while (term !== undefined) {
+									addToHtmlArray(`<dt class="definition-term">${processInline(term)}</dt>`, true);
+
+									while (/^:[ \t]+\S/.test(lines[0] ?? "")) {
+										const description = [lines.shift().replace(/^:[ \t]+/, "")];
+										while (/^(?: {2,}|\t)\S/.test(lines[0] ?? "")) {
+											description.push(lines.shift().trim());
+										}
+										addToHtmlArray(`<dd class="definition-description">${processInline(description.join(" "))}</dd>`, true);
+									}
+
+									// NOTE: a blank line only ends the list when the next paragraph is not another term.
+									let nextIndex = 0;
+									while (nextIndex < lines.length && /^\s*$/.test(lines[nextIndex])) {
+										nextIndex++;
+									}
+
+									if (lines[nextIndex] !== undefined && !/^:/.test(lines[nextIndex]) && /^:[ \t]+\S/.test(lines[nextIndex + 1] ?? "")) {
+										term = lines.splice(0, nextIndex + 1).pop().trim();
+									} else {
+										term = undefined;
+									}
+								}
+
+								addToHtmlArray("</dl>", true);
+								doContinue = true;
+								break;
+							}
+
 							case (meta.isEmpty):
 							{
 								doContinue = true;
@@ -795,13 +1534,18 @@ const EASY_UTILS = (() => {
 						}
 					}
 
-					const markdownArray = [...(content.split("\n"))];
+					const markdownArray = extractFootnoteDefinitions(content.split("\n"));
 
 					parseBlock(markdownArray);
 
 					closeAllTags();
 
-					const output = htmlArray.join("\n");
+					const footnotesHtml = renderFootnotes();
+					if (footnotesHtml) {
+						htmlArray.push(footnotesHtml);
+					}
+
+					const output = htmlArray.join("\n").split(tocPlaceholder).join(renderTableOfContents());
 
 					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
 						Utils.logSyslogMessage({
@@ -940,6 +1684,156 @@ const EASY_UTILS = (() => {
 			};
 		},
 
+		// ANCHOR Function: createPermissionFactory
+		createPermissionFactory: function () {
+			return (moduleSettings) => {
+
+				const getSharedForge = EASY_UTILS.getFunction({ functionName: "getSharedForge", moduleSettings });
+				const getSharedVault = EASY_UTILS.getFunction({ functionName: "getSharedVault", moduleSettings });
+
+				const permissionFactoryKey = "PermissionFactory";
+				const forgeInstance = getSharedForge();
+
+				if (!forgeInstance.getFactory({ name: permissionFactoryKey })) {
+
+					// NOTE: capabilities and roles are declared by modules on every load; only the GM's grants live in EASY_VAULT.
+					const capabilityMap = {};
+					const roleMap = {};
+
+					const getStoredGrants = () => {
+						const vault = getSharedVault();
+						vault.permissions = vault.permissions || { grants: {} };
+						vault.permissions.grants = vault.permissions.grants || {};
+
+						return vault.permissions.grants;
+					};
+
+					// NOTE: until the GM changes a capability it follows the defaultRoles its module declared.
+					const getEffectiveGrants = (capability) => {
+						const stored = getStoredGrants()[capability];
+						if (stored) {
+							return { players: [...stored.players], roles: [...stored.roles], isCustomized: true };
+						}
+
+						return { players: [], roles: [...(capabilityMap[capability]?.defaultRoles || [])], isCustomized: false };
+					};
+
+					const isController = ({ playerId, tokenId, characterId }) => {
+						const token = tokenId ? getObj("graphic", tokenId) : null;
+						const character = getObj("character", characterId || token?.get("represents") || "");
+						const controllers = [token?.get("controlledby"), character?.get("controlledby")]
+							.join(",")
+							.split(",")
+							.map((controller) => { return controller.trim(); });
+
+						return Boolean(playerId) && (controllers.includes("all") || controllers.includes(playerId));
+					};
+
+					roleMap.everyone = { role: "everyone", description: "0x0E5A1041", resolve: () => { return true; } };
+					roleMap.controller = {
+						role: "controller",
+						description: "0x0E5A1042",
+						resolve: (playerId, context) => { return isController({ playerId, ...context }); }
+					};
+
+					const permissionFactoryObject = {
+
+						registerCapability: ({ capability, module, description = "", defaultRoles = [] }) => {
+							capabilityMap[capability] = { capability, module, description, defaultRoles: [...defaultRoles] };
+						},
+
+						// NOTE: resolve(playerId, context) decides membership when a command is used, e.g. "controls the current turn".
+						registerRole: ({ role, description = "", resolve }) => {
+							if (typeof resolve !== "function") {
+								return 1;
+							}
+
+							roleMap[role] = { role, description, resolve };
+
+							return 0;
+						},
+
+						// NOTE: the GM can always use every capability; unknown capabilities are GM-only.
+						can: ({ capability, playerId, context = {} }) => {
+							if (playerId && playerIsGM(playerId)) {
+								return true;
+							}
+							if (!capabilityMap[capability]) {
+								return false;
+							}
+
+							const { players, roles } = getEffectiveGrants(capability);
+							if (players.includes(playerId)) {
+								return true;
+							}
+
+							return roles.some((role) => {
+								try {
+									return roleMap[role]?.resolve(playerId, context) === true;
+								} catch (err) {
+									return false;
+								}
+							});
+						},
+
+						isController,
+
+						grant: ({ capability, playerId, role }) => {
+							if (!capabilityMap[capability] || (role && !roleMap[role]) || (!role && !playerId)) {
+								return 1;
+							}
+
+							const { players, roles } = getEffectiveGrants(capability);
+							const updated = {
+								players: playerId && !players.includes(playerId) ? [...players, playerId] : players,
+								roles: role && !roles.includes(role) ? [...roles, role] : roles,
+							};
+							getStoredGrants()[capability] = updated;
+
+							return 0;
+						},
+
+						revoke: ({ capability, playerId, role }) => {
+							if (!capabilityMap[capability]) {
+								return 1;
+							}
+
+							const { players, roles } = getEffectiveGrants(capability);
+							getStoredGrants()[capability] = {
+								players: players.filter((grantedId) => { return grantedId !== playerId; }),
+								roles: roles.filter((grantedRole) => { return grantedRole !== role; }),
+							};
+
+							return 0;
+						},
+
+						reset: ({ capability }) => {
+							delete getStoredGrants()[capability];
+						},
+
+						getCapabilities: () => {
+							return Object.values(capabilityMap).map((entry) => {
+								return { ...entry, defaultRoles: [...entry.defaultRoles], ...getEffectiveGrants(entry.capability) };
+							});
+						},
+
+						getRoles: () => {
+							return Object.values(roleMap).map(({ role, description }) => { return { role, description }; });
+						},
+
+						init: () => {
+							const vault = getSharedVault();
+							delete vault.permissions;
+						}
+					};
+
+					forgeInstance.setFactory({ name: permissionFactoryKey, factory: permissionFactoryObject });
+				}
+
+				return forgeInstance.getFactory({ name: permissionFactoryKey });
+			};
+		},
+
 		// ANCHOR Function: createPhraseFactory
 		createPhraseFactory: function () {
 			return (moduleSettings) => {
@@ -959,15 +1853,16 @@ const EASY_UTILS = (() => {
 					const loadedLanguagePhrases = {};
 					const languageUsageCounts = {};
 					const contributedLanguagePhrases = {};
+					const dictionaryLanguagePhrases = {};
 
 					const playerLanguagesMap = sharedVault.playerLanguages || {};
 					sharedVault.playerLanguages = playerLanguagesMap;
 
-					const registeredLanguages = new Set(["enUS", "frFR"]);
+					const registeredLanguages = new Set([defaultLanguageCode]);
 
+					// NOTE: dictionaries loaded from "Easy-Utils: Lang <code>" handouts win over the phrases modules add() in code.
 					function loadLanguageDictionary(languageCode) {
-						// Returns empty dictionary - modules populate their own phrases
-						return {};
+						return { ...(contributedLanguagePhrases[languageCode] || {}), ...(dictionaryLanguagePhrases[languageCode] || {}) };
 					}
 
 					function loadOrCreateLanguage(languageCode) {
@@ -975,17 +1870,15 @@ const EASY_UTILS = (() => {
 							return;
 						}
 
-						const builtInDictionary = loadLanguageDictionary(languageCode);
-
-						loadedLanguagePhrases[languageCode] = builtInDictionary || {};
-
-						if (contributedLanguagePhrases[languageCode]) {
-							Object.assign(loadedLanguagePhrases[languageCode], contributedLanguagePhrases[languageCode]);
-						}
+						loadedLanguagePhrases[languageCode] = loadLanguageDictionary(languageCode);
 
 						registeredLanguages.add(languageCode);
 					}
 
+					function toLocale(languageCode) {
+						return `${languageCode}`.replace(/^([a-z]{2,3})([A-Z]{2})$/, "$1-$2");
+					}
+
 					function unloadLanguage(languageCode) {
 						if (languageUsageCounts[languageCode] <= 0 && languageCode !== defaultLanguageCode) {
 							delete loadedLanguagePhrases[languageCode];
@@ -1009,7 +1902,7 @@ const EASY_UTILS = (() => {
 								return transUnitId;
 							}
 
-							return replacePlaceholders({ text: template, expressions });
+							return replacePlaceholders({ text: template, expressions, locale: toLocale(currentLanguageDict[transUnitId] ? lang : defaultLanguageCode) });
 						},
 
 						add({ newMap }) {
@@ -1020,11 +1913,28 @@ const EASY_UTILS = (() => {
 								Object.assign(contributedLanguagePhrases[langCode], phraseMap);
 
 								if (loadedLanguagePhrases[langCode]) {
-									Object.assign(loadedLanguagePhrases[langCode], phraseMap);
+									Object.assign(loadedLanguagePhrases[langCode], phraseMap, dictionaryLanguagePhrases[langCode] || {});
 								}
 							}
 						},
 
+						loadDictionary({ language, phrases }) {
+							registeredLanguages.add(language);
+							dictionaryLanguagePhrases[language] = { ...phrases };
+
+							if (loadedLanguagePhrases[language]) {
+								loadedLanguagePhrases[language] = loadLanguageDictionary(language);
+							}
+						},
+
+						getMissing({ language }) {
+							const translated = loadLanguageDictionary(language);
+
+							return Object.keys(loadLanguageDictionary(defaultLanguageCode))
+								.filter((transUnitId) => { return translated[transUnitId] === undefined; })
+								.sort();
+						},
+
 						setLanguage({ playerId, language }) {
 							const oldLang = playerLanguagesMap[playerId];
 							if (oldLang && languageUsageCounts[oldLang]) {
@@ -1043,6 +1953,10 @@ const EASY_UTILS = (() => {
 							languageUsageCounts[language] = (languageUsageCounts[language] || 0) + 1;
 						},
 
+						getLocale({ playerId = "default" } = {}) {
+							return toLocale(playerLanguagesMap[playerId] || defaultLanguageCode);
+						},
+
 						getLanguages() {
 							const loadedLangs = Object.keys(loadedLanguagePhrases);
 							const allLangs = new Set([...registeredLanguages, ...loadedLangs]);
@@ -1064,6 +1978,9 @@ const EASY_UTILS = (() => {
 							for (const langCode of Object.keys(contributedLanguagePhrases)) {
 								delete contributedLanguagePhrases[langCode];
 							}
+							for (const langCode of Object.keys(dictionaryLanguagePhrases)) {
+								delete dictionaryLanguagePhrases[langCode];
+							}
 							for (const langCode of Object.keys(languageUsageCounts)) {
 								delete languageUsageCounts[langCode];
 							}
@@ -1113,7 +2030,8 @@ const EASY_UTILS = (() => {
 
 					const templateFactoryObject = {
 
-						get: ({ template, expressions = {} } = {}) => {
+						// NOTE: locale is handed to the filters, so {{ day | ordinal }} formats for the reader.
+						get: ({ template, expressions = {}, escapeHtml = true, locale } = {}) => {
 							if (!templateMemoryMap[template]) {
 								// No template found - return expressions as JSON for debugging
 								return JSON.stringify(expressions);
@@ -1121,7 +2039,16 @@ const EASY_UTILS = (() => {
 
 							const templateString = templateMemoryMap[template];
 
-							return convertToSingleLine({ multiline: (replacePlaceholders({ text: templateString, expressions })) });
+							// NOTE: Other registered templates are available as partials via {{> templateName }}
+							return convertToSingleLine({
+								multiline: (replacePlaceholders({
+									text: templateString,
+									expressions,
+									escapeHtml,
+									locale,
+									partials: (partialName) => { return templateMemoryMap[partialName]; }
+								}))
+							});
 						},
 
 						set: ({ newMap }) => {
@@ -1129,22 +2056,26 @@ const EASY_UTILS = (() => {
 								delete templateMemoryMap[key];
 							});
 							Object.assign(templateMemoryMap, newMap);
+							renderCache.clear();
 						},
 
 						add: ({ newTemplates }) => {
 							Object.entries(newTemplates).forEach(([name, htmlString]) => {
 								templateMemoryMap[name] = htmlString.trim();
 							});
+							renderCache.clear();
 						},
 
 						remove: ({ template }) => {
 							delete templateMemoryMap[template];
+							renderCache.clear();
 						},
 
 						init: () => {
 							Object.keys(templateMemoryMap).forEach((key) => {
 								delete templateMemoryMap[key];
 							});
+							renderCache.clear();
 						},
 
 						getRaw: ({ template }) => {
@@ -1205,22 +2136,26 @@ const EASY_UTILS = (() => {
 								delete themeMemoryMap[key];
 							});
 							Object.assign(themeMemoryMap, newMap);
+							renderCache.clear();
 						},
 
 						add: ({ newThemes }) => {
 							Object.entries(newThemes).forEach(([name, themeString]) => {
 								themeMemoryMap[name] = themeString.trim();
 							});
+							renderCache.clear();
 						},
 
 						remove: ({ theme }) => {
 							delete themeMemoryMap[theme];
+							renderCache.clear();
 						},
 
 						init: () => {
 							Object.keys(themeMemoryMap).forEach((key) => {
 								delete themeMemoryMap[key];
 							});
+							renderCache.clear();
 
 							const vault = getSharedVault();
 							if (vault.customStyle) {
@@ -1252,6 +2187,27 @@ const EASY_UTILS = (() => {
 						getRootVariables: () => {
 							const vault = getSharedVault();
 							return vault.customStyle || {};
+						},
+
+						// NOTE: a player's cssVars are layered over customStyle whenever something is rendered for them.
+						getPlayerPreferences: ({ playerId }) => {
+							const vault = getSharedVault();
+							const stored = (vault.playerPreferences || {})[playerId] || {};
+
+							return { palette: "", cssVars: {}, fontScale: 100, verbosity: "detailed", ...stored };
+						},
+
+						setPlayerPreferences: ({ playerId, preferences }) => {
+							const vault = getSharedVault();
+							vault.playerPreferences = vault.playerPreferences || {};
+							vault.playerPreferences[playerId] = { ...(vault.playerPreferences[playerId] || {}), ...preferences };
+						},
+
+						resetPlayerPreferences: ({ playerId }) => {
+							const vault = getSharedVault();
+							if (vault.playerPreferences) {
+								delete vault.playerPreferences[playerId];
+							}
 						}
 					};
 
@@ -1617,243 +2573,3291 @@ const EASY_UTILS = (() => {
 			};
 		},
 
-		// ANCHOR Util: getGlobalSettings
-		getGlobalSettings: function () {
+		// ANCHOR Util: diffJson
+		diffJson: function () {
 			return (moduleSettings) => {
 
-				const thisFuncDebugName = "getGlobalSettings";
+				const thisFuncDebugName = "diffJson";
 
-				return () => {
+				const isPlainObject = (value) => {
+					return value !== null && typeof value === "object" && !Array.isArray(value);
+				};
 
-					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
-						Utils.logSyslogMessage({
-							severity: "DEBUG",
-							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
-							transUnitId: "70000",
-							message: JSON.stringify(globalSettings),
-						});
-					}
+				// NOTE: paths are prefixed "+" when added, "-" when removed and "~" when changed; depth limits how far objects are opened.
+				const listChanges = (before, after, prefix, depth) => {
+					const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
 
-					return globalSettings;
-				};
-			};
-		},
+					return keys.flatMap((key) => {
+						const path = `${prefix}${key}`;
 
-		// ANCHOR Util: getSharedForge
-		getSharedForge: function () {
-			return (moduleSettings) => {
+						if (!(key in after)) return [`-${path}`];
+						if (!(key in before)) return [`+${path}`];
+						if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return [];
+						if (depth > 1 && isPlainObject(before[key]) && isPlainObject(after[key])) {
+							return listChanges(before[key], after[key], `${path}.`, depth - 1);
+						}
 
-				const thisFuncDebugName = "getSharedForge";
+						return [`~${path}`];
+					});
+				};
 
-				return () => {
+				return ({ before, after, depth = 2 }) => {
+
+					const changes = listChanges(isPlainObject(before) ? before : {}, isPlainObject(after) ? after : {}, "", depth);
 
 					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
 						Utils.logSyslogMessage({
 							severity: "DEBUG",
 							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
 							transUnitId: "70000",
-							message: JSON.stringify(globalSettings.sharedForge),
+							message: JSON.stringify(changes),
 						});
 					}
 
-					return globalSettings.sharedForge;
+					return changes;
 				};
 			};
 		},
 
-		// ANCHOR Util: getSharedVault
-		getSharedVault: function () {
+		// ANCHOR Util: expandCssShorthand
+		expandCssShorthand: function () {
 			return (moduleSettings) => {
 
-				const thisFuncDebugName = "getSharedVault";
+				const thisFuncDebugName = "expandCssShorthand";
+
+				const SIDES = ["top", "right", "bottom", "left"];
+				const CSS_WIDE_KEYWORDS = ["inherit", "initial", "unset", "revert"];
+				const BORDER_STYLES = ["none", "hidden", "dotted", "dashed", "solid", "double", "groove", "ridge", "inset", "outset"];
+				const BACKGROUND_REPEATS = ["repeat", "repeat-x", "repeat-y", "no-repeat", "space", "round"];
+				const BACKGROUND_ATTACHMENTS = ["scroll", "fixed", "local"];
+				const POSITION_KEYWORDS = ["left", "right", "top", "bottom", "center"];
+				const FONT_STYLES = ["italic", "oblique"];
+				const FONT_WEIGHTS = ["bold", "bolder", "lighter", "100", "200", "300", "400", "500", "600", "700", "800", "900"];
+				const FONT_SIZES = ["xx-small", "x-small", "small", "medium", "large", "x-large", "xx-large", "xxx-large", "smaller", "larger"];
+
+				const lengthRegex = /^-?(\d+|\d*\.\d+)(px|em|rem|%|pt|pc|cm|mm|in|ex|ch|vw|vh|vmin|vmax)?$/i;
+				const calcRegex = /^(calc|min|max|clamp)\(/i;
+
+				const isLength = (token) => { return lengthRegex.test(token) || calcRegex.test(token); };
+
+				// NOTE: Splits on whitespace (or a custom separator) outside of parentheses and quotes.
+				function splitValue(value, separator = /\s/) {
+					const parts = [];
+					let depth = 0;
+					let quote = null;
+					let current = "";
+
+					for (const char of value) {
+						if (quote) {
+							if (char === quote) quote = null;
+						} else if (char === "\"" || char === "'") {
+							quote = char;
+						} else if (char === "(") {
+							depth++;
+						} else if (char === ")") {
+							depth--;
+						} else if (depth === 0 && separator.test(char)) {
+							parts.push(current);
+							current = "";
+							continue;
+						}
+						current += char;
+					}
+					parts.push(current);
 
-				return () => {
+					return parts.map((part) => { return part.trim(); }).filter(Boolean);
+				}
 
-					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
-						Utils.logSyslogMessage({
-							severity: "DEBUG",
-							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
-							transUnitId: "70000",
-							message: JSON.stringify(globalSettings.sharedVault),
-						});
+				function expandBoxSides(prefix, suffix, tokens) {
+					if (tokens.length < 1 || tokens.length > 4) {
+						return null;
 					}
+					const [top, right = top, bottom = top, left = right] = tokens;
 
-					return globalSettings.sharedVault;
-				};
-			};
-		},
+					return Object.fromEntries([top, right, bottom, left].map((token, i) => { return [`${prefix}-${SIDES[i]}${suffix}`, token]; }));
+				}
 
-		// ANCHOR Util: logSyslogMessage
-		logSyslogMessage: function () {
-			return (moduleSettings) => {
-				const getSyslogTimestamp = () => { return new Date().toISOString(); };
+				function expandBorderSide(property, tokens) {
+					const sideValues = { width: "medium", style: "none", color: "currentcolor" };
+					const seen = new Set();
 
-				return ({ severity, tag, transUnitId, message }) => {
-					const severityMap = {
-						3: "ERROR",
-						4: "WARN",
-						6: "INFO",
-						7: "DEBUG",
+					for (const token of tokens) {
+						const lowered = token.toLowerCase();
+						const part = BORDER_STYLES.includes(lowered) ? "style"
+							: isLength(token) || ["thin", "medium", "thick"].includes(lowered) ? "width"
+								: "color";
+						if (seen.has(part)) {
+							return null;
+						}
+						seen.add(part);
+						sideValues[part] = token;
+					}
+
+					return {
+						[`${property}-width`]: sideValues.width,
+						[`${property}-style`]: sideValues.style,
+						[`${property}-color`]: sideValues.color
 					};
+				}
 
-					const reverseSeverityMap = Object.fromEntries(
-						Object.entries(severityMap).map(([key, value]) => { return [value, parseInt(key)]; })
-					);
+				function expandBackground(tokens) {
+					const longhands = {
+						"background-color": "transparent",
+						"background-image": "none",
+						"background-repeat": "repeat",
+						"background-position": "0% 0%",
+						"background-size": "auto",
+						"background-attachment": "scroll"
+					};
+					const positionTokens = [];
+					const sizeTokens = [];
+					let afterSlash = false;
 
-					let normalizedSeverity;
-					if (typeof severity === "number" && severityMap[severity]) {
-						normalizedSeverity = severity;
-					} else if (typeof severity === "string" && reverseSeverityMap[severity.toUpperCase()]) {
-						normalizedSeverity = reverseSeverityMap[severity.toUpperCase()];
-					} else {
-						normalizedSeverity = 6;
+					for (const token of tokens) {
+						const lowered = token.toLowerCase();
+						if (token === "/") {
+							afterSlash = true;
+						} else if (afterSlash && (isLength(token) || ["auto", "cover", "contain"].includes(lowered))) {
+							sizeTokens.push(token);
+						} else if (lowered === "none" || /^(url|(repeating-)?(linear|radial|conic)-gradient|image-set)\(/.test(lowered)) {
+							longhands["background-image"] = token;
+						} else if (BACKGROUND_REPEATS.includes(lowered)) {
+							longhands["background-repeat"] = token;
+						} else if (BACKGROUND_ATTACHMENTS.includes(lowered)) {
+							longhands["background-attachment"] = token;
+						} else if (POSITION_KEYWORDS.includes(lowered) || isLength(token)) {
+							positionTokens.push(token);
+						} else {
+							longhands["background-color"] = token;
+						}
 					}
 
-					const moduleName = moduleSettings?.readableName || "UNKNOWN_MODULE";
-					const logMessage = `<${severityMap[normalizedSeverity]}> ${getSyslogTimestamp()} [${moduleName}](${tag}): {"transUnitId": ${transUnitId}, "message": "${message}"}`;
+					if (positionTokens.length) longhands["background-position"] = positionTokens.join(" ");
+					if (sizeTokens.length) longhands["background-size"] = sizeTokens.join(" ");
 
-					try {
-						log(logMessage);
-						return 0;
-					} catch (err) {
-						return 1;
+					return longhands;
+				}
+
+				function expandFont(tokens) {
+					const longhands = {
+						"font-style": "normal",
+						"font-variant": "normal",
+						"font-weight": "normal",
+						"font-size": null,
+						"line-height": "normal",
+						"font-family": null
+					};
+
+					let index = 0;
+					while (index < tokens.length && longhands["font-size"] === null) {
+						const token = tokens[index];
+						const lowered = token.toLowerCase();
+						const slashIndex = token.indexOf("/");
+						const sizePart = slashIndex > 0 ? token.slice(0, slashIndex) : token;
+
+						if (FONT_STYLES.includes(lowered)) {
+							longhands["font-style"] = token;
+						} else if (lowered === "small-caps") {
+							longhands["font-variant"] = token;
+						} else if (FONT_WEIGHTS.includes(lowered)) {
+							longhands["font-weight"] = token;
+						} else if (isLength(sizePart) || FONT_SIZES.includes(sizePart.toLowerCase())) {
+							longhands["font-size"] = sizePart;
+							if (slashIndex > 0) {
+								longhands["line-height"] = token.slice(slashIndex + 1);
+							} else if (tokens[index + 1] === "/" && tokens[index + 2]) {
+								longhands["line-height"] = tokens[index + 2];
+								index += 2;
+							} else if (tokens[index + 1]?.startsWith("/")) {
+								longhands["line-height"] = tokens[index + 1].slice(1);
+								index++;
+							}
+						} else if (lowered !== "normal") {
+							return null;
+						}
+						index++;
 					}
-				};
-			};
-		},
 
-		// ANCHOR Util: parseChatCommands
-		parseChatCommands: function () {
-			return (moduleSettings) => {
+					const family = tokens.slice(index).join(" ");
+					if (longhands["font-size"] === null || !family) {
+						return null;
+					}
+					longhands["font-family"] = family;
 
-				const thisFuncDebugName = "parseChatCommands";
+					return longhands;
+				}
+
+				function expand(property, value) {
+					const tokens = splitValue(value);
+
+					if (tokens.length === 1 && CSS_WIDE_KEYWORDS.includes(tokens[0].toLowerCase())) {
+						const longhands = expand(property, property === "font" ? "medium serif" : "0");
+
+						return longhands && Object.fromEntries(Object.keys(longhands).map((longhand) => { return [longhand, tokens[0]]; }));
+					}
+
+					switch (property) {
+					case "margin":
+					case "padding":
+						return expandBoxSides(property, "", tokens);
+					case "border-width":
+					case "border-style":
+					case "border-color":
+						return expandBoxSides("border", property.slice("border".length), tokens);
+					case "border":
+						return SIDES.reduce((longhands, side) => {
+							const sideLonghands = expandBorderSide(`border-${side}`, tokens);
+
+							return longhands && sideLonghands ? Object.assign(longhands, sideLonghands) : null;
+						}, {});
+					case "border-top":
+					case "border-right":
+					case "border-bottom":
+					case "border-left":
+						return expandBorderSide(property, tokens);
+					case "background":
+						return splitValue(value, /,/).length > 1 ? null : expandBackground(tokens);
+					case "font":
+						return expandFont(tokens);
+					default:
+						return null;
+					}
+				}
+
+				// NOTE: Returns longhands for known shorthands; anything it cannot safely expand (including unresolved var()) is returned as-is.
+				return ({ property, value }) => {
+					const normalizedProperty = `${property}`.trim().toLowerCase();
+					const rawValue = `${value}`.trim();
+
+					try {
+						const importantMatch = rawValue.match(/\s*!\s*important$/i);
+						const bareValue = importantMatch ? rawValue.slice(0, importantMatch.index) : rawValue;
+
+						const longhands = /var\(/i.test(bareValue) ? null : expand(normalizedProperty, bareValue);
+						if (!longhands) {
+							return { [normalizedProperty]: rawValue };
+						}
+
+						if (importantMatch) {
+							Object.keys(longhands).forEach((longhand) => { longhands[longhand] += " !important"; });
+						}
+
+						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message: JSON.stringify(longhands),
+							});
+						}
+
+						return longhands;
+
+					} catch (err) {
+						const msgId = "50000";
+						Utils.logSyslogMessage({
+							severity: "ERROR",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: msgId,
+							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
+						});
+
+						return { [normalizedProperty]: rawValue };
+					}
+				};
+			};
+		},
+
+		// ANCHOR Util: formatDuration
+		formatDuration: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "formatDuration";
+
+				const formatList = EASY_UTILS.getFunction({ functionName: "formatList", moduleSettings });
+				const formatNumber = EASY_UTILS.getFunction({ functionName: "formatNumber", moduleSettings });
+
+				// NOTE: a combat round is six seconds of game time.
+				const unitSeconds = { week: 604800, day: 86400, hour: 3600, minute: 60, round: 6, second: 1 };
+				const breakdownUnits = ["day", "hour", "minute", "second"];
+
+				return ({ value, unit = "second", relative = false, locale, playerId }) => {
+
+					const resolvedLocale = locale || PhraseFactory.getLocale({ playerId });
+					const totalSeconds = Number(value) * (unitSeconds[unit] || 1);
+
+					if (!Number.isFinite(totalSeconds)) {
+						return `${value}`;
+					}
+
+					let output;
+
+					// NOTE: relative output uses the largest whole unit, e.g. "in 2 hours" or "3 days ago".
+					if (relative) {
+						const relativeUnit = ["week", "day", "hour", "minute"].find((name) => { return Math.abs(totalSeconds) >= unitSeconds[name]; }) || "second";
+						const amount = Math.round(totalSeconds / unitSeconds[relativeUnit]);
+
+						try {
+							output = new Intl.RelativeTimeFormat(resolvedLocale, { numeric: "auto" }).format(amount, relativeUnit);
+						} catch (err) {
+							const label = `${Math.abs(amount)} ${relativeUnit}${Math.abs(amount) === 1 ? "" : "s"}`;
+							output = amount < 0 ? `${label} ago` : `in ${label}`;
+						}
+					} else {
+						let remaining = Math.abs(Math.round(totalSeconds));
+						const parts = breakdownUnits.reduce((accumulator, name) => {
+							const amount = Math.floor(remaining / unitSeconds[name]);
+							remaining -= amount * unitSeconds[name];
+
+							return amount > 0 ? [...accumulator, formatNumber({ value: amount, unit: name, locale: resolvedLocale })] : accumulator;
+						}, []);
+
+						output = parts.length > 0
+							? formatList({ items: parts, locale: resolvedLocale })
+							: formatNumber({ value: 0, unit: "second", locale: resolvedLocale });
+					}
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: `${value} ${unit} (${resolvedLocale}): ${output}`,
+						});
+					}
+
+					return output;
+				};
+			};
+		},
+
+		// ANCHOR Util: formatList
+		formatList: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "formatList";
+
+				// NOTE: type "conjunction" joins with "and", "disjunction" with "or".
+				return ({ items = [], type = "conjunction", locale, playerId }) => {
+
+					const resolvedLocale = locale || PhraseFactory.getLocale({ playerId });
+					const values = (Array.isArray(items) ? items : [items]).map((item) => { return `${item}`; });
+
+					let output;
+
+					try {
+						output = new Intl.ListFormat(resolvedLocale, { style: "long", type }).format(values);
+					} catch (err) {
+						const joiner = type === "disjunction" ? "or" : "and";
+						output = values.length < 2
+							? values.join("")
+							: `${values.slice(0, -1).join(", ")} ${joiner} ${values[values.length - 1]}`;
+					}
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: `${resolvedLocale}: ${output}`,
+						});
+					}
+
+					return output;
+				};
+			};
+		},
+
+		// ANCHOR Util: formatNumber
+		formatNumber: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "formatNumber";
+
+				// NOTE: signed shows "+2" and "-1" for effect counters; unit adds a localized unit name such as "3 hours".
+				return ({ value, signed = false, unit, decimals, locale, playerId }) => {
+
+					const resolvedLocale = locale || PhraseFactory.getLocale({ playerId });
+					const number = Number(value);
+
+					if (value === null || value === "" || !Number.isFinite(number)) {
+						return value === undefined || value === null ? "" : `${value}`;
+					}
+
+					const options = {
+						...(signed ? { signDisplay: "exceptZero" } : {}),
+						...(unit ? { style: "unit", unit, unitDisplay: "long" } : {}),
+						...(decimals !== undefined ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals } : {}),
+					};
+
+					let output;
+
+					try {
+						output = new Intl.NumberFormat(resolvedLocale, options).format(number);
+					} catch (err) {
+						const fixed = decimals !== undefined ? number.toFixed(decimals) : `${number}`;
+						const sign = signed && number > 0 ? "+" : "";
+						output = unit ? `${sign}${fixed} ${unit}${number === 1 ? "" : "s"}` : `${sign}${fixed}`;
+					}
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: `${value} (${resolvedLocale}): ${output}`,
+						});
+					}
+
+					return output;
+				};
+			};
+		},
+
+		// ANCHOR Util: formatOrdinal
+		formatOrdinal: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "formatOrdinal";
+
+				// NOTE: suffixes by language and plural category; languages not listed use a trailing period.
+				const ordinalSuffixes = {
+					en: { one: "st", two: "nd", few: "rd", other: "th" },
+					fr: { one: "er", other: "e" },
+					es: { other: "º" },
+					it: { other: "º" },
+					pt: { other: "º" },
+					nl: { other: "e" },
+					de: { other: "." },
+				};
+
+				return ({ value, locale, playerId }) => {
+
+					const resolvedLocale = locale || PhraseFactory.getLocale({ playerId });
+					const number = Number(value);
+
+					if (!Number.isInteger(number)) {
+						return value === undefined || value === null ? "" : `${value}`;
+					}
+
+					const suffixes = ordinalSuffixes[resolvedLocale.split("-")[0]] || { other: "." };
+					let category;
+
+					try {
+						category = new Intl.PluralRules(resolvedLocale, { type: "ordinal" }).select(number);
+					} catch (err) {
+						const lastTwo = Math.abs(number) % 100;
+						category = lastTwo >= 11 && lastTwo <= 13 ? "other" : ({ 1: "one", 2: "two", 3: "few" })[lastTwo % 10] || "other";
+					}
+
+					const output = `${number}${suffixes[category] || suffixes.other}`;
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: `${value} (${resolvedLocale}): ${output}`,
+						});
+					}
+
+					return output;
+				};
+			};
+		},
+
+		// ANCHOR Util: getGlobalSettings
+		getGlobalSettings: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "getGlobalSettings";
+
+				return () => {
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify(globalSettings),
+						});
+					}
+
+					return globalSettings;
+				};
+			};
+		},
+
+		// ANCHOR Util: getSharedForge
+		getSharedForge: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "getSharedForge";
+
+				return () => {
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify(globalSettings.sharedForge),
+						});
+					}
+
+					return globalSettings.sharedForge;
+				};
+			};
+		},
+
+		// ANCHOR Util: getSharedVault
+		getSharedVault: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "getSharedVault";
+
+				return () => {
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify(globalSettings.sharedVault),
+						});
+					}
+
+					return globalSettings.sharedVault;
+				};
+			};
+		},
+
+		// ANCHOR Util: getSyslogEntries
+		getSyslogEntries: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "getSyslogEntries";
+
+				const severityMap = {
+					3: "ERROR",
+					4: "WARN",
+					6: "INFO",
+					7: "DEBUG",
+				};
+
+				const reverseSeverityMap = Object.fromEntries(
+					Object.entries(severityMap).map(([key, value]) => { return [value, parseInt(key)]; })
+				);
+
+				// NOTE: severity is a ceiling, so "WARN" returns both WARN and ERROR entries.
+				return ({ module, severity, count = 20 } = {}) => {
+
+					const entries = globalSettings.sharedVault.syslog?.entries ?? [];
+					const severityCeiling = typeof severity === "string" ? reverseSeverityMap[severity.toUpperCase()] : undefined;
+
+					const output = entries
+						.filter((entry) => {
+							const matchesModule = !module || entry.module.toLowerCase() === module.toLowerCase();
+							const matchesSeverity = severityCeiling === undefined || reverseSeverityMap[entry.severity] <= severityCeiling;
+
+							return matchesModule && matchesSeverity;
+						})
+						.slice(-count);
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: `Returned ${output.length} of ${entries.length} entries`,
+						});
+					}
+
+					return output;
+				};
+			};
+		},
+
+		// ANCHOR Util: hashText
+		// NOTE: FNV-1a; enough to key caches and tell a damaged or mixed-up backup chunk apart, not a security measure.
+		hashText: function () {
+			// eslint-disable-next-line no-unused-vars
+			return (moduleSettings) => {
+
+				return ({ text }) => {
+					const input = `${text ?? ""}`;
+					let hash = 0x811c9dc5;
+
+					for (let i = 0; i < input.length; i++) {
+						hash ^= input.charCodeAt(i);
+						hash = Math.imul(hash, 0x01000193) >>> 0;
+					}
+
+					return hash.toString(16).padStart(8, "0");
+				};
+			};
+		},
+
+		// ANCHOR Util: logSyslogMessage
+		logSyslogMessage: function () {
+			return (moduleSettings) => {
+				const getSyslogTimestamp = () => { return new Date().toISOString(); };
+
+				const severityMap = {
+					3: "ERROR",
+					4: "WARN",
+					6: "INFO",
+					7: "DEBUG",
+				};
+
+				const reverseSeverityMap = Object.fromEntries(
+					Object.entries(severityMap).map(([key, value]) => { return [value, parseInt(key)]; })
+				);
+
+				// NOTE: the ring buffer and minimum levels live in EASY_VAULT so they survive sandbox restarts.
+				const getSyslogVault = () => {
+					const vault = globalSettings.sharedVault;
+					vault.syslog = vault.syslog || {};
+					vault.syslog.entries = vault.syslog.entries || [];
+					vault.syslog.levels = vault.syslog.levels || {};
+
+					return vault.syslog;
+				};
+
+				return ({ severity, tag, transUnitId, message }) => {
+
+					let normalizedSeverity;
+					if (typeof severity === "number" && severityMap[severity]) {
+						normalizedSeverity = severity;
+					} else if (typeof severity === "string" && reverseSeverityMap[severity.toUpperCase()]) {
+						normalizedSeverity = reverseSeverityMap[severity.toUpperCase()];
+					} else {
+						normalizedSeverity = 6;
+					}
+
+					const moduleName = moduleSettings?.readableName || "UNKNOWN_MODULE";
+
+					try {
+						const syslogVault = getSyslogVault();
+						const chosenLevel = syslogVault.levels[moduleName] || syslogVault.levels["*"];
+						const minimumLevel = chosenLevel || globalSettings.syslogDefaultLevel;
+						if (normalizedSeverity > reverseSeverityMap[minimumLevel]) {
+							return 0;
+						}
+
+						const timestamp = getSyslogTimestamp();
+						const messageText = message instanceof Error ? `${message}` : message;
+						const logMessage = `<${severityMap[normalizedSeverity]}> ${timestamp} [${moduleName}](${tag}): ${JSON.stringify({ transUnitId, message: messageText })}`;
+
+						// NOTE: debug entries carry whole rendered payloads, so the ring in state keeps INFO and above unless the GM
+						// chose a level with --log-level, and each stored message is cut to syslogMaxEntryLength characters.
+						const persistLevel = chosenLevel || globalSettings.syslogDefaultPersistLevel;
+						if (normalizedSeverity <= reverseSeverityMap[persistLevel]) {
+							const storedText = typeof messageText === "string" ? messageText : JSON.stringify(messageText);
+							const maxLength = globalSettings.syslogMaxEntryLength;
+
+							syslogVault.entries.push({
+								timestamp,
+								severity: severityMap[normalizedSeverity],
+								module: moduleName,
+								tag,
+								transUnitId,
+								message: storedText && storedText.length > maxLength ? `${storedText.slice(0, maxLength)}…` : storedText,
+							});
+
+							if (syslogVault.entries.length > globalSettings.syslogMaxEntries) {
+								syslogVault.entries.splice(0, syslogVault.entries.length - globalSettings.syslogMaxEntries);
+							}
+						}
+
+						log(logMessage);
+
+						return 0;
+					} catch (err) {
+						return 1;
+					}
+				};
+			};
+		},
+
+		// ANCHOR Util: parseChatCommands
+		parseChatCommands: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "parseChatCommands";
+
+				const namedEntities = {
+					amp: "&",
+					lt: "<",
+					gt: ">",
+					quot: "\"",
+					apos: "'",
+					nbsp: " ",
+					verbar: "|",
+					vert: "|",
+				};
+
+				// NOTE: Roll20 buttons deliver their href attribute text as-is, so quotes and pipes often arrive as entities.
+				function decodeHtmlEntities(text) {
+					return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+						if (entity[0] === "#") {
+							const codePoint = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+
+							return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+						}
+
+						return namedEntities[entity.toLowerCase()] ?? match;
+					});
+				}
+
+				// NOTE: a token is literal when it opens with a quote or backslash, so "--x" and \--x are arguments, not commands.
+				function tokenizeApiCall(content) {
+					const tokens = [];
+					let currentToken = null;
+					let isQuoted = false;
+
+					for (let i = 0; i < content.length; i++) {
+						const char = content[i];
+
+						if (char === "\\" && i + 1 < content.length) {
+							currentToken = currentToken || { text: "", isLiteral: true };
+							currentToken.text += content[++i];
+						} else if (char === "\"") {
+							currentToken = currentToken || { text: "", isLiteral: true };
+							isQuoted = !isQuoted;
+						} else if (!isQuoted && /\s/.test(char)) {
+							if (currentToken) tokens.push(currentToken);
+							currentToken = null;
+						} else {
+							currentToken = currentToken || { text: "", isLiteral: false };
+							currentToken.text += char;
+						}
+					}
+
+					if (currentToken) tokens.push(currentToken);
+
+					return tokens;
+				}
 
 				return ({ apiCallContent }) => {
 					const commandMap = new Map();
-					const normalizedContent = apiCallContent.trim();
-					const segments = normalizedContent.split("--").filter(segment => { return segment.trim() !== ""; });
-					segments.forEach((segment, index) => {
-						if (index === 0 && segment.trim().startsWith("!")) {
+					const tokens = tokenizeApiCall(decodeHtmlEntities(apiCallContent.trim()));
+					let currentArgs = null;
+
+					tokens.forEach((token) => {
+						if (!token.isLiteral && /^--[^-\s]/.test(token.text)) {
+							currentArgs = [];
+							commandMap.set(token.text.toLowerCase(), currentArgs);
+						} else if (currentArgs) {
+							currentArgs.push(token.text);
+						}
+					});
+
+					const output = commandMap;
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify(output),
+						});
+					}
+
+					return output;
+				};
+			};
+		},
+
+		// ANCHOR Util: parseChatSubcommands
+		parseChatSubcommands: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "parseChatSubcommands";
+
+				const defaultGreedyKeys = ["prompt", "message", "msg"];
+
+				// NOTE: a greedy key takes every argument after it; modules add their own through greedyKeys.
+				return ({ subcommands, greedyKeys: moduleGreedyKeys = [] }) => {
+					const subcommandMap = {};
+
+					const greedyKeys = [...defaultGreedyKeys, ...moduleGreedyKeys];
+
+					for (let i = 0; i < subcommands.length; i++) {
+						const arg = subcommands[i];
+						const delimiterMatch = arg.includes("|") ? "|" : arg.includes("#") ? "#" : null;
+
+						if (delimiterMatch) {
+							const delimiterIndex = arg.indexOf(delimiterMatch);
+							const key = arg.substring(0, delimiterIndex);
+							const value = arg.substring(delimiterIndex + 1);
+
+							if (greedyKeys.includes(key)) {
+								const remainingArgs = subcommands.slice(i + 1);
+								subcommandMap[key] = [value, ...remainingArgs].join(" ");
+								break;
+							} else {
+								subcommandMap[key] = value;
+							}
+						} else {
+							subcommandMap[arg] = true;
+						}
+					}
+
+					const output = subcommandMap;
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify(output),
+						});
+					}
+
+					return output;
+				};
+			};
+		},
+
+		// ANCHOR Util: parseCssSelector
+		parseCssSelector: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "parseCssSelector";
+
+				const identRegex = /^-?[_a-zA-Z\u00A0-\uFFFF][\w\u00A0-\uFFFF-]*/;
+				const attributeRegex = /^\s*([\w-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?\s*$/;
+				const legacyPseudoElements = ["before", "after", "first-line", "first-letter"];
+
+				function findClosing(text, start, openChar, closeChar) {
+					let depth = 0;
+					let quote = null;
+
+					for (let i = start; i < text.length; i++) {
+						const char = text[i];
+						if (quote) {
+							if (char === quote) quote = null;
+						} else if (char === "\"" || char === "'") {
+							quote = char;
+						} else if (char === openChar) {
+							depth++;
+						} else if (char === closeChar) {
+							depth--;
+							if (depth === 0) {
+								return i;
+							}
+						}
+					}
+
+					throw new Error(`Missing "${closeChar}" in selector "${text}"`);
+				}
+
+				function splitSelectorList(selectorText) {
+					const groups = [];
+					let depth = 0;
+					let quote = null;
+					let current = "";
+
+					for (const char of selectorText) {
+						if (quote) {
+							if (char === quote) quote = null;
+						} else if (char === "\"" || char === "'") {
+							quote = char;
+						} else if (char === "(" || char === "[") {
+							depth++;
+						} else if (char === ")" || char === "]") {
+							depth--;
+						} else if (char === "," && depth === 0) {
+							groups.push(current.trim());
+							current = "";
+							continue;
+						}
+						current += char;
+					}
+					groups.push(current.trim());
+
+					return groups.filter(Boolean);
+				}
+
+				function readIdent(text, position) {
+					const identMatch = identRegex.exec(text.slice(position));
+					if (!identMatch) {
+						throw new Error(`Expected a name at position ${position} in selector "${text}"`);
+					}
+
+					return identMatch[0];
+				}
+
+				function parseNthExpression(expression) {
+					const cleaned = expression.replace(/\s+/g, "").toLowerCase();
+
+					if (cleaned === "odd") return { a: 2, b: 1 };
+					if (cleaned === "even") return { a: 2, b: 0 };
+
+					const nthMatch = cleaned.match(/^([+-]?\d*)n([+-]\d+)?$|^([+-]?\d+)$/);
+					if (!nthMatch) {
+						throw new Error(`Invalid nth expression "${expression}"`);
+					}
+
+					if (nthMatch[3] !== undefined) {
+						return { a: 0, b: parseInt(nthMatch[3], 10) };
+					}
+
+					const coefficient = nthMatch[1] === "" || nthMatch[1] === "+" ? 1 : (nthMatch[1] === "-" ? -1 : parseInt(nthMatch[1], 10));
+
+					return { a: coefficient, b: nthMatch[2] ? parseInt(nthMatch[2], 10) : 0 };
+				}
+
+				function parseCompound(text, start) {
+					const compound = { tag: null, ids: [], classes: [], attributes: [], pseudoClasses: [], pseudoElement: null };
+					let position = start;
+
+					while (position < text.length) {
+						const char = text[position];
+
+						if (char === "*" && position === start) {
+							compound.tag = "*";
+							position++;
+						} else if (position === start && identRegex.test(text.slice(position))) {
+							compound.tag = readIdent(text, position).toLowerCase();
+							position += compound.tag.length;
+						} else if (char === "#" || char === ".") {
+							const name = readIdent(text, position + 1);
+							(char === "#" ? compound.ids : compound.classes).push(name);
+							position += name.length + 1;
+						} else if (char === "[") {
+							const end = findClosing(text, position, "[", "]");
+							const attributeMatch = attributeRegex.exec(text.slice(position + 1, end));
+							if (!attributeMatch) {
+								throw new Error(`Invalid attribute selector "${text.slice(position, end + 1)}"`);
+							}
+							compound.attributes.push({
+								name: attributeMatch[1].toLowerCase(),
+								operator: attributeMatch[2] || null,
+								value: attributeMatch[3] ?? attributeMatch[4] ?? attributeMatch[5] ?? null
+							});
+							position = end + 1;
+						} else if (char === ":") {
+							const isPseudoElement = text[position + 1] === ":";
+							position += isPseudoElement ? 2 : 1;
+							const name = readIdent(text, position).toLowerCase();
+							position += name.length;
+
+							let argument = null;
+							if (text[position] === "(") {
+								const end = findClosing(text, position, "(", ")");
+								argument = text.slice(position + 1, end).trim();
+								position = end + 1;
+							}
+
+							if (isPseudoElement || legacyPseudoElements.includes(name)) {
+								compound.pseudoElement = name;
+							} else if (name === "not") {
+								compound.pseudoClasses.push({ name, selectors: parseSelectorList(argument || "") });
+							} else if (/^nth-/.test(name)) {
+								compound.pseudoClasses.push({ name, nth: parseNthExpression(argument || "") });
+							} else {
+								compound.pseudoClasses.push({ name, argument });
+							}
+						} else {
+							break;
+						}
+					}
+
+					return { compound, end: position };
+				}
+
+				function parseComplexSelector(selectorText) {
+					const steps = [];
+					let pendingCombinator = null;
+					let position = 0;
+
+					while (position < selectorText.length) {
+						const char = selectorText[position];
+
+						if (/\s/.test(char)) {
+							if (steps.length > 0) pendingCombinator = pendingCombinator || " ";
+							position++;
+							continue;
+						}
+
+						if (char === ">" || char === "+" || char === "~") {
+							if (steps.length === 0) {
+								throw new Error(`Selector "${selectorText}" cannot start with a combinator`);
+							}
+							pendingCombinator = char;
+							position++;
+							continue;
+						}
+
+						const { compound, end } = parseCompound(selectorText, position);
+						if (end === position) {
+							throw new Error(`Unexpected "${char}" in selector "${selectorText}"`);
+						}
+
+						steps.push({ combinator: steps.length > 0 ? (pendingCombinator || " ") : null, compound });
+						pendingCombinator = null;
+						position = end;
+					}
+
+					if (steps.length === 0 || pendingCombinator && pendingCombinator !== " ") {
+						throw new Error(`Incomplete selector "${selectorText}"`);
+					}
+
+					return steps;
+				}
+
+				// NOTE: Specificity is encoded as ids * 100 + classes/attributes/pseudo-classes * 10 + types/pseudo-elements.
+				function calculateSelectorSpecificity(steps) {
+					return steps.reduce((total, { compound }) => {
+						let specificity = compound.ids.length * 100
+							+ (compound.classes.length + compound.attributes.length) * 10
+							+ (compound.tag && compound.tag !== "*" ? 1 : 0)
+							+ (compound.pseudoElement ? 1 : 0);
+
+						compound.pseudoClasses.forEach((pseudoClass) => {
+							if (pseudoClass.name === "not") {
+								specificity += Math.max(0, ...pseudoClass.selectors.map((s) => { return s.specificity; }));
+							} else {
+								specificity += 10;
+							}
+						});
+
+						return total + specificity;
+					}, 0);
+				}
+
+				function parseSelectorList(selectorText) {
+					return splitSelectorList(selectorText).map((text) => {
+						const steps = parseComplexSelector(text);
+
+						return { text, steps, specificity: calculateSelectorSpecificity(steps) };
+					});
+				}
+
+				return ({ selector }) => {
+					try {
+						const output = parseSelectorList(`${selector}`);
+
+						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message: JSON.stringify(output),
+							});
+						}
+
+						return output;
+
+					} catch (err) {
+						const msgId = "40000";
+						Utils.logSyslogMessage({
+							severity: "WARN",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: msgId,
+							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err.message } })
+						});
+
+						return [];
+					}
+				};
+			};
+		},
+
+		// ANCHOR Util: parseMarkdownToAst
+		parseMarkdownToAst: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "parseMarkdownToAst";
+
+				// NOTE: Follows the CommonMark 0.31 parsing strategy: block structure line by line, then inlines per leaf block.
+				const CODE_INDENT = 4;
+				const ESCAPABLE = "[!\"#$%&'()*+,./:;<=>?@[\\\\\\]^_`{|}~-]";
+				const ENTITY = "&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});";
+
+				const TAG_NAME = "[A-Za-z][A-Za-z0-9-]*";
+				const ATTRIBUTE = "(?:\\s+[a-zA-Z_:][a-zA-Z0-9:._-]*(?:\\s*=\\s*(?:[^\"'=<>`\\x00-\\x20]+|'[^']*'|\"[^\"]*\"))?)";
+				const OPEN_TAG = `<${TAG_NAME}${ATTRIBUTE}*\\s*/?>`;
+				const CLOSE_TAG = `</${TAG_NAME}\\s*[>]`;
+				const HTML_TAG = `(?:${OPEN_TAG}|${CLOSE_TAG}|<!-->|<!--->|<!--[\\s\\S]*?-->|[<][?][\\s\\S]*?[?][>]|<![A-Za-z]+[^>]*>|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>)`;
+
+				const HTML_BLOCK_OPEN = [
+					null,
+					/^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+					/^<!--/,
+					/^<[?]/,
+					/^<![A-Za-z]/,
+					/^<!\[CDATA\[/,
+					/^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+					new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG})\\s*$`, "i")
+				];
+				const HTML_BLOCK_CLOSE = [null, /<\/(?:script|pre|textarea|style)>/i, /-->/, /\?>/, />/, /\]\]>/];
+
+				const reThematicBreak = /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/;
+				const reMaybeSpecial = /^[#`~*+_=<>0-9:-]/;
+				const reNonSpace = /[^ \t\f\v\r\n]/;
+				const reBulletListMarker = /^[*+-]/;
+				const reOrderedListMarker = /^(\d{1,9})([.)])/;
+				const reAtxHeadingMarker = /^#{1,6}(?:[ \t]+|$)/;
+				const reCodeFence = /^`{3,}(?!.*`)|^~{3,}/;
+				const reClosingCodeFence = /^(?:`{3,}|~{3,})(?=[ \t]*$)/;
+				const reSetextHeadingLine = /^(?:=+|-+)[ \t]*$/;
+				const reDivFenceOpen = /^:{3,}[ \t]*(\S.*?)[ \t]*$/;
+				const reDivFenceClose = /^:{3,}[ \t]*$/;
+
+				const reEscapable = new RegExp(`^${ESCAPABLE}`);
+				const reEntityHere = new RegExp(`^${ENTITY}`, "i");
+				const reEntityOrEscapedChar = new RegExp(`\\\\${ESCAPABLE}|${ENTITY}`, "gi");
+				const reHtmlTag = new RegExp(`^${HTML_TAG}`, "i");
+				const reTicks = /`+/;
+				const reTicksHere = /^`+/;
+				const reEmailAutolink = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+				const reAutolink = /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/i;
+				const reSpnl = /^ *(?:\n *)?/;
+				const reWhitespaceChar = /^[ \t\n\x0b\x0c\x0d]/;
+				const reUnicodeWhitespaceChar = /^[\t\n\f\r\p{Zs}]/u;
+				const rePunctuation = /^[\p{P}\p{S}]/u;
+				const reFinalSpace = / *$/;
+				const reInitialSpace = /^ */;
+				const reSpaceAtEndOfLine = /^ *(?:\n|$)/;
+				const reLinkLabel = /^\[(?:[^\\[\]]|\\.){0,1000}\]/s;
+				const reLinkTitle = new RegExp(`^(?:"(?:\\\\${ESCAPABLE}|\\\\[^\\\\]|[^\\\\"\\x00])*"|'(?:\\\\${ESCAPABLE}|\\\\[^\\\\]|[^\\\\'\\x00])*'|\\((?:\\\\${ESCAPABLE}|\\\\[^\\\\]|[^\\\\()\\x00])*\\))`);
+				const reLinkDestinationBraces = /^(?:<(?:[^<>\n\\\x00]|\\.)*>)/;
+				const reMain = /^[^\n`[\]\\!<&*_^=~]+/;
+
+				const NAMED_ENTITIES = Object.fromEntries([
+					"AElig:c6,Aacute:c1,Acirc:c2,Agrave:c0,Alpha:391,Aring:c5,Atilde:c3,Auml:c4,Beta:392,Ccedil:c7,Chi:3a7,ClockwiseContourIntegral:2232",
+					"Dagger:2021,Dcaron:10e,Delta:394,DifferentialD:2146,ETH:d0,Eacute:c9,Ecirc:ca,Egrave:c8,Epsilon:395,Eta:397,Euml:cb,Gamma:393",
+					"HilbertSpace:210b,Iacute:cd,Icirc:ce,Igrave:cc,Iota:399,Iuml:cf,Kappa:39a,Lambda:39b,Mu:39c,Ntilde:d1,Nu:39d,OElig:152,Oacute:d3,Ocirc:d4",
+					"Ograve:d2,Omega:3a9,Omicron:39f,Oslash:d8,Otilde:d5,Ouml:d6,Phi:3a6,Pi:3a0,Prime:2033,Psi:3a8,Rho:3a1,Scaron:160,Sigma:3a3,THORN:de,Tau:3a4",
+					"Theta:398,Uacute:da,Ucirc:db,Ugrave:d9,Upsilon:3a5,Uuml:dc,Xi:39e,Yacute:dd,Yuml:178,Zeta:396,aacute:e1,acirc:e2,acute:b4,aelig:e6,agrave:e0",
+					"alefsym:2135,alpha:3b1,amp:26,and:2227,ang:2220,apos:27,aring:e5,asymp:2248,atilde:e3,auml:e4,bdquo:201e,beta:3b2,brvbar:a6,bull:2022",
+					"cap:2229,ccedil:e7,cedil:b8,cent:a2,chi:3c7,circ:2c6,clubs:2663,cong:2245,copy:a9,crarr:21b5,cup:222a,curren:a4,dArr:21d3,dagger:2020",
+					"darr:2193,deg:b0,delta:3b4,diams:2666,divide:f7,eacute:e9,ecirc:ea,egrave:e8,empty:2205,emsp:2003,ensp:2002,epsilon:3b5,equiv:2261,eta:3b7",
+					"eth:f0,euml:eb,euro:20ac,exist:2203,fnof:192,forall:2200,frac12:bd,frac14:bc,frac34:be,frasl:2044,gamma:3b3,ge:2265,gt:3e,hArr:21d4",
+					"harr:2194,hearts:2665,hellip:2026,iacute:ed,icirc:ee,iexcl:a1,igrave:ec,image:2111,infin:221e,int:222b,iota:3b9,iquest:bf,isin:2208,iuml:ef",
+					"kappa:3ba,lArr:21d0,lambda:3bb,lang:2329,laquo:ab,larr:2190,lceil:2308,ldquo:201c,le:2264,lfloor:230a,lowast:2217,loz:25ca,lrm:200e",
+					"lsaquo:2039,lsquo:2018,lt:3c,macr:af,mdash:2014,micro:b5,middot:b7,minus:2212,mu:3bc,nabla:2207,nbsp:a0,ndash:2013,ne:2260,ni:220b,not:ac",
+					"notin:2209,nsub:2284,ntilde:f1,nu:3bd,oacute:f3,ocirc:f4,oelig:153,ograve:f2,oline:203e,omega:3c9,omicron:3bf,oplus:2295,or:2228,ordf:aa",
+					"ordm:ba,oslash:f8,otilde:f5,otimes:2297,ouml:f6,para:b6,part:2202,permil:2030,perp:22a5,phi:3c6,pi:3c0,piv:3d6,plusmn:b1,pound:a3,prime:2032",
+					"prod:220f,prop:221d,psi:3c8,quot:22,rArr:21d2,radic:221a,rang:232a,raquo:bb,rarr:2192,rceil:2309,rdquo:201d,real:211c,reg:ae,rfloor:230b",
+					"rho:3c1,rlm:200f,rsaquo:203a,rsquo:2019,sbquo:201a,scaron:161,sdot:22c5,sect:a7,shy:ad,sigma:3c3,sigmaf:3c2,sim:223c,spades:2660,sub:2282",
+					"sube:2286,sum:2211,sup:2283,sup1:b9,sup2:b2,sup3:b3,supe:2287,szlig:df,tau:3c4,there4:2234,theta:3b8,thetasym:3d1,thinsp:2009,thorn:fe",
+					"tilde:2dc,times:d7,trade:2122,uArr:21d1,uacute:fa,uarr:2191,ucirc:fb,ugrave:f9,uml:a8,upsih:3d2,upsilon:3c5,uuml:fc,weierp:2118,xi:3be",
+					"yacute:fd,yen:a5,yuml:ff,zeta:3b6,zwj:200d,zwnj:200c",
+				].join(",").split(",").map((pair) => {
+					const [name, hex] = pair.split(":");
+
+					return [name, String.fromCodePoint(parseInt(hex, 16))];
+				}));
+
+				function decodeEntity(entity) {
+					const numericMatch = entity.match(/^&#(x?)([0-9a-f]+);$/i);
+					if (numericMatch) {
+						const codePoint = parseInt(numericMatch[2], numericMatch[1] ? 16 : 10);
+						const isInvalid = codePoint === 0 || codePoint > 0x10FFFF || codePoint >= 0xD800 && codePoint <= 0xDFFF;
+
+						return String.fromCodePoint(isInvalid ? 0xFFFD : codePoint);
+					}
+
+					return NAMED_ENTITIES[entity.slice(1, -1)] ?? entity;
+				}
+
+				function unescapeString(text) {
+					return /[\\&]/.test(text)
+						? text.replace(reEntityOrEscapedChar, (match) => { return match[0] === "\\" ? match[1] : decodeEntity(match); })
+						: text;
+				}
+
+				// NOTE: Percent-encodes a destination the way browsers would, keeping existing %XX escapes intact.
+				function normalizeUri(uri) {
+					let output = "";
+					for (let i = 0; i < uri.length; i++) {
+						const char = uri[i];
+						const code = uri.charCodeAt(i);
+
+						if (char === "%" && /^[0-9a-f]{2}$/i.test(uri.slice(i + 1, i + 3))) {
+							output += uri.slice(i, i + 3);
+							i += 2;
+						} else if (/[A-Za-z0-9;/?:@&=+$,\-_.!~*'()#]/.test(char)) {
+							output += char;
+						} else if (code >= 0xD800 && code <= 0xDBFF && /[\uDC00-\uDFFF]/.test(uri[i + 1] ?? "")) {
+							output += encodeURIComponent(char + uri[i + 1]);
+							i++;
+						} else if (code >= 0xD800 && code <= 0xDFFF) {
+							output += "%EF%BF%BD";
+						} else {
+							output += encodeURIComponent(char);
+						}
+					}
+
+					return output;
+				}
+
+				function normalizeReference(label) {
+					return label.slice(1, -1).trim().replace(/[ \t\r\n]+/g, " ").toLowerCase().toUpperCase();
+				}
+
+				function createNode(type, props = {}) {
+					return { type, parent: null, children: [], ...props };
+				}
+
+				function appendChild(parent, child) {
+					child.parent = parent;
+					parent.children.push(child);
+
+					return child;
+				}
+
+				function detachNode(node) {
+					if (node.parent) {
+						node.parent.children.splice(node.parent.children.indexOf(node), 1);
+						node.parent = null;
+					}
+				}
+
+				function lastChildOf(node) {
+					return node.children[node.children.length - 1] ?? null;
+				}
+
+				// SECTION Block parsing
+				const blockRules = {
+					document: {
+						continue: () => { return 0; },
+						finalize: () => { },
+						canContain: (type) => { return type !== "item"; },
+						acceptsLines: false
+					},
+					list: {
+						continue: () => { return 0; },
+						finalize: (parser, block) => {
+							block.tight = !block.children.some((item, itemIndex) => {
+								const isLastItem = itemIndex === block.children.length - 1;
+								if (endsWithBlankLine(item) && !isLastItem) {
+									return true;
+								}
+
+								return item.children.some((subItem, subIndex) => {
+									return endsWithBlankLine(subItem) && (!isLastItem || subIndex < item.children.length - 1);
+								});
+							});
+						},
+						canContain: (type) => { return type === "item"; },
+						acceptsLines: false
+					},
+					block_quote: {
+						continue: (parser) => {
+							if (parser.indented || parser.currentLine[parser.nextNonspace] !== ">") {
+								return 1;
+							}
+							parser.advanceNextNonspace();
+							parser.advanceOffset(1, false);
+							if (/[ \t]/.test(parser.currentLine[parser.offset] ?? "")) {
+								parser.advanceOffset(1, true);
+							}
+
+							return 0;
+						},
+						finalize: () => { },
+						canContain: (type) => { return type !== "item"; },
+						acceptsLines: false
+					},
+					item: {
+						continue: (parser, container) => {
+							const { markerOffset, padding } = container.listData;
+							if (parser.blank) {
+								if (container.children.length === 0) {
+									return 1;
+								}
+								parser.advanceNextNonspace();
+							} else if (parser.indent >= markerOffset + padding) {
+								parser.advanceOffset(markerOffset + padding, true);
+							} else {
+								return 1;
+							}
+
+							return 0;
+						},
+						finalize: () => { },
+						canContain: (type) => { return type !== "item"; },
+						acceptsLines: false
+					},
+					fenced_div: {
+						continue: (parser, container) => {
+							const line = parser.currentLine.slice(parser.nextNonspace);
+							if (!parser.indented && reDivFenceClose.test(line) && !hasOpenFencedDiv(container)) {
+								for (let block = parser.tip; block && block !== container; block = block.parent) {
+									parser.finalize(block, parser.lineNumber);
+								}
+								parser.finalize(container, parser.lineNumber);
+
+								return 2;
+							}
+
+							return 0;
+						},
+						finalize: () => { },
+						canContain: (type) => { return type !== "item"; },
+						acceptsLines: false
+					},
+					heading: {
+						continue: () => { return 1; },
+						finalize: () => { },
+						canContain: () => { return false; },
+						acceptsLines: false
+					},
+					thematic_break: {
+						continue: () => { return 1; },
+						finalize: () => { },
+						canContain: () => { return false; },
+						acceptsLines: false
+					},
+					code_block: {
+						continue: (parser, container) => {
+							const line = parser.currentLine;
+							if (container.isFenced) {
+								const closingMatch = parser.indent <= 3 && line[parser.nextNonspace] === container.fenceChar
+									&& line.slice(parser.nextNonspace).match(reClosingCodeFence);
+								if (closingMatch && closingMatch[0].length >= container.fenceLength) {
+									parser.finalize(container, parser.lineNumber);
+
+									return 2;
+								}
+								for (let i = container.fenceOffset; i > 0 && /[ \t]/.test(line[parser.offset] ?? ""); i--) {
+									parser.advanceOffset(1, true);
+								}
+							} else if (parser.indent >= CODE_INDENT) {
+								parser.advanceOffset(CODE_INDENT, true);
+							} else if (parser.blank) {
+								parser.advanceNextNonspace();
+							} else {
+								return 1;
+							}
+
+							return 0;
+						},
+						finalize: (parser, block) => {
+							if (block.isFenced) {
+								const newlineIndex = block.content.indexOf("\n");
+								block.info = unescapeString(block.content.slice(0, newlineIndex).trim());
+								block.literal = block.content.slice(newlineIndex + 1);
+							} else {
+								const lines = block.content.split("\n");
+								while (lines.length > 0 && /^[ \t]*$/.test(lines[lines.length - 1])) {
+									lines.pop();
+								}
+								block.literal = `${lines.join("\n")}\n`;
+							}
+							delete block.content;
+						},
+						canContain: () => { return false; },
+						acceptsLines: true
+					},
+					html_block: {
+						continue: (parser, container) => {
+							return parser.blank && (container.htmlBlockType === 6 || container.htmlBlockType === 7) ? 1 : 0;
+						},
+						finalize: (parser, block) => {
+							block.literal = block.content.replace(/\n$/, "");
+							delete block.content;
+						},
+						canContain: () => { return false; },
+						acceptsLines: true
+					},
+					paragraph: {
+						continue: (parser) => { return parser.blank ? 1 : 0; },
+						finalize: (parser, block) => {
+							let hasReferenceDefs = false;
+							let consumed;
+							while (block.content[0] === "[" && (consumed = parseReference(block.content, parser.refmap))) {
+								block.content = block.content.slice(consumed);
+								hasReferenceDefs = true;
+							}
+							if (hasReferenceDefs && !reNonSpace.test(block.content)) {
+								detachNode(block);
+							}
+						},
+						canContain: () => { return false; },
+						acceptsLines: true
+					}
+				};
+
+				function hasOpenFencedDiv(container) {
+					for (let child = lastChildOf(container); child && child.open; child = lastChildOf(child)) {
+						if (child.type === "fenced_div") {
+							return true;
+						}
+					}
+
+					return false;
+				}
+
+				function endsWithBlankLine(block) {
+					while (block) {
+						if (block.lastLineBlank) {
+							return true;
+						}
+						if (!block.lastLineChecked && (block.type === "list" || block.type === "item")) {
+							block.lastLineChecked = true;
+							block = lastChildOf(block);
+						} else {
+							block.lastLineChecked = true;
+							break;
+						}
+					}
+
+					return false;
+				}
+
+				function parseListMarker(parser, container) {
+					if (parser.indent >= 4) {
+						return null;
+					}
+
+					const rest = parser.currentLine.slice(parser.nextNonspace);
+					const listData = { type: null, bulletChar: null, start: null, delimiter: null, padding: null, markerOffset: parser.indent };
+					let match;
+
+					if ((match = rest.match(reBulletListMarker))) {
+						listData.type = "bullet";
+						listData.bulletChar = match[0][0];
+					} else if ((match = rest.match(reOrderedListMarker)) && (container.type !== "paragraph" || match[1] === "1")) {
+						listData.type = "ordered";
+						listData.start = parseInt(match[1], 10);
+						listData.delimiter = match[2];
+					} else {
+						return null;
+					}
+
+					const nextChar = parser.currentLine[parser.nextNonspace + match[0].length];
+					if (nextChar !== undefined && nextChar !== " " && nextChar !== "\t") {
+						return null;
+					}
+					if (container.type === "paragraph" && !reNonSpace.test(parser.currentLine.slice(parser.nextNonspace + match[0].length))) {
+						return null;
+					}
+
+					parser.advanceNextNonspace();
+					parser.advanceOffset(match[0].length, true);
+					const spacesStartColumn = parser.column;
+					const spacesStartOffset = parser.offset;
+					do {
+						parser.advanceOffset(1, true);
+					} while (parser.column - spacesStartColumn < 5 && /[ \t]/.test(parser.currentLine[parser.offset] ?? ""));
+
+					const isBlankItem = parser.currentLine[parser.offset] === undefined;
+					const spacesAfterMarker = parser.column - spacesStartColumn;
+					if (spacesAfterMarker >= 5 || spacesAfterMarker < 1 || isBlankItem) {
+						listData.padding = match[0].length + 1;
+						parser.column = spacesStartColumn;
+						parser.offset = spacesStartOffset;
+						if (/[ \t]/.test(parser.currentLine[parser.offset] ?? "")) {
+							parser.advanceOffset(1, true);
+						}
+					} else {
+						listData.padding = match[0].length + spacesAfterMarker;
+					}
+
+					return listData;
+				}
+
+				// NOTE: Each start returns 0 (no match), 1 (matched a container) or 2 (matched a leaf, line consumed).
+				const blockStarts = [
+					// Block quote
+					(parser) => {
+						if (parser.indented || parser.currentLine[parser.nextNonspace] !== ">") {
+							return 0;
+						}
+						parser.advanceNextNonspace();
+						parser.advanceOffset(1, false);
+						if (/[ \t]/.test(parser.currentLine[parser.offset] ?? "")) {
+							parser.advanceOffset(1, true);
+						}
+						parser.closeUnmatchedBlocks();
+						parser.addChild("block_quote", parser.nextNonspace);
+
+						return 1;
+					},
+					// ATX heading
+					(parser) => {
+						const match = !parser.indented && parser.currentLine.slice(parser.nextNonspace).match(reAtxHeadingMarker);
+						if (!match) {
+							return 0;
+						}
+						parser.advanceNextNonspace();
+						parser.advanceOffset(match[0].length, false);
+						parser.closeUnmatchedBlocks();
+						const heading = parser.addChild("heading", parser.nextNonspace);
+						heading.level = match[0].trim().length;
+						heading.content = parser.currentLine.slice(parser.offset)
+							.replace(/^[ \t]*#+[ \t]*$/, "")
+							.replace(/[ \t]+#+[ \t]*$/, "");
+						parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+
+						return 2;
+					},
+					// Fenced code block
+					(parser) => {
+						const match = !parser.indented && parser.currentLine.slice(parser.nextNonspace).match(reCodeFence);
+						if (!match) {
+							return 0;
+						}
+						parser.closeUnmatchedBlocks();
+						const codeBlock = parser.addChild("code_block", parser.nextNonspace);
+						Object.assign(codeBlock, { isFenced: true, fenceLength: match[0].length, fenceChar: match[0][0], fenceOffset: parser.indent });
+						parser.advanceNextNonspace();
+						parser.advanceOffset(match[0].length, false);
+
+						return 2;
+					},
+					// Fenced div (extension): ::: className
+					(parser) => {
+						const match = !parser.indented && parser.currentLine.slice(parser.nextNonspace).match(reDivFenceOpen);
+						if (!match) {
+							return 0;
+						}
+						parser.closeUnmatchedBlocks();
+						parser.addChild("fenced_div", parser.nextNonspace).className = match[1];
+						parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+
+						return 1;
+					},
+					// HTML block
+					(parser, container) => {
+						if (parser.indented || parser.currentLine[parser.nextNonspace] !== "<") {
+							return 0;
+						}
+						const line = parser.currentLine.slice(parser.nextNonspace);
+						for (let blockType = 1; blockType <= 7; blockType++) {
+							const canInterrupt = blockType < 7 || container.type !== "paragraph" && !(!parser.allClosed && !parser.blank && parser.tip.type === "paragraph");
+							if (HTML_BLOCK_OPEN[blockType].test(line) && canInterrupt) {
+								parser.closeUnmatchedBlocks();
+								parser.addChild("html_block", parser.offset).htmlBlockType = blockType;
+
+								return 2;
+							}
+						}
+
+						return 0;
+					},
+					// Setext heading
+					(parser, container) => {
+						const match = !parser.indented && container.type === "paragraph" && parser.currentLine.slice(parser.nextNonspace).match(reSetextHeadingLine);
+						if (!match) {
+							return 0;
+						}
+						parser.closeUnmatchedBlocks();
+						let consumed;
+						while (container.content[0] === "[" && (consumed = parseReference(container.content, parser.refmap))) {
+							container.content = container.content.slice(consumed);
+						}
+						if (container.content.length === 0) {
+							return 0;
+						}
+						const heading = createNode("heading", { open: true, level: match[0][0] === "=" ? 1 : 2, content: container.content });
+						const siblings = container.parent.children;
+						heading.parent = container.parent;
+						siblings.splice(siblings.indexOf(container), 1, heading);
+						parser.tip = heading;
+						parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+
+						return 2;
+					},
+					// Thematic break
+					(parser) => {
+						if (parser.indented || !reThematicBreak.test(parser.currentLine.slice(parser.nextNonspace))) {
+							return 0;
+						}
+						parser.closeUnmatchedBlocks();
+						parser.addChild("thematic_break", parser.nextNonspace);
+						parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+
+						return 2;
+					},
+					// List item
+					(parser, container) => {
+						const listData = (!parser.indented || container.type === "list") && parseListMarker(parser, container);
+						if (!listData) {
+							return 0;
+						}
+						parser.closeUnmatchedBlocks();
+						const tipData = parser.tip.listData;
+						const isSameList = parser.tip.type === "list" && tipData.type === listData.type
+							&& tipData.delimiter === listData.delimiter && tipData.bulletChar === listData.bulletChar;
+						if (!isSameList) {
+							parser.addChild("list", parser.nextNonspace).listData = listData;
+						}
+						parser.addChild("item", parser.nextNonspace).listData = listData;
+
+						return 1;
+					},
+					// Indented code block
+					(parser) => {
+						if (!parser.indented || parser.tip.type === "paragraph" || parser.blank) {
+							return 0;
+						}
+						parser.advanceOffset(CODE_INDENT, true);
+						parser.closeUnmatchedBlocks();
+						parser.addChild("code_block", parser.offset);
+
+						return 2;
+					}
+				];
+
+				function createBlockParser() {
+					const parser = {
+						doc: createNode("document", { open: true, startLine: 1 }),
+						tip: null,
+						oldtip: null,
+						refmap: {},
+						currentLine: "",
+						lineNumber: 0,
+						offset: 0,
+						column: 0,
+						nextNonspace: 0,
+						nextNonspaceColumn: 0,
+						indent: 0,
+						indented: false,
+						blank: false,
+						partiallyConsumedTab: false,
+						allClosed: true,
+						lastMatchedContainer: null,
+
+						findNextNonspace() {
+							let i = this.offset;
+							let columns = this.column;
+							let char;
+							while ((char = this.currentLine[i]) === " " || char === "\t") {
+								columns += char === " " ? 1 : 4 - (columns % 4);
+								i++;
+							}
+							this.blank = char === undefined;
+							this.nextNonspace = i;
+							this.nextNonspaceColumn = columns;
+							this.indent = columns - this.column;
+							this.indented = this.indent >= CODE_INDENT;
+						},
+
+						advanceNextNonspace() {
+							this.offset = this.nextNonspace;
+							this.column = this.nextNonspaceColumn;
+							this.partiallyConsumedTab = false;
+						},
+
+						// NOTE: With `columns` set, a tab may be only partly consumed; the remainder is re-added as spaces.
+						advanceOffset(count, columns) {
+							let remaining = count;
+							let char;
+							while (remaining > 0 && (char = this.currentLine[this.offset]) !== undefined) {
+								if (char === "\t") {
+									const charsToTab = 4 - (this.column % 4);
+									if (columns) {
+										this.partiallyConsumedTab = charsToTab > remaining;
+										const charsToAdvance = Math.min(charsToTab, remaining);
+										this.column += charsToAdvance;
+										this.offset += this.partiallyConsumedTab ? 0 : 1;
+										remaining -= charsToAdvance;
+									} else {
+										this.partiallyConsumedTab = false;
+										this.column += charsToTab;
+										this.offset += 1;
+										remaining -= 1;
+									}
+								} else {
+									this.partiallyConsumedTab = false;
+									this.offset += 1;
+									this.column += 1;
+									remaining -= 1;
+								}
+							}
+						},
+
+						addLine() {
+							if (this.partiallyConsumedTab) {
+								this.offset += 1;
+								this.tip.content += " ".repeat(4 - (this.column % 4));
+							}
+							this.tip.content += `${this.currentLine.slice(this.offset)}\n`;
+						},
+
+						addChild(type, offset) {
+							while (!blockRules[this.tip.type].canContain(type)) {
+								this.finalize(this.tip, this.lineNumber - 1);
+							}
+							const block = createNode(type, { open: true, content: "", startLine: this.lineNumber, startColumn: offset + 1 });
+							appendChild(this.tip, block);
+							this.tip = block;
+
+							return block;
+						},
+
+						closeUnmatchedBlocks() {
+							if (!this.allClosed) {
+								while (this.oldtip !== this.lastMatchedContainer) {
+									const parent = this.oldtip.parent;
+									this.finalize(this.oldtip, this.lineNumber - 1);
+									this.oldtip = parent;
+								}
+								this.allClosed = true;
+							}
+						},
+
+						finalize(block, lineNumber) {
+							const above = block.parent;
+							block.open = false;
+							block.endLine = lineNumber;
+							blockRules[block.type].finalize(this, block);
+							this.tip = above;
+						},
+
+						incorporateLine(line) {
+							let container = this.doc;
+							this.oldtip = this.tip;
+							this.offset = 0;
+							this.column = 0;
+							this.blank = false;
+							this.partiallyConsumedTab = false;
+							this.lineNumber += 1;
+							this.currentLine = line.includes("\u0000") ? line.replace(/\0/g, "�") : line;
+
+							let lastChild;
+							while ((lastChild = lastChildOf(container)) && lastChild.open) {
+								container = lastChild;
+								this.findNextNonspace();
+
+								const result = blockRules[container.type].continue(this, container);
+								if (result === 2) {
+									return;
+								}
+								if (result === 1) {
+									container = container.parent;
+									break;
+								}
+							}
+
+							this.allClosed = container === this.oldtip;
+							this.lastMatchedContainer = container;
+
+							let matchedLeaf = container.type !== "paragraph" && blockRules[container.type].acceptsLines;
+							while (!matchedLeaf) {
+								this.findNextNonspace();
+
+								if (!this.indented && !reMaybeSpecial.test(this.currentLine.slice(this.nextNonspace))) {
+									this.advanceNextNonspace();
+									break;
+								}
+
+								let startIndex = 0;
+								for (; startIndex < blockStarts.length; startIndex++) {
+									const result = blockStarts[startIndex](this, container);
+									if (result === 1) {
+										container = this.tip;
+										break;
+									}
+									if (result === 2) {
+										container = this.tip;
+										matchedLeaf = true;
+										break;
+									}
+								}
+
+								if (startIndex === blockStarts.length) {
+									this.advanceNextNonspace();
+									break;
+								}
+							}
+
+							if (!this.allClosed && !this.blank && this.tip.type === "paragraph") {
+								// NOTE: Lazy paragraph continuation.
+								this.addLine();
+
+								return;
+							}
+
+							this.closeUnmatchedBlocks();
+							if (this.blank && lastChildOf(container)) {
+								lastChildOf(container).lastLineBlank = true;
+							}
+
+							const type = container.type;
+							const lastLineBlank = this.blank && !(type === "block_quote"
+								|| type === "fenced_div" && container.startLine === this.lineNumber
+								|| type === "code_block" && container.isFenced
+								|| type === "item" && container.children.length === 0 && container.startLine === this.lineNumber);
+							for (let block = container; block; block = block.parent) {
+								block.lastLineBlank = lastLineBlank;
+							}
+
+							if (blockRules[type].acceptsLines) {
+								this.addLine();
+								if (type === "html_block" && container.htmlBlockType <= 5 && HTML_BLOCK_CLOSE[container.htmlBlockType].test(this.currentLine.slice(this.offset))) {
+									this.finalize(container, this.lineNumber);
+								}
+							} else if (this.offset < this.currentLine.length && !this.blank) {
+								this.addChild("paragraph", this.offset);
+								this.advanceNextNonspace();
+								this.addLine();
+							}
+						}
+					};
+					parser.tip = parser.doc;
+					parser.lastMatchedContainer = parser.doc;
+
+					return parser;
+				}
+				// !SECTION End of Block parsing
+
+
+				// SECTION Inline parsing
+				const EXTENSION_DELIMITERS = { "^": "sup", "=": "mark", "~": "del" };
+
+				function createInlineScanner(subject, refmap = {}) {
+					return {
+						subject,
+						refmap,
+						pos: 0,
+						delimiters: null,
+						brackets: null,
+
+						peek() {
+							return this.subject[this.pos];
+						},
+
+						match(regex) {
+							const found = regex.exec(this.subject.slice(this.pos));
+							if (!found) {
+								return null;
+							}
+							this.pos += found.index + found[0].length;
+
+							return found[0];
+						},
+
+						skipSpacesAndNewline() {
+							this.match(reSpnl);
+
+							return true;
+						},
+
+						parseLinkLabel() {
+							const label = this.match(reLinkLabel);
+
+							return label === null || label.length > 1001 ? 0 : label.length;
+						},
+
+						parseLinkTitle() {
+							const title = this.match(reLinkTitle);
+
+							return title === null ? null : unescapeString(title.slice(1, -1));
+						},
+
+						parseLinkDestination() {
+							const braced = this.match(reLinkDestinationBraces);
+							if (braced !== null) {
+								return normalizeUri(unescapeString(braced.slice(1, -1)));
+							}
+							if (this.peek() === "<") {
+								return null;
+							}
+
+							const startPos = this.pos;
+							let openParens = 0;
+							let char;
+							while ((char = this.peek()) !== undefined) {
+								if (char === "\\" && reEscapable.test(this.subject[this.pos + 1] ?? "")) {
+									this.pos += 2;
+								} else if (char === "(") {
+									this.pos += 1;
+									openParens += 1;
+								} else if (char === ")") {
+									if (openParens < 1) {
+										break;
+									}
+									this.pos += 1;
+									openParens -= 1;
+								} else if (reWhitespaceChar.test(char) || /[\x00-\x1f\x7f]/.test(char)) {
+									break;
+								} else {
+									this.pos += 1;
+								}
+							}
+
+							if (this.pos === startPos && char !== ")" || openParens !== 0) {
+								return null;
+							}
+
+							return normalizeUri(unescapeString(this.subject.slice(startPos, this.pos)));
+						}
+					};
+				}
+
+				// NOTE: Consumes one link reference definition from the start of `content`; returns the characters used (0 when none).
+				function parseReference(content, refmap) {
+					const scanner = createInlineScanner(content);
+
+					const labelLength = scanner.parseLinkLabel();
+					if (labelLength === 0 || scanner.peek() !== ":") {
+						return 0;
+					}
+					const rawLabel = content.slice(0, labelLength);
+					scanner.pos++;
+
+					scanner.skipSpacesAndNewline();
+					const destination = scanner.parseLinkDestination();
+					if (destination === null) {
+						return 0;
+					}
+
+					const beforeTitle = scanner.pos;
+					scanner.skipSpacesAndNewline();
+					let title = scanner.pos !== beforeTitle ? scanner.parseLinkTitle() : null;
+					if (title === null) {
+						title = "";
+						scanner.pos = beforeTitle;
+					}
+
+					let atLineEnd = scanner.match(reSpaceAtEndOfLine) !== null;
+					if (!atLineEnd && title !== "") {
+						title = "";
+						scanner.pos = beforeTitle;
+						atLineEnd = scanner.match(reSpaceAtEndOfLine) !== null;
+					}
+					if (!atLineEnd) {
+						return 0;
+					}
+
+					const normalizedLabel = normalizeReference(rawLabel);
+					if (normalizedLabel === "") {
+						return 0;
+					}
+					if (!refmap[normalizedLabel]) {
+						refmap[normalizedLabel] = { destination, title };
+					}
+
+					return scanner.pos;
+				}
+
+				function textNode(literal) {
+					return createNode("text", { literal });
+				}
+
+				function scanDelimiterRun(scanner, char) {
+					const startPos = scanner.pos;
+					let count = 0;
+					while (scanner.subject[startPos + count] === char) {
+						count++;
+					}
+
+					const charBefore = startPos === 0 ? "\n" : scanner.subject[startPos - 1];
+					const charAfter = scanner.subject[startPos + count] ?? "\n";
+					const afterIsWhitespace = reUnicodeWhitespaceChar.test(charAfter);
+					const afterIsPunctuation = rePunctuation.test(charAfter);
+					const beforeIsWhitespace = reUnicodeWhitespaceChar.test(charBefore);
+					const beforeIsPunctuation = rePunctuation.test(charBefore);
+
+					const leftFlanking = !afterIsWhitespace && (!afterIsPunctuation || beforeIsWhitespace || beforeIsPunctuation);
+					const rightFlanking = !beforeIsWhitespace && (!beforeIsPunctuation || afterIsWhitespace || afterIsPunctuation);
+
+					if (char === "_") {
+						return {
+							count,
+							canOpen: leftFlanking && (!rightFlanking || beforeIsPunctuation),
+							canClose: rightFlanking && (!leftFlanking || afterIsPunctuation)
+						};
+					}
+
+					return { count, canOpen: leftFlanking, canClose: rightFlanking };
+				}
+
+				function pushDelimiter(scanner, { char, count, node, canOpen, canClose }) {
+					scanner.delimiters = { char, count, originalCount: count, node, previous: scanner.delimiters, next: null, canOpen, canClose };
+					if (scanner.delimiters.previous) {
+						scanner.delimiters.previous.next = scanner.delimiters;
+					}
+				}
+
+				function removeDelimiter(scanner, delimiter) {
+					if (delimiter.previous) {
+						delimiter.previous.next = delimiter.next;
+					}
+					if (delimiter.next) {
+						delimiter.next.previous = delimiter.previous;
+					} else {
+						scanner.delimiters = delimiter.previous;
+					}
+				}
+
+				function handleDelimiter(scanner, block, char) {
+					const run = scanDelimiterRun(scanner, char);
+					const node = appendChild(block, textNode(scanner.subject.slice(scanner.pos, scanner.pos + run.count)));
+					scanner.pos += run.count;
+
+					// NOTE: Extension markers only pair up as exact double runs (^^, ==, ~~).
+					const isUsable = !EXTENSION_DELIMITERS[char] || run.count === 2;
+					if (isUsable && (run.canOpen || run.canClose)) {
+						pushDelimiter(scanner, { char, count: run.count, node, canOpen: run.canOpen, canClose: run.canClose });
+					}
+
+					return true;
+				}
+
+				// NOTE: Subscript uses the asymmetric pair ^_ ... _^ (extension).
+				function handleSubscriptMarker(scanner, block, isOpener) {
+					const neighbour = isOpener ? scanner.subject[scanner.pos + 2] : scanner.subject[scanner.pos - 1];
+					const isFlanking = neighbour !== undefined && !reUnicodeWhitespaceChar.test(neighbour);
+					const node = appendChild(block, textNode(isOpener ? "^_" : "_^"));
+					scanner.pos += 2;
+
+					if (isFlanking) {
+						pushDelimiter(scanner, { char: "sub", count: 2, node, canOpen: isOpener, canClose: !isOpener });
+					}
+
+					return true;
+				}
+
+				function hasSubscriptOpener(scanner) {
+					for (let delimiter = scanner.delimiters; delimiter; delimiter = delimiter.previous) {
+						if (delimiter.char === "sub" && delimiter.canOpen) {
+							return true;
+						}
+					}
+
+					return false;
+				}
+
+				function wrapSiblingsBetween(openerNode, closerNode, wrapper) {
+					const siblings = openerNode.parent.children;
+					const start = siblings.indexOf(openerNode) + 1;
+					const end = siblings.indexOf(closerNode);
+					const moved = siblings.splice(start, end - start, wrapper);
+					wrapper.parent = openerNode.parent;
+					moved.forEach((node) => { appendChild(wrapper, node); });
+				}
+
+				function processEmphasis(scanner, stackBottom) {
+					const openersBottom = {};
+
+					let closer = scanner.delimiters;
+					while (closer && closer.previous !== stackBottom) {
+						closer = closer.previous;
+					}
+
+					while (closer) {
+						if (!closer.canClose) {
+							closer = closer.next;
+							continue;
+						}
+
+						const isEmphasis = closer.char === "*" || closer.char === "_";
+						const bottomKey = isEmphasis ? `${closer.char}${closer.canOpen}${closer.originalCount % 3}` : closer.char;
+						let opener = closer.previous;
+						let openerFound = false;
+
+						while (opener && opener !== stackBottom && opener !== openersBottom[bottomKey]) {
+							const isOddMatch = isEmphasis && (closer.canOpen || opener.canClose) && closer.originalCount % 3 !== 0
+								&& (opener.originalCount + closer.originalCount) % 3 === 0;
+							if (opener.char === closer.char && opener.canOpen && !isOddMatch) {
+								openerFound = true;
+								break;
+							}
+							opener = opener.previous;
+						}
+
+						const oldCloser = closer;
+
+						if (!openerFound) {
+							closer = closer.next;
+							openersBottom[bottomKey] = oldCloser.previous;
+							if (!oldCloser.canOpen) {
+								removeDelimiter(scanner, oldCloser);
+							}
+							continue;
+						}
+
+						const used = isEmphasis ? (closer.count >= 2 && opener.count >= 2 ? 2 : 1) : closer.count;
+						const wrapperType = isEmphasis ? (used === 1 ? "emph" : "strong") : (EXTENSION_DELIMITERS[closer.char] ?? "sub");
+
+						opener.count -= used;
+						closer.count -= used;
+						opener.node.literal = opener.node.literal.slice(0, opener.node.literal.length - used);
+						closer.node.literal = closer.node.literal.slice(0, closer.node.literal.length - used);
+
+						wrapSiblingsBetween(opener.node, closer.node, createNode(wrapperType));
+
+						for (let between = closer.previous; between && between !== opener;) {
+							const previous = between.previous;
+							removeDelimiter(scanner, between);
+							between = previous;
+						}
+
+						if (opener.count === 0) {
+							detachNode(opener.node);
+							removeDelimiter(scanner, opener);
+						}
+						if (closer.count === 0) {
+							detachNode(closer.node);
+							const next = closer.next;
+							removeDelimiter(scanner, closer);
+							closer = next;
+						}
+					}
+
+					while (scanner.delimiters && scanner.delimiters !== stackBottom) {
+						removeDelimiter(scanner, scanner.delimiters);
+					}
+				}
+
+				function addBracket(scanner, node, index, isImage) {
+					if (scanner.brackets) {
+						scanner.brackets.bracketAfter = true;
+					}
+					scanner.brackets = { node, previous: scanner.brackets, previousDelimiter: scanner.delimiters, index, isImage, active: true };
+				}
+
+				function parseCloseBracket(scanner, block) {
+					scanner.pos += 1;
+					const startPos = scanner.pos;
+					let opener = scanner.brackets;
+
+					if (!opener) {
+						appendChild(block, textNode("]"));
+
+						return true;
+					}
+					if (!opener.active) {
+						appendChild(block, textNode("]"));
+						scanner.brackets = opener.previous;
+
+						return true;
+					}
+
+					let destination;
+					let title;
+					let matched = false;
+
+					if (scanner.peek() === "(") {
+						scanner.pos++;
+						if (scanner.skipSpacesAndNewline()
+							&& (destination = scanner.parseLinkDestination()) !== null
+							&& scanner.skipSpacesAndNewline()
+							&& (reWhitespaceChar.test(scanner.subject[scanner.pos - 1]) && (title = scanner.parseLinkTitle()) || true)
+							&& scanner.skipSpacesAndNewline()
+							&& scanner.peek() === ")") {
+							scanner.pos += 1;
+							matched = true;
+						} else {
+							scanner.pos = startPos;
+						}
+					}
+
+					if (!matched) {
+						const beforeLabel = scanner.pos;
+						const labelLength = scanner.parseLinkLabel();
+						let referenceLabel;
+						if (labelLength > 2) {
+							referenceLabel = scanner.subject.slice(beforeLabel, beforeLabel + labelLength);
+						} else if (!opener.bracketAfter) {
+							referenceLabel = scanner.subject.slice(opener.index, startPos);
+						}
+						if (labelLength === 0) {
+							scanner.pos = startPos;
+						}
+
+						const reference = referenceLabel && scanner.refmap[normalizeReference(referenceLabel)];
+						if (reference) {
+							({ destination, title } = reference);
+							matched = true;
+						}
+					}
+
+					if (!matched) {
+						scanner.brackets = opener.previous;
+						scanner.pos = startPos;
+						appendChild(block, textNode("]"));
+
+						return true;
+					}
+
+					const linkNode = createNode(opener.isImage ? "image" : "link", { destination, title: title || "" });
+					const siblings = block.children;
+					siblings.splice(siblings.indexOf(opener.node) + 1).forEach((node) => { appendChild(linkNode, node); });
+					appendChild(block, linkNode);
+					processEmphasis(scanner, opener.previousDelimiter);
+					scanner.brackets = opener.previous;
+					detachNode(opener.node);
+
+					// NOTE: Links may not contain other links, so earlier link openers are deactivated.
+					if (!opener.isImage) {
+						for (opener = scanner.brackets; opener; opener = opener.previous) {
+							if (!opener.isImage) {
+								opener.active = false;
+							}
+						}
+					}
+
+					return true;
+				}
+
+				function parseBackticks(scanner, block) {
+					const ticks = scanner.match(reTicksHere);
+					const afterOpenTicks = scanner.pos;
+					let matched;
+
+					while ((matched = scanner.match(reTicks)) !== null) {
+						if (matched === ticks) {
+							const contents = scanner.subject.slice(afterOpenTicks, scanner.pos - ticks.length).replace(/\n/g, " ");
+							const hasPadding = /[^ ]/.test(contents) && contents[0] === " " && contents[contents.length - 1] === " ";
+							appendChild(block, createNode("code", { literal: hasPadding ? contents.slice(1, -1) : contents }));
+
+							return true;
+						}
+					}
+
+					scanner.pos = afterOpenTicks;
+					appendChild(block, textNode(ticks));
+
+					return true;
+				}
+
+				function parseNewline(scanner, block) {
+					scanner.pos += 1;
+					const lastChild = lastChildOf(block);
+					if (lastChild?.type === "text" && lastChild.literal.endsWith(" ")) {
+						const isHardBreak = lastChild.literal.endsWith("  ");
+						lastChild.literal = lastChild.literal.replace(reFinalSpace, "");
+						appendChild(block, createNode(isHardBreak ? "linebreak" : "softbreak"));
+					} else {
+						appendChild(block, createNode("softbreak"));
+					}
+					scanner.match(reInitialSpace);
+
+					return true;
+				}
+
+				function parseAutolink(scanner, block) {
+					let found;
+					if ((found = scanner.match(reEmailAutolink))) {
+						const address = found.slice(1, -1);
+						appendChild(appendChild(block, createNode("link", { destination: normalizeUri(`mailto:${address}`), title: "" })), textNode(address));
+
+						return true;
+					}
+					if ((found = scanner.match(reAutolink))) {
+						const address = found.slice(1, -1);
+						appendChild(appendChild(block, createNode("link", { destination: normalizeUri(address), title: "" })), textNode(address));
+
+						return true;
+					}
+
+					return false;
+				}
+
+				function parseInline(scanner, block) {
+					const char = scanner.peek();
+					const nextChar = scanner.subject[scanner.pos + 1];
+					let found;
+
+					switch (char) {
+					case undefined:
+						return false;
+					case "\n":
+						return parseNewline(scanner, block);
+					case "\\":
+						scanner.pos += 1;
+						if (nextChar === "\n") {
+							scanner.pos += 1;
+							appendChild(block, createNode("linebreak"));
+						} else if (nextChar !== undefined && reEscapable.test(nextChar)) {
+							scanner.pos += 1;
+							appendChild(block, textNode(nextChar));
+						} else {
+							appendChild(block, textNode("\\"));
+						}
+
+						return true;
+					case "`":
+						return parseBackticks(scanner, block);
+					case "_":
+						if (nextChar === "^" && hasSubscriptOpener(scanner)) {
+							return handleSubscriptMarker(scanner, block, false);
+						}
+
+						return handleDelimiter(scanner, block, char);
+					case "^":
+						if (nextChar === "_") {
+							return handleSubscriptMarker(scanner, block, true);
+						}
+
+						return handleDelimiter(scanner, block, char);
+					case "*":
+					case "=":
+					case "~":
+						return handleDelimiter(scanner, block, char);
+					case "[":
+						addBracket(scanner, appendChild(block, textNode("[")), scanner.pos, false);
+						scanner.pos += 1;
+
+						return true;
+					case "!":
+						if (nextChar === "[") {
+							addBracket(scanner, appendChild(block, textNode("![")), scanner.pos + 1, true);
+							scanner.pos += 2;
+						} else {
+							appendChild(block, textNode("!"));
+							scanner.pos += 1;
+						}
+
+						return true;
+					case "]":
+						return parseCloseBracket(scanner, block);
+					case "<":
+						if (parseAutolink(scanner, block)) {
+							return true;
+						}
+						if ((found = scanner.match(reHtmlTag))) {
+							appendChild(block, createNode("html_inline", { literal: found }));
+
+							return true;
+						}
+						break;
+					case "&":
+						if ((found = scanner.match(reEntityHere))) {
+							appendChild(block, textNode(decodeEntity(found)));
+
+							return true;
+						}
+						break;
+					default:
+						if ((found = scanner.match(reMain))) {
+							appendChild(block, textNode(found));
+
+							return true;
+						}
+					}
+
+					scanner.pos += 1;
+					appendChild(block, textNode(char));
+
+					return true;
+				}
+
+				function parseInlines(block, refmap) {
+					const scanner = createInlineScanner(block.content.trim(), refmap);
+					delete block.content;
+					while (parseInline(scanner, block)) {
+						// NOTE: parseInline appends to block and advances the scanner.
+					}
+					processEmphasis(scanner, null);
+				}
+
+				// NOTE: Joins adjacent text nodes left behind by delimiter and bracket processing.
+				function mergeTextNodes(node) {
+					const merged = [];
+					node.children.forEach((child) => {
+						const previous = merged[merged.length - 1];
+						if (child.type === "text" && previous?.type === "text") {
+							previous.literal += child.literal;
+						} else {
+							merged.push(child);
+						}
+						mergeTextNodes(child);
+					});
+					node.children = merged.filter((child) => { return child.type !== "text" || child.literal !== ""; });
+				}
+				// !SECTION End of Inline parsing
+
+
+				function finishAst(node, refmap) {
+					if (node.type === "paragraph" || node.type === "heading") {
+						parseInlines(node, refmap);
+						mergeTextNodes(node);
+					}
+					[...node.children].forEach((child) => { finishAst(child, refmap); });
+
+					["parent", "open", "lastLineBlank", "lastLineChecked", "content", "fenceOffset", "startColumn"].forEach((key) => { delete node[key]; });
+					if (node.type === "list") {
+						node.listData = { ...node.listData, tight: node.tight };
+						delete node.tight;
+					}
+				}
+
+				return ({ content }) => {
+					try {
+						const parser = createBlockParser();
+						const text = `${content ?? ""}`;
+						const lines = text.split(/\r\n|\n|\r/);
+						if (/[\r\n]$/.test(text)) {
+							lines.pop();
+						}
+
+						lines.forEach((line) => { parser.incorporateLine(line); });
+						while (parser.tip) {
+							parser.finalize(parser.tip, lines.length);
+						}
+
+						const ast = parser.doc;
+						finishAst(ast, parser.refmap);
+
+						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message: JSON.stringify(ast),
+							});
+						}
+
+						return ast;
+
+					} catch (err) {
+						const msgId = "50000";
+						Utils.logSyslogMessage({
+							severity: "ERROR",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: msgId,
+							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
+						});
+
+						return { type: "document", children: [] };
+					}
+				};
+			};
+		},
+
+		// ANCHOR Util: queueChatMessage
+		queueChatMessage: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "queueChatMessage";
+
+				const priorityRanks = { high: 0, normal: 1, low: 2 };
+
+				const sendEntry = (entry) => {
+					try {
+						sendChat(entry.from, entry.to ? `/w "${entry.to}" ${entry.message}` : entry.message);
+						chatQueue.stats.sent++;
+					} catch (err) {
+						const msgId = "50000";
+						Utils.logSyslogMessage({
+							severity: "ERROR",
+							tag: `${entry.tag}.${thisFuncDebugName}`,
+							transUnitId: msgId,
+							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
+						});
+					}
+				};
+
+				// NOTE: a lane ranks as its most urgent message, so a "high" whisper also flushes whatever was queued before it for that recipient.
+				const takeNextEntry = () => {
+					let nextKey = null;
+					let nextRank = Infinity;
+					let nextSequence = Infinity;
+
+					chatQueue.lanes.forEach((lane, key) => {
+						const laneRank = Math.min(...lane.map((entry) => { return entry.rank; }));
+						if (laneRank < nextRank || (laneRank === nextRank && lane[0].sequence < nextSequence)) {
+							nextKey = key;
+							nextRank = laneRank;
+							nextSequence = lane[0].sequence;
+						}
+					});
+
+					if (nextKey === null) {
+						return null;
+					}
+
+					const lane = chatQueue.lanes.get(nextKey);
+					const entry = lane.shift();
+					if (lane.length === 0) {
+						chatQueue.lanes.delete(nextKey);
+					}
+
+					return entry;
+				};
+
+				const normalizeName = (name) => {
+					return `${name}`.replace(/\(GM\)/g, "").trim().toLowerCase();
+				};
+
+				// NOTE: "/w gm" and a whisper to a GM's display name reach the same person, so they share one lane. The GM names are
+				// looked up once and kept until the next flush.
+				const getLaneKey = (recipient) => {
+					const name = normalizeName(recipient);
+					if (name === "" || name === "gm") {
+						return name;
+					}
+
+					if (!chatQueue.gmNames) {
+						chatQueue.gmNames = new Set(findObjs({ _type: "player" })
+							.filter((player) => { return playerIsGM(player.id); })
+							.map((player) => { return normalizeName(player.get("_displayname")); }));
+					}
+
+					return chatQueue.gmNames.has(name) ? "gm" : name;
+				};
+
+				const drainQueue = () => {
+					chatQueue.timer = null;
+					chatQueue.gmNames = null;
+
+					const now = Date.now();
+					const intervalMs = globalSettings.chatQueueIntervalMs;
+					chatQueue.sentTimes = chatQueue.sentTimes.filter((sentAt) => { return now - sentAt < intervalMs; });
+
+					while (chatQueue.sentTimes.length < globalSettings.chatQueueMessagesPerInterval) {
+						const entry = takeNextEntry();
+						if (!entry) {
+							break;
+						}
+
+						chatQueue.sentTimes.push(now);
+						sendEntry(entry);
+					}
+
+					if (chatQueue.lanes.size > 0) {
+						chatQueue.timer = setTimeout(drainQueue, Math.max(chatQueue.sentTimes[0] + intervalMs - now, 0));
+					}
+				};
+
+				// NOTE: messages go out at once while under the rate limit; "to" omitted sends to the public chat.
+				return ({ from, to, message, priority = "normal" }) => {
+					const sender = from || moduleSettings.readableName;
+					const recipient = to ? `${to}` : "";
+					const rank = priorityRanks[priority] ?? priorityRanks.normal;
+					const laneKey = getLaneKey(recipient);
+
+					// NOTE: every queued message is sent, repeats included; broadcastPlayerMessage already queues one copy per recipient.
+					const lane = chatQueue.lanes.get(laneKey) || [];
+					lane.push({ sequence: chatQueue.sequence++, rank, from: sender, to: recipient, message, tag: moduleSettings.readableName });
+					chatQueue.lanes.set(laneKey, lane);
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify({ to: recipient, priority, pending: [...chatQueue.lanes.values()].reduce((total, pending) => { return total + pending.length; }, 0), stats: chatQueue.stats })
+						});
+					}
+
+					if (!chatQueue.timer) {
+						drainQueue();
+					}
+
+					return 0;
+				};
+			};
+		},
+
+		// ANCHOR Util: replacePlaceholders
+		replacePlaceholders: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "replacePlaceholders";
+
+				const convertMarkdownToHtml = EASY_UTILS.getFunction({ functionName: "convertMarkdownToHtml", moduleSettings });
+				const formatDuration = EASY_UTILS.getFunction({ functionName: "formatDuration", moduleSettings });
+				const formatList = EASY_UTILS.getFunction({ functionName: "formatList", moduleSettings });
+				const formatNumber = EASY_UTILS.getFunction({ functionName: "formatNumber", moduleSettings });
+				const formatOrdinal = EASY_UTILS.getFunction({ functionName: "formatOrdinal", moduleSettings });
+				const sanitizeHtml = EASY_UTILS.getFunction({ functionName: "sanitizeHtml", moduleSettings });
+
+				// NOTE: filters are written {{ value | name:arg:arg }} and receive (value, args, { locale }).
+				// Filters registered with EASY_FORGE.registerFilter are used when no built-in filter has the name.
+				const builtInFilters = {
+					escape: (value) => {
+						return value === undefined || value === null ? value : encodeHtmlEntities(value);
+					},
+					upper: (value) => {
+						return value === undefined || value === null ? value : `${value}`.toUpperCase();
+					},
+					lower: (value) => {
+						return value === undefined || value === null ? value : `${value}`.toLowerCase();
+					},
+					truncate: (value, [length = "80", suffix = "…"]) => {
+						const maxLength = parseInt(length, 10);
+						const text = value === undefined || value === null ? "" : `${value}`;
+
+						if (!Number.isFinite(maxLength) || text.length <= maxLength) {
+							return value;
+						}
+
+						return `${text.slice(0, Math.max(0, maxLength - suffix.length)).trimEnd()}${suffix}`;
+					},
+					default: (value, [fallback = ""]) => {
+						return value === undefined || value === null || value === "" ? fallback : value;
+					},
+					// NOTE: markdown passes raw HTML through, so its output is sanitized before it is trusted as safe.
+					markdown: (value) => {
+						return value === undefined || value === null ? value : sanitizeHtml({ html: convertMarkdownToHtml({ content: `${value}` }), policy: "chat" });
+					},
+					ordinal: (value, args, { locale }) => {
+						return formatOrdinal({ value, locale });
+					},
+					number: (value, args, { locale }) => {
+						const decimals = args.find((arg) => { return /^\d+$/.test(arg); });
+
+						return formatNumber({ value, locale, signed: args.includes("signed"), decimals: decimals !== undefined ? parseInt(decimals, 10) : undefined });
+					},
+					list: (value, args, { locale }) => {
+						const items = Array.isArray(value) ? value : Object.values(value || {});
+
+						return formatList({ items, locale, type: args.includes("or") ? "disjunction" : "conjunction" });
+					},
+					duration: (value, args, { locale }) => {
+						const unit = args.find((arg) => { return arg !== "relative"; }) || "second";
+
+						return formatDuration({ value, unit, locale, relative: args.includes("relative") });
+					},
+				};
+
+				function parseTagExpression(tag) {
+					const [key, ...filterTexts] = tag.match(/(?:"[^"]*"|'[^']*'|[^|])+/g) || [""];
+
+					const filters = filterTexts.map((filterText) => {
+						const [name, ...args] = filterText.trim().match(/(?:"[^"]*"|'[^']*'|[^:])+/g) || [""];
+
+						return {
+							name: name.trim(),
+							args: args.map((arg) => { return arg.trim().replace(/^(["'])(.*)\1$/, "$2"); })
+						};
+					});
+
+					return { key: key.trim(), filters };
+				}
+
+				// NOTE: output of "escape", "markdown" and custom filters registered as isSafe is not escaped a second time.
+				const safeFilterNames = ["escape", "markdown"];
+
+				function getFilter(name) {
+					if (builtInFilters[name]) {
+						return { filter: builtInFilters[name], isSafe: safeFilterNames.includes(name) };
+					}
+
+					return EASY_FORGE.getFilter({ name });
+				}
+
+				function applyFilters(value, filters, options) {
+					return filters.reduce((filtered, { name, args }) => {
+						const entry = getFilter(name);
+
+						if (!entry) {
+							Utils.logSyslogMessage({
+								severity: "WARN",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "40000",
+								message: PhraseFactory.get({ transUnitId: "40000", expressions: { remark: `unknown template filter: ${name}` } })
+							});
+
+							return filtered;
+						}
+
+						try {
+							return { value: entry.filter(filtered.value, args, { locale: options.locale }), isSafe: entry.isSafe };
+						} catch (err) {
+							Utils.logSyslogMessage({
+								severity: "ERROR",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "50000",
+								message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: `${name}: ${err}` } })
+							});
+
+							return filtered;
+						}
+					}, { value, isSafe: false });
+				}
+
+				function resolveVar(text, cssVars) {
+					const varRegex = /var\((--[\w-]+)(?:\s*,\s*((?:[^()]+|\([^()]*\))*))?\)/g;
+					
+					let result = text;
+					let safety = 0;
+					
+					while (result.includes("var(") && safety < 10) {
+						result = result.replace(varRegex, (match, varName, fallback) => {
+							const value = cssVars[varName];
+							if (value !== undefined) {
+								return value;
+							}
+							return fallback !== undefined ? fallback.trim() : match;
+						});
+						safety++;
+					}
+					
+					return result;
+				}
+
+				const maxPartialDepth = 10;
+
+				// NOTE: an "&" that already starts an entity is kept, so text sanitized before it was stored is not escaped twice.
+				function encodeHtmlEntities(value) {
+					return `${value}`
+						.replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, "&amp;")
+						.replace(/</g, "&lt;")
+						.replace(/>/g, "&gt;")
+						.replace(/"/g, "&quot;")
+						.replace(/'/g, "&#39;");
+				}
+
+				function tokenizeTemplate(text) {
+					const tokens = [];
+					const tagRegex = /{{{(.*?)}}}|{{(.*?)}}/g;
+					let lastIndex = 0;
+					let match;
+
+					while ((match = tagRegex.exec(text)) !== null) {
+						if (match.index > lastIndex) {
+							tokens.push({ type: "text", value: text.slice(lastIndex, match.index) });
+						}
+						lastIndex = tagRegex.lastIndex;
+
+						if (match[1] !== undefined) {
+							tokens.push({ type: "raw", ...parseTagExpression(match[1]) });
+							continue;
+						}
+
+						const tag = match[2].trim();
+						const blockMatch = tag.match(/^([#/])\s*(each|if)\b\s*(.*)$/);
+
+						if (blockMatch) {
+							tokens.push({ type: blockMatch[1] === "#" ? "open" : "close", block: blockMatch[2], key: blockMatch[3].trim() });
+						} else if (tag === "else") {
+							tokens.push({ type: "else" });
+						} else if (tag.startsWith(">")) {
+							tokens.push({ type: "partial", key: tag.slice(1).trim() });
+						} else {
+							tokens.push({ type: "var", ...parseTagExpression(tag) });
+						}
+					}
+
+					if (lastIndex < text.length) {
+						tokens.push({ type: "text", value: text.slice(lastIndex) });
+					}
+
+					return tokens;
+				}
+
+				// NOTE: Unbalanced block tags are tolerated; stray closers are dropped and open blocks close at the end.
+				function parseTemplate(tokens) {
+					const root = { children: [] };
+					const stack = [{ node: root, branch: root.children }];
+
+					for (const token of tokens) {
+						const current = stack[stack.length - 1];
+
+						switch (token.type) {
+						case "open": {
+							const section = { type: "section", block: token.block, key: token.key, children: [], inverse: [] };
+							current.branch.push(section);
+							stack.push({ node: section, branch: section.children });
+							break;
+						}
+						case "else":
+							if (stack.length > 1) {
+								current.branch = current.node.inverse;
+							}
+							break;
+						case "close":
+							if (stack.length > 1 && current.node.block === token.block) {
+								stack.pop();
+							}
+							break;
+						default:
+							current.branch.push(token);
+						}
+					}
+
+					return root.children;
+				}
+
+				function resolvePath(data, path) {
+					return path.reduce((current, segment) => {
+						return current !== null && typeof current === "object" ? current[segment] : undefined;
+					}, data);
+				}
+
+				// NOTE: a key containing dots is first looked up whole, then as a path such as token.name or this.bar.value.
+				function lookupValue(scopes, key) {
+					const currentScope = scopes[scopes.length - 1];
+
+					if (key === "this" || key === ".") {
+						return currentScope.data;
+					}
+
+					if (key.startsWith("@")) {
+						return currentScope.meta[key.slice(1)];
+					}
+
+					for (let i = scopes.length - 1; i >= 0; i--) {
+						const data = scopes[i].data;
+						if (data !== null && typeof data === "object" && data[key] !== undefined) {
+							return data[key];
+						}
+					}
+
+					if (!key.includes(".")) {
+						return undefined;
+					}
+
+					const [head, ...path] = key.split(".");
+
+					if (head === "this") {
+						return resolvePath(currentScope.data, path);
+					}
+
+					return resolvePath(lookupValue(scopes, head), path);
+				}
+
+				function isTruthy(value) {
+					if (Array.isArray(value)) {
+						return value.length > 0;
+					}
+
+					return Boolean(value);
+				}
+
+				function renderNodes(nodes, scopes, options, depth) {
+					let output = "";
+
+					for (const node of nodes) {
+						switch (node.type) {
+						case "text":
+							output += node.value;
+							break;
+						case "var":
+						case "raw": {
+							const { value, isSafe } = applyFilters(lookupValue(scopes, node.key), node.filters, options);
+							if (value === undefined || value === null) {
+								break;
+							}
+							output += node.type === "var" && options.escapeHtml && !isSafe ? encodeHtmlEntities(value) : `${value}`;
+							break;
+						}
+						case "partial": {
+							const partialText = typeof options.partials === "function"
+								? options.partials(node.key)
+								: options.partials[node.key];
+							if (typeof partialText === "string" && depth < maxPartialDepth) {
+								output += renderNodes(parseTemplate(tokenizeTemplate(partialText)), scopes, options, depth + 1);
+							}
+							break;
+						}
+						case "section": {
+							const value = lookupValue(scopes, node.key);
+
+							if (node.block === "if") {
+								output += renderNodes(isTruthy(value) ? node.children : node.inverse, scopes, options, depth);
+								break;
+							}
+
+							const entries = Array.isArray(value)
+								? value.map((item, index) => { return [index, item]; })
+								: (value && typeof value === "object" ? Object.entries(value) : []);
+
+							if (entries.length === 0) {
+								output += renderNodes(node.inverse, scopes, options, depth);
+								break;
+							}
+
+							entries.forEach(([entryKey, item], index) => {
+								const meta = { index, key: entryKey, first: index === 0, last: index === entries.length - 1 };
+								output += renderNodes(node.children, [...scopes, { data: item, meta }], options, depth);
+							});
+							break;
+						}
+						}
+					}
+
+					return output;
+				}
+
+				// NOTE: ICU message format subset: {count, plural, =0 {none} one {# round} other {# rounds}},
+				// {place, selectordinal, ...} and {gender, select, male {...} other {...}}; bodies may nest.
+				function findClosingBrace(text, openIndex) {
+					let depth = 0;
+
+					for (let i = openIndex; i < text.length; i++) {
+						if (text[i] === "{") {
+							depth++;
+						} else if (text[i] === "}") {
+							depth--;
+							if (depth === 0) return i;
+						}
+					}
+
+					return -1;
+				}
+
+				function parseIcuOptions(body) {
+					const options = {};
+					const optionRegex = /\s*(=?[\w-]+)\s*\{/y;
+					let index = 0;
+
+					while (index < body.length) {
+						optionRegex.lastIndex = index;
+						const match = optionRegex.exec(body);
+						if (!match) break;
+
+						const openIndex = optionRegex.lastIndex - 1;
+						const closeIndex = findClosingBrace(body, openIndex);
+						if (closeIndex === -1) break;
+
+						options[match[1]] = body.slice(openIndex + 1, closeIndex);
+						index = closeIndex + 1;
+					}
+
+					return options;
+				}
+
+				function getPluralCategory(number, locale, type) {
+					try {
+						return new Intl.PluralRules(locale, { type }).select(number);
+					} catch (err) {
+						return number === 1 ? "one" : "other";
+					}
+				}
+
+				function formatIcuMessages(text, expressions, locale) {
+					const icuRegex = /(?<!\{)\{\s*([\w.]+)\s*,\s*(plural|selectordinal|select)\s*,/g;
+					let output = "";
+					let lastIndex = 0;
+					let match;
+
+					while ((match = icuRegex.exec(text)) !== null) {
+						const closeIndex = findClosingBrace(text, match.index);
+						if (closeIndex === -1) break;
+
+						const [, argName, formatType] = match;
+						const options = parseIcuOptions(text.slice(icuRegex.lastIndex, closeIndex));
+						const value = lookupValue([{ data: expressions, meta: {} }], argName);
+						let chosen;
+
+						if (formatType === "select") {
+							chosen = formatIcuMessages(options[`${value}`] ?? options.other ?? "", expressions, locale);
+						} else {
+							const number = Number(value);
+							const category = getPluralCategory(number, locale, formatType === "selectordinal" ? "ordinal" : "cardinal");
+
+							// NOTE: "#" is the number, but not the one in {{#each}} or an HTML entity such as &#39;.
+							chosen = formatIcuMessages(options[`=${number}`] ?? options[category] ?? options.other ?? "", expressions, locale)
+								.replace(/(?<![{&])#/g, Number.isFinite(number) ? number.toLocaleString(locale) : `${value}`);
+						}
+
+						output += text.slice(lastIndex, match.index) + chosen;
+						lastIndex = closeIndex + 1;
+						icuRegex.lastIndex = closeIndex + 1;
+					}
+
+					return output + text.slice(lastIndex);
+				}
+
+				return ({ text, expressions = {}, cssVars = {}, escapeHtml = false, partials = {}, locale = "en-US" }) => {
+
+					const templateTree = parseTemplate(tokenizeTemplate(formatIcuMessages(text, expressions, locale)));
+					const rootScope = { data: expressions, meta: {} };
+
+					const output = renderNodes(templateTree, [rootScope], { escapeHtml, partials, locale }, 0)
+						.replace(/\[\[(.*?)\]\]/g, (_, anExpression) => {
+							return `<span class="inline-rolls">[[${anExpression.trim()}]]</span>`;
+						});
+
+					const finalOutput = resolveVar(output, cssVars);
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: finalOutput,
+						});
+					}
+
+					return finalOutput;
+				};
+			};
+		},
+
+		// ANCHOR Util: sanitizeHtml
+		sanitizeHtml: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "sanitizeHtml";
+
+				const convertHtmlToJson = EASY_UTILS.getFunction({ functionName: "convertHtmlToJson", moduleSettings });
+
+				const inlineElements = ["a", "b", "br", "code", "del", "em", "i", "mark", "s", "small", "span", "strong", "sub", "sup", "u"];
+				const blockElements = [
+					"blockquote", "dd", "div", "dl", "dt", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "li", "ol", "p", "pre",
+					"table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"
+				];
+				const tableAttributes = ["colspan", "rowspan", "align"];
+
+				// NOTE: a policy lists the elements kept and the attributes kept per element ("*" for any element, "data-*" for
+				// any data attribute). Other elements are unwrapped, keeping their text; dropContent elements go with their text.
+				const sanitizePolicies = {
+					chat: {
+						elements: inlineElements,
+						attributes: { "*": ["title"], a: ["href"] },
+					},
+					handout: {
+						elements: [...inlineElements, ...blockElements, "img"],
+						attributes: {
+							"*": ["title", "class", "id", "style", "data-*"],
+							a: ["href"],
+							img: ["src", "alt", "width", "height"],
+							ol: ["start"],
+							td: tableAttributes,
+							th: tableAttributes,
+						},
+					},
+					bio: {
+						elements: [...inlineElements, ...blockElements, "img"],
+						attributes: {
+							"*": ["title", "class", "style", "data-*"],
+							a: ["href"],
+							img: ["src", "alt", "width", "height"],
+							ol: ["start"],
+							td: tableAttributes,
+							th: tableAttributes,
+						},
+					},
+				};
+
+				const dropContentElements = ["script", "style", "iframe", "object", "embed", "noscript", "template", "textarea", "select", "title", "head"];
+				const selfClosingElements = ["br", "hr", "img"];
+				const allowedStyleProperty = /^(?:color|background-color|font(?:-[a-z]+)?|text-(?:align|decoration|transform|indent)|(?:margin|padding)(?:-[a-z]+)?|border(?:-[a-z]+)*|(?:min-|max-)?(?:width|height)|display|float|clear|vertical-align|line-height|letter-spacing|white-space|list-style(?:-[a-z]+)?|opacity)$/;
+				const unsafeStyleValue = /url\s*\(|expression|javascript:|[<>"]/i;
+
+				function decodeEntities(text) {
+					return `${text}`
+						.replace(/&#x([0-9a-f]+);?/gi, (_, hex) => { return String.fromCodePoint(parseInt(hex, 16)); })
+						.replace(/&#(\d+);?/g, (_, decimal) => { return String.fromCodePoint(parseInt(decimal, 10)); })
+						.replace(/&(?:grave|DiacriticalGrave);/g, "`")
+						.replace(/&excl;/g, "!")
+						.replace(/&amp;/g, "&");
+				}
+
+				function encodeAttribute(value) {
+					return `${value}`.replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+				}
+
+				// NOTE: Roll20 runs "!" links as API commands and "~" links as ability macros, even behind a backtick or an entity.
+				function isCommandLink(target) {
+					return /^[!~%]/.test(decodeEntities(target).replace(/^[\s`]+/, ""));
+				}
+
+				function isCommandPermitted(target, allowApiLinks) {
+					if (allowApiLinks === true) {
+						return true;
+					}
+					const command = decodeEntities(target).replace(/^[\s`]+/, "");
+
+					return Array.isArray(allowApiLinks) && allowApiLinks.some((prefix) => { return command.startsWith(prefix); });
+				}
+
+				function isUrlAllowed(name, value, allowApiLinks) {
+					if (isCommandLink(value)) {
+						return name === "href" && isCommandPermitted(value, allowApiLinks);
+					}
+					const scheme = decodeEntities(value).replace(/[\s\u0000-\u001f]/g, "").match(/^([a-z][a-z0-9+.-]*):/i)?.[1]?.toLowerCase();
+
+					if (name === "src") {
+						return scheme === "https" || scheme === "http";
+					}
+
+					return !scheme || ["http", "https", "mailto"].includes(scheme);
+				}
+
+				function sanitizeText(text) {
+					return text
+						.replace(/</g, "&lt;")
+						.replace(/>/g, "&gt;");
+				}
+
+				// NOTE: Roll20 builds [label](!command) buttons from the whole message, so the check runs on the serialized output,
+				// where tags can sit inside the label or target; a removed button keeps its label and any tags from its target.
+				function stripCommandButtons(html, allowApiLinks) {
+					return html.replace(/\[([^\]]*)\]((?:<[^>]*>)*)\(([^)]*)\)/g, (match, label, betweenTags, target) => {
+						const targetTags = target.match(/<[^>]*>/g) || [];
+						const targetText = target.replace(/<[^>]*>/g, "");
+
+						return isCommandLink(targetText) && !isCommandPermitted(targetText, allowApiLinks) ? `${label}${betweenTags}${targetTags.join("")}` : match;
+					});
+				}
+
+				function isAttributeAllowed(allowedAttributes, name) {
+					return allowedAttributes.includes(name) || (name.startsWith("data-") && allowedAttributes.includes("data-*"));
+				}
+
+				function sanitizeAttributes(elementName, attributes, policy, allowApiLinks) {
+					const allowedAttributes = [...(policy.attributes?.["*"] || []), ...(policy.attributes?.[elementName] || [])];
+					const output = [];
+
+					Object.entries(attributes || {}).forEach(([rawName, value]) => {
+						const name = rawName.toLowerCase();
+
+						if (name === "classlist") {
+							if (value.length && isAttributeAllowed(allowedAttributes, "class")) {
+								output.push(`class="${encodeAttribute(value.join(" "))}"`);
+							}
+
 							return;
 						}
-						const trimmedSegment = segment.trim();
-						const [command, ...args] = trimmedSegment.split(/\s+/);
-						const cleanCommand = command.toLowerCase().trim();
-						commandMap.set(`--${cleanCommand}`, args);
-					});
+						if (name === "inlinestyle") {
+							const declarations = Object.entries(value)
+								.filter(([property, styleValue]) => { return allowedStyleProperty.test(property.toLowerCase()) && !unsafeStyleValue.test(styleValue); })
+								.map(([property, styleValue]) => { return `${property.toLowerCase()}: ${styleValue};`; });
+							if (declarations.length && isAttributeAllowed(allowedAttributes, "style")) {
+								output.push(`style="${encodeAttribute(declarations.join(" "))}"`);
+							}
 
-					const output = commandMap;
+							return;
+						}
+						if (name === "style" || value === null || value === undefined || !isAttributeAllowed(allowedAttributes, name) || /^on/.test(name)) {
+							return;
+						}
+						if ((name === "href" || name === "src") && !isUrlAllowed(name, value, allowApiLinks)) {
+							return;
+						}
 
-					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
-						Utils.logSyslogMessage({
-							severity: "DEBUG",
-							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
-							transUnitId: "70000",
-							message: JSON.stringify(output),
-						});
-					}
+						output.push(`${name}="${encodeAttribute(value)}"`);
+					});
 
 					return output;
-				};
-			};
-		},
+				}
 
-		// ANCHOR Util: parseChatSubcommands
-		parseChatSubcommands: function () {
-			return (moduleSettings) => {
+				function sanitizeNodes(nodes, policy, allowApiLinks, removed) {
+					return (nodes || []).map((node) => {
+						if (node.element === "text") {
+							return sanitizeText(node.children?.[0]?.innerText || "");
+						}
 
-				const thisFuncDebugName = "parseChatSubcommands";
+						const elementName = `${node.element}`.toLowerCase();
 
-				return ({ subcommands }) => {
-					const subcommandMap = {};
+						if (dropContentElements.includes(elementName)) {
+							removed.push(elementName);
 
-					const greedyKeys = ["prompt", "message", "msg"];
+							return "";
+						}
 
-					for (let i = 0; i < subcommands.length; i++) {
-						const arg = subcommands[i];
-						const delimiterMatch = arg.includes("|") ? "|" : arg.includes("#") ? "#" : null;
+						const childrenHtml = sanitizeNodes(node.children, policy, allowApiLinks, removed);
 
-						if (delimiterMatch) {
-							const delimiterIndex = arg.indexOf(delimiterMatch);
-							const key = arg.substring(0, delimiterIndex);
-							const value = arg.substring(delimiterIndex + 1);
+						if (!policy.elements.includes(elementName)) {
+							removed.push(elementName);
 
-							if (greedyKeys.includes(key)) {
-								const remainingArgs = subcommands.slice(i + 1);
-								subcommandMap[key] = [value, ...remainingArgs].join(" ");
-								break;
-							} else {
-								subcommandMap[key] = value;
-							}
-						} else {
-							subcommandMap[arg] = true;
+							return childrenHtml;
+						}
+
+						const attributes = sanitizeAttributes(elementName, node.attributes, policy, allowApiLinks);
+
+						// NOTE: a link whose target was removed keeps only its text.
+						if (elementName === "a" && node.attributes?.href && !attributes.some((attribute) => { return attribute.startsWith("href="); })) {
+							removed.push("a[href]");
+
+							return childrenHtml;
 						}
+
+						const attributesString = attributes.length ? ` ${attributes.join(" ")}` : "";
+
+						return selfClosingElements.includes(elementName)
+							? `<${elementName}${attributesString} />`
+							: `<${elementName}${attributesString}>${childrenHtml}</${elementName}>`;
+					}).join("");
+				}
+
+				// NOTE: policy is "chat", "handout", "bio" or a policy object; allowApiLinks is true or a list of permitted command prefixes.
+				return ({ html, policy = "chat", allowApiLinks = false }) => {
+
+					if (html === undefined || html === null || html === "") {
+						return "";
 					}
 
-					const output = subcommandMap;
+					const activePolicy = typeof policy === "string" ? sanitizePolicies[policy] : policy;
 
-					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+					try {
+						if (!activePolicy || !Array.isArray(activePolicy.elements)) {
+							throw new Error(`unknown sanitize policy: ${policy}`);
+						}
+
+						// NOTE: a "<" or ">" that does not belong to a tag is text and is kept as an entity.
+						const preparedHtml = `${html}`
+							.replace(/<!--[\s\S]*?-->/g, "")
+							.replace(/(<\/?[a-zA-Z](?:[^<>"']|"[^"]*"|'[^']*')*>)|[<>]/g, (match, tag) => { return tag ? tag : (match === "<" ? "&lt;" : "&gt;"); });
+
+						const [rootNode] = JSON.parse(convertHtmlToJson({ html: preparedHtml, isFragment: true }));
+						const removed = [];
+						const output = stripCommandButtons(sanitizeNodes(rootNode.children, activePolicy, allowApiLinks, removed), allowApiLinks);
+
+						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message: JSON.stringify({ removed, output }),
+							});
+						}
+
+						return output;
+
+					} catch (err) {
+						const msgId = "50000";
 						Utils.logSyslogMessage({
-							severity: "DEBUG",
+							severity: "ERROR",
 							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
-							transUnitId: "70000",
-							message: JSON.stringify(output),
+							transUnitId: msgId,
+							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
 						});
-					}
 
-					return output;
+						return `${html}`.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\[/g, "&#91;");
+					}
 				};
 			};
 		},
 
-		// ANCHOR Util: replacePlaceholders
-		replacePlaceholders: function () {
+		// ANCHOR Util: setSyslogLevel
+		setSyslogLevel: function () {
 			return (moduleSettings) => {
 
-				const thisFuncDebugName = "replacePlaceholders";
+				const thisFuncDebugName = "setSyslogLevel";
 
-				function resolveVar(text, cssVars) {
-					const varRegex = /var\((--[\w-]+)(?:\s*,\s*((?:[^()]+|\([^()]*\))*))?\)/g;
-					
-					let result = text;
-					let safety = 0;
-					
-					while (result.includes("var(") && safety < 10) {
-						result = result.replace(varRegex, (match, varName, fallback) => {
-							const value = cssVars[varName];
-							if (value !== undefined) {
-								return value;
-							}
-							return fallback !== undefined ? fallback.trim() : match;
-						});
-						safety++;
-					}
-					
-					return result;
-				}
+				const severityNames = ["ERROR", "WARN", "INFO", "DEBUG"];
 
-				return ({ text, expressions = {}, cssVars = {} }) => {
+				// NOTE: module "*" sets the level for every module without its own entry; severity null clears a module's entry.
+				return ({ module = "*", severity }) => {
 
-					const output = text
-						.replace(/{{(.*?)}}/g, (_, key) => {
-							return expressions[key.trim()] !== undefined ? expressions[key.trim()] : "";
-						})
-						.replace(/\[\[(.*?)\]\]/g, (_, anExpression) => {
-							return `<span class="inline-rolls">[[${anExpression.trim()}]]</span>`;
+					if (severity !== null && (typeof severity !== "string" || !severityNames.includes(severity.toUpperCase()))) {
+						Utils.logSyslogMessage({
+							severity: "WARN",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "40000",
+							message: PhraseFactory.get({ transUnitId: "40000", expressions: { remark: `severity must be one of ${severityNames.join(", ")}` } })
 						});
 
-					const finalOutput = resolveVar(output, cssVars);
+						return 1;
+					}
+
+					const vault = globalSettings.sharedVault;
+					vault.syslog = vault.syslog || {};
+					vault.syslog.levels = vault.syslog.levels || {};
+
+					if (severity === null) {
+						delete vault.syslog.levels[module];
+					} else {
+						vault.syslog.levels[module] = severity.toUpperCase();
+					}
 
 					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
 						Utils.logSyslogMessage({
 							severity: "DEBUG",
 							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
 							transUnitId: "70000",
-							message: finalOutput,
+							message: JSON.stringify(vault.syslog.levels),
 						});
 					}
 
-					return finalOutput;
+					return 0;
 				};
 			};
 		},
@@ -1868,6 +5872,9 @@ const EASY_UTILS = (() => {
 				const thisFuncDebugName = "applyCssToHtmlJson";
 
 				const replacePlaceholders = EASY_UTILS.getFunction({ functionName: "replacePlaceholders", moduleSettings, });
+				const parseCssSelector = EASY_UTILS.getFunction({ functionName: "parseCssSelector", moduleSettings });
+				const expandCssShorthand = EASY_UTILS.getFunction({ functionName: "expandCssShorthand", moduleSettings });
+				const hashText = EASY_UTILS.getFunction({ functionName: "hashText", moduleSettings });
 
 				function preprocessRootRules(cssRules, htmlTree) {
 					const rootIndex = cssRules.findIndex((r) => { return r.selector === ":root"; });
@@ -1922,239 +5929,205 @@ const EASY_UTILS = (() => {
 					return results;
 				}
 
-				function tokenizeSelector(selector) {
-					const groups = selector.split(",").map((s) => { return s.trim(); });
-
-					const chainsArray = [];
+				function isElementNode(node) {
+					return typeof node?.element === "string" && node.element !== "text";
+				}
 
-					for (const group of groups) {
-						const tokens = splitSelectorGroup(group);
-						chainsArray.push(tokens);
+				function getElementSiblings(node) {
+					const parent = node.parentNode;
+					if (!parent || !Array.isArray(parent.children)) {
+						return [node];
 					}
 
-					return chainsArray;
+					return parent.children.filter(isElementNode);
 				}
 
-				function splitSelectorGroup(group) {
-					const spaced = group.replace(/>/g, " > ");
-					const rawTokens = spaced.split(/\s+/).filter(Boolean);
+				function getAttributeValue(node, name) {
+					const attributes = node.attributes ?? {};
+					if (name === "class") {
+						return attributes.classList?.length ? attributes.classList.join(" ") : undefined;
+					}
+					if (name === "style") {
+						const inlineStyle = Object.entries(attributes.inlineStyle ?? {});
 
-					const results = [];
-					let combinator = null;
-					for (const token of rawTokens) {
-						if (token === ">") {
-							combinator = ">";
-						} else {
-							results.push({ combinator, segment: token });
-							combinator = " ";
-						}
+						return inlineStyle.length ? inlineStyle.map(([prop, val]) => { return `${prop}: ${val}`; }).join("; ") : undefined;
 					}
 
-					return results;
+					return attributes[name] === undefined ? undefined : `${attributes[name]}`;
 				}
 
-				function parseSegment(segment) {
-					const data = {
-						tag: null,
-						id: null,
-						classes: [],
-						attributes: {},
-						pseudo: {
-							nthChild: null,
-							firstChild: false,
-							lastChild: false,
-							empty: false,
-						},
-					};
-
-					let working = segment.trim();
-
-					const attrRegex = /\[([\w-]+)\s*=\s*"([^"]+)"\]/g;
-					let attrMatch;
-					while ((attrMatch = attrRegex.exec(working)) !== null) {
-						const attrKey = attrMatch[1];
-						const attrVal = attrMatch[2];
-						data.attributes[attrKey] = attrVal;
+				function doesAttributeMatch(node, { name, operator, value }) {
+					const actual = getAttributeValue(node, name);
+					if (actual === undefined) {
+						return false;
 					}
-					working = working.replace(attrRegex, "");
 
-					const idRegex = /#([\w-]+)/;
-					const idMatch = idRegex.exec(working);
-					if (idMatch) {
-						data.id = idMatch[1];
-						working = working.replace(idRegex, "");
+					switch (operator) {
+					case null:
+						return true;
+					case "=":
+						return actual === value;
+					case "~=":
+						return value !== "" && !/\s/.test(value) && actual.split(/\s+/).includes(value);
+					case "|=":
+						return actual === value || actual.startsWith(`${value}-`);
+					case "^=":
+						return value !== "" && actual.startsWith(value);
+					case "$=":
+						return value !== "" && actual.endsWith(value);
+					case "*=":
+						return value !== "" && actual.includes(value);
+					default:
+						return false;
 					}
+				}
 
-					const classRegex = /\.([\w-]+)/g;
-					let cMatch;
-					while ((cMatch = classRegex.exec(working)) !== null) {
-						data.classes.push(cMatch[1]);
+				// NOTE: True when some n >= 0 satisfies a*n + b === position (1-based).
+				function doesNthMatch({ a, b }, position) {
+					if (a === 0) {
+						return position === b;
 					}
-					working = working.replace(classRegex, "");
+					const n = (position - b) / a;
 
-					if (/:first-child/.test(working)) {
-						data.pseudo.firstChild = true;
-						working = working.replace(":first-child", "");
-					}
-					if (/:last-child/.test(working)) {
-						data.pseudo.lastChild = true;
-						working = working.replace(":last-child", "");
-					}
+					return Number.isInteger(n) && n >= 0;
+				}
 
-					const nthRegex = /:nth-child\(\s*(even|odd|\d+)\s*\)/;
-					const nthMatch = nthRegex.exec(working);
-					if (nthMatch) {
-						const val = nthMatch[1];
-						if (val === "even" || val === "odd") {
-							data.pseudo.nthChild = val;
-						} else {
-							data.pseudo.nthChild = parseInt(val, 10);
-						}
-						working = working.replace(nthRegex, "");
-					}
+				function doesPseudoClassMatch(node, pseudoClass) {
+					const siblings = getElementSiblings(node);
+					const sameType = () => { return siblings.filter((sibling) => { return sibling.element === node.element; }); };
 
-					if (/:empty/.test(working)) {
-						data.pseudo.empty = true;
-						working = working.replace(":empty", "");
+					switch (pseudoClass.name) {
+					case "root":
+						return !node.parentNode;
+					case "empty":
+						return !(node.children ?? []).some((child) => {
+							return isElementNode(child) || child.element === "text" && child.children?.some((t) => { return t.innerText; });
+						});
+					case "first-child":
+						return siblings[0] === node;
+					case "last-child":
+						return siblings[siblings.length - 1] === node;
+					case "only-child":
+						return siblings.length === 1;
+					case "first-of-type":
+						return sameType()[0] === node;
+					case "last-of-type": {
+						const ofType = sameType();
+
+						return ofType[ofType.length - 1] === node;
 					}
-
-					const leftover = working.trim();
-					if (leftover) {
-						data.tag = leftover;
+					case "only-of-type":
+						return sameType().length === 1;
+					case "nth-child":
+						return doesNthMatch(pseudoClass.nth, siblings.indexOf(node) + 1);
+					case "nth-last-child":
+						return doesNthMatch(pseudoClass.nth, siblings.length - siblings.indexOf(node));
+					case "nth-of-type": {
+						const ofType = sameType();
+
+						return doesNthMatch(pseudoClass.nth, ofType.indexOf(node) + 1);
 					}
+					case "nth-last-of-type": {
+						const ofType = sameType();
 
-					return data;
+						return doesNthMatch(pseudoClass.nth, ofType.length - ofType.indexOf(node));
+					}
+					case "not":
+						return !pseudoClass.selectors.some(({ steps }) => { return doesNodeMatchSteps(node, steps, steps.length - 1); });
+					default:
+						return false;
+					}
 				}
 
-				function doesNodeMatchSegment(node, segmentData) {
-					if (segmentData.tag && segmentData.tag !== node.element) {
+				function doesNodeMatchCompound(node, compound) {
+					if (!isElementNode(node) || compound.pseudoElement) {
 						return false;
 					}
-					if (segmentData.id && node.attributes?.id !== segmentData.id) {
+					if (compound.tag && compound.tag !== "*" && compound.tag !== node.element.toLowerCase()) {
 						return false;
 					}
-					if (segmentData.classes.length > 0) {
-						const nodeClasses = node.attributes?.classList || [];
-						for (const neededClass of segmentData.classes) {
-							if (!nodeClasses.includes(neededClass)) {
-								return false;
-							}
-						}
-					}
-					for (const [k, v] of Object.entries(segmentData.attributes)) {
-						if (node.attributes?.[k] !== v) {
-							return false;
-						}
+					if (compound.ids.some((id) => { return node.attributes?.id !== id; })) {
+						return false;
 					}
-					const { firstChild, lastChild, nthChild, empty } = segmentData.pseudo;
-
-					if (empty) {
-						const hasChildren = Array.isArray(node.children) && node.children.length > 0;
-						if (hasChildren) {
-							return false;
-						}
+					const nodeClasses = node.attributes?.classList || [];
+					if (compound.classes.some((className) => { return !nodeClasses.includes(className); })) {
+						return false;
 					}
-
-					if (firstChild || lastChild || nthChild !== null) {
-						const parent = node.parentNode;
-						if (!parent || !Array.isArray(parent.children)) {
-							return false;
-						}
-						const idx = parent.children.indexOf(node);
-						if (firstChild && idx !== 0) {
-							return false;
-						}
-						if (lastChild && idx !== parent.children.length - 1) {
-							return false;
-						}
-						if (nthChild !== null) {
-							if (nthChild === "odd") {
-								if (idx % 2 !== 0) return false;
-							} else if (nthChild === "even") {
-								if (idx % 2 !== 1) return false;
-							} else {
-								if (idx !== nthChild - 1) return false;
-							}
-						}
+					if (!compound.attributes.every((attribute) => { return doesAttributeMatch(node, attribute); })) {
+						return false;
 					}
 
-					return true;
+					return compound.pseudoClasses.every((pseudoClass) => { return doesPseudoClassMatch(node, pseudoClass); });
 				}
 
-				function filterNodesBySegment(nodes, segmentData) {
-					const results = [];
-					for (const n of nodes) {
-						if (doesNodeMatchSegment(n, segmentData)) {
-							results.push(n);
-						}
+				// NOTE: Matches right-to-left, backtracking through ancestors and earlier siblings as needed.
+				function doesNodeMatchSteps(node, steps, stepIndex) {
+					const { combinator, compound } = steps[stepIndex];
+					if (!doesNodeMatchCompound(node, compound)) {
+						return false;
 					}
-
-					return results;
-				}
-
-				function gatherDescendants(node) {
-					const result = [];
-					if (!node.children) return result;
-					for (const child of node.children) {
-						result.push(child);
-						result.push(...gatherDescendants(child));
+					if (stepIndex === 0) {
+						return true;
 					}
 
-					return result;
-				}
-
-				function filterByChain(htmlRoot, chain) {
-					const allNodes = flattenHtmlTree(htmlRoot, []);
-					// eslint-disable-next-line no-unused-vars
-					const { segment: firstSeg, combinator: firstComb } = chain[0];
-					const firstData = parseSegment(firstSeg);
+					switch (combinator) {
+					case ">":
+						return !!node.parentNode && doesNodeMatchSteps(node.parentNode, steps, stepIndex - 1);
+					case "+": {
+						const siblings = getElementSiblings(node);
+						const previous = siblings[siblings.indexOf(node) - 1];
 
-					let currentSet = filterNodesBySegment(allNodes, firstData);
-
-					for (let i = 1; i < chain.length; i++) {
-						const { combinator, segment } = chain[i];
-						const segData = parseSegment(segment);
-						const nextSet = [];
+						return !!previous && doesNodeMatchSteps(previous, steps, stepIndex - 1);
+					}
+					case "~": {
+						const siblings = getElementSiblings(node);
 
-						for (const matchedNode of currentSet) {
-							if (combinator === ">") {
-								if (Array.isArray(matchedNode.children)) {
-									for (const childNode of matchedNode.children) {
-										if (doesNodeMatchSegment(childNode, segData)) {
-											nextSet.push(childNode);
-										}
-									}
-								}
-							}
-							else {
-								const descendants = gatherDescendants(matchedNode);
-								const matched = filterNodesBySegment(descendants, segData);
-								nextSet.push(...matched);
+						return siblings.slice(0, siblings.indexOf(node)).some((sibling) => { return doesNodeMatchSteps(sibling, steps, stepIndex - 1); });
+					}
+					default: {
+						let ancestor = node.parentNode;
+						while (ancestor) {
+							if (doesNodeMatchSteps(ancestor, steps, stepIndex - 1)) {
+								return true;
 							}
+							ancestor = ancestor.parentNode;
 						}
-						currentSet = nextSet;
-					}
 
-					return currentSet;
+						return false;
+					}
+					}
 				}
 
-				function filterBySelector(htmlRoot, selector) {
-					const chainsArray = tokenizeSelector(selector);
-					const resultSet = new Set();
+				// NOTE: Rules apply least-specific first so more specific (or later, on ties) declarations win; at-rules are skipped.
+				function expandRules(cssRules) {
+					const expandedRules = [];
+					cssRules.forEach((rule, ruleIndex) => {
+						if (typeof rule?.selector !== "string") {
+							return;
+						}
+						parseCssSelector({ selector: rule.selector }).forEach(({ steps, specificity }) => {
+							expandedRules.push({ steps, specificity, index: rule.index ?? ruleIndex, style: rule.style ?? {} });
+						});
+					});
 
-					for (const chain of chainsArray) {
-						const matched = filterByChain(htmlRoot, chain);
-						for (const node of matched) {
-							resultSet.add(node);
+					return expandedRules.sort((ruleA, ruleB) => {
+						if (ruleA.specificity !== ruleB.specificity) {
+							return ruleA.specificity - ruleB.specificity;
 						}
-					}
 
-					return [...resultSet];
+						return ruleA.index - ruleB.index;
+					});
 				}
 
+				// NOTE: Shorthands that held var() can only be expanded once the variables are substituted.
 				function mergeStyles(nodeStyle, newStyles, rootVars) {
 					for (const [prop, val] of Object.entries(newStyles)) {
-						nodeStyle[prop] = replacePlaceholders({ text: val, cssVars: rootVars });
+						const resolvedValue = replacePlaceholders({ text: val, cssVars: rootVars });
+						const longhands = prop.startsWith("--") ? { [prop]: resolvedValue } : expandCssShorthand({ property: prop, value: resolvedValue });
+						for (const [longhand, longhandValue] of Object.entries(longhands)) {
+							delete nodeStyle[longhand];
+							nodeStyle[longhand] = longhandValue;
+						}
 					}
 				}
 
@@ -2173,7 +6146,9 @@ const EASY_UTILS = (() => {
 					}
 				}
 
-				return ({ cssJson, htmlJson, cssVars = {} }) => {
+				// NOTE: with a cacheKey naming the template and theme pair, parsed rules and selector matches are reused between renders.
+				// cacheSource is the theme text the key stands for; a caller that already described the html structure passes it as { source, hash }.
+				return ({ cssJson, htmlJson, cssVars = {}, cacheKey, cacheSource, structure }) => {
 					try {
 						let cssRules = typeof cssJson === "string" ? JSON.parse(cssJson) : cssJson;
 						let htmlTree = typeof htmlJson === "string" ? JSON.parse(htmlJson) : htmlJson;
@@ -2196,9 +6171,30 @@ const EASY_UTILS = (() => {
 							});
 						}
 
-						for (const rule of cssRules) {
-							const { selector, style } = rule;
-							const matchedNodes = filterBySelector(htmlTree, selector);
+						const structureSource = cacheKey ? (structure?.source || renderCache.describeStructure(htmlTree)) : "";
+						const structureHash = cacheKey ? (structure?.hash || hashText({ text: structureSource })) : "";
+						const allNodes = flattenHtmlTree(htmlTree).filter(isElementNode);
+						const matchRules = (expandedRules) => {
+							return expandedRules.map(({ steps }) => {
+								return allNodes.reduce((matched, node, nodeIndex) => {
+									if (doesNodeMatchSteps(node, steps, steps.length - 1)) {
+										matched.push(nodeIndex);
+									}
+
+									return matched;
+								}, []);
+							});
+						};
+
+						const expandedRules = cacheKey
+							? renderCache.lookup("rules", cacheKey, cacheSource, () => { return expandRules(cssRules); }).value
+							: expandRules(cssRules);
+						const ruleMatches = cacheKey
+							? renderCache.lookup("matches", `${cacheKey}|${structureHash}`, `${cacheSource}|${structureSource}`, () => { return matchRules(expandedRules); }).value
+							: matchRules(expandedRules);
+
+						for (const [ruleIndex, { style }] of expandedRules.entries()) {
+							const matchedNodes = ruleMatches[ruleIndex].map((nodeIndex) => { return allNodes[nodeIndex]; });
 							for (const node of matchedNodes) {
 								node.attributes = node.attributes || {};
 								node.attributes.style = node.attributes.style || {};
@@ -2206,20 +6202,56 @@ const EASY_UTILS = (() => {
 							}
 						}
 
-						removeParentRefs(htmlTree);
-						const output = JSON.stringify(htmlTree, null, 2);
+						removeParentRefs(htmlTree);
+						const output = JSON.stringify(htmlTree, null, 2);
+
+						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message: output,
+							});
+						}
+
+						return output;
+
+					} catch (err) {
+						const msgId = "50000";
+						Utils.logSyslogMessage({
+							severity: "ERROR",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: msgId,
+							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
+						});
+
+						return htmlJson;
+					}
+				};
+			};
+		},
+
+		// ANCHOR Util: broadcastPlayerMessage
+		broadcastPlayerMessage: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "broadcastPlayerMessage";
+
+				const queueChatMessage = EASY_UTILS.getFunction({ functionName: "queueChatMessage", moduleSettings });
 
-						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
-							Utils.logSyslogMessage({
-								severity: "DEBUG",
-								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
-								transUnitId: "70000",
-								message: output,
-							});
-						}
+				// NOTE: whispers the same message to each player, or to every online player when playerIds is omitted.
+				return ({ from, playerIds, message, priority = "normal" }) => {
+					try {
+						const players = playerIds
+							? playerIds.map((playerId) => { return getObj("player", playerId); }).filter(Boolean)
+							: findObjs({ _type: "player" }).filter((player) => { return player.get("_online"); });
 
-						return output;
+						const recipients = [...new Set(players.map((player) => { return player.get("_displayname"); }))];
+						recipients.forEach((recipient) => {
+							queueChatMessage({ from, to: recipient, message, priority });
+						});
 
+						return recipients.length;
 					} catch (err) {
 						const msgId = "50000";
 						Utils.logSyslogMessage({
@@ -2229,7 +6261,7 @@ const EASY_UTILS = (() => {
 							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
 						});
 
-						return htmlJson;
+						return 0;
 					}
 				};
 			};
@@ -2243,8 +6275,176 @@ const EASY_UTILS = (() => {
 
 				const parseChatCommands = EASY_UTILS.getFunction({ functionName: "parseChatCommands", moduleSettings });
 				const parseChatSubcommands = EASY_UTILS.getFunction({ functionName: "parseChatSubcommands", moduleSettings });
+				const templateFactory = EASY_UTILS.getFunction({ functionName: "createTemplateFactory", moduleSettings });
+				const permissionFactory = EASY_UTILS.getFunction({ functionName: "createPermissionFactory", moduleSettings });
+				const renderTemplateAsync = EASY_UTILS.getFunction({ functionName: "renderTemplateAsync", moduleSettings });
+				const whisperPlayerMessage = EASY_UTILS.getFunction({ functionName: "whisperPlayerMessage", moduleSettings });
+				const whisperAlertMessageAsync = EASY_UTILS.getFunction({ functionName: "whisperAlertMessageAsync", moduleSettings });
+				const encodeCodeBlock = EASY_UTILS.getFunction({ functionName: "encodeCodeBlock", moduleSettings });
+				const decodeCodeBlock = EASY_UTILS.getFunction({ functionName: "decodeCodeBlock", moduleSettings });
+
+				const helpTemplateName = "chatMenuMain";
+
+				// NOTE: each coercer returns { value } on success or { errorId } naming the phrase to reject with.
+				const argumentCoercers = {
+					int: (rawValue) => {
+						if (!/^[-+]?\d+$/.test(rawValue.trim())) {
+							return { errorId: "0x0C5E0002" };
+						}
+
+						return { value: parseInt(rawValue, 10) };
+					},
+					tokenId: (rawValue) => {
+						if (!getObj("graphic", rawValue.trim())) {
+							return { errorId: "0x0C5E0003" };
+						}
+
+						return { value: rawValue.trim() };
+					},
+					characterId: (rawValue) => {
+						if (!getObj("character", rawValue.trim())) {
+							return { errorId: "0x0C5E0004" };
+						}
+
+						return { value: rawValue.trim() };
+					},
+					enum: (rawValue, argSpec) => {
+						const match = (argSpec.values || []).find((allowed) => { return `${allowed}`.toLowerCase() === rawValue.trim().toLowerCase(); });
+						if (match === undefined) {
+							return { errorId: "0x0C5E0005" };
+						}
+
+						return { value: match };
+					},
+					text: (rawValue) => {
+						return { value: rawValue };
+					},
+				};
+
+				// NOTE: role checks such as "controller" look at the token or character the command targets, never at the caller's
+				// selection; a command without a tokenId or characterId argument gives them no context, so they deny.
+				function getPermissionContext({ commandSpec, validatedArgs = {} }) {
+					return Object.entries(commandSpec.args || {}).reduce((context, [argName, argSpec]) => {
+						const isTarget = argSpec.type === "tokenId" || argSpec.type === "characterId";
+						if (isTarget && validatedArgs[argName] !== undefined && context[argSpec.type] === undefined) {
+							context[argSpec.type] = validatedArgs[argName];
+						}
+
+						return context;
+					}, {});
+				}
+
+				function hasTargetArg(commandSpec) {
+					return Object.values(commandSpec.args || {}).some((argSpec) => { return argSpec.type === "tokenId" || argSpec.type === "characterId"; });
+				}
+
+				function isCommandPermitted({ commandSpec, msgDetails, validatedArgs }) {
+					if (!commandSpec.capability || msgDetails.isGm) {
+						return true;
+					}
+
+					return permissionFactory.can({
+						capability: commandSpec.capability,
+						playerId: msgDetails.callerId,
+						context: getPermissionContext({ commandSpec, validatedArgs })
+					});
+				}
+
+				function validateCommandArgs({ commandName, commandSpec, parsedArgs, msgDetails }) {
+					if (commandSpec.gmOnly && !msgDetails.isGm) {
+						const commandLabel = commandName === "--default" ? `!${moduleSettings.chatApiName}` : commandName;
+
+						return { errorId: "0x0E5A1003", expressions: { remark: commandLabel } };
+					}
+
+					const validatedArgs = { ...parsedArgs };
+
+					for (const [argName, argSpec] of Object.entries(commandSpec.args || {})) {
+						const rawValue = parsedArgs[argName];
+						const expressions = { command: commandName, argument: argName, value: rawValue, values: (argSpec.values || []).join(", ") };
+
+						if (rawValue === undefined) {
+							if (argSpec.required) {
+								return { errorId: "0x0C5E0001", expressions };
+							}
+							if (argSpec.default !== undefined) {
+								validatedArgs[argName] = argSpec.default;
+							}
+							continue;
+						}
+
+						// NOTE: a bare "key" without "|value" parses as true, which no argument type accepts.
+						if (typeof rawValue !== "string") {
+							return { errorId: "0x0C5E0006", expressions };
+						}
+
+						const coerce = argumentCoercers[argSpec.type] || argumentCoercers.text;
+						const result = coerce(rawValue, argSpec);
+						if (result.errorId) {
+							return { errorId: result.errorId, expressions };
+						}
+
+						validatedArgs[argName] = result.value;
+					}
+
+					// NOTE: checked after coercion so role checks see the validated target.
+					if (!isCommandPermitted({ commandSpec, msgDetails, validatedArgs })) {
+						return { errorId: "0x0E5A1040", expressions: { remark: commandSpec.capability } };
+					}
+
+					return { validatedArgs };
+				}
+
+				function formatArgUsage(argName, argSpec) {
+					const typeHint = argSpec.type === "enum" ? (argSpec.values || []).join("/") : (argSpec.type || "text");
+					const defaultHint = argSpec.default !== undefined ? `=${argSpec.default}` : "";
+					const usage = `${argName}|<${typeHint}>${defaultHint}`;
+
+					return argSpec.required ? usage : `[${usage}]`;
+				}
+
+				async function renderHelpAsync({ msgDetails, commandSchema, parsedArgs }) {
+					const playerId = msgDetails.callerId;
+					const commandFilter = Object.keys(parsedArgs).map((key) => { return `--${key.replace(/^-+/, "").toLowerCase()}`; });
 
-				return ({ actionMap, apiCall, onInvalidCommand }) => {
+					const commandHtml = Object.entries(commandSchema)
+						.filter(([commandName, commandSpec]) => {
+							// NOTE: a command that names its target is listed; whether the player may use it on that target is checked on use.
+							const isVisible = commandName !== "--default" && (!commandSpec.gmOnly || msgDetails.isGm) && (hasTargetArg(commandSpec) || isCommandPermitted({ commandSpec, msgDetails }));
+							const isRequested = commandFilter.length === 0 || commandFilter.includes(commandName);
+
+							return isVisible && isRequested;
+						})
+						.map(([commandName, commandSpec]) => {
+							const usage = [`!${moduleSettings.chatApiName} ${commandName}`]
+								.concat(Object.entries(commandSpec.args || {}).map(([argName, argSpec]) => { return formatArgUsage(argName, argSpec); }))
+								.join(" ");
+							const description = commandSpec.description ? PhraseFactory.get({ playerId, transUnitId: commandSpec.description }) : "";
+
+							return `<p class="ezmenus-help-command"><code>${encodeCodeBlock({ text: usage })}</code><br />${description}</p>`;
+						});
+
+					const title = PhraseFactory.get({ playerId, transUnitId: "0x0C5E0007", expressions: { remark: moduleSettings.readableName } });
+					const body = commandHtml.join("");
+					const footer = PhraseFactory.get({ playerId, transUnitId: "0x0C5E0008" });
+
+					let message;
+					if (templateFactory.has({ template: helpTemplateName })) {
+						message = await renderTemplateAsync({
+							template: helpTemplateName,
+							expressions: { title, header: "", body, buttons: [], footer },
+							theme: helpTemplateName,
+							cssVars: {}
+						});
+					} else {
+						message = `<h3>${title}</h3>${decodeCodeBlock({ text: body })}`;
+					}
+
+					return whisperPlayerMessage({ to: msgDetails.callerName, message });
+				}
+
+				// NOTE: commandSchema is optional; commands without an entry receive the untyped parsedArgs as before.
+				return ({ actionMap, apiCall, onInvalidCommand, commandSchema, greedyKeys = [] }) => {
 
 					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
 						Utils.logSyslogMessage({
@@ -2281,20 +6481,66 @@ const EASY_UTILS = (() => {
 					const validCommands = [];
 					const invalidCommands = [];
 
+					const hasBuiltInHelp = commandSchema && !actionMap.hasOwnProperty("--help");
+
 					msgDetails.commandMap.forEach((args, commandName) => {
-						if (actionMap.hasOwnProperty(commandName)) {
+						if (actionMap.hasOwnProperty(commandName) || (hasBuiltInHelp && commandName === "--help")) {
 							validCommands.push({ commandName, args });
 						} else {
 							invalidCommands.push(commandName);
 						}
 					});
 
+					// NOTE: runs synchronously up to the help render, so commands still start in the order they were written.
+					const dispatchCommand = async (commandName, parsedArgs) => {
+						try {
+							if (hasBuiltInHelp && commandName === "--help") {
+								await renderHelpAsync({ msgDetails, commandSchema, parsedArgs });
+
+								return;
+							}
+
+							const commandSpec = commandSchema?.[commandName];
+							if (!commandSpec) {
+								actionMap[commandName](msgDetails, parsedArgs);
+
+								return;
+							}
+
+							const { validatedArgs, errorId, expressions } = validateCommandArgs({ commandName, commandSpec, parsedArgs, msgDetails });
+							if (errorId) {
+								whisperAlertMessageAsync({
+									to: msgDetails.callerName,
+									toId: msgDetails.callerId,
+									severity: "WARN",
+									apiCallContent: apiCall.content,
+									remark: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: errorId, expressions })
+								});
+
+								return;
+							}
+
+							actionMap[commandName](msgDetails, validatedArgs);
+						} catch (err) {
+							const msgId = "50000";
+							Utils.logSyslogMessage({
+								severity: "ERROR",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: msgId,
+								message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
+							});
+						}
+					};
+
 					if (validCommands.length === 0 && invalidCommands.length === 0) {
-						actionMap["--default"](msgDetails, {});
+						dispatchCommand("--default", {});
 					} else {
 						validCommands.forEach(({ commandName, args }) => {
-							const parsedArgs = parseChatSubcommands({ subcommands: args });
-							actionMap[commandName](msgDetails, parsedArgs);
+							const schemaGreedyKeys = Object.entries(commandSchema?.[commandName]?.args || {})
+								.filter(([, argSpec]) => { return argSpec.greedy; })
+								.map(([argName]) => { return argName; });
+
+							dispatchCommand(commandName, parseChatSubcommands({ subcommands: args, greedyKeys: [...greedyKeys, ...schemaGreedyKeys] }));
 						});
 
 						if (invalidCommands.length > 0 && typeof onInvalidCommand === "function") {
@@ -2316,6 +6562,186 @@ const EASY_UTILS = (() => {
 			};
 		},
 
+		// ANCHOR Util: migrateVault
+		migrateVault: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "migrateVault";
+
+				const diffJson = EASY_UTILS.getFunction({ functionName: "diffJson", moduleSettings });
+				const encodeNoteContent = EASY_UTILS.getFunction({ functionName: "encodeNoteContent", moduleSettings });
+				const whisperAlertMessageAsync = EASY_UTILS.getFunction({ functionName: "whisperAlertMessageAsync", moduleSettings });
+
+				const compareVersions = (left, right) => {
+					const leftParts = `${left}`.split(".").map((part) => { return parseInt(part, 10) || 0; });
+					const rightParts = `${right}`.split(".").map((part) => { return parseInt(part, 10) || 0; });
+
+					for (let i = 0; i < Math.max(leftParts.length, rightParts.length); i++) {
+						const difference = (leftParts[i] || 0) - (rightParts[i] || 0);
+						if (difference !== 0) return difference;
+					}
+
+					return 0;
+				};
+
+				const isPlainObject = (value) => {
+					return value !== null && typeof value === "object" && !Array.isArray(value);
+				};
+
+				const replaceContents = (target, source) => {
+					Object.keys(target).forEach((key) => { delete target[key]; });
+					Object.assign(target, source);
+				};
+
+				const writeBackupHandout = (vaultKey, fromVersion, snapshot) => {
+					const handoutName = `Easy-Utils: Vault Backup ${vaultKey} ${fromVersion}`;
+
+					let handout = findObjs({ type: "handout", name: handoutName })[0];
+					if (!handout) {
+						handout = createObj("handout", {
+							name: handoutName,
+							inplayerjournals: "",
+							archived: false
+						});
+					}
+
+					handout.set("gmnotes", encodeNoteContent({ text: JSON.stringify(snapshot, null, 2) }));
+					handout.set("notes", `<h2>${handoutName}</h2><p>Copy of state.EASY_VAULT.${vaultKey} taken before migrating from schema ${fromVersion}.</p>`);
+
+					return handoutName;
+				};
+
+				const notifyGm = (severity, remark) => {
+					whisperAlertMessageAsync({
+						from: moduleSettings.readableName,
+						to: "gm",
+						severity,
+						title: PhraseFactory.get({ transUnitId: "0x0E5A1010", expressions: { remark: moduleSettings.readableName } }),
+						remark
+					});
+				};
+
+				// NOTE: migrations is an ordered list of { version, description, up(slice) }; up may mutate the slice or return a new one.
+				return ({ vaultKey, migrations = [], dryRun = false, notify = true }) => {
+
+					const vault = globalSettings.sharedVault;
+					vault.schemaVersions = vault.schemaVersions || {};
+
+					const orderedMigrations = [...migrations].sort((a, b) => { return compareVersions(a.version, b.version); });
+					const latestVersion = orderedMigrations.length > 0 ? `${orderedMigrations[orderedMigrations.length - 1].version}` : "0.0.0";
+					const slice = vault[vaultKey];
+					const report = { vaultKey, status: "current", fromVersion: vault.schemaVersions[vaultKey] || "0.0.0", toVersion: latestVersion, dryRun, steps: [] };
+
+					// NOTE: a module with no stored data starts on the latest schema; there is nothing to migrate.
+					if (!isPlainObject(slice) || Object.keys(slice).length === 0) {
+						if (!dryRun) vault.schemaVersions[vaultKey] = latestVersion;
+						report.status = "initialized";
+
+						return report;
+					}
+
+					const pendingMigrations = orderedMigrations.filter((migration) => { return compareVersions(migration.version, report.fromVersion) > 0; });
+					if (pendingMigrations.length === 0) {
+						return report;
+					}
+
+					const snapshot = JSON.parse(JSON.stringify(slice));
+					let working = JSON.parse(JSON.stringify(slice));
+
+					// NOTE: every step runs against a copy first; the live slice is only replaced after all of them succeed.
+					for (const migration of pendingMigrations) {
+						const before = JSON.parse(JSON.stringify(working));
+
+						try {
+							const result = migration.up(working);
+							if (isPlainObject(result)) working = result;
+						} catch (err) {
+							report.status = "failed";
+							report.failedVersion = `${migration.version}`;
+							report.error = `${err}`;
+
+							Utils.logSyslogMessage({
+								severity: "ERROR",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "50000",
+								message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: `${vaultKey} ${migration.version}: ${err}` } })
+							});
+
+							if (notify) {
+								notifyGm("ERROR", PhraseFactory.get({ transUnitId: "0x0E5A1013", expressions: { remark: `${vaultKey} ${migration.version}`, error: `${err}` } }));
+							}
+
+							return report;
+						}
+
+						report.steps.push({ version: `${migration.version}`, description: migration.description || "", changes: diffJson({ before, after: working }) });
+					}
+
+					const stepSummary = report.steps.map((step) => {
+						const changeText = step.changes.length > 0 ? step.changes.join(", ") : PhraseFactory.get({ transUnitId: "0x0E5A1014" });
+
+						return `${step.version} ${step.description} [${changeText}]`;
+					}).join("; ");
+
+					if (dryRun) {
+						report.status = "dryRun";
+
+						if (notify) {
+							notifyGm("INFO", `${vaultKey} ${report.fromVersion} → ${latestVersion}: ${stepSummary}. ${PhraseFactory.get({ transUnitId: "0x0E5A1011" })}`);
+						}
+
+						return report;
+					}
+
+					try {
+						report.backupHandout = writeBackupHandout(vaultKey, report.fromVersion, snapshot);
+						replaceContents(slice, working);
+						vault.schemaVersions[vaultKey] = latestVersion;
+						report.status = "migrated";
+					} catch (err) {
+						replaceContents(slice, snapshot);
+						report.status = "failed";
+						report.error = `${err}`;
+
+						Utils.logSyslogMessage({
+							severity: "ERROR",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "50000",
+							message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: `${vaultKey}: ${err}` } })
+						});
+
+						if (notify) {
+							notifyGm("ERROR", PhraseFactory.get({ transUnitId: "0x0E5A1013", expressions: { remark: vaultKey, error: `${err}` } }));
+						}
+
+						return report;
+					}
+
+					Utils.logSyslogMessage({
+						severity: "INFO",
+						tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+						transUnitId: "10000",
+						message: `${vaultKey} ${report.fromVersion} -> ${latestVersion}: ${stepSummary}`
+					});
+
+					if (notify) {
+						notifyGm("INFO", `${vaultKey} ${report.fromVersion} → ${latestVersion}: ${stepSummary}. ${PhraseFactory.get({ transUnitId: "0x0E5A1012", expressions: { remark: report.backupHandout } })}`);
+					}
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify(report),
+						});
+					}
+
+					return report;
+				};
+			};
+		},
+
 		// ANCHOR Util: renderTemplateAsync
 		renderTemplateAsync: function () {
 			return (moduleSettings) => {
@@ -2330,39 +6756,98 @@ const EASY_UTILS = (() => {
 				const convertCssToJson = EASY_UTILS.getFunction({ functionName: "convertCssToJson", moduleSettings });
 				const decodeCodeBlock = EASY_UTILS.getFunction({ functionName: "decodeCodeBlock", moduleSettings });
 				const getSharedVault = EASY_UTILS.getFunction({ functionName: "getSharedVault", moduleSettings });
+				const hashText = EASY_UTILS.getFunction({ functionName: "hashText", moduleSettings });
+
+				// NOTE: themes size text in px, so a player's font scale is applied to the finished inline styles.
+				function scaleFontSizes({ html, fontScale }) {
+					if (!fontScale || fontScale === 100) {
+						return html;
+					}
+
+					return html.replace(/font-size:\s*(\d+(?:\.\d+)?)px/g, (_, size) => { return `font-size: ${Math.round(parseFloat(size) * fontScale) / 100}px`; });
+				}
 
-				return async ({ template, expressions = {}, theme, cssVars = {} }) => {
+				// NOTE: the parsed template is cached per template name and reused while the filled-in text is unchanged; its structure is
+				// described once per entry, so output that only changes text (a turn announcement) still reuses the selector matches.
+				// With a playerId the recipient's preferences apply: their palette, their font scale, their locale for template filters, and "<template>Compact" when they chose compact output and one is registered.
+				return async ({ template: requestedTemplate, expressions = {}, theme, cssVars = {}, playerId }) => {
 
 					try {
+						const startedAt = Date.now();
+						const timings = {};
+						const markTiming = (stage, since) => {
+							timings[stage] = Date.now() - since;
+
+							return Date.now();
+						};
+
 						const vault = getSharedVault();
 						const customStyle = vault.customStyle || {};
-						const mergedCssVars = { ...customStyle, ...cssVars };
+						const preferences = playerId ? themeFactory.getPlayerPreferences({ playerId }) : null;
+						const mergedCssVars = { ...customStyle, ...cssVars, ...(preferences?.cssVars || {}) };
+
+						const locale = playerId ? PhraseFactory.getLocale({ playerId }) : undefined;
+
+						const compactTemplate = `${requestedTemplate}Compact`;
+						const template = preferences?.verbosity === "compact" && templateFactory.has({ template: compactTemplate }) ? compactTemplate : requestedTemplate;
 
 						const [fetchedTemplate, fetchedTheme] = await Promise.all([
-							templateFactory.get({ template, expressions, cssVars: mergedCssVars }),
+							templateFactory.get({ template, expressions, cssVars: mergedCssVars, locale }),
 							themeFactory.get({ theme, expressions, cssVars: mergedCssVars })
 						]);
+						let stageAt = markTiming("placeholdersMs", startedAt);
 
 						// If no template found, just return the expressions as JSON
 						if (!templateFactory.has({ template })) {
 							return fetchedTemplate;
 						}
 
+						const htmlEntry = renderCache.lookup("html", template, fetchedTemplate, () => {
+							const htmlJson = convertHtmlToJson({ html: fetchedTemplate });
+
+							const structureSource = renderCache.describeStructure(htmlJson);
+
+							return { htmlJson, structure: { source: structureSource, hash: hashText({ text: structureSource }) } };
+						});
+						stageAt = markTiming("htmlMs", stageAt);
+
 						// If no theme, return template HTML without styling
 						if (!fetchedTheme) {
-							const htmlJson = convertHtmlToJson({ html: fetchedTemplate });
-							return convertJsonToHtml({ htmlJson });
+							return convertJsonToHtml({ htmlJson: htmlEntry.value.htmlJson });
 						}
 
+						const themeHash = hashText({ text: fetchedTheme });
+						const cssEntry = renderCache.lookup("css", themeHash, fetchedTheme, () => { return convertCssToJson({ css: fetchedTheme }); });
+						stageAt = markTiming("cssMs", stageAt);
+
 						const styledJson = applyCssToHtmlJson({
-							cssJson: convertCssToJson({ css: fetchedTheme }),
-							htmlJson: convertHtmlToJson({ html: fetchedTemplate }),
-							cssVars: mergedCssVars
+							cssJson: cssEntry.value,
+							htmlJson: htmlEntry.value.htmlJson,
+							cssVars: mergedCssVars,
+							cacheKey: `${template}|${theme}|${themeHash}`,
+							cacheSource: fetchedTheme,
+							structure: htmlEntry.value.structure
 						});
+						stageAt = markTiming("styleMs", stageAt);
 
-						const output = convertJsonToHtml({ htmlJson: decodeCodeBlock({ text: styledJson }) });
+						const output = scaleFontSizes({ html: convertJsonToHtml({ htmlJson: decodeCodeBlock({ text: styledJson }) }), fontScale: preferences?.fontScale });
+						markTiming("outputMs", stageAt);
 
 						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message: JSON.stringify({
+									template,
+									theme,
+									totalMs: Date.now() - startedAt,
+									...timings,
+									htmlCached: htmlEntry.isCached,
+									cssCached: cssEntry.isCached,
+									cache: { ...renderCache.stats, html: renderCache.html.size, css: renderCache.css.size, matches: renderCache.matches.size }
+								}),
+							});
 							Utils.logSyslogMessage({
 								severity: "DEBUG",
 								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
@@ -2388,19 +6873,158 @@ const EASY_UTILS = (() => {
 			};
 		},
 
+		// ANCHOR Util: requirePermissionAsync
+		requirePermissionAsync: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "requirePermissionAsync";
+
+				const permissionFactory = EASY_UTILS.getFunction({ functionName: "createPermissionFactory", moduleSettings });
+				const whisperAlertMessageAsync = EASY_UTILS.getFunction({ functionName: "whisperAlertMessageAsync", moduleSettings });
+
+				// NOTE: for handlers that check a capability themselves, e.g. when the context comes from the module's own state.
+				return async ({ capability, msgDetails, context = {} }) => {
+					const isPermitted = permissionFactory.can({ capability, playerId: msgDetails.callerId, context });
+
+					if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+						Utils.logSyslogMessage({
+							severity: "DEBUG",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: "70000",
+							message: JSON.stringify({ capability, playerId: msgDetails.callerId, context, isPermitted })
+						});
+					}
+
+					if (!isPermitted) {
+						await whisperAlertMessageAsync({
+							to: msgDetails.callerName,
+							toId: msgDetails.callerId,
+							severity: "WARN",
+							apiCallContent: msgDetails.raw?.content,
+							remark: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1040", expressions: { remark: capability } })
+						});
+					}
+
+					return isPermitted;
+				};
+			};
+		},
+
 		// ANCHOR Util: whisperPlayerMessage
 		whisperPlayerMessage: function () {
 			return (moduleSettings) => {
 
 				const thisFuncDebugName = "whisperPlayerMessage";
 
-				return ({ from, to, message }) => {
-					const sender = from || moduleSettings.readableName;
-					const recipient = to || "gm";
+				const queueChatMessage = EASY_UTILS.getFunction({ functionName: "queueChatMessage", moduleSettings });
+
+				return ({ from, to, message, priority = "normal" }) => {
+					const sender = from || moduleSettings.readableName;
+					const recipient = to || "gm";
+
+					try {
+						queueChatMessage({ from: sender, to: recipient, message, priority });
+						return 0;
+					} catch (err) {
+						const msgId = "50000";
+						Utils.logSyslogMessage({
+							severity: "ERROR",
+							tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+							transUnitId: msgId,
+							message: PhraseFactory.get({ transUnitId: msgId, expressions: { remark: err } })
+						});
+
+						return 1;
+					}
+				};
+			};
+		},
+
+		// ANCHOR Util: whisperAlertMessageAsync
+		whisperAlertMessageAsync: function () {
+			return (moduleSettings) => {
+
+				const thisFuncDebugName = "whisperAlertMessageAsync";
+
+				const templateFactory = EASY_UTILS.getFunction({ functionName: "createTemplateFactory", moduleSettings });
+				const renderTemplateAsync = EASY_UTILS.getFunction({ functionName: "renderTemplateAsync", moduleSettings });
+				const whisperPlayerMessage = EASY_UTILS.getFunction({ functionName: "whisperPlayerMessage", moduleSettings });
+				const encodeCodeBlock = EASY_UTILS.getFunction({ functionName: "encodeCodeBlock", moduleSettings });
+
+				const alertTemplateName = "chatMenuAlert";
+
+				const severityMap = {
+					3: "ERROR",
+					4: "WARN",
+					6: "INFO",
+					7: "DEBUG",
+				};
+
+				const reverseSeverityMap = Object.fromEntries(
+					Object.entries(severityMap).map(([key, value]) => { return [value, parseInt(key)]; })
+				);
+
+				const alertStyleMap = {
+					ERROR: { cssClass: "ezmenus-error", titleId: "0x004A7742" },
+					WARN: { cssClass: "ezmenus-warn", titleId: "0x0B672E77" },
+					INFO: { cssClass: "ezmenus-info", titleId: "0x0004E2AF" },
+					DEBUG: { cssClass: "ezmenus-tip", titleId: "0x000058E0" },
+				};
+
+				return async ({ from, to, toId, severity, title, apiCallContent, remark, footer }) => {
+
+					let normalizedSeverity;
+					if (typeof severity === "number" && severityMap[severity]) {
+						normalizedSeverity = severity;
+					} else if (typeof severity === "string" && reverseSeverityMap[severity.toUpperCase()]) {
+						normalizedSeverity = reverseSeverityMap[severity.toUpperCase()];
+					} else {
+						normalizedSeverity = 6;
+					}
+
+					const alertStyle = alertStyleMap[severityMap[normalizedSeverity]];
+					const alertTitle = title || PhraseFactory.get({ playerId: toId, transUnitId: alertStyle.titleId });
+					const remarkText = remark !== undefined && remark !== null ? `${remark}` : "";
 
 					try {
-						sendChat(sender, `/w "${recipient}" ${message}`);
-						return 0;
+						let message;
+
+						if (templateFactory.has({ template: alertTemplateName })) {
+							message = await renderTemplateAsync({
+								template: alertTemplateName,
+								expressions: {
+									alertClass: alertStyle.cssClass,
+									title: alertTitle,
+									header: "",
+									description: apiCallContent ? PhraseFactory.get({ playerId: toId, transUnitId: "0x02B2451A" }) : "",
+									code: apiCallContent ? encodeCodeBlock({ text: apiCallContent }) : "",
+									remark: remarkText,
+									footer: footer || ""
+								},
+								theme: alertTemplateName,
+								cssVars: {},
+								playerId: toId
+							});
+						} else {
+							const commandEcho = apiCallContent ? ` (${apiCallContent})` : "";
+							message = `${alertTitle.toUpperCase()}: ${remarkText}${commandEcho}`;
+						}
+
+						if (moduleSettings?.debug?.[thisFuncDebugName] ?? false) {
+							Utils.logSyslogMessage({
+								severity: "DEBUG",
+								tag: `${moduleSettings.readableName}.${thisFuncDebugName}`,
+								transUnitId: "70000",
+								message,
+							});
+						}
+
+						return whisperPlayerMessage({
+							from: from || moduleSettings.readableName,
+							to: to || "gm",
+							message
+						});
+
 					} catch (err) {
 						const msgId = "50000";
 						Utils.logSyslogMessage({
@@ -2505,16 +7129,917 @@ const EASY_UTILS = (() => {
 
 	// SECTION Event Hooks: Roll20 API
 
+	// ANCHOR Outer Method: registerPhrases
+	const registerPhrases = () => {
+		PhraseFactory.add({
+			newMap: {
+				enUS: {
+					"0x004A7742": "error",
+					"0x0B672E77": "warning",
+					"0x0004E2AF": "information",
+					"0x000058E0": "tip",
+					"0x02B2451A": "You entered the following command:",
+					"0x0E5A1001": "Easy-Utils Logs",
+					"0x0E5A1002": "No log entries match {{ remark }}.",
+					"0x0E5A1003": "Only the GM can use {{ remark }}.",
+					"0x0E5A1004": "Log level set: {{ remark }}",
+					"0x0E5A1005": "Usage: !ezutils --logs [module] [severity] [count]",
+					"0x0E5A1006": "Show recent log entries, optionally filtered by module and severity.",
+					"0x0E5A1007": "Set the minimum severity logged for a module, or for every module when none is given.",
+					"0x0E5A1008": "Unrecognized command. Use !ezutils --help to list the commands.",
+					"0x0E5A1009": "Installed Easy Modules",
+					"0x0E5A100A": "List the installed Easy Modules with their versions, dependencies and readiness.",
+					"0x0E5A100B": "ready",
+					"0x0E5A100C": "waiting for {{ remark }}",
+					"0x0E5A100D": "Dependencies: {{ remark }}",
+					"0x0E5A100E": "API: {{ remark }}",
+					"0x0E5A1010": "{{ remark }} Vault Migration",
+					"0x0E5A1011": "Dry run only, nothing was changed.",
+					"0x0E5A1012": "The previous data was saved to the handout {{ remark }}.",
+					"0x0E5A1013": "Migration {{ remark }} failed ({{ error }}). The vault was left as it was.",
+					"0x0E5A1014": "no changes",
+					"0x0E5A1020": "Backup saved to the GM-only handouts {{ remark }}.",
+					"0x0E5A1021": "Save every Easy module's state to GM-only backup handouts.",
+					"0x0E5A1022": "Preview a backup and restore it. Without an id, list the saved backups.",
+					"0x0E5A1023": "Restore Backup {{ remark }}",
+					"0x0E5A1024": "No backup named {{ remark }} was found.",
+					"0x0E5A1025": "Backup {{ remark }} is damaged or incomplete and cannot be restored.",
+					"0x0E5A1026": "Restore this backup",
+					"0x0E5A1027": "Backup {{ remark }} was restored. The state before restoring was saved as backup {{ previous }}.",
+					"0x0E5A1028": "This backup matches the current state; nothing would change.",
+					"0x0E5A1029": "Saved Backups",
+					"0x0E5A102A": "No backups have been saved yet. Use !ezutils --backup to make one.",
+					"0x0E5A102B": "...and {{ remark }} more changes.",
+					"0x0E5A102C": "Restoring would make these changes (+ added, - removed, ~ changed):",
+					"0x0E5A1030": "Missing Phrases",
+					"0x0E5A1031": "List the phrases each language has not translated yet. Add them to an \"Easy-Utils: Lang <code>\" handout.",
+					"0x0E5A1032": "No language other than the default matches {{ remark }}.",
+					"0x0E5A1033": "{{ remark }}: {count, plural, =0 {every phrase is translated} one {# phrase is missing} other {# phrases are missing}}",
+					"0x0E5A1034": "Loaded {count, plural, one {# phrase} other {# phrases}} for {{ remark }} from its language handout.",
+					"0x0E5A1040": "You do not have the {{ remark }} permission. Ask the GM to grant it with !ezutils --permissions.",
+					"0x0E5A1041": "Every player",
+					"0x0E5A1042": "Players who control the token or character",
+					"0x0E5A1043": "Permissions",
+					"0x0E5A1044": "Show the capabilities modules declare and grant them to players or roles.",
+					"0x0E5A1045": "No module has declared a capability yet.",
+					"0x0E5A1046": "Granted to: {{ remark }}",
+					"0x0E5A1047": "GM only",
+					"0x0E5A1048": "Edit",
+					"0x0E5A1049": "Grant to player",
+					"0x0E5A104A": "Grant to role",
+					"0x0E5A104B": "Reset to defaults",
+					"0x0E5A104C": "Revoke {{ remark }}",
+					"0x0E5A104D": "{{ remark }} is not a capability any module has declared.",
+					"0x0E5A104E": "Could not apply {{ remark }}; write player:<id> or role:<name>.",
+					"0x0E5A104F": "Back",
+					"0x0C5E0001": "{{ command }} requires {{ argument }}.",
+					"0x0C5E0002": "{{ argument }} must be a whole number, not {{ value }}.",
+					"0x0C5E0003": "{{ argument }} must be the id of a token, not {{ value }}.",
+					"0x0C5E0004": "{{ argument }} must be the id of a character, not {{ value }}.",
+					"0x0C5E0005": "{{ argument }} must be one of {{ values }}, not {{ value }}.",
+					"0x0C5E0006": "{{ argument }} needs a value, written as {{ argument }}|value.",
+					"0x0C5E0007": "{{ remark }} Commands",
+					"0x0C5E0008": "Arguments in [brackets] are optional."
+				},
+				frFR: {
+					"0x004A7742": "erreur",
+					"0x0B672E77": "avertissement",
+					"0x0004E2AF": "information",
+					"0x000058E0": "conseil",
+					"0x02B2451A": "Vous avez entré la commande suivante :",
+					"0x0E5A1001": "Journaux Easy-Utils",
+					"0x0E5A1002": "Aucune entrée de journal ne correspond à {{ remark }}.",
+					"0x0E5A1003": "Seul le MJ peut utiliser {{ remark }}.",
+					"0x0E5A1004": "Niveau de journal défini : {{ remark }}",
+					"0x0E5A1005": "Utilisation : !ezutils --logs [module] [sévérité] [nombre]",
+					"0x0E5A1006": "Affiche les entrées de journal récentes, filtrées par module et sévérité si besoin.",
+					"0x0E5A1007": "Définit la sévérité minimale journalisée pour un module, ou pour tous les modules si aucun n'est indiqué.",
+					"0x0E5A1008": "Commande non reconnue. Utilisez !ezutils --help pour lister les commandes.",
+					"0x0E5A1009": "Modules Easy installés",
+					"0x0E5A100A": "Liste les modules Easy installés avec leurs versions, dépendances et état.",
+					"0x0E5A100B": "prêt",
+					"0x0E5A100C": "en attente de {{ remark }}",
+					"0x0E5A100D": "Dépendances : {{ remark }}",
+					"0x0E5A100E": "API : {{ remark }}",
+					"0x0E5A1010": "Migration du coffre {{ remark }}",
+					"0x0E5A1011": "Simulation uniquement, rien n'a été modifié.",
+					"0x0E5A1012": "Les données précédentes ont été enregistrées dans la note {{ remark }}.",
+					"0x0E5A1013": "La migration {{ remark }} a échoué ({{ error }}). Le coffre n'a pas été modifié.",
+					"0x0E5A1014": "aucun changement",
+					"0x0E5A1020": "Sauvegarde enregistrée dans les notes réservées au MJ {{ remark }}.",
+					"0x0E5A1021": "Enregistre l'état de chaque module Easy dans des notes de sauvegarde réservées au MJ.",
+					"0x0E5A1022": "Prévisualise une sauvegarde et la restaure. Sans identifiant, liste les sauvegardes.",
+					"0x0E5A1023": "Restaurer la sauvegarde {{ remark }}",
+					"0x0E5A1024": "Aucune sauvegarde nommée {{ remark }} n'a été trouvée.",
+					"0x0E5A1025": "La sauvegarde {{ remark }} est endommagée ou incomplète et ne peut pas être restaurée.",
+					"0x0E5A1026": "Restaurer cette sauvegarde",
+					"0x0E5A1027": "La sauvegarde {{ remark }} a été restaurée. L'état précédent a été enregistré dans la sauvegarde {{ previous }}.",
+					"0x0E5A1028": "Cette sauvegarde correspond à l'état actuel ; rien ne changerait.",
+					"0x0E5A1029": "Sauvegardes enregistrées",
+					"0x0E5A102A": "Aucune sauvegarde pour l'instant. Utilisez !ezutils --backup pour en créer une.",
+					"0x0E5A102B": "...et {{ remark }} autres changements.",
+					"0x0E5A102C": "La restauration ferait ces changements (+ ajouté, - supprimé, ~ modifié) :",
+					"0x0E5A1030": "Phrases manquantes",
+					"0x0E5A1031": "Liste les phrases que chaque langue n'a pas encore traduites. Ajoutez-les à une note « Easy-Utils: Lang <code> ».",
+					"0x0E5A1032": "Aucune langue autre que celle par défaut ne correspond à {{ remark }}.",
+					"0x0E5A1033": "{{ remark }} : {count, plural, =0 {toutes les phrases sont traduites} one {# phrase manquante} other {# phrases manquantes}}",
+					"0x0E5A1034": "{count, plural, one {# phrase chargée} other {# phrases chargées}} pour {{ remark }} depuis sa note de langue.",
+					"0x0E5A1040": "Vous n'avez pas la permission {{ remark }}. Demandez au MJ de l'accorder avec !ezutils --permissions.",
+					"0x0E5A1041": "Tous les joueurs",
+					"0x0E5A1042": "Joueurs qui contrôlent le jeton ou le personnage",
+					"0x0E5A1043": "Permissions",
+					"0x0E5A1044": "Affiche les capacités déclarées par les modules et les accorde à des joueurs ou des rôles.",
+					"0x0E5A1045": "Aucun module n'a encore déclaré de capacité.",
+					"0x0E5A1046": "Accordée à : {{ remark }}",
+					"0x0E5A1047": "MJ uniquement",
+					"0x0E5A1048": "Modifier",
+					"0x0E5A1049": "Accorder à un joueur",
+					"0x0E5A104A": "Accorder à un rôle",
+					"0x0E5A104B": "Rétablir les valeurs par défaut",
+					"0x0E5A104C": "Retirer {{ remark }}",
+					"0x0E5A104D": "{{ remark }} n'est une capacité déclarée par aucun module.",
+					"0x0E5A104E": "Impossible d'appliquer {{ remark }} ; écrivez player:<id> ou role:<nom>.",
+					"0x0E5A104F": "Retour",
+					"0x0C5E0001": "{{ command }} nécessite {{ argument }}.",
+					"0x0C5E0002": "{{ argument }} doit être un nombre entier, pas {{ value }}.",
+					"0x0C5E0003": "{{ argument }} doit être l'identifiant d'un jeton, pas {{ value }}.",
+					"0x0C5E0004": "{{ argument }} doit être l'identifiant d'un personnage, pas {{ value }}.",
+					"0x0C5E0005": "{{ argument }} doit être l'une des valeurs {{ values }}, pas {{ value }}.",
+					"0x0C5E0006": "{{ argument }} nécessite une valeur, écrite {{ argument }}|valeur.",
+					"0x0C5E0007": "Commandes {{ remark }}",
+					"0x0C5E0008": "Les arguments entre [crochets] sont facultatifs."
+				}
+			}
+		});
+	};
+
+	// ANCHOR Member: severityNames
+	const severityNames = ["ERROR", "WARN", "INFO", "DEBUG"];
+
+	// ANCHOR Outer Method: parseLogArgs
+	// NOTE: positional args are sorted by shape, so "--logs WARN Easy-Menus 10" and "--logs 10 Easy-Menus WARN" agree.
+	const parseLogArgs = (parsedArgs) => {
+		const logArgs = {
+			module: typeof parsedArgs.module === "string" ? parsedArgs.module : undefined,
+			severity: typeof parsedArgs.severity === "string" ? parsedArgs.severity : undefined,
+			count: typeof parsedArgs.count === "number" ? parsedArgs.count : undefined,
+		};
+
+		Object.entries(parsedArgs).forEach(([key, value]) => {
+			if (value !== true) return;
+
+			if (/^\d+$/.test(key)) {
+				logArgs.count = parseInt(key, 10);
+			} else if (severityNames.includes(key.toUpperCase())) {
+				logArgs.severity = key.toUpperCase();
+			} else {
+				logArgs.module = key;
+			}
+		});
+
+		return logArgs;
+	};
+
+	// ANCHOR Outer Method: processLogsAsync
+	const processLogsAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const { module, severity, count } = parseLogArgs(parsedArgs);
+			const entries = Utils.getSyslogEntries({ module, severity, count: count > 0 ? count : 20 });
+			const filterText = [module, severity].filter(Boolean).join(" ") || "*";
+
+			const body = entries.length === 0
+				? `<p>${PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1002", expressions: { remark: filterText } })}</p>`
+				: entries.map((entry) => {
+					const header = `<strong>[${entry.severity}] ${entry.timestamp}</strong><br />${entry.module} (${entry.tag})`;
+
+					const messageText = `${entry.transUnitId}: ${entry.message}`.replace(/\s+/g, " ");
+
+					return `<div class="ezutils-log-entry">${header}<br /><code>${Utils.encodeCodeBlock({ text: messageText })}</code></div>`;
+				}).join("");
+
+			const title = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1001" });
+			const footer = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1005" });
+
+			// NOTE: Easy-Menus is optional; without it the entries are whispered unstyled.
+			if (typeof EASY_MENUS !== "undefined") {
+				await EASY_MENUS.renderMenu({ to: msgDetails.callerName, title, header: filterText, body, footer });
+			} else {
+				Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: `<h3>${title}</h3>${Utils.decodeCodeBlock({ text: body })}` });
+			}
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processLogsAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Outer Method: processLogLevelAsync
+	const processLogLevelAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const { reset, clear, ...levelArgs } = parsedArgs;
+			const clearLevel = reset === true || clear === true;
+			const { module = "*", severity } = parseLogArgs(levelArgs);
+			const result = Utils.setSyslogLevel({ module, severity: clearLevel ? null : severity });
+
+			await Utils.whisperAlertMessageAsync({
+				to: msgDetails.callerName,
+				toId: msgDetails.callerId,
+				severity: result === 0 ? "INFO" : "WARN",
+				apiCallContent: msgDetails.raw.content,
+				remark: result === 0
+					? PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1004", expressions: { remark: `${module} = ${clearLevel ? "*" : severity}` } })
+					: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "40000", expressions: { remark: msgDetails.raw.content } })
+			});
+
+			return result;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processLogLevelAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Outer Method: processModulesAsync
+	const processModulesAsync = async (msgDetails) => {
+		try {
+			const phrase = (transUnitId, remark) => {
+				return PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId, expressions: { remark } });
+			};
+
+			const body = EASY_FORGE.getModuleNames().sort().map((name) => {
+				const { version, dependencies, missingDependencies, api, isReady } = EASY_FORGE.getModule({ name });
+				const waitingOn = missingDependencies.length > 0
+					? missingDependencies
+					: dependencies.filter((dependency) => { return !EASY_FORGE.getModule({ name: dependency })?.isReady; });
+				const status = isReady ? phrase("0x0E5A100B") : phrase("0x0E5A100C", waitingOn.join(", "));
+				const apiText = Object.keys(api || {}).sort().join(", ") || "-";
+
+				return `<div class="ezutils-module-entry"><strong>${name} v${version} (${status})</strong>`
+					+ `<br />${phrase("0x0E5A100D", dependencies.join(", ") || "-")}`
+					+ `<br /><code>${Utils.encodeCodeBlock({ text: phrase("0x0E5A100E", apiText) })}</code></div>`;
+			}).join("");
+
+			const title = phrase("0x0E5A1009");
+
+			// NOTE: Easy-Menus is optional; without it the list is whispered unstyled.
+			if (typeof EASY_MENUS !== "undefined") {
+				await EASY_MENUS.renderMenu({ to: msgDetails.callerName, title, body });
+			} else {
+				Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: `<h3>${title}</h3>${Utils.decodeCodeBlock({ text: body })}` });
+			}
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processModulesAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Member: backupPrefix
+	const backupPrefix = "Easy-Utils: Backup";
+
+	// ANCHOR Outer Method: collectBackupStateAsync
+	// NOTE: modules with data outside state (Easy-Equip keeps tracking in character notes) expose getBackupDataAsync on their registered API.
+	const collectBackupStateAsync = async () => {
+		const stateData = {};
+
+		Object.keys(state).filter((key) => { return key.startsWith("EASY_"); }).forEach((key) => {
+			stateData[key] = JSON.parse(JSON.stringify(state[key]));
+		});
+
+		if (stateData.EASY_VAULT?.syslog) {
+			delete stateData.EASY_VAULT.syslog.entries;
+		}
+
+		const moduleData = {};
+		const moduleVersions = {};
+
+		for (const name of EASY_FORGE.getModuleNames()) {
+			const { version, api } = EASY_FORGE.getModule({ name });
+			moduleVersions[name] = version;
+
+			if (typeof api?.getBackupDataAsync === "function") {
+				moduleData[name] = await api.getBackupDataAsync();
+			}
+		}
+
+		return { state: stateData, moduleData, moduleVersions };
+	};
+
+	// ANCHOR Outer Method: writeBackupAsync
+	const writeBackupAsync = async () => {
+		const backupId = new Date().toISOString().replace(/[:.]/g, "-");
+		const { state: stateData, moduleData, moduleVersions } = await collectBackupStateAsync();
+		const json = JSON.stringify({ format: "Easy-Utils Backup", formatVersion: 1, backupId, createdAt: new Date().toISOString(), moduleVersions, state: stateData, moduleData });
+		const checksum = Utils.hashText({ text: json });
+		const encoded = Utils.encodeBase64({ text: json });
+
+		const chunkSize = globalSettings.backupChunkSize;
+		const totalParts = Math.max(1, Math.ceil(encoded.length / chunkSize));
+
+		for (let part = 1; part <= totalParts; part++) {
+			const handoutName = `${backupPrefix} ${backupId} (${part}/${totalParts})`;
+			const handout = createObj("handout", {
+				name: handoutName,
+				inplayerjournals: "",
+				archived: false
+			});
+
+			handout.set("gmnotes", `EZBACKUP|${backupId}|${part}|${totalParts}|${checksum}|${encoded.slice((part - 1) * chunkSize, part * chunkSize)}`);
+			handout.set("notes", `<h2>${handoutName}</h2><p>Restore with <code>!ezutils --restore ${backupId}</code></p>`);
+		}
+
+		return backupId;
+	};
+
+	// ANCHOR Outer Method: readBackupAsync
+	const readBackupAsync = async (backupId) => {
+		const handouts = findObjs({ type: "handout" }).filter((handout) => {
+			return handout.get("name").startsWith(`${backupPrefix} ${backupId} (`);
+		});
+
+		if (handouts.length === 0) {
+			return { errorId: "0x0E5A1024" };
+		}
+
+		const chunks = await Promise.all(handouts.map((handout) => {
+			return new Promise((resolve) => { handout.get("gmnotes", (gmnotes) => { resolve(`${gmnotes || ""}`.replace(/<[^>]*>/g, "")); }); });
+		}));
+
+		const parts = chunks.map((chunk) => {
+			const [marker, id, part, total, checksum, data] = chunk.split("|");
+
+			return { marker, id, part: parseInt(part, 10), total: parseInt(total, 10), checksum, data: data || "" };
+		}).sort((a, b) => { return a.part - b.part; });
+
+		const expected = parts[0].total;
+		const isComplete = parts.length === expected && parts.every((part, index) => {
+			return part.marker === "EZBACKUP" && part.id === backupId && part.part === index + 1 && part.total === expected && part.checksum === parts[0].checksum;
+		});
+
+		if (!isComplete) {
+			return { errorId: "0x0E5A1025" };
+		}
+
+		try {
+			const json = Utils.decodeBase64({ text: parts.map((part) => { return part.data; }).join("") });
+			const backup = JSON.parse(json);
+
+			if (Utils.hashText({ text: json }) !== parts[0].checksum || backup.format !== "Easy-Utils Backup" || typeof backup.state !== "object") {
+				return { errorId: "0x0E5A1025" };
+			}
+
+			return { backup };
+		} catch (err) {
+			return { errorId: "0x0E5A1025" };
+		}
+	};
+
+	// ANCHOR Outer Method: applyBackupAsync
+	// NOTE: slices are replaced in place, because every module holds a reference to its own slice of EASY_VAULT;
+	// slices missing from the backup are emptied rather than deleted for the same reason.
+	const applyBackupAsync = async (backup) => {
+		const replaceContents = (target, source) => {
+			Object.keys(target).forEach((key) => { delete target[key]; });
+			Object.assign(target, JSON.parse(JSON.stringify(source)));
+		};
+
+		Object.entries(backup.state).forEach(([key, value]) => {
+			if (key !== "EASY_VAULT" || !state.EASY_VAULT) {
+				state[key] = JSON.parse(JSON.stringify(value));
+
+				return;
+			}
+
+			const liveVault = state.EASY_VAULT;
+			const syslogEntries = liveVault.syslog?.entries;
+
+			Object.keys(liveVault).filter((slice) => { return !(slice in value); }).forEach((slice) => {
+				replaceContents(liveVault[slice], {});
+			});
+
+			Object.entries(value).forEach(([slice, data]) => {
+				const isObject = liveVault[slice] && typeof liveVault[slice] === "object" && data && typeof data === "object" && !Array.isArray(data);
+
+				if (isObject) {
+					replaceContents(liveVault[slice], data);
+				} else {
+					liveVault[slice] = JSON.parse(JSON.stringify(data));
+				}
+			});
+
+			if (syslogEntries) {
+				liveVault.syslog = liveVault.syslog || {};
+				liveVault.syslog.entries = syslogEntries;
+			}
+		});
+
+		for (const [name, data] of Object.entries(backup.moduleData || {})) {
+			const api = EASY_FORGE.getModule({ name })?.api;
+
+			if (typeof api?.restoreBackupDataAsync === "function") {
+				await api.restoreBackupDataAsync(data);
+			}
+		}
+	};
+
+	// ANCHOR Outer Method: processBackupAsync
+	const processBackupAsync = async (msgDetails) => {
+		try {
+			const backupId = await writeBackupAsync();
+
+			await Utils.whisperAlertMessageAsync({
+				to: msgDetails.callerName,
+				toId: msgDetails.callerId,
+				severity: "INFO",
+				apiCallContent: msgDetails.raw.content,
+				remark: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1020", expressions: { remark: `${backupPrefix} ${backupId}` } })
+			});
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processBackupAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Outer Method: processRestoreAsync
+	// NOTE: the first call only previews the changes; the GM commits with the confirm|yes link it whispers.
+	const processRestoreAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const phrase = (transUnitId, expressions = {}) => {
+				return PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId, expressions });
+			};
+
+			const renderBody = async (title, body) => {
+				if (typeof EASY_MENUS !== "undefined") {
+					await EASY_MENUS.renderMenu({ to: msgDetails.callerName, title, body });
+				} else {
+					Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: `<h3>${title}</h3>${Utils.decodeCodeBlock({ text: body })}` });
+				}
+			};
+
+			const bareId = Object.keys(parsedArgs).find((key) => { return parsedArgs[key] === true && key !== "confirm"; });
+			const backupId = `${parsedArgs.id || bareId || ""}`.replace(`${backupPrefix} `, "").replace(/\s*\(\d+\/\d+\)$/, "");
+
+			if (!backupId) {
+				const backupIds = [...new Set(findObjs({ type: "handout" })
+					.map((handout) => { return handout.get("name"); })
+					.filter((name) => { return name.startsWith(`${backupPrefix} `); })
+					.map((name) => { return name.slice(backupPrefix.length + 1).replace(/\s*\(\d+\/\d+\)$/, ""); }))]
+					.sort()
+					.reverse();
+
+				const buttons = backupIds.map((id) => { return { label: id, href: `!${moduleSettings.chatApiName} --restore id|${id}` }; });
+
+				// NOTE: Easy-Menus pages and searches the list once backups pile up.
+				if (buttons.length > 0 && typeof EASY_MENUS !== "undefined") {
+					await EASY_MENUS.renderMenu({
+						to: msgDetails.callerName,
+						toId: msgDetails.callerId,
+						title: phrase("0x0E5A1029"),
+						buttons,
+						command: `!${moduleSettings.chatApiName} --restore`,
+						page: parsedArgs.page,
+						filter: parsedArgs.filter
+					});
+
+					return 0;
+				}
+
+				const body = buttons.length === 0
+					? `<p>${phrase("0x0E5A102A")}</p>`
+					: buttons.map(({ label, href }) => { return `<a class="ezmenus-btn" href="${href}">${label}</a>`; }).join("");
+
+				await renderBody(phrase("0x0E5A1029"), body);
+
+				return 0;
+			}
+
+			const { backup, errorId } = await readBackupAsync(backupId);
+
+			if (errorId) {
+				await Utils.whisperAlertMessageAsync({
+					to: msgDetails.callerName,
+					toId: msgDetails.callerId,
+					severity: "WARN",
+					apiCallContent: msgDetails.raw.content,
+					remark: phrase(errorId, { remark: backupId })
+				});
+
+				return 1;
+			}
+
+			if (parsedArgs.confirm === "yes") {
+				const previousId = await writeBackupAsync();
+				await applyBackupAsync(backup);
+
+				await Utils.whisperAlertMessageAsync({
+					to: msgDetails.callerName,
+					toId: msgDetails.callerId,
+					severity: "INFO",
+					apiCallContent: msgDetails.raw.content,
+					remark: phrase("0x0E5A1027", { remark: backupId, previous: previousId })
+				});
+
+				return 0;
+			}
+
+			const current = await collectBackupStateAsync();
+			const changes = [
+				...Utils.diffJson({ before: current.state, after: backup.state, depth: 3 }),
+				...Utils.diffJson({ before: current.moduleData, after: backup.moduleData || {}, depth: 2 }),
+			];
+
+			const changeLimit = 30;
+			const changeList = changes.length === 0
+				? `<p>${phrase("0x0E5A1028")}</p>`
+				: `<p>${phrase("0x0E5A102C")}</p><code>${Utils.encodeCodeBlock({ text: changes.slice(0, changeLimit).join(" ") })}</code>`
+					+ (changes.length > changeLimit ? `<p>${phrase("0x0E5A102B", { remark: changes.length - changeLimit })}</p>` : "");
+
+			const body = `<p>${backup.createdAt}</p>${changeList}`
+				+ `<a class="ezmenus-btn ezmenus-caution" href="!${moduleSettings.chatApiName} --restore id|${backupId} confirm|yes">${phrase("0x0E5A1026")}</a>`;
+
+			await renderBody(phrase("0x0E5A1023", { remark: backupId }), body);
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processRestoreAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Member: languageHandoutPattern
+	const languageHandoutPattern = /^Easy-Utils: Lang ([A-Za-z]{2,3}[A-Z]{0,2})$/;
+
+	// ANCHOR Outer Method: parseLanguageHandout
+	// NOTE: one phrase per line as "transUnitId = text"; blank lines and lines starting with # are skipped. A JSON object also works.
+	const parseLanguageHandout = (notes) => {
+		const text = Utils.decodeNoteContent({
+			text: `${notes || ""}`
+				.replace(/<\/(p|div|li)>|<br\s*\/?>/gi, "\n")
+				.replace(/<(?!br>)[^>]*>/gi, "")
+		}).trim();
+
+		if (text.startsWith("{")) {
+			try {
+				return JSON.parse(text);
+			} catch (err) {
+				return {};
+			}
+		}
+
+		return text.split("\n").reduce((phrases, line) => {
+			const match = line.trim().match(/^([^#=\s][^=\s]*)\s*=\s*(.*)$/);
+			if (match) phrases[match[1]] = match[2].trim();
+
+			return phrases;
+		}, {});
+	};
+
+	// ANCHOR Outer Method: loadLanguageHandoutAsync
+	const loadLanguageHandoutAsync = async (handout) => {
+		const nameMatch = `${handout.get("name")}`.match(languageHandoutPattern);
+		if (!nameMatch) return 1;
+
+		const notes = await new Promise((resolve) => { handout.get("notes", resolve); });
+		const phrases = parseLanguageHandout(notes);
+
+		PhraseFactory.loadDictionary({ language: nameMatch[1], phrases });
+
+		Utils.logSyslogMessage({
+			severity: "INFO",
+			tag: `${moduleSettings.readableName}.loadLanguageHandoutAsync`,
+			transUnitId: "10000",
+			message: PhraseFactory.get({ transUnitId: "0x0E5A1034", expressions: { count: Object.keys(phrases).length, remark: nameMatch[1] } })
+		});
+
+		return 0;
+	};
+
+	// ANCHOR Outer Method: processMissingPhrasesAsync
+	const processMissingPhrasesAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const requested = parsedArgs.language || Object.keys(parsedArgs).find((key) => { return parsedArgs[key] === true; });
+			const languages = PhraseFactory.getLanguages()
+				.filter((language) => { return language !== globalSettings.defaultLanguage; })
+				.filter((language) => { return !requested || language.toLowerCase() === requested.toLowerCase(); });
+
+			const body = languages.map((language) => {
+				const missing = PhraseFactory.getMissing({ language });
+				const summary = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1033", expressions: { count: missing.length, remark: language } });
+
+				return missing.length === 0
+					? `<p>${summary}</p>`
+					: `<p>${summary}</p><code>${Utils.encodeCodeBlock({ text: missing.join(" ") })}</code>`;
+			}).join("") || `<p>${PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1032", expressions: { remark: requested || "*" } })}</p>`;
+
+			const title = PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1030" });
+
+			if (typeof EASY_MENUS !== "undefined") {
+				await EASY_MENUS.renderMenu({ to: msgDetails.callerName, title, body });
+			} else {
+				Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: `<h3>${title}</h3>${Utils.decodeCodeBlock({ text: body })}` });
+			}
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processMissingPhrasesAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Outer Method: processPermissionsAsync
+	// NOTE: grant and revoke take "player:<id>" or "role:<name>"; the menu's buttons fill these in through roll queries.
+	const processPermissionsAsync = async (msgDetails, parsedArgs) => {
+		try {
+			const phrase = (transUnitId, expressions = {}) => {
+				return PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId, expressions });
+			};
+
+			const renderBody = async (title, body) => {
+				if (typeof EASY_MENUS !== "undefined") {
+					await EASY_MENUS.renderMenu({ to: msgDetails.callerName, title, body });
+				} else {
+					Utils.whisperPlayerMessage({ to: msgDetails.callerName, message: `<h3>${title}</h3>${Utils.decodeCodeBlock({ text: body })}` });
+				}
+			};
+
+			const whisperWarning = async (remark) => {
+				await Utils.whisperAlertMessageAsync({
+					to: msgDetails.callerName,
+					toId: msgDetails.callerId,
+					severity: "WARN",
+					apiCallContent: msgDetails.raw.content,
+					remark
+				});
+			};
+
+			// NOTE: roll query options are separated by | and , and closed by }, so those characters cannot appear in labels.
+			const toQueryLabel = (text) => { return `${text}`.replace(/[|,{}]/g, " ").trim(); };
+			const getPlayerName = (playerId) => { return getObj("player", playerId)?.get("_displayname") || playerId; };
+
+			const parseGrantee = (text) => {
+				const [kind, ...rest] = `${text}`.split(":");
+				const value = rest.join(":").trim();
+				if (!value) {
+					return null;
+				}
+
+				if (kind === "player") return { playerId: value };
+				if (kind === "role") return { role: value };
+
+				return null;
+			};
+
+			const commandPrefix = `!${moduleSettings.chatApiName} --permissions`;
+			const capabilities = PermissionFactory.getCapabilities();
+
+			const describeGrants = ({ players, roles }) => {
+				const grantees = [...roles.map((role) => { return `role:${role}`; }), ...players.map(getPlayerName)];
+
+				return grantees.length > 0 ? grantees.join(", ") : phrase("0x0E5A1047");
+			};
+
+			if (!parsedArgs.capability) {
+				const body = capabilities.length === 0
+					? `<p>${phrase("0x0E5A1045")}</p>`
+					: capabilities
+						.sort((a, b) => { return a.capability.localeCompare(b.capability); })
+						.map((entry) => {
+							return `<div class="ezutils-permission-entry"><strong>${entry.capability}</strong> (${entry.module})`
+								+ `<br />${phrase(entry.description)}`
+								+ `<br />${phrase("0x0E5A1046", { remark: describeGrants(entry) })}`
+								+ `<br /><a class="ezmenus-btn" href="${commandPrefix} capability|${entry.capability}">${phrase("0x0E5A1048")}</a></div>`;
+						})
+						.join("");
+
+				await renderBody(phrase("0x0E5A1043"), body);
+
+				return 0;
+			}
+
+			const capability = parsedArgs.capability.trim();
+			if (!capabilities.some((entry) => { return entry.capability === capability; })) {
+				await whisperWarning(phrase("0x0E5A104D", { remark: capability }));
+
+				return 1;
+			}
+
+			for (const action of ["grant", "revoke"]) {
+				if (parsedArgs[action] === undefined) {
+					continue;
+				}
+
+				const grantee = parseGrantee(parsedArgs[action]);
+				if (!grantee || PermissionFactory[action]({ capability, ...grantee }) !== 0) {
+					await whisperWarning(phrase("0x0E5A104E", { remark: parsedArgs[action] }));
+
+					return 1;
+				}
+			}
+
+			if (parsedArgs.reset === "yes") {
+				PermissionFactory.reset({ capability });
+			}
+
+			const entry = PermissionFactory.getCapabilities().find((candidate) => { return candidate.capability === capability; });
+
+			const revokeButtons = [
+				...entry.roles.map((role) => { return { grantee: `role:${role}`, label: `role:${role}` }; }),
+				...entry.players.map((playerId) => { return { grantee: `player:${playerId}`, label: getPlayerName(playerId) }; })
+			].map(({ grantee, label }) => {
+				return `<a class="ezmenus-btn" href="${commandPrefix} capability|${capability} revoke|${grantee}">${phrase("0x0E5A104C", { remark: label })}</a>`;
+			}).join("");
+
+			const playerOptions = findObjs({ type: "player" })
+				.filter((player) => { return !playerIsGM(player.id); })
+				.map((player) => { return `${toQueryLabel(player.get("_displayname"))},${player.id}`; });
+			const roleOptions = PermissionFactory.getRoles().map(({ role, description }) => { return `${toQueryLabel(`${role} - ${phrase(description)}`)},${role}`; });
+
+			const grantButtons = [
+				playerOptions.length > 0
+					? `<a class="ezmenus-btn" href="${commandPrefix} capability|${capability} grant|player:?{${toQueryLabel(phrase("0x0E5A1049"))}|${playerOptions.join("|")}}">${phrase("0x0E5A1049")}</a>`
+					: "",
+				`<a class="ezmenus-btn" href="${commandPrefix} capability|${capability} grant|role:?{${toQueryLabel(phrase("0x0E5A104A"))}|${roleOptions.join("|")}}">${phrase("0x0E5A104A")}</a>`,
+				`<a class="ezmenus-btn" href="${commandPrefix} capability|${capability} reset|yes">${phrase("0x0E5A104B")}</a>`,
+				`<a class="ezmenus-btn" href="${commandPrefix}">${phrase("0x0E5A104F")}</a>`
+			].join("");
+
+			const body = `<p><strong>${capability}</strong> (${entry.module})<br />${phrase(entry.description)}</p>`
+				+ `<p>${phrase("0x0E5A1046", { remark: describeGrants(entry) })}</p>`
+				+ revokeButtons
+				+ grantButtons;
+
+			await renderBody(phrase("0x0E5A1043"), body);
+
+			return 0;
+		} catch (err) {
+			Utils.logSyslogMessage({
+				severity: "ERROR",
+				tag: `${moduleSettings.readableName}.processPermissionsAsync`,
+				transUnitId: "50000",
+				message: PhraseFactory.get({ transUnitId: "50000", expressions: { remark: err } })
+			});
+
+			return 1;
+		}
+	};
+
+	// ANCHOR Member: actionMap
+	const actionMap = {
+		"--logs": (msgDetails, parsedArgs) => { return processLogsAsync(msgDetails, parsedArgs); },
+		"--log-level": (msgDetails, parsedArgs) => { return processLogLevelAsync(msgDetails, parsedArgs); },
+		"--modules": (msgDetails) => { return processModulesAsync(msgDetails); },
+		"--backup": (msgDetails) => { return processBackupAsync(msgDetails); },
+		"--restore": (msgDetails, parsedArgs) => { return processRestoreAsync(msgDetails, parsedArgs); },
+		"--missing-phrases": (msgDetails, parsedArgs) => { return processMissingPhrasesAsync(msgDetails, parsedArgs); },
+		"--permissions": (msgDetails, parsedArgs) => { return processPermissionsAsync(msgDetails, parsedArgs); },
+	};
+
+	actionMap["--default"] = actionMap["--logs"];
+
+	// ANCHOR Member: commandSchema
+	const commandSchema = {
+		"--logs": {
+			description: "0x0E5A1006",
+			gmOnly: true,
+			args: {
+				module: { type: "text" },
+				severity: { type: "enum", values: severityNames },
+				count: { type: "int", default: 20 },
+			},
+		},
+		"--log-level": {
+			description: "0x0E5A1007",
+			gmOnly: true,
+			args: {
+				module: { type: "text" },
+				severity: { type: "enum", values: severityNames },
+			},
+		},
+		"--modules": {
+			description: "0x0E5A100A",
+		},
+		"--backup": {
+			description: "0x0E5A1021",
+			gmOnly: true,
+		},
+		"--restore": {
+			description: "0x0E5A1022",
+			gmOnly: true,
+			args: {
+				id: { type: "text" },
+				confirm: { type: "enum", values: ["yes", "no"] },
+				page: { type: "int" },
+				filter: { type: "text" },
+			},
+		},
+		"--missing-phrases": {
+			description: "0x0E5A1031",
+			gmOnly: true,
+			args: {
+				language: { type: "text" },
+			},
+		},
+		"--permissions": {
+			description: "0x0E5A1044",
+			gmOnly: true,
+			args: {
+				capability: { type: "text" },
+				grant: { type: "text" },
+				revoke: { type: "text" },
+				reset: { type: "enum", values: ["yes"] },
+			},
+		},
+	};
+
+	commandSchema["--default"] = commandSchema["--logs"];
+
+	// ANCHOR Outer Method: onInvalidCommand
+	const onInvalidCommand = async (msgDetails) => {
+		await Utils.whisperAlertMessageAsync({
+			to: msgDetails.callerName,
+			toId: msgDetails.callerId,
+			severity: "ERROR",
+			apiCallContent: msgDetails.raw.content,
+			remark: PhraseFactory.get({ playerId: msgDetails.callerId, transUnitId: "0x0E5A1008" })
+		});
+	};
+
+	// ANCHOR Outer Method: registerEventHandlers
+	const registerEventHandlers = () => {
+		on("chat:message", (apiCall) => {
+			if (apiCall.type === "api" && apiCall.content.startsWith(`!${moduleSettings.chatApiName}`)) {
+				Utils.handleApiCall({ actionMap, apiCall, onInvalidCommand, commandSchema });
+			}
+		});
+
+		on("add:handout", (handout) => { loadLanguageHandoutAsync(handout); });
+		on("change:handout", (handout) => { loadLanguageHandoutAsync(handout); });
+
+		return 0;
+	};
+
 	// ANCHOR Outer Method: checkInstall
 	const checkInstall = () => {
 
 		if (typeof EASY_UTILS !== "undefined") {
 
 			const requiredFunctions = [
+				"createPermissionFactory",
 				"createPhraseFactory",
 				"createTemplateFactory",
 				"createThemeFactory",
+				"decodeBase64",
+				"decodeCodeBlock",
+				"decodeNoteContent",
+				"diffJson",
+				"encodeBase64",
+				"encodeCodeBlock",
+				"getSyslogEntries",
+				"handleApiCall",
+				"hashText",
 				"logSyslogMessage",
+				"setSyslogLevel",
+				"whisperAlertMessageAsync",
+				"whisperPlayerMessage",
 			];
 
 			Utils = EASY_UTILS.fetchUtilities({
@@ -2523,9 +8048,12 @@ const EASY_UTILS = (() => {
 			});
 
 			PhraseFactory = Utils.createPhraseFactory;
+			PermissionFactory = Utils.createPermissionFactory;
 			TemplateFactory = Utils.createTemplateFactory;
 			ThemeFactory = Utils.createThemeFactory;
 
+			registerPhrases();
+
 			if (moduleSettings.verbose) {
 				Utils.logSyslogMessage({
 					severity: "INFO",
@@ -2555,6 +8083,15 @@ const EASY_UTILS = (() => {
 
 		const continueMod = checkInstall();
 		if (continueMod === 0) {
+			registerEventHandlers();
+
+			findObjs({ type: "handout" }).forEach((handout) => { loadLanguageHandoutAsync(handout); });
+
+			EASY_FORGE.registerModule({
+				name: moduleSettings.readableName,
+				version: moduleSettings.version,
+				api: EASY_UTILS
+			});
 
 			Utils.logSyslogMessage({
 				severity: "INFO",
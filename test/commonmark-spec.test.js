@@ -0,0 +1,51 @@
+// Runs the CommonMark spec examples in test/fixtures against convertMarkdownToHtml({ mode: "commonmark" }).
+// Easy-Utils is loaded into a sandbox with just enough of the Roll20 API stubbed for it to initialize.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+const readRepoFile = (path) => {
+	return readFileSync(new URL(`../${path}`, import.meta.url), "utf8");
+};
+
+const loadEasyUtils = () => {
+	const eventHandlers = {};
+	const sandbox = {
+		console,
+		state: {},
+		log: () => { },
+		on: (eventName, handler) => { (eventHandlers[eventName] ??= []).push(handler); },
+		sendChat: () => { },
+		getObj: () => { return null; },
+		findObjs: () => { return []; },
+		createObj: () => { return {}; },
+		playerIsGM: () => { return true; },
+		Campaign: () => { return { get: () => { return "[]"; } }; },
+	};
+	vm.createContext(sandbox);
+	vm.runInContext(`${readRepoFile("src/easy-utils/easy-utils.js")}\n;this.EASY_UTILS = EASY_UTILS;`, sandbox);
+	(eventHandlers.ready ?? []).forEach((handler) => { handler(); });
+
+	return sandbox.EASY_UTILS;
+};
+
+const Utils = loadEasyUtils().fetchUtilities({
+	requiredFunctions: ["convertMarkdownToHtml"],
+	moduleSettings: { readableName: "CommonMarkSpec", debug: {} },
+});
+
+const examples = JSON.parse(readRepoFile("test/fixtures/commonmark-spec.json"));
+const sections = [...new Set(examples.map(({ section }) => { return section; }))];
+
+sections.forEach((section) => {
+	describe(section, () => {
+		examples
+			.filter((example) => { return example.section === section; })
+			.forEach(({ markdown, html }, index) => {
+				it(`example ${index + 1}: ${JSON.stringify(markdown).slice(0, 60)}`, () => {
+					assert.equal(Utils.convertMarkdownToHtml({ content: markdown, mode: "commonmark" }), html);
+				});
+			});
+	});
+});
@@ -0,0 +1,95 @@
+// Plays Easy-Combat through chat commands in the Roll20 sandbox emulator and checks the turn order and effect counters.
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRoll20Sandbox } from "./harness/roll20-sandbox.js";
+
+const scripts = ["src/easy-utils/easy-utils.js", "src/easy-utils/easy-menus.js", "src/easy-combat/easy-combat.js"];
+
+const getEffects = (sandbox, character) => {
+	const attribute = sandbox.findObjs({ type: "attribute", characterid: character.id, name: "ez_combat_data" })[0];
+
+	return attribute ? JSON.parse(attribute.get("current")).effects : [];
+};
+
+describe("Easy-Combat turn order", () => {
+	let sandbox;
+	let fighter;
+	let rogue;
+	let fighterToken;
+	let rogueToken;
+
+	beforeEach(async () => {
+		// NOTE: every d20 rolls 10, so initiative comes down to the initiative_bonus attributes.
+		sandbox = createRoll20Sandbox({ scripts, random: () => { return 0.45; } });
+
+		fighter = sandbox.createObj("character", { name: "Fighter", controlledby: "player1" });
+		rogue = sandbox.createObj("character", { name: "Rogue", controlledby: "player2" });
+		sandbox.createObj("attribute", { characterid: fighter.id, name: "initiative_bonus", current: "5" });
+		sandbox.createObj("attribute", { characterid: rogue.id, name: "initiative_bonus", current: "1" });
+		fighterToken = sandbox.createObj("graphic", { name: "Fighter", represents: fighter.id, controlledby: "", left: 70, top: 70 });
+		rogueToken = sandbox.createObj("graphic", { name: "Rogue", represents: rogue.id, controlledby: "", left: 140, top: 70 });
+
+		await sandbox.ready();
+	});
+
+	it("starts combat sorted by initiative behind the round counter", async () => {
+		await sandbox.chat("!ezcombat --start", { selected: [rogueToken.id, fighterToken.id] });
+
+		const turnOrder = sandbox.getTurnOrder();
+		assert.deepEqual(turnOrder.map((entry) => { return entry.id; }), [fighterToken.id, rogueToken.id, "-1"]);
+		assert.deepEqual(turnOrder.map((entry) => { return entry.pr; }), [15, 11, 1]);
+	});
+
+	it("counts turn and round effects down as turns advance", async () => {
+		await sandbox.chat("!ezcombat --start", { selected: [fighterToken.id, rogueToken.id] });
+		await sandbox.chat(`!ezcombat --addeffect|${fighterToken.id}|stunned`);
+		await sandbox.chat(`!ezcombat --addeffect|${fighterToken.id}|charmed`);
+
+		assert.deepEqual(getEffects(sandbox, fighter).map((effect) => { return [effect.name, effect.counter]; }), [["Stunned", 1], ["Charmed", 10]]);
+
+		await sandbox.chat("!ezcombat --next");
+
+		assert.equal(sandbox.getTurnOrder()[0].id, rogueToken.id);
+		assert.deepEqual(getEffects(sandbox, fighter).map((effect) => { return [effect.name, effect.counter]; }), [["Charmed", 10]]);
+
+		await sandbox.chat("!ezcombat --next");
+
+		assert.equal(sandbox.getTurnOrder()[0].id, fighterToken.id);
+		assert.equal(sandbox.getTurnOrder().find((entry) => { return entry.id === "-1"; }).pr, 2);
+		assert.deepEqual(getEffects(sandbox, fighter).map((effect) => { return [effect.name, effect.counter]; }), [["Charmed", 9]]);
+	});
+
+	it("keeps pipes, dashes and quotes in quoted reminder text", async () => {
+		await sandbox.chat(`!ezcombat --addreminder token|${fighterToken.id} title|"Hold | the --line" description|"Shout \\"now\\""`);
+		await sandbox.chat(`!ezcombat --addreminder|${rogueToken.id}|Sneak|Wait for an opening`);
+
+		assert.deepEqual(getEffects(sandbox, fighter).map((effect) => { return [effect.name, effect.description]; }), [["Hold | the --line", "Shout \"now\""]]);
+		assert.deepEqual(getEffects(sandbox, rogue).map((effect) => { return [effect.name, effect.description]; }), [["Sneak", "Wait for an opening"]]);
+	});
+
+	it("lets only the controller of the current turn end it", async () => {
+		await sandbox.chat("!ezcombat --start", { selected: [fighterToken.id, rogueToken.id] });
+		sandbox.clearChat();
+
+		await sandbox.chat("!ezcombat --next", { playerId: "player2" });
+
+		assert.equal(sandbox.getTurnOrder()[0].id, fighterToken.id);
+		assert.match(sandbox.whispersTo("Player Two")[0].content, /combat\.advance/);
+
+		await sandbox.chat("!ezcombat --next", { playerId: "player1" });
+
+		assert.equal(sandbox.getTurnOrder()[0].id, rogueToken.id);
+	});
+
+	it("whispers each turn to every online player", async () => {
+		await sandbox.chat("!ezcombat --start", { selected: [fighterToken.id, rogueToken.id] });
+		sandbox.clearChat();
+
+		await sandbox.chat("!ezcombat --next");
+
+		assert.deepEqual(
+			["Game Master", "Player One", "Player Two"].map((name) => { return sandbox.whispersTo(name).length; }),
+			[1, 1, 1]
+		);
+	});
+});
@@ -0,0 +1,264 @@
+// In-memory stand-in for the Roll20 API sandbox, for scenario tests that drive modules through chat commands.
+// Scripts are run in one vm context, so their top-level globals (EASY_UTILS, EASY_MENUS, ...) see each other as they do in Roll20.
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+const readRepoFile = (path) => {
+	return readFileSync(new URL(`../../${path}`, import.meta.url), "utf8");
+};
+
+// NOTE: Roll20 only hands these out through a callback, e.g. handout.get("notes", (notes) => { ... }).
+const asyncProperties = {
+	handout: ["notes", "gmnotes"],
+	character: ["bio", "gmnotes", "defaulttoken"],
+};
+
+const defaultPlayers = [
+	{ id: "gm", name: "Game Master", isGm: true },
+	{ id: "player1", name: "Player One" },
+	{ id: "player2", name: "Player Two" },
+];
+
+// NOTE: splits "/w "Name" text" and friends the way Roll20 reports them to chat:message.
+const parseChatContent = (content) => {
+	const whisperMatch = content.match(/^\/w(?:hisper)?\s+(?:"([^"]+)"|(\S+))\s+([\s\S]*)$/i);
+	if (whisperMatch) {
+		return { type: "whisper", target: whisperMatch[1] || whisperMatch[2], content: whisperMatch[3] };
+	}
+
+	const commandMatch = content.match(/^\/(em|me|desc|direct)\s+([\s\S]*)$/i);
+	if (commandMatch) {
+		const type = { em: "emote", me: "emote", desc: "desc", direct: "general" }[commandMatch[1].toLowerCase()];
+
+		return { type, target: null, content: commandMatch[2] };
+	}
+
+	return { type: content.startsWith("!") ? "api" : "general", target: null, content };
+};
+
+export const createRoll20Sandbox = ({ scripts = [], players = defaultPlayers, state = {}, random = Math.random } = {}) => {
+	const eventHandlers = {};
+	const objects = new Map();
+	const chatLog = [];
+	const logs = [];
+	const gmIds = new Set();
+	let nextId = 1;
+
+	const fire = (eventName, ...args) => {
+		(eventHandlers[eventName] || []).forEach((handler) => { handler(...args); });
+	};
+
+	const normalizeKey = (key) => {
+		return key.replace(/^_/, "");
+	};
+
+	const createRoll20Object = (type, attributes) => {
+		const id = attributes._id || attributes.id || `-Sandbox${String(nextId++).padStart(6, "0")}`;
+		const props = {};
+		Object.entries(attributes).forEach(([key, value]) => { props[normalizeKey(key)] = value; });
+		props.id = id;
+		props.type = type;
+
+		const roll20Object = {
+			id,
+			get: (key, callback) => {
+				const name = normalizeKey(key);
+				const value = props[name] ?? "";
+				if ((asyncProperties[type] || []).includes(name)) {
+					if (typeof callback === "function") {
+						setTimeout(() => { callback(value); }, 0);
+					}
+
+					return "";
+				}
+
+				return name === "id" ? id : props[name];
+			},
+			set: (keyOrAttributes, value) => {
+				const updates = typeof keyOrAttributes === "object" ? keyOrAttributes : { [keyOrAttributes]: value };
+				const previous = { ...props };
+				Object.entries(updates).forEach(([key, updated]) => { props[normalizeKey(key)] = updated; });
+
+				fire(`change:${type}`, roll20Object, previous);
+				Object.keys(updates).forEach((key) => { fire(`change:${type}:${normalizeKey(key)}`, roll20Object, previous); });
+
+				return roll20Object;
+			},
+			remove: () => {
+				objects.delete(id);
+				fire(`destroy:${type}`, roll20Object);
+			},
+			toJSON: () => {
+				return { ...props };
+			},
+		};
+
+		objects.set(id, roll20Object);
+
+		return roll20Object;
+	};
+
+	const findObjs = (attributes, options = {}) => {
+		const matches = (expected, actual) => {
+			if (options.caseInsensitive && typeof expected === "string" && typeof actual === "string") {
+				return expected.toLowerCase() === actual.toLowerCase();
+			}
+
+			return expected === actual;
+		};
+
+		return [...objects.values()].filter((roll20Object) => {
+			return Object.entries(attributes).every(([key, expected]) => {
+				return matches(expected, roll20Object.toJSON()[normalizeKey(key)]);
+			});
+		});
+	};
+
+	const sendChat = (speakingAs, input, callback, options = {}) => {
+		const parsed = parseChatContent(input);
+		const message = {
+			who: speakingAs,
+			playerid: "API",
+			type: parsed.type,
+			target: parsed.target,
+			content: parsed.content,
+			rawContent: input,
+			options,
+		};
+		chatLog.push(message);
+
+		if (typeof callback === "function") {
+			setTimeout(() => { callback([message]); }, 0);
+		} else {
+			fire("chat:message", { ...message });
+		}
+	};
+
+	const context = {
+		console,
+		setTimeout,
+		clearTimeout,
+		setInterval,
+		clearInterval,
+		structuredClone,
+		state,
+		log: (message) => { logs.push(typeof message === "string" ? message : JSON.stringify(message)); },
+		on: (eventName, handler) => { (eventHandlers[eventName] ??= []).push(handler); },
+		sendChat,
+		getObj: (type, id) => {
+			const roll20Object = objects.get(id);
+
+			return roll20Object && roll20Object.get("type") === type ? roll20Object : undefined;
+		},
+		findObjs,
+		filterObjs: (predicate) => { return [...objects.values()].filter(predicate); },
+		getAllObjs: () => { return [...objects.values()]; },
+		createObj: (type, attributes) => {
+			const roll20Object = createRoll20Object(type, attributes);
+			fire(`add:${type}`, roll20Object);
+
+			return roll20Object;
+		},
+		getAttrByName: (characterId, name, valueType = "current") => {
+			const attribute = findObjs({ type: "attribute", characterid: characterId, name })[0];
+
+			return attribute ? attribute.get(valueType) : undefined;
+		},
+		playerIsGM: (playerId) => { return gmIds.has(playerId); },
+		Campaign: () => { return objects.get("root"); },
+		randomInteger: (max) => { return 1 + Math.floor(random() * max); },
+		sendPing: () => { },
+		spawnFx: () => { },
+		toFront: () => { },
+		toBack: () => { },
+	};
+
+	vm.createContext(context);
+
+	const page = createRoll20Object("page", { _id: "page1", name: "Start Page" });
+	createRoll20Object("campaign", { _id: "root", turnorder: "", playerpageid: page.id, initiativepage: false });
+
+	players.forEach(({ id, name, isGm = false, online = true }) => {
+		createRoll20Object("player", { _id: id, _displayname: name, _online: online });
+		if (isGm) {
+			gmIds.add(id);
+		}
+	});
+
+	scripts.forEach((path) => {
+		vm.runInContext(readRepoFile(path), context, { filename: path });
+	});
+
+	// NOTE: handlers run async work without returning it, so tests wait on the event loop instead.
+	const settle = (ms = 20) => {
+		return new Promise((resolve) => { setTimeout(resolve, ms); });
+	};
+
+	return {
+		chatLog,
+		logs,
+		state,
+		context,
+
+		// NOTE: create the campaign's objects first, then call ready() as Roll20 does once everything has loaded.
+		ready: async () => {
+			fire("ready");
+			await settle();
+		},
+
+		settle,
+
+		waitFor: async (predicate, timeoutMs = 2000) => {
+			const startedAt = Date.now();
+			while (!predicate()) {
+				if (Date.now() - startedAt > timeoutMs) {
+					throw new Error(`waitFor timed out after ${timeoutMs}ms`);
+				}
+				await settle(10);
+			}
+		},
+
+		getGlobal: (name) => {
+			return vm.runInContext(`typeof ${name} === "undefined" ? undefined : ${name}`, context);
+		},
+
+		createObj: (type, attributes = {}) => {
+			return context.createObj(type, { _pageid: page.id, ...attributes });
+		},
+
+		getObj: context.getObj,
+		findObjs,
+		Campaign: context.Campaign,
+
+		getTurnOrder: () => {
+			const turnOrder = context.Campaign().get("turnorder");
+
+			return turnOrder ? JSON.parse(turnOrder) : [];
+		},
+
+		setTurnOrder: (turnOrder) => {
+			context.Campaign().set("turnorder", JSON.stringify(turnOrder));
+		},
+
+		chat: async (content, { playerId = [...gmIds][0], selected = [] } = {}) => {
+			const player = objects.get(playerId);
+			const apiCall = {
+				who: player ? player.get("displayname") : "API",
+				playerid: playerId,
+				type: content.startsWith("!") ? "api" : "general",
+				content,
+				selected: selected.map((id) => { return { _id: id, _type: "graphic" }; }),
+			};
+			fire("chat:message", apiCall);
+			await settle();
+		},
+
+		whispersTo: (name) => {
+			return chatLog.filter((message) => { return message.type === "whisper" && message.target === name; });
+		},
+
+		clearChat: () => {
+			chatLog.length = 0;
+		},
+	};
+};
@@ -0,0 +1,89 @@
+// Checks that sanitizeHtml, and the markdown template filter that relies on it, keep players from slipping Roll20 API buttons,
+// script URLs or event handlers into chat and handouts.
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { createRoll20Sandbox } from "./harness/roll20-sandbox.js";
+
+describe("sanitizeHtml", () => {
+	let sanitizeHtml;
+	let replacePlaceholders;
+
+	before(async () => {
+		const sandbox = createRoll20Sandbox({ scripts: ["src/easy-utils/easy-utils.js"] });
+		await sandbox.ready();
+
+		const utils = sandbox.getGlobal("EASY_UTILS");
+		const moduleSettings = { readableName: "Sanitize-Test" };
+		sanitizeHtml = utils.getFunction({ functionName: "sanitizeHtml", moduleSettings });
+		replacePlaceholders = utils.getFunction({ functionName: "replacePlaceholders", moduleSettings });
+	});
+
+	it("reduces API command links to their text", () => {
+		assert.equal(sanitizeHtml({ html: "<a href=\"!ezcombat --next\">Next</a>" }), "Next");
+		assert.equal(sanitizeHtml({ html: "<a href=\"~Fighter|Attack\">Attack</a>" }), "Attack");
+	});
+
+	it("sees through entity-encoded and space- or backtick-prefixed command links", () => {
+		assert.equal(sanitizeHtml({ html: "<a href=\"&#33;ezcombat --next\">a</a>" }), "a");
+		assert.equal(sanitizeHtml({ html: "<a href=\"&#x21;ezcombat --next\">b</a>" }), "b");
+		assert.equal(sanitizeHtml({ html: "<a href=\"  !ezcombat --next\">c</a>" }), "c");
+		assert.equal(sanitizeHtml({ html: "<a href=\"`!ezcombat --next\">d</a>" }), "d");
+		assert.equal(sanitizeHtml({ html: "<a href=\"&grave;!ezcombat --next\">e</a>" }), "e");
+	});
+
+	it("reduces [label](!command) chat buttons to their label", () => {
+		assert.equal(sanitizeHtml({ html: "Click [here](!ezcombat --stop) now" }), "Click here now");
+		assert.equal(sanitizeHtml({ html: "[roll](`!ezcombat --next)" }), "roll");
+		assert.equal(sanitizeHtml({ html: "[docs](https://roll20.net)" }), "[docs](https://roll20.net)");
+	});
+
+	it("reduces chat buttons split across tags to their label", () => {
+		assert.equal(sanitizeHtml({ html: "<b>[</b>Click](!ezcombat --next)" }), "<b></b>Click");
+		assert.equal(sanitizeHtml({ html: "[Click](<b>!ezcombat</b> --next)" }), "Click<b></b>");
+		assert.equal(sanitizeHtml({ html: "<i>[go]</i>(!ezcombat --next)" }), "<i>go</i>");
+		assert.equal(sanitizeHtml({ html: "<i>[go]</i>(!ezcombat --next)", allowApiLinks: ["!ezcombat"] }), "<i>[go]</i>(!ezcombat --next)");
+	});
+
+	it("keeps \">\" inside quoted attribute values", () => {
+		assert.equal(sanitizeHtml({ html: "<b title=\"a>b\">x</b>" }), "<b title=\"a&gt;b\">x</b>");
+		assert.equal(sanitizeHtml({ html: "<b title='it>s'>y</b> 1 > 0" }), "<b title=\"it&gt;s\">y</b> 1 &gt; 0");
+	});
+
+	it("drops javascript: URLs in href and src", () => {
+		assert.equal(sanitizeHtml({ html: "<a href=\"javascript:alert(1)\">x</a>" }), "x");
+		assert.equal(sanitizeHtml({ html: "<a href=\"java&#10;script:alert(1)\">y</a>" }), "y");
+		assert.equal(sanitizeHtml({ html: "<img src=\"javascript:alert(1)\" alt=\"z\">", policy: "handout" }), "<img alt=\"z\" />");
+		assert.equal(sanitizeHtml({ html: "<a href=\"https://roll20.net\">ok</a>" }), "<a href=\"https://roll20.net\">ok</a>");
+	});
+
+	it("drops event handler attributes and script elements", () => {
+		assert.equal(sanitizeHtml({ html: "<b onclick=\"alert(1)\" title=\"t\">bold</b>" }), "<b title=\"t\">bold</b>");
+		assert.equal(sanitizeHtml({ html: "<img src=\"https://x.test/a.png\" onerror=\"alert(1)\">", policy: "handout" }), "<img src=\"https://x.test/a.png\" />");
+		assert.equal(sanitizeHtml({ html: "hi<script>alert(1)</script>" }), "hi");
+	});
+
+	it("drops url() and expression() from inline styles", () => {
+		const output = sanitizeHtml({ html: "<p style=\"color: red; background-image: url(https://x.test/a.png); width: expression(alert(1))\">p</p>", policy: "handout" });
+
+		assert.equal(output, "<p style=\"color: red;\">p</p>");
+	});
+
+	it("keeps only the command links allowApiLinks permits", () => {
+		const html = "<a href=\"!ezcombat --next\">next</a> <a href=\"!ezutils --restore\">restore</a>";
+
+		assert.equal(sanitizeHtml({ html, allowApiLinks: ["!ezcombat"] }), "<a href=\"!ezcombat --next\">next</a> restore");
+		assert.equal(sanitizeHtml({ html, allowApiLinks: true }), html);
+		assert.equal(sanitizeHtml({ html: "[go](!ezutils --restore)", allowApiLinks: ["!ezcombat"] }), "go");
+	});
+
+	it("keeps raw HTML and API links out of the markdown template filter", () => {
+		const output = replacePlaceholders({
+			text: "{{ md | markdown }}",
+			escapeHtml: true,
+			expressions: { md: "**hi** <script>x</script> <a href=\"!ezcombat --next\">go</a> [b](!ezcombat --stop)" }
+		});
+
+		assert.match(output, /<strong>hi<\/strong>/);
+		assert.doesNotMatch(output, /<script|!ezcombat/);
+	});
+});